@@ -9,15 +9,19 @@ import httpStatus from 'http-status';
 import config from './config/config.js';
 import * as morgan from './config/morgan.js';
 import { jwtStrategy, clientJwtStrategy } from './config/passport.js';
-import { authLimiter } from './middlewares/rateLimiter.js';
+import { authLimiter, otpLimiter } from './middlewares/rateLimiter.js';
 import routes from './routes/v1/index.js';
 import { errorConverter, errorHandler } from './middlewares/error.js';
 import ApiError from './utils/ApiError.js';
+import requestContext from './middlewares/requestContext.js';
 import { setupBranchAccess } from './scripts/setup-branch-access.js';
 import cronManager from './jobs/cronManager.js';
 
 const app = express();
 
+// request id + async context (used by the audit log plugin)
+app.use(requestContext());
+
 if (config.env !== 'test') {
   app.use(morgan.successHandler);
   app.use(morgan.errorHandler);
@@ -51,6 +55,8 @@ passport.use('client-jwt', clientJwtStrategy);
 // limit repeated failed requests to auth endpoints
 if (config.env === 'production') {
   app.use('/v1/auth', authLimiter);
+  app.use(['/v1/client-auth/generate-otp', '/v1/client-auth/verify-otp'], otpLimiter);
+  app.use(['/v1/team-member-auth/generate-otp', '/v1/team-member-auth/verify-otp'], otpLimiter);
 }
 
 // v1 api routes
@@ -32,6 +32,25 @@ const envVarsSchema = Joi.object()
     JWT_VERIFY_EMAIL_EXPIRATION_MINUTES: Joi.number()
       .default(10)
       .description('minutes after which verify email token expires'),
+    OTP_EXPIRATION_MINUTES: Joi.number().default(10).description('minutes after which a login OTP expires'),
+    OTP_MAX_ATTEMPTS: Joi.number().default(5).description('wrong guesses allowed before a login OTP is invalidated'),
+    OTP_MAX_PER_HOUR: Joi.number().default(5).description('login OTPs that can be issued to one PAN/email per hour'),
+    OTP_MAX_FAILED_ATTEMPTS: Joi.number()
+      .default(10)
+      .description('wrong guesses across OTPs after which a PAN/email is locked out'),
+    OTP_LOCKOUT_MINUTES: Joi.number().default(30).description('minutes a locked-out PAN/email must wait'),
+    JOB_WORKER_ENABLED: Joi.boolean().default(true).description('whether this process runs background queue jobs'),
+    JOB_POLL_INTERVAL_SECONDS: Joi.number().default(5).description('seconds between checks for queued background jobs'),
+    JOB_LOCK_TIMEOUT_MINUTES: Joi.number()
+      .default(10)
+      .description('minutes without a heartbeat after which a running job is taken over by another worker'),
+    JOB_RETENTION_DAYS: Joi.number().default(30).description('days completed and failed background jobs are kept'),
+    MIGRATE_ON_BOOT: Joi.boolean()
+      .default(false)
+      .description('whether the server applies pending data migrations at startup'),
+    RECYCLE_BIN_RETENTION_DAYS: Joi.number()
+      .default(30)
+      .description('days deleted clients, timelines and tasks stay restorable before they are purged'),
     SMTP_HOST: Joi.string().description('server that will send the emails'),
     SMTP_PORT: Joi.number().description('port to connect to the email server'),
     SMTP_USERNAME: Joi.string().description('username for email server'),
@@ -51,11 +70,13 @@ if (error) {
   throw new Error(`Config validation error: ${error.message}`);
 }
 
+/** Named SMTP accounts that can be configured with SMTP_<NAME>_USERNAME / SMTP_<NAME>_PASSWORD */
+export const SMTP_ACCOUNT_NAMES = ['audit', 'gst', 'incometax', 'roc', 'info'];
+
 /** Build map of named SMTP accounts from env (SMTP_<NAME>_USERNAME, SMTP_<NAME>_PASSWORD). Uses default host/port. */
 function buildSmtpAccounts(envVars) {
   const accounts = {};
-  const names = ['audit', 'gst', 'incometax', 'roc', 'info'];
-  for (const name of names) {
+  for (const name of SMTP_ACCOUNT_NAMES) {
     const user = process.env[`SMTP_${name.toUpperCase()}_USERNAME`];
     const pass = process.env[`SMTP_${name.toUpperCase()}_PASSWORD`];
     if (user && pass) {
@@ -83,6 +104,7 @@ const config = {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     },
+    migrateOnBoot: envVars.MIGRATE_ON_BOOT,
   },
   jwt: {
     secret: envVars.JWT_SECRET,
@@ -91,6 +113,22 @@ const config = {
     resetPasswordExpirationMinutes: envVars.JWT_RESET_PASSWORD_EXPIRATION_MINUTES,
     verifyEmailExpirationMinutes: envVars.JWT_VERIFY_EMAIL_EXPIRATION_MINUTES,
   },
+  otp: {
+    expirationMinutes: envVars.OTP_EXPIRATION_MINUTES,
+    maxAttempts: envVars.OTP_MAX_ATTEMPTS,
+    maxPerHour: envVars.OTP_MAX_PER_HOUR,
+    maxFailedAttempts: envVars.OTP_MAX_FAILED_ATTEMPTS,
+    lockoutMinutes: envVars.OTP_LOCKOUT_MINUTES,
+  },
+  jobQueue: {
+    workerEnabled: envVars.JOB_WORKER_ENABLED,
+    pollIntervalSeconds: envVars.JOB_POLL_INTERVAL_SECONDS,
+    lockTimeoutMinutes: envVars.JOB_LOCK_TIMEOUT_MINUTES,
+    retentionDays: envVars.JOB_RETENTION_DAYS,
+  },
+  recycleBin: {
+    retentionDays: envVars.RECYCLE_BIN_RETENTION_DAYS,
+  },
   email: {
     smtp: {
       host: envVars.SMTP_HOST,
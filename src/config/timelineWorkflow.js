@@ -0,0 +1,98 @@
+/**
+ * Timeline status workflow.
+ *
+ * pending → ongoing → ready for review → filed → completed, with a maker-checker review before a return is
+ * marked filed. Edit the maps below to change the workflow; the service layer only enforces what is here.
+ */
+
+const timelineStatuses = ['pending', 'ongoing', 'ready for review', 'filed', 'completed', 'delayed', 'not applicable'];
+
+// Statuses a timeline can be created or imported with; later ones are only reached through the transitions below
+const timelineInitialStatuses = ['pending', 'ongoing', 'delayed'];
+
+// No further work expected: due dates are no longer moved and the timeline does not count as pending
+const timelineClosedStatuses = ['filed', 'completed', 'not applicable'];
+
+// Work still to be done, including returns waiting for review
+const timelinePendingStatuses = timelineStatuses.filter((status) => !timelineClosedStatuses.includes(status));
+
+// Statuses a timeline may move to from each status
+const timelineStatusTransitions = {
+  pending: ['ongoing', 'delayed', 'not applicable'],
+  delayed: ['ongoing', 'pending', 'not applicable'],
+  ongoing: ['ready for review', 'completed', 'pending', 'delayed', 'not applicable'],
+  'ready for review': ['filed', 'ongoing'],
+  filed: ['completed', 'ongoing'],
+  completed: ['ongoing'],
+  'not applicable': ['pending'],
+};
+
+// Role permission needed to move a timeline into a status
+const timelineStatusPermissions = {
+  pending: 'manageTimelines',
+  ongoing: 'manageTimelines',
+  'ready for review': 'manageTimelines',
+  filed: 'reviewTimelines',
+  completed: 'manageTimelines',
+  delayed: 'manageTimelines',
+  'not applicable': 'manageTimelines',
+};
+
+// Permissions team members (who have no role) hold for the moves above; they prepare work but cannot review it
+const timelineTeamMemberPermissions = ['manageTimelines'];
+
+// Overrides of timelineStatusPermissions for specific "from->to" moves (reopening reviewed work)
+const timelineTransitionPermissions = {
+  'ready for review->ongoing': 'reviewTimelines',
+  'filed->ongoing': 'reviewTimelines',
+  'completed->ongoing': 'reviewTimelines',
+};
+
+// Statuses that can only be entered with a reason
+const timelineReasonRequiredStatuses = ['not applicable'];
+
+// Maker-checker: whoever moves a timeline into the key status must not be whoever moved it into the value status
+const timelineMakerCheckerStatuses = {
+  filed: 'ready for review',
+};
+
+// Timelines filing a statutory form (complianceForm set) can only be completed once filed
+const timelineReviewedCompletionFrom = ['filed'];
+
+// Moves the system (cron jobs) may make without a user
+const timelineSystemTransitions = {
+  pending: ['delayed'],
+  ongoing: ['delayed'],
+  delayed: ['pending', 'ongoing'],
+};
+
+// Status a client sees in the portal for each status: the review steps before filing are internal, so a return being
+// prepared or waiting for review is simply in progress to the client
+const timelineClientStatusMap = {
+  pending: 'pending',
+  ongoing: 'in progress',
+  'ready for review': 'in progress',
+  filed: 'filed',
+  completed: 'completed',
+  delayed: 'delayed',
+  'not applicable': 'not applicable',
+};
+
+const timelineClientStatuses = [...new Set(Object.values(timelineClientStatusMap))];
+
+export {
+  timelineStatuses,
+  timelineInitialStatuses,
+  timelineClosedStatuses,
+  timelinePendingStatuses,
+  timelineStatusTransitions,
+  timelineStatusPermissions,
+  timelineTeamMemberPermissions,
+  timelineTransitionPermissions,
+  timelineReasonRequiredStatuses,
+  timelineMakerCheckerStatuses,
+  timelineReviewedCompletionFrom,
+  timelineSystemTransitions,
+  timelineClientStatusMap,
+  timelineClientStatuses,
+};
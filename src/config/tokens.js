@@ -7,4 +7,5 @@ export const tokenTypes = {
   CLIENT_ACCESS: 'clientAccess',
   TEAM_MEMBER_ACCESS: 'teamMemberAccess',
   TEAM_MEMBER_REFRESH: 'teamMemberRefresh',
+  TEAM_MEMBER_OTP: 'teamMemberOtp',
 };
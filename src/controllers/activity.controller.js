@@ -1,6 +1,6 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
-import { activityService } from '../services/index.js';
+import { activityService, jobQueueService } from '../services/index.js';
 import pick from '../utils/pick.js';
 import ApiError from '../utils/ApiError.js';
 
@@ -67,8 +67,11 @@ const deleteSubactivity = catchAsync(async (req, res) => {
 });
 
 const bulkCreateTimelines = catchAsync(async (req, res) => {
-  const result = await activityService.bulkCreateTimelines(req.body, req.user);
-  res.status(httpStatus.CREATED).send(result);
+  const job = await jobQueueService.enqueueJob('timelines.bulkCreate', req.body, {
+    maxAttempts: 1,
+    ...jobQueueService.getJobRequester(req.user),
+  });
+  res.status(httpStatus.ACCEPTED).send(job);
 });
 
 export { 
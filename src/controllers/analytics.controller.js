@@ -7,6 +7,71 @@ import Client from '../models/client.model.js';
 import Timeline from '../models/timeline.model.js';
 import Task from '../models/task.model.js';
 import TeamMember from '../models/teamMember.model.js';
+import { exportService } from '../services/index.js';
+import sendExport from '../utils/sendExport.js';
+
+// Filters of the table endpoints, shared with their exports
+const CLIENT_TABLE_FILTERS = [
+  'name',
+  'email',
+  'phone',
+  'district',
+  'state',
+  'country',
+  'fNo',
+  'pan',
+  'businessType',
+  'gstNumber',
+  'tanNumber',
+  'cinNumber',
+  'udyamNumber',
+  'iecCode',
+  'entityType',
+  'clientCategory',
+  'turnover',
+  'turnoverYear',
+  'branch',
+  'search',
+  'activity',
+  'activitySearch',
+  'activityName',
+  'subactivity',
+  'subactivitySearch',
+];
+
+const TEAM_MEMBER_TABLE_FILTERS = [
+  'name',
+  'email',
+  'phone',
+  'city',
+  'state',
+  'country',
+  'branch',
+  'search',
+];
+
+const TIMELINE_TABLE_FILTERS = [
+  'client',
+  'clientSearch',
+  'businessType',
+  'entityType',
+  'clientCategory',
+  'turnover',
+  'turnoverYear',
+  'activity',
+  'activitySearch',
+  'subactivity',
+  'subactivitySearch',
+  'status',
+  'frequency',
+  'timelineType',
+  'period',
+  'financialYear',
+  'startDate',
+  'endDate',
+  'branch',
+  'search',
+];
 
 /**
  * Get team member analytics dashboard cards
@@ -212,33 +277,7 @@ const getClientDetailsOverview = catchAsync(async (req, res) => {
  */
 const getAllClientsTableData = catchAsync(async (req, res) => {
   try {
-    const filter = pick(req.query, [
-      'name', 
-      'email', 
-      'phone', 
-      'district', 
-      'state', 
-      'country', 
-      'fNo', 
-      'pan', 
-      'businessType',
-      'gstNumber',
-      'tanNumber',
-      'cinNumber',
-      'udyamNumber',
-      'iecCode',
-      'entityType',
-      'clientCategory',
-      'turnover',
-      'turnoverYear',
-      'branch',
-      'search',
-      'activity',
-      'activitySearch',
-      'activityName',
-      'subactivity',
-      'subactivitySearch'
-    ]);
+    const filter = pick(req.query, CLIENT_TABLE_FILTERS);
     
     const options = pick(req.query, ['sortBy', 'limit', 'page']);
     
@@ -422,16 +461,7 @@ const testTimelineExistence = catchAsync(async (req, res) => {
  */
 const getAllTeamMembersTableData = catchAsync(async (req, res) => {
   try {
-    const filter = pick(req.query, [
-      'name', 
-      'email', 
-      'phone', 
-      'city', 
-      'state', 
-      'country', 
-      'branch',
-      'search'
-    ]);
+    const filter = pick(req.query, TEAM_MEMBER_TABLE_FILTERS);
     
     const options = pick(req.query, ['sortBy', 'limit', 'page']);
     
@@ -454,28 +484,7 @@ const getAllTeamMembersTableData = catchAsync(async (req, res) => {
  */
 const getAllTimelinesTableData = catchAsync(async (req, res) => {
   try {
-    const filter = pick(req.query, [
-      'client',
-      'clientSearch',
-      'businessType',
-      'entityType',
-      'clientCategory',
-      'turnover',
-      'turnoverYear',
-      'activity',
-      'activitySearch',
-      'subactivity',
-      'subactivitySearch',
-      'status',
-      'frequency',
-      'timelineType',
-      'period',
-      'financialYear',
-      'startDate',
-      'endDate',
-      'branch',
-      'search'
-    ]);
+    const filter = pick(req.query, TIMELINE_TABLE_FILTERS);
     
     const options = pick(req.query, ['sortBy', 'limit', 'page']);
     
@@ -497,6 +506,69 @@ const getAllTimelinesTableData = catchAsync(async (req, res) => {
   }
 });
 
+/**
+ * Analytics services report access problems as plain errors; map them like the table endpoints do
+ * @param {Error} error
+ * @returns {Error}
+ */
+const toExportError = (error) => {
+  if (!(error instanceof ApiError) && /Access denied|No branch access/.test(error.message)) {
+    return new ApiError(httpStatus.FORBIDDEN, error.message);
+  }
+  return error;
+};
+
+/**
+ * Export the clients table with its current filters
+ * @route GET /v1/analytics/clients/table/export
+ * @access Private
+ */
+const exportClientsTable = catchAsync(async (req, res) => {
+  const filter = pick(req.query, CLIENT_TABLE_FILTERS);
+  const options = pick(req.query, ['sortBy']);
+  let file;
+  try {
+    file = await exportService.exportClientsTable(filter, options, req.query.format, req.user);
+  } catch (error) {
+    throw toExportError(error);
+  }
+  await sendExport(res, file);
+});
+
+/**
+ * Export the timelines table with its current filters
+ * @route GET /v1/analytics/timelines/table/export
+ * @access Private
+ */
+const exportTimelinesTable = catchAsync(async (req, res) => {
+  const filter = pick(req.query, TIMELINE_TABLE_FILTERS);
+  const options = pick(req.query, ['sortBy']);
+  let file;
+  try {
+    file = await exportService.exportTimelinesTable(filter, options, req.query.format, req.user);
+  } catch (error) {
+    throw toExportError(error);
+  }
+  await sendExport(res, file);
+});
+
+/**
+ * Export the team members table with its current filters
+ * @route GET /v1/analytics/team-members/table/export
+ * @access Private
+ */
+const exportTeamMembersTable = catchAsync(async (req, res) => {
+  const filter = pick(req.query, TEAM_MEMBER_TABLE_FILTERS);
+  const options = pick(req.query, ['sortBy']);
+  let file;
+  try {
+    file = await exportService.exportTeamMembersTable(filter, options, req.query.format, req.user);
+  } catch (error) {
+    throw toExportError(error);
+  }
+  await sendExport(res, file);
+});
+
 /**
  * Get detailed overview for a specific timeline
  * @route GET /v1/analytics/timelines/:timelineId/overview
@@ -737,6 +809,9 @@ export default {
   getTimelineDetailsOverview,
   getAnalyticsInfo,
   getAllTeamMembersTableData,
+  exportClientsTable,
+  exportTimelinesTable,
+  exportTeamMembersTable,
   testTeamMembersDatabase,
   testTimelineExistence
 };
@@ -0,0 +1,22 @@
+import catchAsync from '../utils/catchAsync.js';
+import { auditLogService } from '../services/index.js';
+import pick from '../utils/pick.js';
+
+const getAuditLogs = catchAsync(async (req, res) => {
+  const filter = pick(req.query, [
+    'entityType',
+    'entityId',
+    'actor',
+    'actorModel',
+    'action',
+    'field',
+    'branch',
+    'startDate',
+    'endDate',
+  ]);
+  const options = pick(req.query, ['sortBy', 'limit', 'page', 'populate']);
+  const result = await auditLogService.queryAuditLogs(filter, options, req.user);
+  res.send(result);
+});
+
+export { getAuditLogs };
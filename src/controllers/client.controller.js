@@ -1,14 +1,34 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
-import { clientService } from '../services/index.js';
+import {
+  clientService,
+  clientEntityTypeService,
+  clientIdentifierService,
+  clientImportService,
+  clientDuplicateService,
+  clientContactService,
+  recycleBinService,
+  exportService,
+  jobQueueService,
+} from '../services/index.js';
 import * as clientReportService from '../services/clientReport.service.js';
 import pick from '../utils/pick.js';
 import normalizeClientListFilter from '../utils/normalizeClientListFilter.js';
 import ApiError from '../utils/ApiError.js';
+import sendExport from '../utils/sendExport.js';
 
+/**
+ * Create a client. Without an entity type, the one the PAN's holder type suggests is returned alongside (it is not
+ * saved; ROC activities depend on it, so the user confirms it with an update).
+ */
 const createClient = catchAsync(async (req, res) => {
   const client = await clientService.createClient(req.body, req.user);
-  res.status(httpStatus.CREATED).send(client);
+  if (client.entityType || !client.pan) {
+    res.status(httpStatus.CREATED).send(client);
+    return;
+  }
+  const { entityType: suggestedEntityType } = await clientEntityTypeService.suggestEntityType(client.pan);
+  res.status(httpStatus.CREATED).send({ ...client.toJSON(), suggestedEntityType });
 });
 
 const getClients = catchAsync(async (req, res) => {
@@ -80,15 +100,33 @@ const deleteClient = catchAsync(async (req, res) => {
 });
 
 const bulkImportClients = catchAsync(async (req, res) => {
-  const result = await clientService.bulkImportClients(req.body.clients);
-  res.status(httpStatus.OK).send(result);
+  const job = await jobQueueService.enqueueJob(
+    'import.clients',
+    { clients: req.body.clients },
+    { maxAttempts: 1, ...jobQueueService.getJobRequester(req.user) }
+  );
+  res.status(httpStatus.ACCEPTED).send(job);
 });
 
 const bulkDeleteClients = catchAsync(async (req, res) => {
-  const result = await clientService.bulkDeleteClients(req.body.clientIds);
+  const result = await clientService.bulkDeleteClients(req.body.clientIds, req.user);
   res.status(httpStatus.OK).send(result);
 });
 
+/** Clients in the recycle bin, most recently deleted first. */
+const getDeletedClients = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['branch', 'deletedBy']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await recycleBinService.queryDeleted('clients', filter, options, req.user);
+  res.send(result);
+});
+
+/** Restore a client from the recycle bin, with the timelines deleted along with it. */
+const restoreClient = catchAsync(async (req, res) => {
+  const client = await recycleBinService.restoreDeleted('clients', req.params.clientId, req.user);
+  res.send(client);
+});
+
 // Activity management methods
 const addActivityToClient = catchAsync(async (req, res) => {
   const result = await clientService.addActivityToClient(req.params.clientId, req.body);
@@ -147,6 +185,88 @@ const getGstNumbers = catchAsync(async (req, res) => {
   res.send(result);
 });
 
+// Contact person management methods
+const getContacts = catchAsync(async (req, res) => {
+  const contacts = await clientContactService.getContacts(req.params.clientId, req.user);
+  res.send(contacts);
+});
+
+const addContact = catchAsync(async (req, res) => {
+  const contact = await clientContactService.addContact(req.params.clientId, req.body, req.user);
+  res.status(httpStatus.CREATED).send(contact);
+});
+
+const updateContact = catchAsync(async (req, res) => {
+  const contact = await clientContactService.updateContact(
+    req.params.clientId,
+    req.params.contactId,
+    req.body,
+    req.user
+  );
+  res.send(contact);
+});
+
+const removeContact = catchAsync(async (req, res) => {
+  await clientContactService.removeContact(req.params.clientId, req.params.contactId, req.user);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const suggestEntityType = catchAsync(async (req, res) => {
+  const suggestion = await clientEntityTypeService.suggestEntityType(req.query.pan);
+  res.send(suggestion);
+});
+
+/** Clients whose entity type disagrees with the holder type in their PAN, or who have none. */
+const getEntityTypeReport = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['branch']);
+  const report = await clientEntityTypeService.getEntityTypeReport(filter, req.user);
+  res.send(report);
+});
+
+/** Clients whose stored PAN or GSTINs fail the checks new values must pass. */
+const getIdentifierReport = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['branch']);
+  const report = await clientIdentifierService.getIdentifierReport(filter, req.user);
+  res.send(report);
+});
+
+/**
+ * Import clients from an uploaded CSV/XLSX file. With reportFormat, responds with the rows and their errors as a
+ * file instead; with validateOnly, with the error report only.
+ */
+const importClientFile = catchAsync(async (req, res) => {
+  const options = pick(req.body, ['profileId', 'columns', 'validateOnly', 'skipInvalidRows']);
+  if (req.body.reportFormat) {
+    const report = await clientImportService.buildImportReport(req.file, options, req.user, req.body.reportFormat);
+    res.attachment(report.fileName).type(report.contentType).send(report.buffer);
+    return;
+  }
+  const result = await clientImportService.importClientFile(req.file, options, req.user);
+  res.status(result.job ? httpStatus.ACCEPTED : httpStatus.OK).send(result);
+});
+
+const getClientImportProfiles = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['name']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await clientImportService.queryImportProfiles(filter, options);
+  res.send(result);
+});
+
+const createClientImportProfile = catchAsync(async (req, res) => {
+  const profile = await clientImportService.createImportProfile(req.body, req.user);
+  res.status(httpStatus.CREATED).send(profile);
+});
+
+const updateClientImportProfile = catchAsync(async (req, res) => {
+  const profile = await clientImportService.updateImportProfileById(req.params.profileId, req.body);
+  res.send(profile);
+});
+
+const deleteClientImportProfile = catchAsync(async (req, res) => {
+  await clientImportService.deleteImportProfileById(req.params.profileId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
 /** Year report: timelines, activity/subactivity, status, pendings, turnover for client. */
 const getClientReport = catchAsync(async (req, res) => {
   const result = await clientReportService.getClientYearReport(
@@ -157,6 +277,33 @@ const getClientReport = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(result);
 });
 
+/** Groups of clients that look like the same client (same PAN, GSTIN, email, phone or a similar name). */
+const findDuplicateClients = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['branch', 'client', 'threshold']);
+  if (req.query.by) {
+    options.by = req.query.by.split(',').map((type) => type.trim());
+  }
+  const result = await clientDuplicateService.findDuplicateClients(options, req.user);
+  res.send(result);
+});
+
+/** Merge the duplicate into this client; with dryRun, only report what would move. */
+const mergeClients = catchAsync(async (req, res) => {
+  const result = await clientDuplicateService.mergeClients(
+    req.params.clientId,
+    req.body.duplicateId,
+    { dryRun: req.body.dryRun },
+    req.user
+  );
+  res.send(result);
+});
+
+/** Year report as a branded PDF or CSV/XLSX. */
+const exportClientReport = catchAsync(async (req, res) => {
+  const file = await exportService.exportClientReport(req.params.clientId, req.query.year, req.query.format, req.user);
+  await sendExport(res, file);
+});
+
 export {
   createClient,
   getClients,
@@ -175,5 +322,22 @@ export {
   removeGstNumber,
   updateGstNumber,
   getGstNumbers,
+  getContacts,
+  addContact,
+  updateContact,
+  removeContact,
   getClientReport,
+  exportClientReport,
+  suggestEntityType,
+  getEntityTypeReport,
+  getIdentifierReport,
+  importClientFile,
+  getClientImportProfiles,
+  createClientImportProfile,
+  updateClientImportProfile,
+  deleteClientImportProfile,
+  findDuplicateClients,
+  mergeClients,
+  getDeletedClients,
+  restoreClient,
 }; 
\ No newline at end of file
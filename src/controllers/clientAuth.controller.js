@@ -1,6 +1,13 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
+import pick from '../utils/pick.js';
 import { generateClientOTP, verifyClientOTP, logoutClient } from '../services/clientAuth.service.js';
+import { getClientPortalYearReport, getClientComplianceStatus } from '../services/clientReport.service.js';
+import {
+  listClientDocuments,
+  uploadClientDocument,
+  getClientDocumentDownload,
+} from '../services/clientDocument.service.js';
 
 /**
  * Generate OTP for client login
@@ -75,9 +82,87 @@ const getProfile = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get the logged-in client's timelines grouped by financial year
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getComplianceStatus = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['financialYear', 'status']);
+  const result = await getClientComplianceStatus(req.user.id, filter);
+
+  res.status(httpStatus.OK).send({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Get the logged-in client's year report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getYearReport = catchAsync(async (req, res) => {
+  const report = await getClientPortalYearReport(req.user.id, req.query.year);
+
+  res.status(httpStatus.OK).send({
+    success: true,
+    data: report
+  });
+});
+
+/**
+ * List the logged-in client's documents (client folder or a sub-folder of it)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDocuments = catchAsync(async (req, res) => {
+  const result = await listClientDocuments(req.user, pick(req.query, ['folderId']));
+
+  res.status(httpStatus.OK).send({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Upload a document into the logged-in client's folder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const uploadDocument = catchAsync(async (req, res) => {
+  const options = pick(req.body, ['folderId', 'financialYear', 'activity']);
+  const file = await uploadClientDocument(req.user, req.file, options);
+
+  res.status(httpStatus.CREATED).send({
+    success: true,
+    message: 'File uploaded successfully',
+    data: file
+  });
+});
+
+/**
+ * Get a download link for one of the logged-in client's documents
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const downloadDocument = catchAsync(async (req, res) => {
+  const result = await getClientDocumentDownload(req.user, req.params.fileId);
+
+  res.status(httpStatus.OK).send({
+    success: true,
+    data: result
+  });
+});
+
 export {
   generateOTP,
   verifyOTPAndLogin,
   logout,
   getProfile,
+  getComplianceStatus,
+  getYearReport,
+  getDocuments,
+  uploadDocument,
+  downloadDocument,
 };
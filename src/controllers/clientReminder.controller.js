@@ -0,0 +1,17 @@
+import catchAsync from '../utils/catchAsync.js';
+import { clientReminderService } from '../services/index.js';
+import pick from '../utils/pick.js';
+
+const getReminderLogs = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['client', 'timeline', 'status', 'kind']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await clientReminderService.queryReminderLogs(filter, options);
+  res.send(result);
+});
+
+const runReminders = catchAsync(async (req, res) => {
+  const result = await clientReminderService.runClientReminders();
+  res.send(result);
+});
+
+export { getReminderLogs, runReminders };
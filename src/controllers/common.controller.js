@@ -159,6 +159,26 @@ const deleteFileFromS3 = async (key) => {
     }
 };
 
+/**
+ * Utility function to create a short-lived download link for a private S3 object
+ * @param {string} key - The file key in S3
+ * @param {string} [fileName] - Name the browser should save the file as
+ * @param {number} [expiresIn] - Link lifetime in seconds
+ * @returns {Promise<string>}
+ */
+const getSignedDownloadUrl = async (key, fileName = null, expiresIn = 300) => {
+    if (!key) {
+        throw new Error('File key is required');
+    }
+
+    return s3Config.getSignedUrlPromise('getObject', {
+        Bucket: config.aws.s3.bucket,
+        Key: key,
+        Expires: expiresIn,
+        ...(fileName && { ResponseContentDisposition: `attachment; filename="${encodeURIComponent(fileName)}"` })
+    });
+};
+
 /**
  * Middleware to handle multer errors
  */
@@ -266,5 +286,6 @@ export {
     deleteFile,
     uploadFileToS3,
     deleteFileFromS3,
+    getSignedDownloadUrl,
     handleMulterError
 }; 
\ No newline at end of file
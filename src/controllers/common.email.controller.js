@@ -1,7 +1,8 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
-import { emailService } from '../services/index.js';
+import { emailService, emailLogService } from '../services/index.js';
 import ApiError from '../utils/ApiError.js';
+import pick from '../utils/pick.js';
 import { wrapWithDefaultLayout, getLogoAttachment } from '../utils/emailLayout.js';
 
 const layoutAttachments = () => {
@@ -32,7 +33,7 @@ const sendCustomEmail = catchAsync(async (req, res) => {
     { useCid: true }
   );
   const attachments = layoutAttachments();
-  await emailService.sendEmailWithAttachments(to, subject, text, htmlContent, attachments);
+  await emailService.sendEmailWithAttachments(to, subject, text, htmlContent, attachments, { log: { category: 'custom' } });
 
   res.status(httpStatus.OK).send({
     success: true,
@@ -92,7 +93,9 @@ const sendTaskAssignmentEmail = catchAsync(async (req, res) => {
     { useCid: true }
   );
   const attachments = layoutAttachments();
-  await emailService.sendEmailWithAttachments(to, subject, textContent, htmlContent, attachments);
+  await emailService.sendEmailWithAttachments(to, subject, textContent, htmlContent, attachments, {
+    log: { category: 'taskAssignment' },
+  });
 
   res.status(httpStatus.OK).send({
     success: true,
@@ -146,7 +149,9 @@ const sendNotificationEmail = catchAsync(async (req, res) => {
     { useCid: true }
   );
   const attachments = layoutAttachments();
-  await emailService.sendEmailWithAttachments(to, subject, textContent, htmlContent, attachments);
+  await emailService.sendEmailWithAttachments(to, subject, textContent, htmlContent, attachments, {
+    log: { category: 'notification' },
+  });
 
   res.status(httpStatus.OK).send({
     success: true,
@@ -189,7 +194,7 @@ const sendBulkEmails = catchAsync(async (req, res) => {
   );
   const attachments = layoutAttachments();
   const emailPromises = emails.map(email =>
-    emailService.sendEmailWithAttachments(email, subject, text, htmlContent, attachments)
+    emailService.sendEmailWithAttachments(email, subject, text, htmlContent, attachments, { log: { category: 'bulk' } })
   );
   await Promise.all(emailPromises);
 
@@ -242,7 +247,9 @@ const sendEmailWithAttachments = catchAsync(async (req, res) => {
     { useCid: true }
   );
   const allAttachments = [...layoutAttachments(), ...(attachments || [])];
-  await emailService.sendEmailWithFileAttachments(to, subject, text, htmlContent, allAttachments);
+  await emailService.sendEmailWithFileAttachments(to, subject, text, htmlContent, allAttachments, {
+    log: { category: 'custom' },
+  });
 
   res.status(httpStatus.OK).send({
     success: true,
@@ -256,10 +263,56 @@ const sendEmailWithAttachments = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * List outbound email log entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEmailLogs = catchAsync(async (req, res) => {
+  const filter = pick(req.query, [
+    'to',
+    'status',
+    'category',
+    'fromAccount',
+    'client',
+    'task',
+    'timeline',
+    'template',
+    'startDate',
+    'endDate',
+  ]);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await emailLogService.queryEmailLogs(filter, options);
+  res.send(result);
+});
+
+/**
+ * Get one email log entry with its content
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEmailLog = catchAsync(async (req, res) => {
+  const log = await emailLogService.getEmailLogById(req.params.logId);
+  res.send(log);
+});
+
+/**
+ * Resend a failed email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendEmail = catchAsync(async (req, res) => {
+  const log = await emailLogService.resendEmail(req.params.logId);
+  res.send(log);
+});
+
 export {
   sendCustomEmail,
   sendTaskAssignmentEmail,
   sendNotificationEmail,
   sendBulkEmails,
   sendEmailWithAttachments,
+  getEmailLogs,
+  getEmailLog,
+  resendEmail,
 };
@@ -0,0 +1,37 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import { complianceCalendarService } from '../services/index.js';
+import pick from '../utils/pick.js';
+
+const getComplianceForms = catchAsync(async (req, res) => {
+  res.send(complianceCalendarService.getComplianceForms());
+});
+
+const getFormDueDate = catchAsync(async (req, res) => {
+  const result = await complianceCalendarService.getFormDueDate(req.query);
+  res.send(result);
+});
+
+const createExtension = catchAsync(async (req, res) => {
+  const extension = await complianceCalendarService.createExtension(req.body, req.user.id);
+  res.status(httpStatus.CREATED).send(extension);
+});
+
+const getExtensions = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['form', 'period', 'isActive']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await complianceCalendarService.queryExtensions(filter, options);
+  res.send(result);
+});
+
+const getExtension = catchAsync(async (req, res) => {
+  const extension = await complianceCalendarService.getExtensionById(req.params.extensionId);
+  res.send(extension);
+});
+
+const withdrawExtension = catchAsync(async (req, res) => {
+  const extension = await complianceCalendarService.withdrawExtension(req.params.extensionId);
+  res.send(extension);
+});
+
+export { getComplianceForms, getFormDueDate, createExtension, getExtensions, getExtension, withdrawExtension };
@@ -1,6 +1,7 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
-import { cronService } from '../services/index.js';
+import pick from '../utils/pick.js';
+import { cronService, cronRunService, timelineStatusCronService } from '../services/index.js';
 
 /**
  * Initialize cron jobs
@@ -34,7 +35,7 @@ const stopCronJobs = catchAsync(async (req, res) => {
  * @access Private
  */
 const getCronJobStatus = catchAsync(async (req, res) => {
-  const status = cronService.getCronJobStatus();
+  const status = await cronService.getCronJobStatus();
   res.status(httpStatus.OK).send(status);
 });
 
@@ -44,10 +45,24 @@ const getCronJobStatus = catchAsync(async (req, res) => {
  * @access Private
  */
 const triggerDailyReminders = catchAsync(async (req, res) => {
-  await cronService.sendDailyTaskReminders();
+  const job = await cronService.runCronJob('daily-task-reminders', {}, req.user);
+  res.status(httpStatus.ACCEPTED).send({
+    message: 'Daily task reminders queued; follow them at /v1/jobs/:jobId',
+    status: 'queued',
+    job
+  });
+});
+
+/**
+ * Manually run the overdue timeline check (pending/ongoing → delayed, and back when the due date is extended)
+ * @route POST /v1/cron/trigger-timeline-status
+ * @access Private
+ */
+const triggerTimelineStatusCheck = catchAsync(async (req, res) => {
+  const result = await timelineStatusCronService.runTimelineStatusCheck();
   res.status(httpStatus.OK).send({
-    message: 'Daily task reminders triggered manually',
-    status: 'triggered'
+    message: 'Timeline status check triggered manually',
+    ...result
   });
 });
 
@@ -58,20 +73,58 @@ const triggerDailyReminders = catchAsync(async (req, res) => {
  * @access Private
  */
 const removeDuplicateTimelines = catchAsync(async (req, res) => {
-  const dryRun = req.query.dryRun === 'true';
-  const result = dryRun
-    ? await cronService.findDuplicateTimelines()
-    : await cronService.removeDuplicateTimelines();
-  res.status(httpStatus.OK).send({
-    message: dryRun ? 'Duplicate report (no delete)' : 'Duplicate timelines removed',
-    ...result
+  if (req.query.dryRun === 'true') {
+    const result = await cronService.findDuplicateTimelines();
+    res.status(httpStatus.OK).send({ message: 'Duplicate report (no delete)', ...result });
+    return;
+  }
+  const job = await cronService.removeDuplicateTimelines(req.user);
+  res.status(httpStatus.ACCEPTED).send({
+    message: 'Duplicate removal queued; follow it at /v1/jobs/:jobId',
+    job
   });
 });
 
+/**
+ * List recorded runs of the cron jobs
+ * @route GET /v1/cron/runs
+ * @access Private
+ */
+const getCronRuns = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['job', 'status', 'trigger', 'period', 'startDate', 'endDate']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await cronRunService.queryCronRuns(filter, options);
+  res.send(result);
+});
+
+/**
+ * Get one recorded run, with the items that failed in it
+ * @route GET /v1/cron/runs/:runId
+ * @access Private
+ */
+const getCronRun = catchAsync(async (req, res) => {
+  const run = await cronRunService.getCronRunById(req.params.runId);
+  res.send(run);
+});
+
+/**
+ * Queue a run of a cron job; timeline jobs can be given a past period to regenerate (e.g. { "period": "Q2-2025" })
+ * @route POST /v1/cron/run/:job
+ * @access Private
+ */
+const runCronJob = catchAsync(async (req, res) => {
+  const job = await cronService.runCronJob(req.params.job, req.body, req.user);
+  res.status(httpStatus.ACCEPTED).send(job);
+});
+
 export default {
   initializeCronJobs,
   stopCronJobs,
   getCronJobStatus,
   triggerDailyReminders,
-  removeDuplicateTimelines
+  triggerTimelineStatusCheck,
+  removeDuplicateTimelines,
+  getCronRuns,
+  getCronRun,
+  runCronJob
 };
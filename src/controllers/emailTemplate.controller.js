@@ -47,11 +47,11 @@ const sendBulkToClients = catchAsync(async (req, res) => {
     options.branchId = branchId;
   }
   if (fromEmail) options.fromEmail = fromEmail;
-  const result = await bulkEmailService.sendBulkWithTemplate(templateId, options, req.user);
-  res.status(httpStatus.OK).send({
+  const job = await bulkEmailService.queueBulkWithTemplate(templateId, options, req.user);
+  res.status(httpStatus.ACCEPTED).send({
     success: true,
-    message: `Bulk send completed: ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped (no email)`,
-    data: result,
+    message: 'Bulk send queued; follow its progress at /v1/jobs/:jobId',
+    data: job,
   });
 });
 
@@ -1,9 +1,10 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
-import { groupService } from '../services/index.js';
+import { groupService, exportService } from '../services/index.js';
 import * as groupReportService from '../services/groupReport.service.js';
 import pick from '../utils/pick.js';
 import ApiError from '../utils/ApiError.js';
+import sendExport from '../utils/sendExport.js';
 
 const createGroup = catchAsync(async (req, res) => {
   const group = await groupService.createGroup(req.body, req.user);
@@ -86,6 +87,12 @@ const getGroupReport = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(result);
 });
 
+/** Year report as a branded PDF or CSV/XLSX. */
+const exportGroupReport = catchAsync(async (req, res) => {
+  const file = await exportService.exportGroupReport(req.params.groupId, req.query.year, req.query.format, req.user);
+  await sendExport(res, file);
+});
+
 export {
   createGroup,
   getGroups,
@@ -100,4 +107,5 @@ export {
   getAllGroupsAnalytics,
   getGroupAnalytics,
   getGroupReport,
+  exportGroupReport,
 }; 
\ No newline at end of file
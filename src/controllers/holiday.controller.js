@@ -0,0 +1,38 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import { holidayService } from '../services/index.js';
+import pick from '../utils/pick.js';
+
+const createHoliday = catchAsync(async (req, res) => {
+  const holiday = await holidayService.createHoliday(req.body, req.user.id);
+  res.status(httpStatus.CREATED).send(holiday);
+});
+
+const getHolidays = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['type', 'state', 'year', 'startDate', 'endDate']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await holidayService.queryHolidays(filter, options);
+  res.send(result);
+});
+
+const getHoliday = catchAsync(async (req, res) => {
+  const holiday = await holidayService.getHolidayById(req.params.holidayId);
+  res.send(holiday);
+});
+
+const updateHoliday = catchAsync(async (req, res) => {
+  const holiday = await holidayService.updateHolidayById(req.params.holidayId, req.body);
+  res.send(holiday);
+});
+
+const deleteHoliday = catchAsync(async (req, res) => {
+  await holidayService.deleteHolidayById(req.params.holidayId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const reshiftTimelines = catchAsync(async (req, res) => {
+  const result = await holidayService.reshiftOpenTimelines(req.body);
+  res.send(result);
+});
+
+export { createHoliday, getHolidays, getHoliday, updateHoliday, deleteHoliday, reshiftTimelines };
@@ -15,6 +15,12 @@ import * as taskController from './task.controller.js';
 import * as businessMasterController from './businessMaster.controller.js';
 import * as entityTypeMasterController from './entityTypeMaster.controller.js';
 import * as emailTemplateController from './emailTemplate.controller.js';
+import * as otpLockoutController from './otpLockout.controller.js';
+import * as auditLogController from './auditLog.controller.js';
+import * as complianceCalendarController from './complianceCalendar.controller.js';
+import * as holidayController from './holiday.controller.js';
+import * as clientReminderController from './clientReminder.controller.js';
+import * as jobController from './job.controller.js';
 
 export {
   authController,
@@ -34,5 +40,11 @@ export {
   businessMasterController,
   entityTypeMasterController,
   emailTemplateController,
+  otpLockoutController,
+  auditLogController,
+  complianceCalendarController,
+  holidayController,
+  clientReminderController,
+  jobController,
 };
 
@@ -0,0 +1,22 @@
+import catchAsync from '../utils/catchAsync.js';
+import { jobQueueService } from '../services/index.js';
+import pick from '../utils/pick.js';
+
+const getJobs = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['type', 'status', 'createdBy']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await jobQueueService.queryJobs(filter, options, req.user);
+  res.send(result);
+});
+
+const getJob = catchAsync(async (req, res) => {
+  const job = await jobQueueService.getJobById(req.params.jobId, req.user);
+  res.send(job);
+});
+
+const retryJob = catchAsync(async (req, res) => {
+  const job = await jobQueueService.retryJob(req.params.jobId, req.user);
+  res.send(job);
+});
+
+export { getJobs, getJob, retryJob };
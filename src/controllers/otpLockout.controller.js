@@ -0,0 +1,18 @@
+import httpStatus from 'http-status';
+import catchAsync from '../utils/catchAsync.js';
+import { otpService } from '../services/index.js';
+import pick from '../utils/pick.js';
+
+const getOtpLockouts = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['identifier', 'userModel', 'reason', 'active']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await otpService.queryOtpLockouts(filter, options);
+  res.send(result);
+});
+
+const clearOtpLockout = catchAsync(async (req, res) => {
+  const lockout = await otpService.clearOtpLockout(req.params.lockoutId, req.user.id);
+  res.status(httpStatus.OK).send(lockout);
+});
+
+export { getOtpLockouts, clearOtpLockout };
@@ -3,6 +3,7 @@ import catchAsync from '../utils/catchAsync.js';
 import pick from '../utils/pick.js';
 import ApiError from '../utils/ApiError.js';
 import taskService from '../services/task.service.js';
+import { recycleBinService } from '../services/index.js';
 
 /**
  * Create a task
@@ -87,7 +88,7 @@ const getTask = catchAsync(async (req, res) => {
  * @access Private
  */
 const updateTask = catchAsync(async (req, res) => {
-  const task = await taskService.updateTaskById(req.params.taskId, req.body);
+  const task = await taskService.updateTaskById(req.params.taskId, req.body, req.user);
   res.send(task);
 });
 
@@ -97,10 +98,32 @@ const updateTask = catchAsync(async (req, res) => {
  * @access Private
  */
 const deleteTask = catchAsync(async (req, res) => {
-  await taskService.deleteTaskById(req.params.taskId);
+  await taskService.deleteTaskById(req.params.taskId, req.user);
   res.status(httpStatus.NO_CONTENT).send();
 });
 
+/**
+ * Get tasks in the recycle bin
+ * @route GET /v1/tasks/recycle-bin
+ * @access Private
+ */
+const getDeletedTasks = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['branch', 'teamMember', 'deletedBy']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await recycleBinService.queryDeleted('tasks', filter, options, req.user);
+  res.send(result);
+});
+
+/**
+ * Restore a task from the recycle bin
+ * @route POST /v1/tasks/:taskId/restore
+ * @access Private
+ */
+const restoreTask = catchAsync(async (req, res) => {
+  const task = await recycleBinService.restoreDeleted('tasks', req.params.taskId, req.user);
+  res.send(task);
+});
+
 /**
  * Get tasks by team member
  * @route GET /v1/tasks/team-member/:teamMemberId
@@ -325,7 +348,7 @@ const bulkDeleteTasks = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Task IDs array is required');
   }
   
-  const result = await taskService.bulkDeleteTasks(taskIds);
+  const result = await taskService.bulkDeleteTasks(taskIds, req.user);
   res.send(result);
 });
 
@@ -405,6 +428,8 @@ export default {
   getTask,
   updateTask,
   deleteTask,
+  getDeletedTasks,
+  restoreTask,
   getTasksByTeamMember,
   getTasksByTimeline,
   getTasksByAssignedBy,
@@ -1,8 +1,7 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
 import ApiError from '../utils/ApiError.js';
-import { generateTeamMemberAuthTokens } from '../services/token.service.js';
-import { sendEmail, getOTPEmailContent } from '../services/email.service.js';
+import { generateTeamMemberOTP, verifyTeamMemberOTP } from '../services/teamMemberAuth.service.js';
 import { TeamMember, Task, Timeline } from '../models/index.js';
 import taskService from '../services/task.service.js';
 import { timelineService } from '../services/index.js';
@@ -17,36 +16,21 @@ const generateOTP = catchAsync(async (req, res) => {
   try {
     const { email } = req.body;
 
-    // Check if team member exists
-    const teamMember = await TeamMember.findOne({ email });
-    if (!teamMember) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Team member not found with this email');
-    }
-
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Store OTP in team member document (simple approach like client auth)
-    // In production, you might want to add OTP fields to the TeamMember model
-    // For now, we'll use a simple approach
-    
-    // Send OTP via email (header, highlighted OTP, footer)
-    const { subject, text, html } = getOTPEmailContent(teamMember.name || 'Team Member', otp, 'team');
-    await sendEmail(teamMember.email, subject, text, html);
+    const result = await generateTeamMemberOTP(email);
 
-    logger.info(`OTP sent to team member: ${teamMember.email}`);
+    logger.info(`OTP sent to team member: ${result.email}`);
 
     res.status(httpStatus.OK).json({
       success: true,
       message: 'OTP sent successfully to your email',
-      data: {
-        email: teamMember.email,
-        message: 'Please check your email for the OTP'
-      }
+      data: result
     });
 
   } catch (error) {
     logger.error('Error generating OTP for team member:', error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Failed to generate OTP');
   }
 });
@@ -58,24 +42,7 @@ const verifyOTPAndLogin = catchAsync(async (req, res) => {
   try {
     const { email, otp } = req.body;
 
-    // Check if team member exists
-    const teamMember = await TeamMember.findOne({ email });
-    if (!teamMember) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Team member not found');
-    }
-
-    // Simple OTP verification (same approach as client auth)
-    // In production, you would verify the OTP from storage
-    if (!otp || otp.length !== 6 || !/^\d{6}$/.test(otp)) {
-      throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid OTP format');
-    }
-
-    // TODO: Implement proper OTP validation logic here
-    // For now, we'll use a simple approach like client auth
-    // You can add OTP fields to TeamMember model or use a simple storage mechanism
-
-    // Generate authentication tokens
-    const tokens = await generateTeamMemberAuthTokens(teamMember);
+    const { teamMember, tokens } = await verifyTeamMemberOTP(email, otp);
 
     logger.info(`Team member logged in successfully: ${teamMember.email}`);
 
@@ -97,6 +64,9 @@ const verifyOTPAndLogin = catchAsync(async (req, res) => {
 
   } catch (error) {
     logger.error('Error during team member login:', error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, 'Login failed');
   }
 });
@@ -398,6 +368,7 @@ const updateTask = catchAsync(async (req, res) => {
     const userForTimelineUpdate = {
       id: teamMemberId,
       userType: 'teamMember',
+      name: teamMember?.name,
       branch: teamMember?.branch
     };
 
@@ -413,7 +384,7 @@ const updateTask = catchAsync(async (req, res) => {
     // Update only selected timelines via timelineUpdates array
     if (updateData.timelineUpdates && Array.isArray(updateData.timelineUpdates)) {
       for (const timelineUpdate of updateData.timelineUpdates) {
-        const { timelineId, referenceNumber, completedAt, status } = timelineUpdate;
+        const { timelineId, referenceNumber, completedAt, status, statusReason } = timelineUpdate;
         
         // Verify timeline belongs to this task
         if (!taskTimelineIds.includes(timelineId)) {
@@ -430,6 +401,7 @@ const updateTask = catchAsync(async (req, res) => {
         }
         if (status !== undefined) {
           timelineUpdateData.status = status;
+          timelineUpdateData.statusReason = statusReason;
         }
         
         // Store in map (merge with existing if any)
@@ -1,6 +1,14 @@
 import httpStatus from 'http-status';
 import catchAsync from '../utils/catchAsync.js';
-import { timelineService, timelineBulkImportService } from '../services/index.js';
+import {
+  timelineService,
+  timelineWorkflowService,
+  timelineDocumentService,
+  timelinePreviewService,
+  timelineBackfillService,
+  jobQueueService,
+  recycleBinService,
+} from '../services/index.js';
 
 import pick from '../utils/pick.js';
 import ApiError from '../utils/ApiError.js';
@@ -56,14 +64,75 @@ const updateTimeline = catchAsync(async (req, res) => {
   res.send(timeline);
 });
 
+const updateTimelineStatus = catchAsync(async (req, res) => {
+  const { status, reason } = req.body;
+  const timeline = await timelineService.updateTimelineStatus(req.params.timelineId, status, { user: req.user, reason });
+  res.send(timeline);
+});
+
+const getStatusWorkflow = catchAsync(async (req, res) => {
+  res.send(timelineWorkflowService.getStatusWorkflow());
+});
+
+const getTimelineDocuments = catchAsync(async (req, res) => {
+  const result = await timelineDocumentService.getTimelineDocuments(req.params.timelineId, req.user);
+  res.send(result);
+});
+
+const updateTimelineDocument = catchAsync(async (req, res) => {
+  const result = await timelineDocumentService.updateChecklistItem(
+    req.params.timelineId,
+    req.params.itemId,
+    req.body,
+    req.user
+  );
+  res.send(result);
+});
+
+const syncTimelineDocuments = catchAsync(async (req, res) => {
+  const result = await timelineDocumentService.syncChecklistFromSubactivity(req.params.timelineId, req.user);
+  res.send(result);
+});
+
+const sendDocumentRequest = catchAsync(async (req, res) => {
+  const result = await timelineDocumentService.sendDocumentRequest(req.params.timelineId, req.body, req.user);
+  res.send(result);
+});
+
 const deleteTimeline = catchAsync(async (req, res) => {
   await timelineService.deleteTimelineById(req.params.timelineId, req.user);
   res.status(httpStatus.NO_CONTENT).send();
 });
 
+const getDeletedTimelines = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['branch', 'client', 'deletedBy']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await recycleBinService.queryDeleted('timelines', filter, options, req.user);
+  res.send(result);
+});
+
+const restoreTimeline = catchAsync(async (req, res) => {
+  const timeline = await recycleBinService.restoreDeleted('timelines', req.params.timelineId, req.user);
+  res.send(timeline);
+});
+
 const bulkImportTimelines = catchAsync(async (req, res) => {
-  const result = await timelineService.bulkImportTimelines(req.body.timelines);
-  res.status(httpStatus.OK).send(result);
+  const job = await jobQueueService.enqueueJob(
+    'import.timelines',
+    { timelines: req.body.timelines },
+    { maxAttempts: 1, ...jobQueueService.getJobRequester(req.user) }
+  );
+  res.status(httpStatus.ACCEPTED).send(job);
+});
+
+const previewTimelines = catchAsync(async (req, res) => {
+  const preview = await timelinePreviewService.previewTimelines(req.body, req.user);
+  res.send(preview);
+});
+
+const backfillTimelines = catchAsync(async (req, res) => {
+  const job = await timelineBackfillService.queueTimelineBackfill(req.body, req.user);
+  res.status(httpStatus.ACCEPTED).send(job);
 });
 
 const getFrequencyPeriods = catchAsync(async (req, res) => {
@@ -94,8 +163,12 @@ const bulkImportTimelineFieldsController = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.BAD_REQUEST, 'timelineUpdates array cannot be empty');
   }
   
-  const result = await timelineBulkImportService.bulkImportTimelineFields(timelineUpdates, req.user);
-  res.status(httpStatus.OK).send(result);
+  const job = await jobQueueService.enqueueJob(
+    'import.timelineFields',
+    { timelineUpdates },
+    { maxAttempts: 1, ...jobQueueService.getJobRequester(req.user) }
+  );
+  res.status(httpStatus.ACCEPTED).send(job);
 });
 
 const getFrequencyStatusStats = catchAsync(async (req, res) => {
@@ -118,8 +191,18 @@ export {
   getTimelines,
   getTimeline,
   updateTimeline,
+  updateTimelineStatus,
+  getStatusWorkflow,
+  getTimelineDocuments,
+  updateTimelineDocument,
+  syncTimelineDocuments,
+  sendDocumentRequest,
   deleteTimeline,
+  getDeletedTimelines,
+  restoreTimeline,
   bulkImportTimelines,
+  previewTimelines,
+  backfillTimelines,
   getFrequencyPeriods,
   bulkImportTimelineFieldsController as bulkImportTimelineFields,
   getFrequencyStatusStats,
@@ -4,13 +4,23 @@ import config from './config/config.js';
 import logger from './config/logger.js';
 import { initializeCronJobs } from './services/cron.service.js';
 import taskStatusCronService from './services/taskStatusCron.service.js';
+import { startWorker, stopWorker } from './services/jobQueue.service.js';
+import { registerQueueHandlers } from './jobs/queueHandlers.js';
+import { migrateUpOnBoot } from './services/migration.service.js';
 
 let server;
-mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
+mongoose.connect(config.mongoose.url, config.mongoose.options).then(async () => {
   logger.info('Connected to MongoDB');
+
+  // Apply pending data migrations (or wait for the instance applying them) before serving requests; a failing
+  // migration stops the boot
+  if (config.mongoose.migrateOnBoot) {
+    await migrateUpOnBoot();
+  }
+
   server = app.listen(config.port, '0.0.0.0', () => {
     logger.info(`Listening to port ${config.port}`);
-    
+
     // Initialize existing cron jobs (email reminders) after server starts
     try {
       initializeCronJobs();
@@ -26,6 +36,14 @@ mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
     } catch (error) {
       logger.error('❌ Failed to start task status cron service:', error);
     }
+
+    // Start the background job worker (emails, bulk imports, timeline backfills)
+    try {
+      registerQueueHandlers();
+      startWorker();
+    } catch (error) {
+      logger.error('❌ Failed to start job queue worker:', error);
+    }
   });
 });
 
@@ -38,7 +56,8 @@ const exitHandler = () => {
     } catch (error) {
       logger.error('Error stopping task status cron service:', error);
     }
-    
+    stopWorker();
+
     server.close(() => {
       logger.info('Server closed');
       process.exit(1);
@@ -58,6 +77,7 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received');
+  stopWorker();
   if (server) {
     server.close();
   }
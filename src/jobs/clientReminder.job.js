@@ -0,0 +1,29 @@
+import logger from '../config/logger.js';
+import scheduleLockedJob from './lockedSchedule.js';
+import { recordCronRun } from '../services/cronRun.service.js';
+import { runClientReminders } from '../services/clientReminder.service.js';
+
+/**
+ * Schedule client deadline reminder emails.
+ * Runs once a day in the morning so clients receive reminders during office hours.
+ */
+const scheduleClientReminderJobs = () => {
+  const dailyJob = scheduleLockedJob('client-reminders', '0 9 * * *', async () => {
+    logger.info('⏰ Client deadline reminder job triggered');
+    return recordCronRun('client-reminders', runClientReminders);
+  });
+
+  return {
+    dailyJob,
+    start: () => {
+      dailyJob.start();
+      logger.info('✅ Client deadline reminder cron job started');
+    },
+    stop: () => {
+      dailyJob.stop();
+      logger.info('⏹️ Client deadline reminder cron job stopped');
+    },
+  };
+};
+
+export { scheduleClientReminderJobs };
@@ -2,9 +2,13 @@
  * Cron Job Manager
  * 
  * Manages all cron jobs for the application including timeline generation
+ * marking overdue timelines as delayed, client deadline reminders and purging the recycle bin
  */
 
 import { scheduleTimelineJobs } from './timelineGenerator.job.js';
+import { scheduleTimelineStatusJobs } from './timelineStatus.job.js';
+import { scheduleClientReminderJobs } from './clientReminder.job.js';
+import { scheduleRecycleBinPurgeJobs } from './recycleBinPurge.job.js';
 import logger from '../config/logger.js';
 
 class CronManager {
@@ -22,9 +26,21 @@ class CronManager {
       
       // Initialize timeline generation jobs
       this.jobs.timelineJobs = scheduleTimelineJobs();
+
+      // Initialize overdue timeline status job
+      this.jobs.timelineStatusJobs = scheduleTimelineStatusJobs();
+
+      // Initialize client deadline reminder job
+      this.jobs.clientReminderJobs = scheduleClientReminderJobs();
+
+      // Initialize recycle bin purge job
+      this.jobs.recycleBinPurgeJobs = scheduleRecycleBinPurgeJobs();
       
       // Start all jobs
       this.jobs.timelineJobs.start();
+      this.jobs.timelineStatusJobs.start();
+      this.jobs.clientReminderJobs.start();
+      this.jobs.recycleBinPurgeJobs.start();
       
       this.isRunning = true;
       logger.info('✅ All cron jobs started successfully');
@@ -35,6 +51,9 @@ class CronManager {
       logger.info('   - Monthly timelines (Monthly freq only): 1st of month, 2:00 AM IST');
       logger.info('   - Quarterly timelines (Quarterly freq only): 1st of quarter, 3:00 AM IST');
       logger.info('   - Yearly timelines (Yearly freq only): April 1st, 4:00 AM IST');
+      logger.info('   - Overdue timelines marked delayed: hourly at :05');
+      logger.info('   - Client deadline reminders: daily, 9:00 AM IST');
+      logger.info('   - Recycle bin purge: daily, 2:30 AM IST');
       
     } catch (error) {
       logger.error('❌ Failed to start cron jobs:', error);
@@ -52,6 +71,15 @@ class CronManager {
       if (this.jobs.timelineJobs) {
         this.jobs.timelineJobs.stop();
       }
+      if (this.jobs.timelineStatusJobs) {
+        this.jobs.timelineStatusJobs.stop();
+      }
+      if (this.jobs.clientReminderJobs) {
+        this.jobs.clientReminderJobs.stop();
+      }
+      if (this.jobs.recycleBinPurgeJobs) {
+        this.jobs.recycleBinPurgeJobs.stop();
+      }
       
       this.isRunning = false;
       logger.info('✅ All cron jobs stopped');
@@ -69,7 +97,10 @@ class CronManager {
     return {
       isRunning: this.isRunning,
       jobs: {
-        timelineJobs: !!this.jobs.timelineJobs
+        timelineJobs: !!this.jobs.timelineJobs,
+        timelineStatusJobs: !!this.jobs.timelineStatusJobs,
+        clientReminderJobs: !!this.jobs.clientReminderJobs,
+        recycleBinPurgeJobs: !!this.jobs.recycleBinPurgeJobs
       }
     };
   }
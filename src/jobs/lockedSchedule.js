@@ -0,0 +1,39 @@
+import cron from 'node-cron';
+import logger from '../config/logger.js';
+import { runWithCronLock } from '../services/cronLock.service.js';
+
+/**
+ * Create a cron task that runs once per tick across all app instances (see services/cronLock.service.js).
+ * The task is created stopped; call start() on it. Errors thrown by fn are logged and recorded on the lock.
+ * @param {string} name - Unique job name, shown on /v1/cron/status
+ * @param {string} expression - Cron expression
+ * @param {function(): Promise<*>} fn
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - Default Asia/Kolkata
+ * @param {number} [options.leaseMs]
+ * @returns {ScheduledTask}
+ */
+const scheduleLockedJob = (name, expression, fn, { timezone = 'Asia/Kolkata', leaseMs } = {}) => {
+  const task = cron.createTask(
+    expression,
+    async (context) => {
+      try {
+        const { ran } = await runWithCronLock(name, fn, {
+          tickAt: context && context.date,
+          leaseMs,
+          schedule: expression,
+          getNextRun: () => task.getNextRun(),
+        });
+        if (!ran) {
+          logger.info(`⏭️ ${name}: this tick is handled by another instance`);
+        }
+      } catch (error) {
+        logger.error(`❌ ${name} failed:`, error);
+      }
+    },
+    { timezone, name }
+  );
+  return task;
+};
+
+export default scheduleLockedJob;
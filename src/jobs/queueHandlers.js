@@ -0,0 +1,43 @@
+/**
+ * Background job handlers run by the job queue worker (services/jobQueue.service.js).
+ * Jobs requested over the API store who requested them; handlers that check branch access get that user or team
+ * member as their third argument.
+ */
+import { registerJobHandler, updateJobProgress } from '../services/jobQueue.service.js';
+import taskService from '../services/task.service.js';
+import { sendBulkWithTemplate } from '../services/bulkEmail.service.js';
+import { bulkImportClients } from '../services/client.service.js';
+import { bulkImportTimelines } from '../services/timeline.service.js';
+import { bulkImportTimelineFields } from '../services/timelineBulkImport.service.js';
+import { bulkCreateTimelines } from '../services/activity.service.js';
+import { backfillTimelines } from '../services/timelineBackfill.service.js';
+import { executeCronJob } from '../services/cron.service.js';
+
+const registerQueueHandlers = () => {
+  registerJobHandler('email.taskAssignment', (payload) => taskService.sendQueuedTaskAssignmentEmail(payload));
+
+  registerJobHandler('email.bulkTemplate', ({ templateId, options }, job, requester) =>
+    sendBulkWithTemplate(templateId, options, requester)
+  );
+
+  registerJobHandler('import.clients', ({ clients }) => bulkImportClients(clients));
+
+  registerJobHandler('import.timelines', ({ timelines }, job, requester) => bulkImportTimelines(timelines, requester));
+
+  registerJobHandler('import.timelineFields', ({ timelineUpdates }, job, requester) =>
+    bulkImportTimelineFields(timelineUpdates, requester)
+  );
+
+  registerJobHandler('timelines.bulkCreate', (body, job, requester) => bulkCreateTimelines(body, requester));
+
+  registerJobHandler('timelines.backfill', (options, job, requester) =>
+    backfillTimelines(options, {
+      user: requester,
+      onProgress: (progress) => updateJobProgress(job, progress),
+    })
+  );
+
+  registerJobHandler('cron.run', (payload) => executeCronJob(payload));
+};
+
+export { registerQueueHandlers };
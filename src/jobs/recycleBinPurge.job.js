@@ -0,0 +1,29 @@
+import logger from '../config/logger.js';
+import scheduleLockedJob from './lockedSchedule.js';
+import { recordCronRun } from '../services/cronRun.service.js';
+import { purgeDeleted } from '../services/recycleBin.service.js';
+
+/**
+ * Schedule the recycle bin purge: clients, timelines and tasks deleted longer ago than the retention period are
+ * removed for good. Runs nightly, when nobody is restoring anything.
+ */
+const scheduleRecycleBinPurgeJobs = () => {
+  const dailyJob = scheduleLockedJob('purge-recycle-bin', '30 2 * * *', async () => {
+    logger.info('⏰ Recycle bin purge job triggered');
+    return recordCronRun('purge-recycle-bin', purgeDeleted);
+  });
+
+  return {
+    dailyJob,
+    start: () => {
+      dailyJob.start();
+      logger.info('✅ Recycle bin purge cron job started');
+    },
+    stop: () => {
+      dailyJob.stop();
+      logger.info('⏹️ Recycle bin purge cron job stopped');
+    },
+  };
+};
+
+export { scheduleRecycleBinPurgeJobs };
@@ -0,0 +1,236 @@
+import { MONTH_NAMES } from './period.js';
+import { findState } from '../../utils/indianStates.js';
+
+/**
+ * Statutory due dates for Indian compliance forms.
+ *
+ * Periods follow the timeline conventions (see period.js):
+ * - Monthly "March-2025": the month in which the return is due (GSTR-3B filed in March 2025)
+ * - Quarterly "Q1-2025": register quarters, Q1 = Apr-Jun filed in July, Q2 = Jul-Sep filed in October,
+ *   Q3 = Oct-Dec filed in January, Q4 = Jan-Mar filed in April/May. The year is the year of filing.
+ * - Yearly "2025-2026": the financial year in which the return is filed (ITR for FY 2024-25 falls in 2025-2026)
+ */
+
+// Month (0-11) following the end of each register quarter
+const QUARTER_FILING_MONTH = { Q1: 6, Q2: 9, Q3: 0, Q4: 3 };
+
+const COMPANY_ENTITY_PATTERN = /company|private limited|public limited|pvt\.?\s*ltd|limited|\bltd\b|\bopc\b/i;
+
+/**
+ * Build a date, clamping the day to the last day of the month
+ * @param {number} year
+ * @param {number} monthIndex
+ * @param {number} day
+ * @returns {Date}
+ */
+const dateOf = (year, monthIndex, day) => {
+  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+  return new Date(year, monthIndex, Math.min(day, lastDay));
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Split a timeline period into its parts
+ * @param {'Monthly'|'Quarterly'|'Yearly'} frequency
+ * @param {string} period
+ * @returns {{ monthIndex?: number, quarter?: string, year: number }|null}
+ */
+const parsePeriod = (frequency, period) => {
+  if (!period || typeof period !== 'string') {
+    return null;
+  }
+  const [first, second] = period.split('-');
+  const year = parseInt(frequency === 'Yearly' ? first : second, 10);
+  if (Number.isNaN(year)) {
+    return null;
+  }
+  if (frequency === 'Monthly') {
+    const monthIndex = MONTH_NAMES.indexOf(first);
+    return monthIndex === -1 ? null : { monthIndex, year };
+  }
+  if (frequency === 'Quarterly') {
+    return QUARTER_FILING_MONTH[first] === undefined ? null : { quarter: first, year };
+  }
+  return frequency === 'Yearly' ? { year } : null;
+};
+
+/**
+ * Whether the entity is treated as audited for income-tax due dates
+ * @param {Object} context
+ * @returns {boolean}
+ */
+const isAuditCase = (context) => Boolean(context.auditApplicable) || COMPANY_ENTITY_PATTERN.test(context.entityType || '');
+
+/**
+ * Last date for holding the AGM for the period, or the AGM date entered for the client
+ * @param {number} year - Start year of the yearly period
+ * @param {Object} context
+ * @returns {Date}
+ */
+const getAgmDate = (year, context) => {
+  if (context.agmDate) {
+    const agmDate = new Date(context.agmDate);
+    if (!Number.isNaN(agmDate.getTime())) {
+      return new Date(agmDate.getFullYear(), agmDate.getMonth(), agmDate.getDate());
+    }
+  }
+  return new Date(year, 8, 30);
+};
+
+/**
+ * Supported forms. Each rule receives the parsed period and a context
+ * ({ state, entityType, auditApplicable, transferPricing, agmDate }) and returns the due date.
+ */
+const COMPLIANCE_FORMS = {
+  GSTR1: {
+    label: 'GSTR-1',
+    frequency: 'Monthly',
+    rule: '11th of the month',
+    dueDate: ({ monthIndex, year }) => dateOf(year, monthIndex, 11),
+  },
+  GSTR1_QRMP: {
+    label: 'GSTR-1 (QRMP)',
+    frequency: 'Quarterly',
+    rule: '13th of the month after the quarter',
+    dueDate: ({ quarter, year }) => dateOf(year, QUARTER_FILING_MONTH[quarter], 13),
+  },
+  GSTR3B: {
+    label: 'GSTR-3B',
+    frequency: 'Monthly',
+    rule: '20th of the month',
+    dueDate: ({ monthIndex, year }) => dateOf(year, monthIndex, 20),
+  },
+  GSTR3B_QRMP: {
+    label: 'GSTR-3B (QRMP)',
+    frequency: 'Quarterly',
+    rule: '22nd or 24th of the month after the quarter, by state category (22nd when the state is unknown)',
+    dueDate: ({ quarter, year }, context) => {
+      const state = findState(context.state);
+      return dateOf(year, QUARTER_FILING_MONTH[quarter], state ? state.gstr3bQuarterlyDay : 22);
+    },
+  },
+  CMP08: {
+    label: 'CMP-08',
+    frequency: 'Quarterly',
+    rule: '18th of the month after the quarter',
+    dueDate: ({ quarter, year }) => dateOf(year, QUARTER_FILING_MONTH[quarter], 18),
+  },
+  GSTR9: {
+    label: 'GSTR-9',
+    frequency: 'Yearly',
+    rule: '31st December',
+    dueDate: ({ year }) => dateOf(year, 11, 31),
+  },
+  GSTR9C: {
+    label: 'GSTR-9C',
+    frequency: 'Yearly',
+    rule: '31st December',
+    dueDate: ({ year }) => dateOf(year, 11, 31),
+  },
+  TDS_PAYMENT: {
+    label: 'TDS/TCS payment',
+    frequency: 'Monthly',
+    rule: '7th of the month (30th April for March deductions)',
+    dueDate: ({ monthIndex, year }) => dateOf(year, monthIndex, monthIndex === 3 ? 30 : 7),
+  },
+  TDS_RETURN: {
+    label: 'TDS/TCS return (24Q/26Q/27Q/27EQ)',
+    frequency: 'Quarterly',
+    rule: '31st July, 31st October, 31st January and 31st May',
+    dueDate: ({ quarter, year }) =>
+      quarter === 'Q4' ? dateOf(year, 4, 31) : dateOf(year, QUARTER_FILING_MONTH[quarter], 31),
+  },
+  ITR: {
+    label: 'Income tax return',
+    frequency: 'Yearly',
+    rule: '31st July; 31st October for audit cases and companies; 30th November with transfer pricing',
+    dueDate: ({ year }, context) => {
+      if (context.transferPricing) {
+        return dateOf(year, 10, 30);
+      }
+      return isAuditCase(context) ? dateOf(year, 9, 31) : dateOf(year, 6, 31);
+    },
+  },
+  TAX_AUDIT: {
+    label: 'Tax audit report (3CA/3CB-3CD)',
+    frequency: 'Yearly',
+    rule: '30th September',
+    dueDate: ({ year }) => dateOf(year, 8, 30),
+  },
+  AOC4: {
+    label: 'AOC-4',
+    frequency: 'Yearly',
+    rule: '30 days from the AGM (AGM taken as 30th September when not entered)',
+    dueDate: ({ year }, context) => addDays(getAgmDate(year, context), 30),
+  },
+  MGT7: {
+    label: 'MGT-7/7A',
+    frequency: 'Yearly',
+    rule: '60 days from the AGM (AGM taken as 30th September when not entered)',
+    dueDate: ({ year }, context) => addDays(getAgmDate(year, context), 60),
+  },
+  DIR3_KYC: {
+    label: 'DIR-3 KYC',
+    frequency: 'Yearly',
+    rule: '30th September',
+    dueDate: ({ year }) => dateOf(year, 8, 30),
+  },
+};
+
+const COMPLIANCE_FORM_CODES = Object.keys(COMPLIANCE_FORMS);
+
+// Name patterns used when a subactivity has no explicit complianceForm; checked in order
+const FORM_NAME_PATTERNS = [
+  { pattern: /gstr[\s-]*9\s*c/i, forms: ['GSTR9C'] },
+  { pattern: /gstr[\s-]*9(?![0-9])/i, forms: ['GSTR9'] },
+  { pattern: /gstr[\s-]*3\s*b/i, forms: ['GSTR3B', 'GSTR3B_QRMP'] },
+  { pattern: /gstr[\s-]*1(?![0-9])/i, forms: ['GSTR1', 'GSTR1_QRMP'] },
+  { pattern: /cmp[\s-]*0?8/i, forms: ['CMP08'] },
+  { pattern: /\b(24q|26q|27q|27eq)\b|tds\s*return|tcs\s*return/i, forms: ['TDS_RETURN'] },
+  { pattern: /(tds|tcs)\s*(payment|challan|deposit)|challan\s*281/i, forms: ['TDS_PAYMENT'] },
+  { pattern: /tax\s*audit|\b3c[abd]\b/i, forms: ['TAX_AUDIT'] },
+  { pattern: /\bitr\b|income\s*tax\s*return/i, forms: ['ITR'] },
+  { pattern: /aoc[\s-]*4/i, forms: ['AOC4'] },
+  { pattern: /mgt[\s-]*7/i, forms: ['MGT7'] },
+  { pattern: /dir[\s-]*3/i, forms: ['DIR3_KYC'] },
+];
+
+/**
+ * Work out which statutory form a subactivity files. An explicit `complianceForm` on the subactivity wins;
+ * otherwise the name is matched. Forms whose frequency differs from the subactivity's are ignored.
+ * @param {Object} subactivity - { name, frequency, complianceForm }
+ * @returns {string|null} Form code from COMPLIANCE_FORMS
+ */
+const detectComplianceForm = (subactivity) => {
+  if (!subactivity) {
+    return null;
+  }
+  if (subactivity.complianceForm && COMPLIANCE_FORMS[subactivity.complianceForm]) {
+    return subactivity.complianceForm;
+  }
+  const name = subactivity.name || '';
+  const match = FORM_NAME_PATTERNS.find(({ pattern }) => pattern.test(name));
+  if (!match) {
+    return null;
+  }
+  return match.forms.find((code) => COMPLIANCE_FORMS[code].frequency === subactivity.frequency) || null;
+};
+
+/**
+ * Statutory due date of a form for a period, before any government extension
+ * @param {string} form - Form code
+ * @param {string} period - Timeline period
+ * @param {Object} [context] - { state, entityType, auditApplicable, transferPricing, agmDate }
+ * @returns {Date|null} null when the form or period is not recognised
+ */
+const getStatutoryDueDate = (form, period, context = {}) => {
+  const definition = COMPLIANCE_FORMS[form];
+  if (!definition) {
+    return null;
+  }
+  const parsed = parsePeriod(definition.frequency, period);
+  return parsed ? definition.dueDate(parsed, context) : null;
+};
+
+export { COMPLIANCE_FORMS, COMPLIANCE_FORM_CODES, detectComplianceForm, getStatutoryDueDate, parsePeriod };
@@ -1,15 +1,15 @@
 import { MONTH_NAMES } from './period.js';
+import { SHIFTED_FREQUENCIES, shiftToWorkingDay } from './workingDay.js';
 
 /**
- * Calculate due date based on frequency and period.
- * Supports the config fields used in the UI (dailyTime, monthlyDay/monthlyTime, quarterlyDay/quarterlyTime, yearlyMonth/yearlyDate).
+ * Due date from the frequency config alone, before working-day shifting
  *
  * @param {'Daily'|'Monthly'|'Quarterly'|'Yearly'} frequency
  * @param {Object} frequencyConfig
  * @param {string} period
  * @returns {Date}
  */
-const calculateDueDate = (frequency, frequencyConfig, period) => {
+const calculateConfiguredDueDate = (frequency, frequencyConfig, period) => {
   const now = new Date();
 
   switch (frequency) {
@@ -100,5 +100,23 @@ const calculateDueDate = (frequency, frequencyConfig, period) => {
   return new Date(now.getFullYear(), now.getMonth(), 1);
 };
 
+/**
+ * Calculate due date based on frequency and period.
+ * Supports the config fields used in the UI (dailyTime, monthlyDay/monthlyTime, quarterlyDay/quarterlyTime, yearlyMonth/yearlyDate).
+ * Monthly/Quarterly/Yearly due dates falling on a Sunday or a holiday move to the next working day.
+ *
+ * @param {'Daily'|'Monthly'|'Quarterly'|'Yearly'} frequency
+ * @param {Object} frequencyConfig
+ * @param {string} period
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.holidays] - Holidays to skip (see workingDay.js)
+ * @param {string} [options.state] - State whose state-level holidays apply
+ * @returns {Date}
+ */
+const calculateDueDate = (frequency, frequencyConfig, period, { holidays = [], state = null } = {}) => {
+  const dueDate = calculateConfiguredDueDate(frequency, frequencyConfig, period);
+  return SHIFTED_FREQUENCIES.includes(frequency) ? shiftToWorkingDay(dueDate, holidays, state) : dueDate;
+};
+
 export { calculateDueDate };
 
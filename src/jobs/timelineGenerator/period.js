@@ -18,6 +18,9 @@ const MONTH_NAMES = [
   'December',
 ];
 
+// First month of each register quarter, as assigned by getPeriodFromDate
+const QUARTER_START_MONTH = { Q1: 6, Q2: 9, Q3: 0, Q4: 3 };
+
 /**
  * @param {Date} date
  * @param {'Daily'|'Monthly'|'Quarterly'|'Yearly'} frequency
@@ -47,5 +50,57 @@ const getPeriodFromDate = (date, frequency) => {
   }
 };
 
-export { MONTH_NAMES, getPeriodFromDate };
+/**
+ * First day of a period string as produced by getPeriodFromDate ("2025-06-01", "June-2025", "Q2-2025", "2025-2026")
+ * @param {string} period
+ * @param {'Daily'|'Monthly'|'Quarterly'|'Yearly'} frequency
+ * @returns {Date|null} First day of the period; null when the period does not match the frequency's format
+ */
+const getDateFromPeriod = (period, frequency) => {
+  const value = String(period || '').trim();
+  let match;
+  switch (frequency) {
+    case 'Daily': {
+      match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+      if (!match) return null;
+      const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      return getPeriodFromDate(date, frequency) === value ? date : null;
+    }
+    case 'Monthly': {
+      match = /^([A-Za-z]+)-(\d{4})$/.exec(value);
+      const month = match ? MONTH_NAMES.indexOf(match[1]) : -1;
+      return month === -1 ? null : new Date(Number(match[2]), month, 1);
+    }
+    case 'Quarterly': {
+      match = /^(Q[1-4])-(\d{4})$/.exec(value);
+      return match ? new Date(Number(match[2]), QUARTER_START_MONTH[match[1]], 1) : null;
+    }
+    case 'Yearly': {
+      match = /^(\d{4})-(\d{4})$/.exec(value);
+      return match && Number(match[2]) === Number(match[1]) + 1 ? new Date(Number(match[1]), 3, 1) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Every period of a frequency in a financial year (April to March), in order.
+ * Daily is not listed: a year of daily timelines is not something to create in one go.
+ * @param {'Monthly'|'Quarterly'|'Yearly'} frequency
+ * @param {number} fyStartYear - e.g. 2024 for FY 2024-2025
+ * @returns {string[]}
+ */
+const getFinancialYearPeriods = (frequency, fyStartYear) => {
+  const monthsFromApril = { Monthly: 1, Quarterly: 3, Yearly: 12 }[frequency];
+  if (!monthsFromApril) {
+    return [];
+  }
+  const periods = [];
+  for (let offset = 0; offset < 12; offset += monthsFromApril) {
+    periods.push(getPeriodFromDate(new Date(fyStartYear, 3 + offset, 1), frequency));
+  }
+  return periods;
+};
 
+export { MONTH_NAMES, getPeriodFromDate, getDateFromPeriod, getFinancialYearPeriods };
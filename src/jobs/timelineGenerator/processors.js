@@ -1,9 +1,9 @@
-import { Client } from '../../models/index.js';
+import { Client, Branch } from '../../models/index.js';
 import { getCurrentFinancialYear } from '../../utils/financialYear.js';
 import logger from '../../config/logger.js';
 import { upsertRecurringTimeline } from '../../services/timelineUpsert.service.js';
-import { calculateDueDate } from './dueDate.js';
-import { getPeriodFromDate } from './period.js';
+import { resolveDueDate } from '../../services/complianceCalendar.service.js';
+import { getPeriodFromDate, getDateFromPeriod } from './period.js';
 
 const isGstRelatedSubactivity = (subactivity) => {
   if (!subactivity) return false;
@@ -22,22 +22,39 @@ const isGstRelatedSubactivity = (subactivity) => {
  * Important: uses atomic upsert so even if cron runs twice, it won't create duplicates.
  * Each frequency runs only on its own cron so yearly doesn't run every day, etc.
  *
+ * A subactivity that fails for one client is logged and counted; the others are still processed.
+ *
  * @param {'Daily'|'Monthly'|'Quarterly'|'Yearly'} frequency
+ * @param {Object} [options]
+ * @param {string} [options.period] - Period to generate (e.g. "Q2-2025"); defaults to the current one
+ * @param {boolean} [options.dryRun] - Write nothing; `created` counts the timelines that would be created and
+ *   `timelines` lists them (unsaved)
+ * @returns {Promise<{ period: string, processed: number, created: number, failed: number, failures: Array<Object> }>}
  */
-const processRecurringTimelinesByFrequency = async (frequency) => {
-  logger.info(`🔄 Processing ${frequency.toLowerCase()} timeline generation...`);
+const processRecurringTimelinesByFrequency = async (frequency, { period, dryRun = false } = {}) => {
+  const forPeriod = period ? ` for ${period}` : '';
+  logger.info(`🔄 ${dryRun ? 'Previewing' : 'Processing'} ${frequency.toLowerCase()} timeline generation${forPeriod}...`);
 
-  const now = new Date();
+  const now = period ? getDateFromPeriod(period, frequency) : new Date();
+  if (!now) {
+    throw new Error(`Invalid ${frequency.toLowerCase()} period: ${period}`);
+  }
   const currentPeriod = getPeriodFromDate(now, frequency);
-  const { yearString: financialYear } = getCurrentFinancialYear();
+  const { yearString: financialYear } = getCurrentFinancialYear(now);
 
   const clients = await Client.find({
     'activities.0': { $exists: true },
     status: 'active',
   }).populate('activities.activity');
 
+  // Branch state decides state holidays for clients without a state of their own
+  const branches = await Branch.find({}, 'state').lean();
+  const branchStates = new Map(branches.map((branch) => [branch._id.toString(), branch.state]));
+
   let processedCount = 0;
   let createdCount = 0;
+  const failures = [];
+  const wouldCreate = [];
 
   for (const client of clients) {
     for (const clientActivity of client.activities) {
@@ -57,70 +74,113 @@ const processRecurringTimelinesByFrequency = async (frequency) => {
 
         processedCount++;
 
-        const isGstSubactivity = isGstRelatedSubactivity(subactivity);
-        const clientGstNumbers = Array.isArray(client.gstNumbers) ? client.gstNumbers : [];
-
-        if (isGstSubactivity && clientGstNumbers.length > 0) {
-          for (const gstNumber of clientGstNumbers) {
-            const dueDate = calculateDueDate(frequency, subactivity.frequencyConfig, currentPeriod);
-            const { created } = await upsertRecurringTimeline({
-              clientId: client._id,
-              activityId: activity._id,
-              branchId: client.branch,
-              period: currentPeriod,
-              dueDate,
-              subactivity,
-              financialYear,
-              state: gstNumber.state,
-              metadata: {
-                gstNumber: gstNumber.gstNumber,
-                gstState: gstNumber.state,
-                gstUserId: gstNumber.gstUserId,
-                gstId: gstNumber._id?.toString() || gstNumber._id,
-              },
-            });
-
-            if (created) {
-              createdCount++;
-              logger.info(
-                `Created GST timeline for ${client.name} - ${activity.name} - ${subactivity.name} - ${gstNumber.state} - ${currentPeriod}`
-              );
+        try {
+          const isGstSubactivity = isGstRelatedSubactivity(subactivity);
+          const clientGstNumbers = Array.isArray(client.gstNumbers) ? client.gstNumbers : [];
+
+          if (isGstSubactivity && clientGstNumbers.length > 0) {
+            for (const gstNumber of clientGstNumbers) {
+              const { dueDate, complianceForm } = await resolveDueDate({
+                subactivity,
+                frequency,
+                period: currentPeriod,
+                client,
+                state: gstNumber.state,
+                branchState: branchStates.get(String(client.branch)),
+              });
+              const { timeline, created } = await upsertRecurringTimeline({
+                clientId: client._id,
+                activityId: activity._id,
+                branchId: client.branch,
+                period: currentPeriod,
+                dueDate,
+                subactivity,
+                financialYear,
+                state: gstNumber.state,
+                complianceForm,
+                dryRun,
+                metadata: {
+                  gstNumber: gstNumber.gstNumber,
+                  gstState: gstNumber.state,
+                  gstUserId: gstNumber.gstUserId,
+                  gstId: gstNumber._id?.toString() || gstNumber._id,
+                },
+              });
+
+              if (created && dryRun) {
+                createdCount++;
+                wouldCreate.push(timeline);
+              } else if (created) {
+                createdCount++;
+                logger.info(
+                  `Created GST timeline for ${client.name} - ${activity.name} - ${subactivity.name} - ${gstNumber.state} - ${currentPeriod}`
+                );
+              }
             }
+            continue;
           }
-          continue;
-        }
 
-        const dueDate = calculateDueDate(frequency, subactivity.frequencyConfig, currentPeriod);
-        const { created } = await upsertRecurringTimeline({
-          clientId: client._id,
-          activityId: activity._id,
-          branchId: client.branch,
-          period: currentPeriod,
-          dueDate,
-          subactivity,
-          financialYear,
-        });
-
-        if (created) {
-          createdCount++;
-          logger.info(
-            `Created timeline for ${client.name} - ${activity.name} - ${subactivity.name} - ${currentPeriod}`
+          const { dueDate, complianceForm } = await resolveDueDate({
+            subactivity,
+            frequency,
+            period: currentPeriod,
+            client,
+            branchState: branchStates.get(String(client.branch)),
+          });
+          const { timeline, created } = await upsertRecurringTimeline({
+            clientId: client._id,
+            activityId: activity._id,
+            branchId: client.branch,
+            period: currentPeriod,
+            dueDate,
+            subactivity,
+            financialYear,
+            complianceForm,
+            dryRun,
+          });
+
+          if (created && dryRun) {
+            createdCount++;
+            wouldCreate.push(timeline);
+          } else if (created) {
+            createdCount++;
+            logger.info(`Created timeline for ${client.name} - ${activity.name} - ${subactivity.name} - ${currentPeriod}`);
+          }
+        } catch (error) {
+          logger.error(
+            `Failed to generate timeline for ${client.name} - ${subactivity.name} - ${currentPeriod}: ${error.message}`
           );
+          failures.push({
+            client: client._id,
+            activity: activity._id,
+            subactivity: subactivity._id,
+            message: error.message,
+          });
         }
       }
     }
   }
 
-  logger.info(`✅ ${frequency} processing complete: ${processedCount} processed, ${createdCount} created`);
-  return { processed: processedCount, created: createdCount };
+  logger.info(
+    `✅ ${frequency} processing complete: ${processedCount} processed, ${createdCount} created, ${failures.length} failed`
+  );
+  return {
+    period: currentPeriod,
+    processed: processedCount,
+    created: createdCount,
+    failed: failures.length,
+    failures,
+    ...(dryRun && { timelines: wouldCreate }),
+  };
 };
 
-const processDailyTimelines = async () => processRecurringTimelinesByFrequency('Daily');
-const processMonthlyTimelines = async () => processRecurringTimelinesByFrequency('Monthly');
-const processQuarterlyTimelines = async () => processRecurringTimelinesByFrequency('Quarterly');
-const processYearlyTimelines = async () => processRecurringTimelinesByFrequency('Yearly');
+const processDailyTimelines = async (options) => processRecurringTimelinesByFrequency('Daily', options);
+const processMonthlyTimelines = async (options) => processRecurringTimelinesByFrequency('Monthly', options);
+const processQuarterlyTimelines = async (options) => processRecurringTimelinesByFrequency('Quarterly', options);
+const processYearlyTimelines = async (options) => processRecurringTimelinesByFrequency('Yearly', options);
 
 export {
+  isGstRelatedSubactivity,
   processDailyTimelines,
   processMonthlyTimelines,
   processQuarterlyTimelines,
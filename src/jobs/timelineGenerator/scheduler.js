@@ -1,5 +1,6 @@
-import cron from 'node-cron';
 import logger from '../../config/logger.js';
+import scheduleLockedJob from '../lockedSchedule.js';
+import { recordCronRun } from '../../services/cronRun.service.js';
 import {
   processDailyTimelines,
   processMonthlyTimelines,
@@ -11,16 +12,18 @@ import {
  * Run all frequency processors (for manual/on-demand use only).
  * Cron jobs run each frequency on its own schedule to avoid creating
  * yearly/monthly/quarterly timelines every day (which caused duplicate-looking behavior).
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be created (see processors)
  */
-const generateRecurringTimelines = async () => {
+const generateRecurringTimelines = async ({ dryRun = false } = {}) => {
   const startTime = Date.now();
-  logger.info('🚀 Starting recurring timeline generation job (all frequencies)...');
+  logger.info(`🚀 Starting recurring timeline generation job (all frequencies)${dryRun ? ' as a dry run' : ''}...`);
 
   const results = {
-    daily: await processDailyTimelines(),
-    monthly: await processMonthlyTimelines(),
-    quarterly: await processQuarterlyTimelines(),
-    yearly: await processYearlyTimelines(),
+    daily: await processDailyTimelines({ dryRun }),
+    monthly: await processMonthlyTimelines({ dryRun }),
+    quarterly: await processQuarterlyTimelines({ dryRun }),
+    yearly: await processYearlyTimelines({ dryRun }),
   };
 
   const totalProcessed =
@@ -44,63 +47,32 @@ const generateRecurringTimelines = async () => {
 /**
  * Schedule cron jobs for timeline generation.
  * Each frequency runs only when its period changes (daily=every day 1AM, monthly=1st, quarterly=1st of quarter, yearly=April 1st).
+ * Each tick runs on one instance only when several are running, and every run is recorded (GET /v1/cron/runs).
  */
 const scheduleTimelineJobs = () => {
   // Run daily at 1:00 AM — only create timelines for Daily frequency (today's period)
-  const dailyJob = cron.schedule(
-    '0 1 * * *',
-    async () => {
-      logger.info('⏰ Daily timeline generation job triggered (Daily frequency only)');
-      try {
-        await processDailyTimelines();
-      } catch (error) {
-        logger.error('❌ Daily timeline job failed:', error);
-      }
-    },
-    { scheduled: false, timezone: 'Asia/Kolkata' }
-  );
+  const dailyJob = scheduleLockedJob('timelines-daily', '0 1 * * *', async () => {
+    logger.info('⏰ Daily timeline generation job triggered (Daily frequency only)');
+    return recordCronRun('timelines-daily', processDailyTimelines);
+  });
 
   // Run on 1st of every month at 2:00 AM for monthly timelines
-  const monthlyJob = cron.schedule(
-    '0 2 1 * *',
-    async () => {
-      logger.info('⏰ Monthly timeline generation job triggered');
-      try {
-        await processMonthlyTimelines();
-      } catch (error) {
-        logger.error('❌ Monthly timeline job failed:', error);
-      }
-    },
-    { scheduled: false, timezone: 'Asia/Kolkata' }
-  );
+  const monthlyJob = scheduleLockedJob('timelines-monthly', '0 2 1 * *', async () => {
+    logger.info('⏰ Monthly timeline generation job triggered');
+    return recordCronRun('timelines-monthly', processMonthlyTimelines);
+  });
 
   // Run on 1st of every quarter at 3:00 AM (Jan, Apr, Jul, Oct)
-  const quarterlyJob = cron.schedule(
-    '0 3 1 1,4,7,10 *',
-    async () => {
-      logger.info('⏰ Quarterly timeline generation job triggered');
-      try {
-        await processQuarterlyTimelines();
-      } catch (error) {
-        logger.error('❌ Quarterly timeline job failed:', error);
-      }
-    },
-    { scheduled: false, timezone: 'Asia/Kolkata' }
-  );
+  const quarterlyJob = scheduleLockedJob('timelines-quarterly', '0 3 1 1,4,7,10 *', async () => {
+    logger.info('⏰ Quarterly timeline generation job triggered');
+    return recordCronRun('timelines-quarterly', processQuarterlyTimelines);
+  });
 
   // Run on April 1st at 4:00 AM for yearly timelines (financial year start)
-  const yearlyJob = cron.schedule(
-    '0 4 1 4 *',
-    async () => {
-      logger.info('⏰ Yearly timeline generation job triggered');
-      try {
-        await processYearlyTimelines();
-      } catch (error) {
-        logger.error('❌ Yearly timeline job failed:', error);
-      }
-    },
-    { scheduled: false, timezone: 'Asia/Kolkata' }
-  );
+  const yearlyJob = scheduleLockedJob('timelines-yearly', '0 4 1 4 *', async () => {
+    logger.info('⏰ Yearly timeline generation job triggered');
+    return recordCronRun('timelines-yearly', processYearlyTimelines);
+  });
 
   return {
     dailyJob,
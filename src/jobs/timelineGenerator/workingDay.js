@@ -0,0 +1,80 @@
+import { normalizeStateName } from '../../utils/indianStates.js';
+
+/**
+ * Working-day rules for due dates: a due date falling on a Sunday or a declared holiday moves to the
+ * next working day. Holidays are plain objects ({ date, type: 'national'|'state', states }).
+ */
+
+// Frequencies whose due dates are shifted; Daily/Hourly/Weekly timelines are operational and keep their day
+const SHIFTED_FREQUENCIES = ['Monthly', 'Quarterly', 'Yearly'];
+
+// Guard against a misconfigured holiday list looping forever
+const MAX_SHIFT_DAYS = 31;
+
+/**
+ * Local calendar day of a date as YYYY-MM-DD. Due dates are built at local midnight.
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const toDateKey = (date) => {
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Calendar day of a holiday as YYYY-MM-DD. Holiday dates arrive as date-only ISO strings and are stored at UTC
+ * midnight, so their day is read in UTC whatever the server's timezone.
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const toHolidayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Whether a holiday applies in a state; national holidays apply everywhere
+ * @param {Object} holiday
+ * @param {string} [state]
+ * @returns {boolean}
+ */
+const appliesToState = (holiday, state) => {
+  if (holiday.type !== 'state') {
+    return true;
+  }
+  return Boolean(state) && (holiday.states || []).includes(normalizeStateName(state));
+};
+
+/**
+ * Whether a date is a working day (not a Sunday, not a holiday in the state)
+ * @param {Date} date
+ * @param {Array<Object>} [holidays]
+ * @param {string} [state]
+ * @returns {boolean}
+ */
+const isWorkingDay = (date, holidays = [], state = null) => {
+  if (new Date(date).getDay() === 0) {
+    return false;
+  }
+  const key = toDateKey(date);
+  return !holidays.some((holiday) => toHolidayKey(holiday.date) === key && appliesToState(holiday, state));
+};
+
+/**
+ * Move a date forward to the next working day, keeping its time of day
+ * @param {Date} date
+ * @param {Array<Object>} [holidays]
+ * @param {string} [state]
+ * @returns {Date} The same date when it is already a working day
+ */
+const shiftToWorkingDay = (date, holidays = [], state = null) => {
+  if (!date || Number.isNaN(new Date(date).getTime())) {
+    return date;
+  }
+  const shifted = new Date(date);
+  for (let days = 0; days < MAX_SHIFT_DAYS && !isWorkingDay(shifted, holidays, state); days += 1) {
+    shifted.setDate(shifted.getDate() + 1);
+  }
+  return shifted;
+};
+
+export { SHIFTED_FREQUENCIES, toDateKey, toHolidayKey, isWorkingDay, shiftToWorkingDay };
@@ -0,0 +1,25 @@
+import logger from '../config/logger.js';
+import scheduleLockedJob from './lockedSchedule.js';
+import { runTimelineStatusCheck } from '../services/timelineStatusCron.service.js';
+
+/**
+ * Schedule the overdue timeline check.
+ * Runs hourly so timelines turn delayed soon after midnight and recover soon after a due date is extended.
+ */
+const scheduleTimelineStatusJobs = () => {
+  const hourlyJob = scheduleLockedJob('timeline-status', '5 * * * *', runTimelineStatusCheck);
+
+  return {
+    hourlyJob,
+    start: () => {
+      hourlyJob.start();
+      logger.info('✅ Timeline status cron job started');
+    },
+    stop: () => {
+      hourlyJob.stop();
+      logger.info('⏹️ Timeline status cron job stopped');
+    },
+  };
+};
+
+export { scheduleTimelineStatusJobs };
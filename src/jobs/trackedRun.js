@@ -0,0 +1,47 @@
+import logger from '../config/logger.js';
+
+/**
+ * Wrap a job whose last run is reported by /v1/cron/status. A run started while the previous one is still in
+ * progress is skipped; each run keeps its counts, start time, duration and error for getStatus().
+ * @param {string} label - Shown in the log when a run is skipped
+ * @param {function(): Promise<Object>} fn - Resolves to the counts to keep
+ * @param {Object} [counts] - Counts reported before the first run
+ * @returns {{ run: function(): Promise<Object>, getStatus: function(): Object }}
+ */
+const createTrackedRun = (label, fn, counts = {}) => {
+  const lastRun = {
+    isRunning: false,
+    lastRunAt: null,
+    durationMs: null,
+    ...counts,
+    error: null,
+  };
+
+  const getStatus = () => ({ ...lastRun });
+
+  const run = async () => {
+    if (lastRun.isRunning) {
+      logger.info(`${label} already in progress, skipping`);
+      return getStatus();
+    }
+
+    const startTime = Date.now();
+    lastRun.isRunning = true;
+    try {
+      const result = await fn();
+      Object.assign(lastRun, result, { error: null });
+      return result;
+    } catch (error) {
+      lastRun.error = error.message;
+      throw error;
+    } finally {
+      lastRun.isRunning = false;
+      lastRun.lastRunAt = new Date(startTime);
+      lastRun.durationMs = Date.now() - startTime;
+    }
+  };
+
+  return { run, getStatus };
+};
+
+export default createTrackedRun;
@@ -7,7 +7,19 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+// Per-identity limit on OTP endpoints (PAN for clients, email for team members), falling back to IP
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => {
+    const identity = (req.body && (req.body.pan || req.body.email)) || '';
+    return identity ? `otp:${String(identity).toLowerCase()}` : req.ip;
+  },
+  message: 'Too many OTP requests, please try again later',
+});
+
 export {
   authLimiter,
+  otpLimiter,
 };
 
@@ -0,0 +1,18 @@
+import { v4 as uuidv4 } from 'uuid';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+// An incoming X-Request-Id is echoed in a header and stored on audit entries, so only short plain ids are kept
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Assign a request id (honouring a well-formed incoming X-Request-Id) and open a request context for the rest of the chain
+ */
+const requestContext = () => (req, res, next) => {
+  const incomingId = req.headers['x-request-id'];
+  const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+  runWithRequestContext({ requestId, ip: req.ip, req }, next);
+};
+
+export default requestContext;
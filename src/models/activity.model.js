@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import toJSON from './plugins/toJSON.plugin.js';
 import paginate from './plugins/paginate.plugin.js';
+import { COMPLIANCE_FORM_CODES } from '../jobs/timelineGenerator/complianceCalendar.js';
 
 const frequencyConfigSchema = mongoose.Schema({
   // For Hourly: Every [number] hours
@@ -89,6 +90,28 @@ const subactivitySchema = mongoose.Schema({
     type: frequencyConfigSchema,
     required: false,
   },
+  // Statutory form filed by this subactivity; when set, due dates follow the compliance calendar
+  complianceForm: {
+    type: String,
+    enum: COMPLIANCE_FORM_CODES,
+    required: false,
+  },
+  // Documents the client must provide; copied onto each timeline generated for this subactivity
+  documentChecklist: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    required: {
+      type: Boolean,
+      default: true,
+    },
+  }],
   fields: [{
     name: {
       type: String,
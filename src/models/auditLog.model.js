@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import httpStatus from 'http-status';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+import ApiError from '../utils/ApiError.js';
+
+const changeSchema = mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      required: true,
+      enum: ['Client', 'Timeline', 'Task', 'Role'],
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ['create', 'update', 'delete'],
+    },
+    changes: [changeSchema],
+    // Who made the change. System covers cron jobs and scripts run outside a request.
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'actorModel',
+      default: null,
+    },
+    actorModel: {
+      type: String,
+      required: true,
+      enum: ['User', 'TeamMember', 'Client', 'System'],
+      default: 'System',
+    },
+    actorName: {
+      type: String,
+      trim: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+    },
+    // Entities spanning branches (roles): every branch they covered before or after the change
+    branches: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+      },
+    ],
+    // A role with access to all branches, visible to every branch-scoped auditor
+    allBranches: {
+      type: Boolean,
+      default: false,
+    },
+    requestId: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ branches: 1, createdAt: -1 });
+auditLogSchema.index({ branch: 1, createdAt: -1 });
+
+// Audit entries are append-only
+const rejectMutation = function (next) {
+  next(new ApiError(httpStatus.METHOD_NOT_ALLOWED, 'Audit log entries cannot be modified or deleted'));
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectMutation);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'], rejectMutation);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+// add plugins
+auditLogSchema.plugin(toJSON);
+auditLogSchema.plugin(paginate);
+
+/**
+ * @typedef AuditLog
+ */
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
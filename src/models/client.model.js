@@ -2,8 +2,70 @@ import mongoose from 'mongoose';
 import validator from 'validator';
 import toJSON from './plugins/toJSON.plugin.js';
 import paginate from './plugins/paginate.plugin.js';
+import audit from './plugins/audit.plugin.js';
+import softDelete from './plugins/softDelete.plugin.js';
 import FileManager from './fileManager.model.js';
 import { createClientTimelines } from '../services/timeline.service.js';
+import { GSTIN_PATTERN, validateGstin } from '../utils/gstin.js';
+import { PAN_PATTERN, validatePan } from '../utils/pan.js';
+
+/**
+ * Contact person at a client (accountant, director, authorised signatory...). Mail about an activity goes to the
+ * contacts listed for it, other client mail to the primary contact (see getClientRecipients in
+ * services/bulkEmail.service.js); a client without contacts keeps getting mail at email/email2.
+ */
+const contactSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  designation: {
+    type: String,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate(value) {
+      if (value && !validator.isEmail(value)) {
+        throw new Error('Invalid contact email');
+      }
+    },
+  },
+  phone: {
+    type: String,
+    trim: true,
+    validate(value) {
+      if (value && !validator.isMobilePhone(value, 'any')) {
+        throw new Error('Invalid contact phone number');
+      }
+    },
+  },
+  // Director Identification Number issued by the MCA
+  din: {
+    type: String,
+    trim: true,
+    validate(value) {
+      if (value && !/^[0-9]{8}$/.test(value)) {
+        throw new Error('Invalid DIN format (should be 8 digits)');
+      }
+    },
+  },
+  // Activities this contact receives mail for (GST to the accountant, ROC to a director...)
+  activities: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Activity',
+    },
+  ],
+  // Gets the client's mail that no contact is listed for; at most one per client
+  primary: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const clientSchema = mongoose.Schema(
   {
@@ -40,6 +102,15 @@ const clientSchema = mongoose.Schema(
         }
       },
     },
+    contacts: {
+      type: [contactSchema],
+      default: [],
+      validate(value) {
+        if (value.filter((contact) => contact.primary).length > 1) {
+          throw new Error('Only one contact can be the primary contact');
+        }
+      },
+    },
     address: {
       type: String,
       trim: true,
@@ -64,9 +135,15 @@ const clientSchema = mongoose.Schema(
       type: String,
       trim: true,
       validate(value) {
-        if (value && !/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(value)) {
+        if (value && !PAN_PATTERN.test(value)) {
           throw new Error('Invalid PAN format');
         }
+        // The holder type only for a new or changed PAN, so clients saved with an older one can still be saved
+        // (GET /clients/identifier-report lists them)
+        const [error] = value && (this.isNew || this.isModified('pan')) ? validatePan(value) : [];
+        if (error) {
+          throw new Error(error.message);
+        }
       },
     },
     dob: {
@@ -95,9 +172,15 @@ const clientSchema = mongoose.Schema(
         trim: true,
         required: true,
         validate(value) {
-          if (value && !/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/.test(value)) {
+          if (value && !GSTIN_PATTERN.test(value)) {
             throw new Error('Invalid GST number format');
           }
+          // The check digit only for new or changed numbers, so clients with an older bad GSTIN can still be saved
+          // (GET /clients/identifier-report lists them); PAN and state are checked in client.service
+          const [error] = value && (this.isNew || this.isModified('gstNumber')) ? validateGstin(value) : [];
+          if (error) {
+            throw new Error(error.message);
+          }
         },
         description: 'GST Registration Number for the specific state'
       },
@@ -217,6 +300,20 @@ const clientSchema = mongoose.Schema(
       default: 'active',
       description: 'Status of the client'
     },
+    // Set when this client was merged into another as a duplicate (see services/clientDuplicate.service.js)
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      default: null,
+    },
+    mergedAt: {
+      type: Date,
+    },
+    reminderOptOut: {
+      type: Boolean,
+      default: false,
+      description: 'Client has opted out of automated deadline reminder emails'
+    },
     branch: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Branch',
@@ -235,6 +332,7 @@ const clientSchema = mongoose.Schema(
 clientSchema.index({ name: 1 });
 clientSchema.index({ email: 1 });
 clientSchema.index({ phone: 1 });
+clientSchema.index({ 'contacts.email': 1 });
 clientSchema.index({ branch: 1 });
 clientSchema.index({ status: 1 });
 clientSchema.index({ businessType: 1 });
@@ -252,6 +350,9 @@ clientSchema.index({ createdAt: -1 }); // For sorting by creation date
 // add plugin that converts mongoose to json
 clientSchema.plugin(toJSON);
 clientSchema.plugin(paginate);
+// Before audit, so audited queries already leave out the recycle bin
+clientSchema.plugin(softDelete);
+clientSchema.plugin(audit);
 
 // Pre-save middleware to handle activity status when client status changes
 clientSchema.pre('save', function(next) {
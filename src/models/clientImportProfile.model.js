@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+import { CLIENT_IMPORT_FIELDS } from '../utils/clientImportFields.js';
+
+/**
+ * A saved column mapping for client spreadsheet imports (see services/clientImport.service.js): which spreadsheet
+ * column fills which client field. Headers are matched case-insensitively.
+ */
+const clientImportProfileSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    columns: [
+      {
+        _id: false,
+        header: { type: String, required: true, trim: true },
+        // No field: the column is ignored even when its header would be recognised
+        field: { type: String, enum: [...Object.keys(CLIENT_IMPORT_FIELDS), null], default: null },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Add plugins
+clientImportProfileSchema.plugin(toJSON);
+clientImportProfileSchema.plugin(paginate);
+
+/**
+ * @typedef ClientImportProfile
+ */
+const ClientImportProfile = mongoose.model('ClientImportProfile', clientImportProfileSchema);
+
+export default ClientImportProfile;
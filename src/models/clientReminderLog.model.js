@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+
+/**
+ * One deadline reminder email to a client (see services/clientReminder.service.js).
+ * kind + offset identify the reminder for a timeline so each is sent once: "before" with the days left,
+ * "overdue" with the days overdue.
+ */
+const clientReminderLogSchema = mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+    },
+    timeline: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timeline',
+      required: true,
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailTemplate',
+    },
+    kind: {
+      type: String,
+      enum: ['before', 'overdue'],
+      required: true,
+    },
+    offset: {
+      type: Number,
+      required: true,
+    },
+    dueDate: {
+      type: Date,
+    },
+    sentTo: {
+      type: String,
+      trim: true,
+    },
+    fromAccount: {
+      type: String,
+    },
+    subject: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+clientReminderLogSchema.index({ timeline: 1, kind: 1, offset: 1, status: 1 });
+clientReminderLogSchema.index({ client: 1, createdAt: -1 });
+clientReminderLogSchema.index({ createdAt: -1 });
+
+// Add plugins
+clientReminderLogSchema.plugin(toJSON);
+clientReminderLogSchema.plugin(paginate);
+
+/**
+ * @typedef ClientReminderLog
+ */
+const ClientReminderLog = mongoose.model('ClientReminderLog', clientReminderLogSchema);
+
+export default ClientReminderLog;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+import { COMPLIANCE_FORM_CODES } from '../jobs/timelineGenerator/complianceCalendar.js';
+
+/**
+ * Government extension of a statutory due date (CBIC/CBDT/MCA notification or circular),
+ * entered by an admin. The latest active extension for a form + period overrides the statutory date.
+ */
+const complianceExtensionSchema = mongoose.Schema(
+  {
+    form: {
+      type: String,
+      required: true,
+      enum: COMPLIANCE_FORM_CODES,
+    },
+    period: {
+      type: String,
+      required: true,
+      trim: true,
+      // Same format as Timeline.period: "April-2025", "Q1-2025", "2025-2026"
+    },
+    // Empty = applies to every state
+    states: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    extendedDueDate: {
+      type: Date,
+      required: true,
+    },
+    notificationRef: {
+      type: String,
+      trim: true,
+      // e.g. "Notification No. 12/2025-Central Tax"
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Timelines whose dueDate was recomputed when this extension was published or withdrawn
+    timelinesUpdated: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+complianceExtensionSchema.index({ form: 1, period: 1, isActive: 1, createdAt: -1 });
+
+// add plugins
+complianceExtensionSchema.plugin(toJSON);
+complianceExtensionSchema.plugin(paginate);
+
+/**
+ * @typedef ComplianceExtension
+ */
+const ComplianceExtension = mongoose.model('ComplianceExtension', complianceExtensionSchema);
+
+export default ComplianceExtension;
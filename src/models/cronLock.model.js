@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+
+/**
+ * Lease lock for one scheduled cron job, keyed by job name (see services/cronLock.service.js).
+ * Also records the job's last run so /v1/cron/status can report it for the whole cluster.
+ */
+const cronLockSchema = mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    schedule: {
+      type: String,
+    },
+    holder: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Scheduled time of the last tick that was claimed; each tick is claimed once
+    lastTickAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+    lastFinishedAt: {
+      type: Date,
+    },
+    lastStatus: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+    },
+    lastError: {
+      type: String,
+    },
+    lastDurationMs: {
+      type: Number,
+    },
+    nextRunAt: {
+      type: Date,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Add plugins
+cronLockSchema.plugin(toJSON);
+
+/**
+ * @typedef CronLock
+ */
+const CronLock = mongoose.model('CronLock', cronLockSchema);
+
+export default CronLock;
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+
+// Jobs whose runs are recorded; each can also be started by hand with POST /v1/cron/run/:job
+export const CRON_RUN_JOBS = [
+  'timelines-daily',
+  'timelines-monthly',
+  'timelines-quarterly',
+  'timelines-yearly',
+  'daily-task-reminders',
+  'client-reminders',
+  'remove-duplicate-timelines',
+  'purge-recycle-bin',
+];
+
+/**
+ * One run of a cron job, scheduled or started by hand (see services/cronRun.service.js).
+ * processed/created/failed are the job's counts when it reports them; the rest of its summary is kept in result.
+ */
+const cronRunSchema = mongoose.Schema(
+  {
+    job: {
+      type: String,
+      enum: CRON_RUN_JOBS,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      default: 'schedule',
+    },
+    // Period the run generated for (timeline jobs), e.g. "Q2-2025"
+    period: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+    },
+    processed: {
+      type: Number,
+    },
+    created: {
+      type: Number,
+    },
+    failed: {
+      type: Number,
+    },
+    // Items that failed within a run that otherwise completed
+    failures: [
+      {
+        _id: false,
+        client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+        activity: { type: mongoose.Schema.Types.ObjectId, ref: 'Activity' },
+        subactivity: { type: mongoose.Schema.Types.ObjectId },
+        message: { type: String },
+      },
+    ],
+    // Why the whole run failed
+    error: {
+      type: String,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    instance: {
+      type: String,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cronRunSchema.index({ job: 1, startedAt: -1 });
+cronRunSchema.index({ startedAt: -1 });
+
+// Add plugins
+cronRunSchema.plugin(toJSON);
+cronRunSchema.plugin(paginate);
+
+/**
+ * @typedef CronRun
+ */
+const CronRun = mongoose.model('CronRun', cronRunSchema);
+
+export default CronRun;
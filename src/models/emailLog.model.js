@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+
+export const EMAIL_CATEGORIES = [
+  'custom',
+  'notification',
+  'taskAssignment',
+  'dailyTaskReminder',
+  'bulk',
+  'clientReminder',
+  'documentRequest',
+  'documentUpload',
+  'otp',
+  'account',
+  'other',
+];
+
+// Bodies of these are not stored (they carry one-time codes / links) and cannot be resent
+export const UNSTORED_CONTENT_CATEGORIES = ['otp', 'account'];
+
+/**
+ * One outbound email, written by every send in services/email.service.js.
+ * Resending a failed email updates the same entry (retryCount, lastAttemptAt).
+ */
+const emailLogSchema = mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    from: {
+      type: String,
+    },
+    fromAccount: {
+      type: String,
+      default: null,
+    },
+    subject: {
+      type: String,
+    },
+    category: {
+      type: String,
+      enum: EMAIL_CATEGORIES,
+      default: 'other',
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailTemplate',
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    },
+    timeline: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timeline',
+    },
+    messageId: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+    retryCount: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Kept for resending; attachments only by reference (URL / S3 key), inline buffers are dropped
+    text: {
+      type: String,
+      select: false,
+    },
+    html: {
+      type: String,
+      select: false,
+    },
+    attachments: [
+      {
+        _id: false,
+        filename: String,
+        url: String,
+        s3Key: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailLogSchema.index({ createdAt: -1 });
+emailLogSchema.index({ to: 1, createdAt: -1 });
+emailLogSchema.index({ status: 1, createdAt: -1 });
+emailLogSchema.index({ client: 1, createdAt: -1 });
+emailLogSchema.index({ timeline: 1 });
+emailLogSchema.index({ task: 1 });
+
+// Add plugins
+emailLogSchema.plugin(toJSON);
+emailLogSchema.plugin(paginate);
+
+/**
+ * @typedef EmailLog
+ */
+const EmailLog = mongoose.model('EmailLog', emailLogSchema);
+
+export default EmailLog;
@@ -1,10 +1,15 @@
 import mongoose from 'mongoose';
 import toJSON from './plugins/toJSON.plugin.js';
 import paginate from './plugins/paginate.plugin.js';
+import { SMTP_ACCOUNT_NAMES } from '../config/config.js';
 
 /**
  * Supported placeholders in subject/bodyText (per recipient):
  * {{clientName}}, {{email}}, {{email2}}, {{phone}}, {{address}}, {{district}}, {{state}}, {{companyName}}
+ * Pending-documents requests (services/timelineDocument.service.js) also fill:
+ * {{pendingDocuments}}, {{activityName}}, {{subactivityName}}, {{period}}, {{dueDate}}
+ * Deadline reminders fill {{activityName}}, {{subactivityName}}, {{period}}, {{dueDate}}, {{daysLeft}}, {{daysOverdue}}
+ * Bulk sends, document requests and reminders fill {{contactName}}: the client contacts mailed, else the client name
  * Emails are sent as plain text only. bodyHtml is optional (e.g. for future/display).
  */
 const emailTemplateSchema = mongoose.Schema(
@@ -45,6 +50,38 @@ const emailTemplateSchema = mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       default: null,
     },
+    /**
+     * Deadline reminders (services/clientReminder.service.js). When enabled, clients with an open timeline for this
+     * template's activity/subactivity are emailed daysBefore days ahead of its dueDate and, with onOverdue, once it
+     * is overdue (again every overdueRepeatDays days when set).
+     */
+    reminder: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      daysBefore: [
+        {
+          type: Number,
+          min: 0,
+        },
+      ],
+      onOverdue: {
+        type: Boolean,
+        default: false,
+      },
+      overdueRepeatDays: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      /** Named SMTP account to send from; inferred from the activity when not set */
+      fromAccount: {
+        type: String,
+        enum: [...SMTP_ACCOUNT_NAMES, null],
+        default: null,
+      },
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -57,6 +94,7 @@ const emailTemplateSchema = mongoose.Schema(
 emailTemplateSchema.index({ branch: 1 });
 emailTemplateSchema.index({ name: 1, branch: 1 });
 emailTemplateSchema.index({ activity: 1, subactivity: 1 });
+emailTemplateSchema.index({ 'reminder.enabled': 1 });
 emailTemplateSchema.plugin(toJSON);
 emailTemplateSchema.plugin(paginate);
 
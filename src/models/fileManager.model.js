@@ -31,10 +31,13 @@ const fileSchema = mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // Staff uploader; files a client uploads through the portal have none and carry metadata.clientId instead
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required() {
+        return !(this.metadata && this.metadata.uploadedByClient);
+      },
     },
     parentFolder: {
       type: mongoose.Schema.Types.ObjectId,
@@ -61,10 +64,13 @@ const folderSchema = mongoose.Schema(
       ref: 'FileManager',
       default: null,
     },
+    // Staff creator; folders created for a client's own portal uploads have none (metadata.createdByClient)
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required() {
+        return !(this.metadata && this.metadata.createdByClient);
+      },
     },
     isRoot: {
       type: Boolean,
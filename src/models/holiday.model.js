@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+
+const holidaySchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    // national: applies everywhere; state: only to the listed states (canonical names, see utils/indianStates.js)
+    type: {
+      type: String,
+      enum: ['national', 'state'],
+      default: 'national',
+    },
+    states: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+holidaySchema.index({ date: 1 });
+holidaySchema.index({ type: 1, states: 1 });
+
+// Add plugins
+holidaySchema.plugin(toJSON);
+holidaySchema.plugin(paginate);
+
+/**
+ * @typedef Holiday
+ */
+const Holiday = mongoose.model('Holiday', holidaySchema);
+
+export default Holiday;
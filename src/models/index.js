@@ -12,6 +12,18 @@ import Task from './task.model.js';
 import BusinessMaster from './businessMaster.model.js';
 import EntityTypeMaster from './entityTypeMaster.model.js';
 import EmailTemplate from './emailTemplate.model.js';
+import OtpLockout from './otpLockout.model.js';
+import OtpIssuance from './otpIssuance.model.js';
+import AuditLog from './auditLog.model.js';
+import ComplianceExtension from './complianceExtension.model.js';
+import Holiday from './holiday.model.js';
+import ClientReminderLog from './clientReminderLog.model.js';
+import EmailLog from './emailLog.model.js';
+import Job from './job.model.js';
+import CronLock from './cronLock.model.js';
+import CronRun from './cronRun.model.js';
+import Migration from './migration.model.js';
+import ClientImportProfile from './clientImportProfile.model.js';
 
-export { Token, User, TeamMember, Activity, Branch, Client, Group, Role, Timeline, FileManager, Task, BusinessMaster, EntityTypeMaster, EmailTemplate };
+export { Token, User, TeamMember, Activity, Branch, Client, Group, Role, Timeline, FileManager, Task, BusinessMaster, EntityTypeMaster, EmailTemplate, OtpLockout, OtpIssuance, AuditLog, ComplianceExtension, Holiday, ClientReminderLog, EmailLog, Job, CronLock, CronRun, Migration, ClientImportProfile };
 
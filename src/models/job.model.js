@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+
+/**
+ * A background job (see services/jobQueue.service.js). Workers claim a queued job atomically by setting
+ * status "running" with their worker id; a running job whose lock is not refreshed is taken over.
+ */
+const jobSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Handler input, left out of API responses. Payloads too large for a document (bulk imports) are kept in S3
+    // under payloadKey instead.
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      private: true,
+    },
+    payloadKey: {
+      type: String,
+      private: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    // Earliest time the job may run; pushed back by the retry backoff
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Reported by long-running handlers while they work
+    progress: {
+      done: { type: Number },
+      total: { type: Number },
+      message: { type: String },
+    },
+    // User or team member who queued the job; the handler runs on their behalf
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'TeamMember'],
+      default: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ createdBy: 1, createdAt: -1 });
+// Finished jobs are removed after the retention period (a retried job has no completedAt until it finishes again)
+jobSchema.index(
+  { completedAt: 1 },
+  {
+    expireAfterSeconds: config.jobQueue.retentionDays * 24 * 60 * 60,
+    partialFilterExpression: { status: { $in: ['completed', 'failed'] } },
+    name: 'finished_job_retention',
+  }
+);
+
+// Add plugins
+jobSchema.plugin(toJSON);
+jobSchema.plugin(paginate);
+
+/**
+ * @typedef Job
+ */
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
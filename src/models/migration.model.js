@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+
+/**
+ * A data migration that has been applied to this database, keyed by its version (see services/migration.service.js).
+ * Rolling a migration back removes its record.
+ */
+const migrationSchema = mongoose.Schema(
+  {
+    version: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    durationMs: {
+      type: Number,
+    },
+    // What the migration reported, e.g. counts of updated documents
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Add plugins
+migrationSchema.plugin(toJSON);
+
+/**
+ * @typedef Migration
+ */
+const Migration = mongoose.model('Migration', migrationSchema);
+
+export default Migration;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Number of OTPs issued to one client or team member in one clock hour (see services/otp.service.js).
+ * Counted with $inc so parallel requests cannot all get under config.otp.maxPerHour.
+ */
+const otpIssuanceSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpIssuanceSchema.index({ user: 1, type: 1, windowStart: 1 }, { unique: true });
+// A window is only read while it is the current hour
+otpIssuanceSchema.index({ windowStart: 1 }, { expireAfterSeconds: 2 * 60 * 60 });
+
+/**
+ * @typedef OtpIssuance
+ */
+const OtpIssuance = mongoose.model('OtpIssuance', otpIssuanceSchema);
+
+export default OtpIssuance;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSON.plugin.js';
+import paginate from './plugins/paginate.plugin.js';
+
+const otpLockoutSchema = mongoose.Schema(
+  {
+    // PAN for clients, email for team members
+    identifier: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      refPath: 'userModel',
+      required: true,
+    },
+    userModel: {
+      type: String,
+      required: true,
+      enum: ['TeamMember', 'Client'],
+    },
+    reason: {
+      type: String,
+      required: true,
+      enum: ['tooManyRequests', 'tooManyFailedAttempts'],
+    },
+    // OTPs issued or wrong guesses counted when the lockout was triggered
+    count: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+    clearedAt: {
+      type: Date,
+      default: null,
+    },
+    clearedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpLockoutSchema.index({ user: 1, lockedUntil: -1 });
+
+// add plugins
+otpLockoutSchema.plugin(toJSON);
+otpLockoutSchema.plugin(paginate);
+
+/**
+ * @typedef OtpLockout
+ */
+const OtpLockout = mongoose.model('OtpLockout', otpLockoutSchema);
+
+export default OtpLockout;
@@ -0,0 +1,242 @@
+/* eslint-disable no-param-reassign */
+import mongoose from 'mongoose';
+import logger from '../../config/logger.js';
+import { getRequestContext } from '../../utils/requestContext.js';
+
+/**
+ * A mongoose schema plugin that appends an AuditLog entry for every create, update and delete
+ * made through documents (save/remove) or queries (findOneAndUpdate, updateOne, updateMany,
+ * deleteOne, deleteMany, findOneAndDelete). Model.bulkWrite and insertMany bypass mongoose
+ * middleware and are not audited.
+ *
+ * The actor, request id and IP come from the request context opened by the requestContext
+ * middleware; changes made outside a request are attributed to System.
+ *
+ * updateMany and deleteMany only read the ids (and branch) of the documents they touch and log the update
+ * document as the change, so a write across a whole collection does not hold every document in memory.
+ * Code that has to use bulkWrite can log its changes with Model.writeAuditEntries.
+ *
+ * Options:
+ *   entityType  - AuditLog.entityType (default: the model name)
+ *   getBranches - For documents that span branches (roles): (doc) => branch ids, or null for all branches
+ *   branchPaths - Fields getBranches reads, so they are loaded for updateMany/deleteMany
+ */
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const serialize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Audit entries are inserted in batches of this size
+const INSERT_BATCH_SIZE = 1000;
+
+const MULTI_OPS = ['updateMany', 'deleteMany'];
+
+/**
+ * Changes described by an update document, for writes where the documents are not read back
+ * @param {Object} update - e.g. { $set: { status: 'inactive' }, $pull: { timeline: id } }
+ * @returns {Array<{ field: string, after: * }>} Operators other than $set are kept with the value
+ */
+const describeUpdate = (update) =>
+  Object.entries(update || {})
+    .flatMap(([key, value]) => {
+      if (!key.startsWith('$')) {
+        return [{ field: key, after: serialize(value) }];
+      }
+      return Object.entries(value || {}).map(([field, operand]) => ({
+        field,
+        after: serialize(key === '$set' ? operand : { [key]: operand }),
+      }));
+    })
+    .filter(({ field }) => !IGNORED_FIELDS.includes(field));
+
+/**
+ * Top-level fields that differ between two plain objects
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    const from = serialize(before ? before[field] : undefined);
+    const to = serialize(after ? after[field] : undefined);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, before: from, after: to });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Resolve who is making the current change from the request context
+ * @returns {Object}
+ */
+const getActor = () => {
+  const context = getRequestContext();
+  if (!context) {
+    return { actorModel: 'System', actorName: 'system' };
+  }
+
+  const { req, requestId, ip } = context;
+  const meta = { requestId, ipAddress: ip, method: req.method, path: req.originalUrl };
+  const { user } = req;
+  if (!user) {
+    return { ...meta, actorModel: 'System', actorName: 'anonymous' };
+  }
+
+  let actorModel = 'User';
+  if (user.userType === 'client') {
+    actorModel = 'Client';
+  } else if (user.userType === 'teamMember' || user.type === 'teamMemberAccess') {
+    actorModel = 'TeamMember';
+  }
+
+  return {
+    ...meta,
+    actor: user.id || user._id,
+    actorModel,
+    actorName: user.name || user.email,
+  };
+};
+
+const audit = (schema, options = {}) => {
+  const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc);
+
+  /**
+   * Branches an entry is visible in: the document's branch, or for documents spanning branches (getBranches
+   * option) every branch before and after the change
+   * @returns {{ branch: ObjectId|null, branches: Array<ObjectId>, allBranches: boolean }}
+   */
+  const getBranchScope = (before, after) => {
+    const source = after || before;
+    if (!options.getBranches) {
+      return { branch: source.branch || null, branches: [], allBranches: false };
+    }
+    const scopes = [before, after].filter(Boolean).map(options.getBranches);
+    const branches = [...new Set(scopes.flatMap((scope) => scope || []).map(String))];
+    return { branch: null, branches, allBranches: scopes.includes(null) };
+  };
+
+  /**
+   * Append audit entries; failures are logged and never break the write being audited
+   * @param {string} entityType
+   * @param {Array<{ action: string, before: Object|null, after: Object|null, changes?: Array }>} entries
+   *   changes defaults to the difference between before and after
+   * @param {Object} actor
+   */
+  const writeEntries = async (entityType, entries, actor) => {
+    const logs = entries
+      .map(({ action, before, after, changes }) => ({
+        entityType,
+        entityId: (after || before)._id,
+        action,
+        changes: changes || diff(before, after),
+        ...getBranchScope(before, after),
+        ...actor,
+      }))
+      .filter((log) => log.action !== 'update' || log.changes.length > 0);
+
+    const batches = [];
+    for (let start = 0; start < logs.length; start += INSERT_BATCH_SIZE) {
+      batches.push(logs.slice(start, start + INSERT_BATCH_SIZE));
+    }
+    try {
+      await batches.reduce(
+        (previous, batch) => previous.then(() => mongoose.model('AuditLog').insertMany(batch)),
+        Promise.resolve()
+      );
+    } catch (error) {
+      logger.error(`Failed to write audit log for ${entityType}:`, error);
+    }
+  };
+
+  const getEntityType = (model) => options.entityType || model.modelName;
+
+  /**
+   * Log changes made where mongoose middleware does not run (bulkWrite, insertMany)
+   * @param {Array<{ action: string, before: Object|null, after: Object|null }>} entries - Plain objects
+   * @returns {Promise<void>}
+   */
+  schema.statics.writeAuditEntries = function (entries) {
+    return writeEntries(getEntityType(this), entries, getActor());
+  };
+
+  schema.pre('save', async function () {
+    this.$locals.auditActor = getActor();
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id).setOptions({ withDeleted: true }).lean();
+  });
+
+  schema.post('save', async function (doc) {
+    const before = doc.$locals.auditBefore;
+    const action = before ? 'update' : 'create';
+    await writeEntries(getEntityType(doc.constructor), [{ action, before, after: toPlain(doc) }], doc.$locals.auditActor);
+  });
+
+  schema.pre('remove', function (next) {
+    this.$locals.auditActor = getActor();
+    next();
+  });
+
+  schema.post('remove', async function (doc) {
+    const entries = [{ action: 'delete', before: toPlain(doc), after: null }];
+    await writeEntries(getEntityType(doc.constructor), entries, doc.$locals.auditActor);
+  });
+
+  const singleUpdateOps = ['findOneAndUpdate', 'updateOne'];
+  const updateOps = [...singleUpdateOps, 'updateMany'];
+  const deleteOps = ['findOneAndDelete', 'findOneAndRemove', 'deleteOne', 'deleteMany'];
+
+  schema.pre([...updateOps, ...deleteOps], async function () {
+    const filter = this.getFilter();
+    // withDeleted: the write itself is not limited to documents outside the recycle bin (see softDelete.plugin.js)
+    const query = this.model.find(filter).sort(this.getOptions().sort).setOptions({ withDeleted: true }).lean();
+    this._auditBefore = await (MULTI_OPS.includes(this.op)
+      ? query.select(['_id', 'branch', ...(options.branchPaths || [])])
+      : query.limit(1));
+    this._auditActor = getActor();
+  });
+
+  schema.post('updateMany', async function () {
+    const changes = describeUpdate(this.getUpdate());
+    const entries = (this._auditBefore || []).map((doc) => ({ action: 'update', before: doc, after: null, changes }));
+    await writeEntries(getEntityType(this.model), entries, this._auditActor);
+  });
+
+  schema.post(singleUpdateOps, async function () {
+    const before = this._auditBefore || [];
+    const ids = before.map((doc) => doc._id);
+    let after = ids.length
+      ? await this.model
+          .find({ _id: { $in: ids } })
+          .setOptions({ withDeleted: true })
+          .lean()
+      : [];
+
+    // Upserts: nothing matched before, so find what the filter now matches
+    if (!ids.length && this.getOptions().upsert) {
+      after = await this.model.find(this.getFilter()).limit(1).lean();
+    }
+
+    const beforeById = new Map(before.map((doc) => [doc._id.toString(), doc]));
+    const entries = after.map((doc) => {
+      const previous = beforeById.get(doc._id.toString()) || null;
+      return { action: previous ? 'update' : 'create', before: previous, after: doc };
+    });
+    await writeEntries(getEntityType(this.model), entries, this._auditActor);
+  });
+
+  schema.post(deleteOps, async function () {
+    // deleteMany only read ids, so there are no field values to record
+    const changes = this.op === 'deleteMany' ? [] : undefined;
+    const entries = (this._auditBefore || []).map((doc) => ({ action: 'delete', before: doc, after: null, changes }));
+    await writeEntries(getEntityType(this.model), entries, this._auditActor);
+  });
+};
+
+export default audit;
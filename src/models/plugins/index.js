@@ -1,4 +1,6 @@
 import toJSON from './toJSON.plugin.js';
 import paginate from './paginate.plugin.js';
+import audit from './audit.plugin.js';
+import softDelete from './softDelete.plugin.js';
 
-export { toJSON, paginate };
+export { toJSON, paginate, audit, softDelete };
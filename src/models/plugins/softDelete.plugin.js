@@ -0,0 +1,97 @@
+/* eslint-disable no-param-reassign */
+import mongoose from 'mongoose';
+
+/**
+ * A mongoose schema plugin for soft deletes, like FileManager's isDeleted: deleted documents keep their data and
+ * references, with isDeleted, deletedAt and deletedBy set, until services/recycleBin.service.js purges them.
+ *
+ * find, findOne, count, countDocuments, distinct, findOneAndUpdate and aggregate leave deleted documents out unless
+ * the filter (or the first $match of a pipeline) mentions isDeleted, or the query has the withDeleted option:
+ *   Client.find({ isDeleted: true })                           // only deleted
+ *   Client.findById(id).setOptions({ withDeleted: true })      // deleted or not
+ * updateOne/updateMany and deletes are not filtered, so references can still be cleaned up on deleted documents;
+ * updates meant only for live documents add isDeleted: { $ne: true } themselves. $lookup stages into these
+ * collections are not filtered either and need the same condition.
+ */
+
+const NOT_DELETED = { isDeleted: { $ne: true } };
+
+// Stages that must open a pipeline, so no $match can go before them
+const FIRST_STAGE_ONLY = ['$geoNear', '$collStats', '$indexStats', '$search', '$searchMeta'];
+
+const mentionsIsDeleted = (filter) => {
+  if (!filter || typeof filter !== 'object') {
+    return false;
+  }
+  if (Object.prototype.hasOwnProperty.call(filter, 'isDeleted')) {
+    return true;
+  }
+  return ['$and', '$or', '$nor'].some(
+    (operator) => Array.isArray(filter[operator]) && filter[operator].some(mentionsIsDeleted)
+  );
+};
+
+const softDelete = (schema) => {
+  schema.add({
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+  schema.index({ isDeleted: 1, deletedAt: 1 });
+
+  schema.pre(['find', 'findOne', 'count', 'countDocuments', 'distinct', 'findOneAndUpdate'], function () {
+    if (this.getOptions().withDeleted || mentionsIsDeleted(this.getFilter())) {
+      return;
+    }
+    this.where(NOT_DELETED);
+  });
+
+  schema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (first && FIRST_STAGE_ONLY.includes(Object.keys(first)[0])) {
+      return;
+    }
+    if (first && first.$match && mentionsIsDeleted(first.$match)) {
+      return;
+    }
+    this.pipeline().unshift({ $match: NOT_DELETED });
+  });
+
+  /**
+   * Move the documents matching filter to the recycle bin
+   * @param {Object} filter
+   * @param {ObjectId} [deletedBy]
+   * @param {Date} [deletedAt]
+   * @returns {Promise<number>} Number of documents deleted
+   */
+  schema.statics.softDeleteMany = async function (filter, deletedBy = null, deletedAt = new Date()) {
+    const result = await this.updateMany({ ...filter, ...NOT_DELETED }, { $set: { isDeleted: true, deletedAt, deletedBy } });
+    return result.nModified;
+  };
+
+  /**
+   * Take the deleted documents matching filter out of the recycle bin
+   * @param {Object} filter
+   * @returns {Promise<number>} Number of documents restored
+   */
+  schema.statics.restoreMany = async function (filter) {
+    const result = await this.updateMany(
+      { ...filter, isDeleted: true },
+      { $set: { isDeleted: false, deletedAt: null, deletedBy: null } }
+    );
+    return result.nModified;
+  };
+};
+
+export default softDelete;
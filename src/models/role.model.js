@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import toJSON from './plugins/toJSON.plugin.js';
 import paginate from './plugins/paginate.plugin.js';
+import audit from './plugins/audit.plugin.js';
 
 const roleSchema = mongoose.Schema(
   {
@@ -53,6 +54,7 @@ const roleSchema = mongoose.Schema(
       // Timeline permissions
       getTimelines: { type: Boolean, default: false },
       manageTimelines: { type: Boolean, default: false },
+      reviewTimelines: { type: Boolean, default: false },
       // Role permissions
       getRoles: { type: Boolean, default: false },
       manageRoles: { type: Boolean, default: false },
@@ -61,6 +63,8 @@ const roleSchema = mongoose.Schema(
       manageFileManager: { type: Boolean, default: false },
       // Email / bulk email
       sendEmails: { type: Boolean, default: false },
+      // Audit trail
+      getAuditLogs: { type: Boolean, default: false },
     },
     // Branch access - array of branch IDs this role can access
     branchAccess: [{
@@ -90,6 +94,10 @@ const roleSchema = mongoose.Schema(
 // add plugin that converts mongoose to json
 roleSchema.plugin(toJSON);
 roleSchema.plugin(paginate);
+roleSchema.plugin(audit, {
+  getBranches: (role) => (role.allBranchesAccess ? null : role.branchAccess || []),
+  branchPaths: ['branchAccess', 'allBranchesAccess'],
+});
 
 /**
  * Check if role name is taken
@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import toJSON from './plugins/toJSON.plugin.js';
 import paginate from './plugins/paginate.plugin.js';
+import audit from './plugins/audit.plugin.js';
+import softDelete from './plugins/softDelete.plugin.js';
 
 const taskSchema = mongoose.Schema(
   {
@@ -259,6 +261,9 @@ taskSchema.options.toJSON.transform = function ensureAssignerKeys(doc, ret, opti
 // add plugin that converts mongoose to json
 taskSchema.plugin(toJSON);
 taskSchema.plugin(paginate);
+// Before audit, so audited queries already leave out the recycle bin
+taskSchema.plugin(softDelete);
+taskSchema.plugin(audit);
 
 /**
  * @typedef Task
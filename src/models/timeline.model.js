@@ -1,6 +1,112 @@
 import mongoose from 'mongoose';
 import toJSON from './plugins/toJSON.plugin.js';
 import paginate from './plugins/paginate.plugin.js';
+import audit from './plugins/audit.plugin.js';
+import softDelete from './plugins/softDelete.plugin.js';
+import { timelineStatuses } from '../config/timelineWorkflow.js';
+
+const statusHistorySchema = mongoose.Schema(
+  {
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'statusHistory.changedByModel',
+    },
+    changedByModel: {
+      type: String,
+      enum: ['User', 'TeamMember', 'System'],
+      default: 'User',
+    },
+    changedByName: {
+      type: String,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const documentChecklistItemSchema = mongoose.Schema({
+  // Checklist item on the subactivity this entry was copied from (null for items added to the timeline only)
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  required: {
+    type: Boolean,
+    default: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'received', 'not applicable'],
+    default: 'pending',
+  },
+  files: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FileManager',
+    },
+  ],
+  remarks: {
+    type: String,
+    trim: true,
+  },
+  receivedAt: {
+    type: Date,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+const documentRequestSchema = mongoose.Schema(
+  {
+    sentTo: {
+      type: String,
+      required: true,
+    },
+    items: [
+      {
+        type: String,
+      },
+    ],
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailTemplate',
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const timelineSchema = mongoose.Schema(
   {
@@ -16,10 +122,15 @@ const timelineSchema = mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'delayed', 'ongoing', 'not applicable'],
+      enum: timelineStatuses,
       required: true,
       default: 'pending',
     },
+    // Status changes made through the workflow (see config/timelineWorkflow.js), oldest first
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
     subactivity: {
       type: mongoose.Schema.Types.Mixed,
       required: false,
@@ -69,6 +180,11 @@ const timelineSchema = mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       required: false,
     },
+    // Statutory form (see jobs/timelineGenerator/complianceCalendar.js) whose calendar drives dueDate
+    complianceForm: {
+      type: String,
+      required: false,
+    },
     timelineType: {
       type: String,
       enum: ['oneTime', 'recurring'],
@@ -103,6 +219,16 @@ const timelineSchema = mongoose.Schema(
         required: false,
       },
     }],
+    // Documents requested from the client for this timeline (see services/timelineDocument.service.js)
+    documentChecklist: {
+      type: [documentChecklistItemSchema],
+      default: [],
+    },
+    // Pending-documents emails sent to the client, oldest first
+    documentRequests: {
+      type: [documentRequestSchema],
+      default: [],
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       required: false,
@@ -171,6 +297,8 @@ timelineSchema.index({ client: 1 }); // Single field index for faster $in querie
  * Notes:
  * - Partial index avoids impacting old data where `period` may be missing.
  * - We scope to `timelineType: 'recurring'` to avoid blocking one-time timelines.
+ * - Timelines in the recycle bin are left out so the period can be generated again
+ *   (migrations/0005-soft-delete.js sets isDeleted on older timelines).
  */
 timelineSchema.index(
   { client: 1, activity: 1, subactivityId: 1, period: 1, state: 1 },
@@ -180,6 +308,7 @@ timelineSchema.index(
       timelineType: 'recurring',
       period: { $type: 'string' },
       subactivityId: { $type: 'objectId' },
+      isDeleted: false,
     },
     name: 'unique_recurring_timeline_per_state',
   }
@@ -188,6 +317,9 @@ timelineSchema.index(
 // add plugin that converts mongoose to json
 timelineSchema.plugin(toJSON);
 timelineSchema.plugin(paginate);
+// Before audit, so audited queries already leave out the recycle bin
+timelineSchema.plugin(softDelete);
+timelineSchema.plugin(audit);
 
 /**
  * @typedef Timeline
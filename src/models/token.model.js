@@ -22,7 +22,7 @@ const tokenSchema = mongoose.Schema(
     },
     type: {
       type: String,
-      enum: [tokenTypes.ACCESS, tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD, tokenTypes.VERIFY_EMAIL, tokenTypes.CLIENT_OTP, tokenTypes.CLIENT_ACCESS, tokenTypes.TEAM_MEMBER_ACCESS, tokenTypes.TEAM_MEMBER_REFRESH],
+      enum: [tokenTypes.ACCESS, tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD, tokenTypes.VERIFY_EMAIL, tokenTypes.CLIENT_OTP, tokenTypes.CLIENT_ACCESS, tokenTypes.TEAM_MEMBER_ACCESS, tokenTypes.TEAM_MEMBER_REFRESH, tokenTypes.TEAM_MEMBER_OTP],
       required: true,
     },
     expires: {
@@ -33,6 +33,11 @@ const tokenSchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Failed verification attempts (OTP tokens only)
+    attempts: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
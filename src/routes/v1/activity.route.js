@@ -17,7 +17,7 @@ router
 
 router
   .route('/bulk-create-timelines')
-  .post(validate(activityValidation.bulkCreateTimelines), activityController.bulkCreateTimelines);
+  .post(auth('manageTimelines'), validate(activityValidation.bulkCreateTimelines), activityController.bulkCreateTimelines);
 
 router
   .route('/:activityId')
@@ -80,6 +80,16 @@ router.get('/team-members/table',
   analyticsController.getAllTeamMembersTableData
 );
 
+/**
+ * @route GET /v1/analytics/team-members/table/export
+ * @desc Export the team members table (current filters) as CSV or XLSX
+ * @access Private
+ */
+router.get('/team-members/table/export',
+  validate(analyticsValidation.exportTeamMembersTable),
+  analyticsController.exportTeamMembersTable
+);
+
 /**
  * @route GET /v1/analytics/clients/:clientId/overview
  * @desc Get detailed overview for a specific client
@@ -100,6 +110,16 @@ router.get('/clients/table',
   analyticsController.getAllClientsTableData
 );
 
+/**
+ * @route GET /v1/analytics/clients/table/export
+ * @desc Export the clients table (current filters) as CSV or XLSX
+ * @access Private
+ */
+router.get('/clients/table/export',
+  validate(analyticsValidation.exportClientsTable),
+  analyticsController.exportClientsTable
+);
+
 /**
  * @route GET /v1/analytics/timelines/table
  * @desc Get all timelines table data with comprehensive information
@@ -110,6 +130,16 @@ router.get('/timelines/table',
   analyticsController.getAllTimelinesTableData
 );
 
+/**
+ * @route GET /v1/analytics/timelines/table/export
+ * @desc Export the timelines table (current filters) as CSV or XLSX
+ * @access Private
+ */
+router.get('/timelines/table/export',
+  validate(analyticsValidation.exportTimelinesTable),
+  analyticsController.exportTimelinesTable
+);
+
 /**
  * @route GET /v1/analytics/timelines/:timelineId/overview
  * @desc Get detailed overview for a specific timeline
@@ -0,0 +1,11 @@
+import express from 'express';
+import { auditLogController } from '../../controllers/index.js';
+import { auditLogValidation } from '../../validations/index.js';
+import validate from '../../middlewares/validate.js';
+import auth from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+router.route('/').get(auth('getAuditLogs'), validate(auditLogValidation.getAuditLogs), auditLogController.getAuditLogs);
+
+export default router;
@@ -4,6 +4,12 @@ import { clientValidation } from '../../validations/index.js';
 import validate from '../../middlewares/validate.js';
 import auth from '../../middlewares/auth.js';
 import checkBranchAccess from '../../middlewares/branchAccess.js';
+import clientImportValidation from '../../validations/clientImport.validation.js';
+import exportValidation from '../../validations/export.validation.js';
+import clientDuplicateValidation from '../../validations/clientDuplicate.validation.js';
+import clientContactValidation from '../../validations/clientContact.validation.js';
+import recycleBinValidation from '../../validations/recycleBin.validation.js';
+import { upload, handleMulterError } from '../../controllers/common.controller.js';
 
 const router = express.Router();
 
@@ -16,21 +22,87 @@ router
   .route('/bulk-import')
   .post(auth('manageClients'), validate(clientValidation.bulkImportClients), clientController.bulkImportClients);
 
+// Spreadsheet (CSV/XLSX) import, with saved column mappings
+router
+  .route('/import-file')
+  .post(
+    auth('manageClients'),
+    upload.single('file'),
+    handleMulterError,
+    validate(clientImportValidation.importClientFile),
+    clientController.importClientFile
+  );
+
+router
+  .route('/import-profiles')
+  .get(auth('getClients'), validate(clientImportValidation.getClientImportProfiles), clientController.getClientImportProfiles)
+  .post(
+    auth('manageClients'),
+    validate(clientImportValidation.createClientImportProfile),
+    clientController.createClientImportProfile
+  );
+
+router
+  .route('/import-profiles/:profileId')
+  .patch(
+    auth('manageClients'),
+    validate(clientImportValidation.updateClientImportProfile),
+    clientController.updateClientImportProfile
+  )
+  .delete(
+    auth('manageClients'),
+    validate(clientImportValidation.deleteClientImportProfile),
+    clientController.deleteClientImportProfile
+  );
+
 router
   .route('/bulk-delete')
   .post(auth('manageClients'), validate(clientValidation.bulkDeleteClients), clientController.bulkDeleteClients);
 
+// Deleted clients, restorable until the recycle bin purge removes them
+router
+  .route('/recycle-bin')
+  .get(auth('getClients'), validate(recycleBinValidation.getDeletedClients), clientController.getDeletedClients);
+
 // Task statistics route - MUST be before /:clientId routes to avoid routing conflicts
 router
   .route('/task-statistics')
   .get(auth('getClients'), validate(clientValidation.getClientTaskStatistics), clientController.getClientTaskStatistics);
 
+// Entity type from the PAN's holder type (4th character)
+router
+  .route('/entity-type-suggestion')
+  .get(auth('getClients'), validate(clientValidation.suggestEntityType), clientController.suggestEntityType);
+
+router
+  .route('/entity-type-report')
+  .get(auth('getClients'), validate(clientValidation.getEntityTypeReport), clientController.getEntityTypeReport);
+
+// Stored PANs and GSTINs that fail the checks new values must pass
+router
+  .route('/identifier-report')
+  .get(auth('getClients'), validate(clientValidation.getIdentifierReport), clientController.getIdentifierReport);
+
+// Clients sharing a PAN, GSTIN, email or phone, or with similar names in a branch
+router
+  .route('/duplicates')
+  .get(auth('getClients'), validate(clientDuplicateValidation.findDuplicateClients), clientController.findDuplicateClients);
+
 router
   .route('/:clientId')
   .get(auth('getClients'), validate(clientValidation.getClient), clientController.getClient)
   .patch(auth('manageClients'), validate(clientValidation.updateClient), clientController.updateClient)
   .delete(auth('manageClients'), validate(clientValidation.deleteClient), clientController.deleteClient);
 
+router
+  .route('/:clientId/restore')
+  .post(auth('manageClients'), validate(recycleBinValidation.restoreClient), clientController.restoreClient);
+
+// Merge a duplicate client into this one (timelines, tasks, groups, files, activities), archiving the duplicate
+router
+  .route('/:clientId/merge')
+  .post(auth('manageClients'), validate(clientDuplicateValidation.mergeClients), clientController.mergeClients);
+
 // Activity management routes
 router
   .route('/:clientId/activities')
@@ -58,9 +130,25 @@ router
   .patch(auth('manageClients'), validate(clientValidation.updateGstNumber), clientController.updateGstNumber)
   .delete(auth('manageClients'), validate(clientValidation.removeGstNumber), clientController.removeGstNumber);
 
+// Contact persons, and the activities each one receives mail for
+router
+  .route('/:clientId/contacts')
+  .get(auth('getClients'), validate(clientContactValidation.getContacts), clientController.getContacts)
+  .post(auth('manageClients'), validate(clientContactValidation.addContact), clientController.addContact);
+
+router
+  .route('/:clientId/contacts/:contactId')
+  .patch(auth('manageClients'), validate(clientContactValidation.updateContact), clientController.updateContact)
+  .delete(auth('manageClients'), validate(clientContactValidation.removeContact), clientController.removeContact);
+
 // Year report: timelines, activity/subactivity, status, pendings, turnover
 router
   .route('/:clientId/report')
   .get(auth('getClients'), validate(clientValidation.getClientReport), clientController.getClientReport);
 
+// Year report as a branded PDF (to send to the client) or CSV/XLSX
+router
+  .route('/:clientId/report/export')
+  .get(auth('getClients'), validate(exportValidation.exportClientReport), clientController.exportClientReport);
+
 export default router; 
\ No newline at end of file
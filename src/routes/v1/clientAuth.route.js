@@ -3,6 +3,7 @@ import validate from '../../middlewares/validate.js';
 import * as clientAuthValidation from '../../validations/clientAuth.validation.js';
 import * as clientAuthController from '../../controllers/clientAuth.controller.js';
 import clientAuth from '../../middlewares/clientAuth.js';
+import { upload, handleMulterError } from '../../controllers/common.controller.js';
 
 const router = express.Router();
 
@@ -34,4 +35,43 @@ router
     clientAuthController.getProfile
   );
 
+router
+  .route('/compliance-status')
+  .get(
+    clientAuth(),
+    validate(clientAuthValidation.getComplianceStatus),
+    clientAuthController.getComplianceStatus
+  );
+
+router
+  .route('/year-report')
+  .get(
+    clientAuth(),
+    validate(clientAuthValidation.getYearReport),
+    clientAuthController.getYearReport
+  );
+
+router
+  .route('/documents')
+  .get(
+    clientAuth(),
+    validate(clientAuthValidation.getDocuments),
+    clientAuthController.getDocuments
+  )
+  .post(
+    clientAuth(),
+    upload.single('file'),
+    handleMulterError,
+    validate(clientAuthValidation.uploadDocument),
+    clientAuthController.uploadDocument
+  );
+
+router
+  .route('/documents/:fileId/download')
+  .get(
+    clientAuth(),
+    validate(clientAuthValidation.downloadDocument),
+    clientAuthController.downloadDocument
+  );
+
 export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { clientReminderController } from '../../controllers/index.js';
+import { clientReminderValidation } from '../../validations/index.js';
+import validate from '../../middlewares/validate.js';
+import auth from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+router
+  .route('/logs')
+  .get(auth('getClients'), validate(clientReminderValidation.getReminderLogs), clientReminderController.getReminderLogs);
+
+router.route('/run').post(auth('manageSystem'), clientReminderController.runReminders);
+
+export default router;
@@ -31,4 +31,17 @@ router
   .route('/send-with-attachments')
   .post(validate(commonEmailValidation.sendEmailWithAttachments), commonEmailController.sendEmailWithAttachments);
 
+// Outbound email log
+router
+  .route('/logs')
+  .get(auth('sendEmails'), validate(commonEmailValidation.getEmailLogs), commonEmailController.getEmailLogs);
+
+router
+  .route('/logs/:logId')
+  .get(auth('sendEmails'), validate(commonEmailValidation.getEmailLog), commonEmailController.getEmailLog);
+
+router
+  .route('/logs/:logId/resend')
+  .post(auth('sendEmails'), validate(commonEmailValidation.resendEmail), commonEmailController.resendEmail);
+
 export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import { complianceCalendarController } from '../../controllers/index.js';
+import { complianceCalendarValidation } from '../../validations/index.js';
+import validate from '../../middlewares/validate.js';
+import auth from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+router.route('/forms').get(auth('getTimelines'), complianceCalendarController.getComplianceForms);
+
+router
+  .route('/due-date')
+  .get(
+    auth('getTimelines'),
+    validate(complianceCalendarValidation.getFormDueDate),
+    complianceCalendarController.getFormDueDate
+  );
+
+router
+  .route('/extensions')
+  .post(
+    auth('manageSystem'),
+    validate(complianceCalendarValidation.createExtension),
+    complianceCalendarController.createExtension
+  )
+  .get(
+    auth('getTimelines'),
+    validate(complianceCalendarValidation.getExtensions),
+    complianceCalendarController.getExtensions
+  );
+
+router
+  .route('/extensions/:extensionId')
+  .get(auth('getTimelines'), validate(complianceCalendarValidation.getExtension), complianceCalendarController.getExtension)
+  .delete(
+    auth('manageSystem'),
+    validate(complianceCalendarValidation.withdrawExtension),
+    complianceCalendarController.withdrawExtension
+  );
+
+export default router;
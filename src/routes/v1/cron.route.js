@@ -1,6 +1,8 @@
 import express from 'express';
 import cronController from '../../controllers/cron.controller.js';
 import auth from '../../middlewares/auth.js';
+import validate from '../../middlewares/validate.js';
+import { cronValidation } from '../../validations/index.js';
 
 const router = express.Router();
 
@@ -20,10 +22,26 @@ router
   .route('/status')
   .get(auth('getSystem'), cronController.getCronJobStatus);
 
+router
+  .route('/runs')
+  .get(auth('getSystem'), validate(cronValidation.getCronRuns), cronController.getCronRuns);
+
+router
+  .route('/runs/:runId')
+  .get(auth('getSystem'), validate(cronValidation.getCronRun), cronController.getCronRun);
+
+router
+  .route('/run/:job')
+  .post(auth('manageSystem'), validate(cronValidation.runCronJob), cronController.runCronJob);
+
 router
   .route('/trigger-reminders')
   .post(auth('manageSystem'), cronController.triggerDailyReminders);
 
+router
+  .route('/trigger-timeline-status')
+  .post(auth('manageSystem'), cronController.triggerTimelineStatusCheck);
+
 router
   .route('/remove-duplicate-timelines')
   .post(auth('manageSystem'), cronController.removeDuplicateTimelines);
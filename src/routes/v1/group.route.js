@@ -3,6 +3,7 @@ import { groupController } from '../../controllers/index.js';
 import { groupValidation } from '../../validations/index.js';
 import validate from '../../middlewares/validate.js';
 import auth from '../../middlewares/auth.js';
+import exportValidation from '../../validations/export.validation.js';
 
 const router = express.Router();
 
@@ -48,4 +49,9 @@ router
   .route('/:groupId/report')
   .get(auth('getGroups'), validate(groupValidation.getGroupReport), groupController.getGroupReport);
 
+// Year report as a branded PDF (to send to the clients) or CSV/XLSX
+router
+  .route('/:groupId/report/export')
+  .get(auth('getGroups'), validate(exportValidation.exportGroupReport), groupController.exportGroupReport);
+
 export default router; 
\ No newline at end of file
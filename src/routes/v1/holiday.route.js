@@ -0,0 +1,24 @@
+import express from 'express';
+import { holidayController } from '../../controllers/index.js';
+import { holidayValidation } from '../../validations/index.js';
+import validate from '../../middlewares/validate.js';
+import auth from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth('manageSystem'), validate(holidayValidation.createHoliday), holidayController.createHoliday)
+  .get(auth(), validate(holidayValidation.getHolidays), holidayController.getHolidays);
+
+router
+  .route('/reshift-timelines')
+  .post(auth('manageSystem'), validate(holidayValidation.reshiftTimelines), holidayController.reshiftTimelines);
+
+router
+  .route('/:holidayId')
+  .get(auth(), validate(holidayValidation.getHoliday), holidayController.getHoliday)
+  .patch(auth('manageSystem'), validate(holidayValidation.updateHoliday), holidayController.updateHoliday)
+  .delete(auth('manageSystem'), validate(holidayValidation.deleteHoliday), holidayController.deleteHoliday);
+
+export default router;
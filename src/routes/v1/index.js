@@ -23,6 +23,12 @@ import analyticsRoute from './analytics.route.js';
 import businessMasterRoute from './businessMaster.route.js';
 import entityTypeMasterRoute from './entityTypeMaster.route.js';
 import emailTemplateRoute from './emailTemplate.route.js';
+import otpLockoutRoute from './otpLockout.route.js';
+import auditLogRoute from './auditLog.route.js';
+import complianceCalendarRoute from './complianceCalendar.route.js';
+import holidayRoute from './holiday.route.js';
+import clientReminderRoute from './clientReminder.route.js';
+import jobRoute from './job.route.js';
 
 const router = express.Router();
 
@@ -115,6 +121,30 @@ const defaultRoutes = [
     path: '/email-templates',
     route: emailTemplateRoute,
   },
+  {
+    path: '/otp-lockouts',
+    route: otpLockoutRoute,
+  },
+  {
+    path: '/audit-logs',
+    route: auditLogRoute,
+  },
+  {
+    path: '/compliance-calendar',
+    route: complianceCalendarRoute,
+  },
+  {
+    path: '/holidays',
+    route: holidayRoute,
+  },
+  {
+    path: '/client-reminders',
+    route: clientReminderRoute,
+  },
+  {
+    path: '/jobs',
+    route: jobRoute,
+  },
 ];
 
 const devRoutes = [
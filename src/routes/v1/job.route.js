@@ -0,0 +1,16 @@
+import express from 'express';
+import { jobController } from '../../controllers/index.js';
+import { jobValidation } from '../../validations/index.js';
+import validate from '../../middlewares/validate.js';
+import auth from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+// Any signed-in user sees the jobs they started; getSystem sees all (checked in the service)
+router.route('/').get(auth(), validate(jobValidation.getJobs), jobController.getJobs);
+
+router.route('/:jobId').get(auth(), validate(jobValidation.getJob), jobController.getJob);
+
+router.route('/:jobId/retry').post(auth(), validate(jobValidation.retryJob), jobController.retryJob);
+
+export default router;
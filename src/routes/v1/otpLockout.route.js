@@ -0,0 +1,15 @@
+import express from 'express';
+import { otpLockoutController } from '../../controllers/index.js';
+import { otpLockoutValidation } from '../../validations/index.js';
+import validate from '../../middlewares/validate.js';
+import auth from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+router.route('/').get(auth('getSystem'), validate(otpLockoutValidation.getOtpLockouts), otpLockoutController.getOtpLockouts);
+
+router
+  .route('/:lockoutId/clear')
+  .post(auth('manageSystem'), validate(otpLockoutValidation.clearOtpLockout), otpLockoutController.clearOtpLockout);
+
+export default router;
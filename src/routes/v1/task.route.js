@@ -2,6 +2,7 @@ import express from 'express';
 import auth from '../../middlewares/auth.js';
 import validate from '../../middlewares/validate.js';
 import taskValidation from '../../validations/task.validation.js';
+import recycleBinValidation from '../../validations/recycleBin.validation.js';
 import taskController from '../../controllers/task.controller.js';
 
 const router = express.Router();
@@ -30,6 +31,11 @@ router
   .post(validate(taskValidation.bulkCreateTasks), taskController.bulkCreateTasks)
   .delete(validate(taskValidation.bulkDeleteTasks), taskController.bulkDeleteTasks);
 
+// Deleted tasks, restorable until the recycle bin purge removes them - MUST be before /:taskId routes
+router
+  .route('/recycle-bin')
+  .get(validate(recycleBinValidation.getDeletedTasks), taskController.getDeletedTasks);
+
 router
   .route('/bulk/status')
   .patch(validate(taskValidation.bulkUpdateTaskStatus), taskController.bulkUpdateTaskStatus);
@@ -104,6 +110,10 @@ router
   .patch(validate(taskValidation.updateTask), taskController.updateTask)
   .delete(validate(taskValidation.deleteTask), taskController.deleteTask);
 
+router
+  .route('/:taskId/restore')
+  .post(validate(recycleBinValidation.restoreTask), taskController.restoreTask);
+
 // Attachment management
 router
   .route('/:taskId/attachments')
@@ -3,6 +3,7 @@ import { timelineController } from '../../controllers/index.js';
 import { timelineValidation } from '../../validations/index.js';
 import validate from '../../middlewares/validate.js';
 import auth from '../../middlewares/auth.js';
+import recycleBinValidation from '../../validations/recycleBin.validation.js';
 
 const router = express.Router();
 
@@ -19,19 +20,63 @@ router
   .route('/bulk-import-fields')
   .post(auth('manageTimelines'), validate(timelineValidation.bulkImportTimelineFields), timelineController.bulkImportTimelineFields);
 
+// Dry run of timeline generation: nothing is written
+router
+  .route('/preview')
+  .post(auth('manageTimelines'), validate(timelineValidation.previewTimelines), timelineController.previewTimelines);
+
+// Queues a job; follow it at /v1/jobs/:jobId
+router
+  .route('/backfill')
+  .post(auth('manageTimelines'), validate(timelineValidation.backfillTimelines), timelineController.backfillTimelines);
+
 router
   .route('/frequency-periods')
   .get(auth('getTimelines'), timelineController.getFrequencyPeriods);
 
+router
+  .route('/status-workflow')
+  .get(auth('getTimelines'), timelineController.getStatusWorkflow);
+
 // Add frequency-status-stats endpoint before the dynamic :timelineId route
 router
   .route('/frequency-status-stats')
   .get(auth('getTimelines'), timelineController.getFrequencyStatusStats);
 
+// Deleted timelines, restorable until the recycle bin purge removes them
+router
+  .route('/recycle-bin')
+  .get(auth('getTimelines'), validate(recycleBinValidation.getDeletedTimelines), timelineController.getDeletedTimelines);
+
 router
   .route('/:timelineId')
   .get(auth('getTimelines'), validate(timelineValidation.getTimeline), timelineController.getTimeline)
   .patch(auth('manageTimelines'), validate(timelineValidation.updateTimeline), timelineController.updateTimeline)
   .delete(auth('manageTimelines'), validate(timelineValidation.deleteTimeline), timelineController.deleteTimeline);
 
+router
+  .route('/:timelineId/restore')
+  .post(auth('manageTimelines'), validate(recycleBinValidation.restoreTimeline), timelineController.restoreTimeline);
+
+// Team members included; the workflow checks the permission needed for the specific move
+router
+  .route('/:timelineId/status')
+  .patch(auth('getTimelines'), validate(timelineValidation.updateTimelineStatus), timelineController.updateTimelineStatus);
+
+router
+  .route('/:timelineId/documents')
+  .get(auth('getTimelines'), validate(timelineValidation.getTimelineDocuments), timelineController.getTimelineDocuments);
+
+router
+  .route('/:timelineId/documents/sync')
+  .post(auth('manageTimelines'), validate(timelineValidation.getTimelineDocuments), timelineController.syncTimelineDocuments);
+
+router
+  .route('/:timelineId/documents/request')
+  .post(auth('manageTimelines'), validate(timelineValidation.sendDocumentRequest), timelineController.sendDocumentRequest);
+
+router
+  .route('/:timelineId/documents/:itemId')
+  .patch(auth('manageTimelines'), validate(timelineValidation.updateTimelineDocument), timelineController.updateTimelineDocument);
+
 export default router; 
\ No newline at end of file
@@ -32,7 +32,7 @@ const checkClientCategory = async () => {
     if (clientsWithoutCategory > 0) {
       console.log('\n⚠️  WARNING: Some clients do not have a category field!');
       console.log('   Please run the migration script:');
-      console.log('   node src/scripts/migrateClientCategory.js\n');
+      console.log('   npm run migrate\n');
     } else {
       console.log('\n✅ All clients have a category field!\n');
     }
@@ -124,7 +124,7 @@ const checkClientCategory = async () => {
         console.log(`   - ${invalidCategories} clients have invalid categories`);
       }
       console.log('\n   Recommended Action:');
-      console.log('   Run: node src/scripts/migrateClientCategory.js');
+      console.log('   Run: npm run migrate');
     }
 
     // Sample clients from each category
@@ -0,0 +1,52 @@
+/**
+ * Data migrations CLI (see services/migration.service.js). Uses MONGODB_URL from .env.
+ *
+ * Usage:
+ *   node src/scripts/migrate.js status                 # list applied and pending migrations
+ *   node src/scripts/migrate.js up [--to 0003]         # apply pending migrations (up to a version)
+ *   node src/scripts/migrate.js down [--steps 2]       # roll back the latest applied migration(s)
+ *   Add --dry-run to up/down to report what would change without writing anything.
+ */
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { getMigrationStatus, migrateUp, migrateDown } from '../services/migration.service.js';
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const run = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  await mongoose.connect(config.mongoose.url, config.mongoose.options);
+  try {
+    if (command === 'status') {
+      const migrations = await getMigrationStatus();
+      migrations.forEach(({ version, name, status, appliedAt }) => {
+        logger.info(`${version}-${name}: ${status}${appliedAt ? ` (${new Date(appliedAt).toISOString()})` : ''}`);
+      });
+    } else if (command === 'up' || command === 'down') {
+      const { ran, migrations } =
+        command === 'up'
+          ? await migrateUp({ dryRun, to: getOption(args, '--to') })
+          : await migrateDown({ dryRun, steps: Number(getOption(args, '--steps') || 1) });
+      if (!ran) {
+        process.exitCode = 1;
+      } else if (migrations.length === 0) {
+        logger.info(command === 'up' ? 'No pending migrations' : 'No applied migrations');
+      }
+    } else {
+      throw new Error(`Unknown command "${command}"; use status, up or down`);
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch((error) => {
+  logger.error(`❌ Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -403,11 +403,18 @@ const getMonthlyCounterpartForGstQuarterly = (activity, subactivity) => {
  * activity+subactivity to each client and creates timelines (recurring when applicable).
  * For GST + GSTR-1-Q or GSTR-3B-Q: removes the monthly counterpart (GSTR-1 / GSTR-3B)
  * from clients and deletes their timelines, then adds quarterly and creates timelines.
+ * With options.dryRun nothing is written: the result lists the timelines that would be created (unsaved) and
+ * counts the monthly GST timelines that would be deleted.
+ * @param {Object} bulkData
+ * @param {Object} [user]
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {Activity} [options.activity] - Activity to use instead of loading it (previews of unsaved changes)
  */
-const bulkCreateTimelines = async (bulkData, user = null) => {
+const bulkCreateTimelines = async (bulkData, user = null, { dryRun = false, activity: activityDoc = null } = {}) => {
   const { clientIds, activityId, subactivityId, ...timelineData } = bulkData;
 
-  const activity = await Activity.findById(activityId);
+  const activity = activityDoc || (await Activity.findById(activityId));
   if (!activity) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Activity not found');
   }
@@ -433,7 +440,7 @@ const bulkCreateTimelines = async (bulkData, user = null) => {
     }
   }
 
-  const results = { created: 0, failed: 0, errors: [] };
+  const results = { created: 0, failed: 0, errors: [], ...(dryRun && { deleted: 0, timelines: [] }) };
 
   if (!subactivityId || !subactivity) {
     // No subactivity: legacy path – bulk insert simple timelines only (no client.activities update)
@@ -455,6 +462,11 @@ const bulkCreateTimelines = async (bulkData, user = null) => {
         ...(timelineData.financialYear && { financialYear: timelineData.financialYear }),
       };
     });
+    if (dryRun) {
+      results.timelines = timelinesToCreate.map((timeline) => new Timeline(timeline));
+      results.created = timelinesToCreate.length;
+      return results;
+    }
     try {
       const inserted = await Timeline.insertMany(timelinesToCreate, { ordered: false, rawResult: true });
       results.created = inserted.insertedCount || timelinesToCreate.length;
@@ -504,12 +516,12 @@ const bulkCreateTimelines = async (bulkData, user = null) => {
       if (monthlyCounterpartId) {
         const before = (client.activities || []).length;
         client.activities = (client.activities || []).filter((a) => !isMonthlyGst(a));
-        if (client.activities.length < before) await client.save();
+        if (client.activities.length < before && !dryRun) await client.save();
       }
 
       if (monthlyCounterpartId) {
         const monthlyName = GST_QUARTERLY_TO_MONTHLY[subactivity.name?.trim()] || '';
-        await Timeline.deleteMany({
+        const monthlyFilter = {
           client: client._id,
           activity: activityId,
           $or: [
@@ -517,17 +529,26 @@ const bulkCreateTimelines = async (bulkData, user = null) => {
             { 'subactivity._id': monthlyCounterpartId },
             ...(monthlyName ? [{ 'subactivity.name': monthlyName }] : []),
           ],
-        });
+        };
+        if (dryRun) results.deleted += await Timeline.countDocuments(monthlyFilter);
+        else await Timeline.deleteMany(monthlyFilter);
       }
 
       const didAdd = !alreadyHasSubactivity;
-      if (didAdd) {
+      if (didAdd && dryRun) {
+        const timelines = await createClientTimelines(client, [newActivityEntry], {
+          dryRun: true,
+          activityDocs: [activity],
+        });
+        results.created += timelines.length;
+        results.timelines.push(...timelines);
+      } else if (didAdd) {
         client.activities = client.activities || [];
         client.activities.push(newActivityEntry);
         await client.save();
       }
 
-      if (didAdd) {
+      if (didAdd && !dryRun) {
         const fullClient = await Client.findById(client._id).select('_id branch activities gstNumbers').lean();
         if (fullClient) {
           const entryForTimeline = (fullClient.activities || []).find((a) => {
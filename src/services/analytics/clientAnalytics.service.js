@@ -9,24 +9,25 @@ import { hasBranchAccess, getUserBranchIds } from '../role.service.js';
 import { getCurrentFinancialYear } from '../../utils/financialYear.js';
 
 /**
- * Build per-activity timeline counts (completed, pending, ongoing, delayed) from timeline list
+ * Build per-activity timeline counts (completed, pending, ongoing, ready for review, filed, delayed) from timeline list
  * @param {Array} timelineList - timelines with activity populated
- * @returns {Array} [{ activityId, activityName, total, completed, pending, ongoing, delayed }]
+ * @returns {Array} [{ activityId, activityName, total, completed, pending, ongoing, readyForReview, filed, delayed }]
  */
 const buildTimelineByActivitySummary = (timelineList) => {
   const byActivity = new Map();
-  const PENDING_STATUSES = ['pending', 'ongoing', 'delayed'];
   (timelineList || []).forEach((t) => {
     const aid = t.activity?._id?.toString() || t.activity?.toString();
     const name = t.activity?.name || 'Unknown';
     if (!aid) return;
     if (!byActivity.has(aid)) {
-      byActivity.set(aid, { activityId: aid, activityName: name, total: 0, completed: 0, pending: 0, ongoing: 0, delayed: 0, notApplicable: 0 });
+      byActivity.set(aid, { activityId: aid, activityName: name, total: 0, completed: 0, pending: 0, ongoing: 0, readyForReview: 0, filed: 0, delayed: 0, notApplicable: 0 });
     }
     const row = byActivity.get(aid);
     row.total += 1;
     if (t.status === 'completed') row.completed += 1;
     else if (t.status === 'ongoing') row.ongoing += 1;
+    else if (t.status === 'ready for review') row.readyForReview += 1;
+    else if (t.status === 'filed') row.filed += 1;
     else if (t.status === 'delayed') row.delayed += 1;
     else if (t.status === 'not applicable') row.notApplicable += 1;
     else row.pending += 1;
@@ -44,23 +45,26 @@ const buildTimelineHistoryByYear = (allTimelines) => {
   (allTimelines || []).forEach((t) => {
     const fy = t.financialYear || 'No FY';
     if (!byYear.has(fy)) {
-      byYear.set(fy, { financialYear: fy, total: 0, completed: 0, pending: 0, ongoing: 0, delayed: 0, notApplicable: 0, byActivity: new Map() });
+      byYear.set(fy, { financialYear: fy, total: 0, completed: 0, pending: 0, ongoing: 0, readyForReview: 0, filed: 0, delayed: 0, notApplicable: 0, byActivity: new Map() });
     }
     const row = byYear.get(fy);
     row.total += 1;
     if (t.status === 'completed') row.completed += 1;
     else if (t.status === 'ongoing') row.ongoing += 1;
+    else if (t.status === 'ready for review') row.readyForReview += 1;
+    else if (t.status === 'filed') row.filed += 1;
     else if (t.status === 'delayed') row.delayed += 1;
     else if (t.status === 'not applicable') row.notApplicable += 1;
     else row.pending += 1;
     const aid = t.activity?._id?.toString() || t.activity?.toString();
     const name = t.activity?.name || 'Unknown';
     if (aid) {
-      if (!row.byActivity.has(aid)) row.byActivity.set(aid, { activityId: aid, activityName: name, total: 0, completed: 0, pending: 0, notApplicable: 0 });
+      if (!row.byActivity.has(aid)) row.byActivity.set(aid, { activityId: aid, activityName: name, total: 0, completed: 0, pending: 0, filed: 0, notApplicable: 0 });
       const ar = row.byActivity.get(aid);
       ar.total += 1;
       if (t.status === 'completed') ar.completed += 1;
       else if (t.status === 'not applicable') ar.notApplicable += 1;
+      else if (t.status === 'filed') ar.filed += 1;
       else ar.pending += 1;
     }
   });
@@ -70,6 +74,8 @@ const buildTimelineHistoryByYear = (allTimelines) => {
     completed: y.completed,
     pending: y.pending,
     ongoing: y.ongoing,
+    readyForReview: y.readyForReview,
+    filed: y.filed,
     delayed: y.delayed,
     notApplicable: y.notApplicable,
     byActivity: Array.from(y.byActivity.values())
@@ -0,0 +1,57 @@
+import httpStatus from 'http-status';
+import AuditLog from '../models/auditLog.model.js';
+import ApiError from '../utils/ApiError.js';
+import { hasBranchAccess, getUserBranchIds } from './role.service.js';
+
+// Entries of a branch: its own entities, and roles covering it (see the getBranches option of audit.plugin.js)
+const inBranches = (branchIds) => [{ branch: { $in: branchIds } }, { branches: { $in: branchIds } }, { allBranches: true }];
+
+/**
+ * Query audit log entries
+ * @param {Object} filter - entityType, entityId, actor, actorModel, action, field, branch, startDate, endDate
+ * @param {Object} options - Query options
+ * @param {Object} [user] - Requesting user; results are limited to the branches their role can access
+ * @returns {Promise<QueryResult>}
+ */
+const queryAuditLogs = async (filter, options, user = null) => {
+  const mongoFilter = {};
+
+  ['entityType', 'entityId', 'actor', 'actorModel', 'action'].forEach((key) => {
+    if (filter[key]) {
+      mongoFilter[key] = filter[key];
+    }
+  });
+
+  if (filter.field) {
+    mongoFilter['changes.field'] = filter.field;
+  }
+
+  if (filter.startDate || filter.endDate) {
+    mongoFilter.createdAt = {};
+    if (filter.startDate) {
+      mongoFilter.createdAt.$gte = new Date(filter.startDate);
+    }
+    if (filter.endDate) {
+      mongoFilter.createdAt.$lte = new Date(filter.endDate);
+    }
+  }
+
+  if (filter.branch) {
+    if (user && user.role && !hasBranchAccess(user.role, filter.branch)) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this branch');
+    }
+    mongoFilter.$or = inBranches([filter.branch]);
+  } else if (user && user.role) {
+    const allowedBranchIds = getUserBranchIds(user.role);
+    if (allowedBranchIds !== null) {
+      if (allowedBranchIds.length === 0) {
+        throw new ApiError(httpStatus.FORBIDDEN, 'No branch access granted');
+      }
+      mongoFilter.$or = inBranches(allowedBranchIds);
+    }
+  }
+
+  return AuditLog.paginate(mongoFilter, { sortBy: 'createdAt:desc', ...options });
+};
+
+export { queryAuditLogs };
@@ -7,6 +7,7 @@ import { wrapWithDefaultLayout, getLogoAttachment } from '../utils/emailLayout.j
 import { getUserBranchIds, hasBranchAccess } from './role.service.js';
 import * as emailTemplateService from './emailTemplate.service.js';
 import * as emailService from './email.service.js';
+import { enqueueJob, getJobRequester } from './jobQueue.service.js';
 
 /** Resolve fromEmail (e.g. info@vsc.co.in) to SMTP account key (e.g. 'info') from config. */
 const getFromAccountForEmail = (fromEmail) => {
@@ -15,9 +16,46 @@ const getFromAccountForEmail = (fromEmail) => {
   return entry ? entry[0] : null;
 };
 
+const hasText = (value) => Boolean(value && value.trim());
+
+/**
+ * Who at a client gets mail about an activity: the contacts listed for that activity, else the primary contact,
+ * else the client's own email (email2 when email is empty)
+ * @param {Object} client - With contacts, email, email2 and name
+ * @param {ObjectId|string} [activityId] - Activity the mail is about; none for general mail
+ * @returns {Array<{ name: string, email: string }>} Empty when the client has no email address
+ */
+const getClientRecipients = (client, activityId = null) => {
+  const contacts = (client.contacts || []).filter((contact) => hasText(contact.email));
+  const forActivity = activityId
+    ? contacts.filter((contact) => (contact.activities || []).some((activity) => String(activity) === String(activityId)))
+    : [];
+  const primary = contacts.find((contact) => contact.primary);
+  const chosen = forActivity.length > 0 ? forActivity : [primary].filter(Boolean);
+  if (chosen.length > 0) {
+    const recipients = chosen.map((contact) => ({ name: contact.name, email: contact.email.trim() }));
+    return recipients.filter((recipient, index) => recipients.findIndex((r) => r.email === recipient.email) === index);
+  }
+
+  const email = [client.email, client.email2].find(hasText);
+  return email ? [{ name: client.name, email: email.trim() }] : [];
+};
+
+/**
+ * Placeholder values for the people an email goes to: {{contactName}} greets the contacts, else the client
+ * @param {Array<{ name: string }>} recipients - From getClientRecipients
+ * @returns {{ contactName: string }}
+ */
+const getRecipientPlaceholders = (recipients) => ({
+  contactName: recipients
+    .map((recipient) => recipient.name)
+    .filter(Boolean)
+    .join(', '),
+});
+
 /**
  * Resolve clients for bulk email: either by clientIds or all (optionally filtered by branch)
- * Only returns clients that have at least one of email or email2.
+ * Only returns clients that have at least one of email, email2 or a contact email.
  * Enforces branch access for user.
  */
 const getEligibleClients = async (user, { clientIds, branchId }) => {
@@ -40,20 +78,27 @@ const getEligibleClients = async (user, { clientIds, branchId }) => {
     }
   }
 
-  const clients = await Client.find(filter)
-    .select('name email email2 phone address district state country')
-    .lean();
-  const withEmail = clients.filter((c) => (c.email && c.email.trim()) || (c.email2 && c.email2.trim()));
+  const clients = await Client.find(filter).select('name email email2 contacts phone address district state country').lean();
+  const withEmail = clients.filter(
+    (c) => hasText(c.email) || hasText(c.email2) || (c.contacts || []).some((contact) => hasText(contact.email))
+  );
   return withEmail;
 };
 
 /**
- * Pick primary email for client (email else email2)
+ * First address mail about an activity (or general mail) goes to (see getClientRecipients)
+ * @param {Object} client
+ * @param {ObjectId|string} [activityId]
+ * @returns {string|null}
  */
-const primaryEmail = (client) => (client.email && client.email.trim() ? client.email.trim() : (client.email2 && client.email2.trim() ? client.email2.trim() : null));
+const primaryEmail = (client, activityId = null) => {
+  const [recipient] = getClientRecipients(client, activityId);
+  return recipient ? recipient.email : null;
+};
 
 /**
- * Send bulk emails using a template to selected or all clients
+ * Send bulk emails using a template to selected or all clients. A template tied to an activity goes to the
+ * client's contacts for that activity.
  * @param {string} templateId
  * @param {{ clientIds?: string[], branchId?: string, fromEmail?: string }} options - clientIds OR branchId; fromEmail = send from that SMTP (info@vsc.co.in, audit@vsc.co.in, etc.)
  * @param {Object} user
@@ -67,18 +112,23 @@ const sendBulkWithTemplate = async (templateId, options, user) => {
   const result = { sent: 0, failed: 0, skipped: 0, errors: [] };
 
   for (const client of clients) {
-    const to = primaryEmail(client);
-    if (!to) {
+    const recipients = getClientRecipients(client, template.activity);
+    if (recipients.length === 0) {
       result.skipped += 1;
       continue;
     }
+    const to = recipients.map((recipient) => recipient.email).join(', ');
     try {
-      const { subject, text } = emailTemplateService.renderForClient(template, client);
-      const { html } = emailTemplateService.renderForClientHtml(template, client);
+      const extra = getRecipientPlaceholders(recipients);
+      const { subject, text } = emailTemplateService.renderForClient(template, client, extra);
+      const { html } = emailTemplateService.renderForClientHtml(template, client, extra);
       const wrappedHtml = wrapWithDefaultLayout(html, { useCid: true });
       const logoAttach = getLogoAttachment();
       const attachments = logoAttach ? [logoAttach] : [];
-      const sendOptions = fromAccount ? { fromAccount } : {};
+      const sendOptions = {
+        ...(fromAccount ? { fromAccount } : {}),
+        log: { category: 'bulk', client: client._id, template: template._id },
+      };
       await emailService.sendEmailWithAttachments(to, subject, text, wrappedHtml, attachments, sendOptions);
       result.sent += 1;
     } catch (err) {
@@ -94,4 +144,24 @@ const sendBulkWithTemplate = async (templateId, options, user) => {
   return result;
 };
 
-export { getEligibleClients, sendBulkWithTemplate, primaryEmail };
+/**
+ * Queue a bulk template send to run in the background (see sendBulkWithTemplate for options).
+ * The template is checked up front; the job runs once since a retry would email clients again.
+ * @param {string} templateId
+ * @param {Object} options
+ * @param {Object} user
+ * @returns {Promise<Job>}
+ */
+const queueBulkWithTemplate = async (templateId, options, user) => {
+  await emailTemplateService.getTemplateById(templateId, user);
+  return enqueueJob('email.bulkTemplate', { templateId, options }, { maxAttempts: 1, ...getJobRequester(user) });
+};
+
+export {
+  getEligibleClients,
+  sendBulkWithTemplate,
+  queueBulkWithTemplate,
+  getClientRecipients,
+  getRecipientPlaceholders,
+  primaryEmail,
+};
@@ -5,6 +5,10 @@ import ApiError from '../utils/ApiError.js';
 import { hasBranchAccess, getUserBranchIds } from './role.service.js';
 import { createClientTimelines as createTimelinesFromService } from './timeline.service.js';
 import cache from '../utils/cache.js';
+import { validateGstin } from '../utils/gstin.js';
+import { suggestEntityTypeForPan } from '../utils/pan.js';
+import { getEntityTypeNames } from './clientEntityType.service.js';
+import { findClientsWithSameIdentifiers, findImportDuplicates } from './clientDuplicate.service.js';
 
 /**
  * Helper function to get month name from month index
@@ -273,9 +277,26 @@ const createClient = async (clientBody, user = null) => {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid category. Allowed values are: A, B, C');
   }
 
+  // One client per PAN/GSTIN unless the caller knowingly creates another (see GET /clients/duplicates)
+  const { allowDuplicate } = clientBody;
+  delete clientBody.allowDuplicate;
+  if (!allowDuplicate) {
+    const allowedBranchIds = user && user.role ? getUserBranchIds(user.role) : null;
+    const duplicates = await findClientsWithSameIdentifiers(clientBody, null, allowedBranchIds);
+    if (duplicates.length > 0) {
+      const [first] = duplicates;
+      const owner = first.otherBranch ? 'a client in another branch' : `client ${first.name}`;
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `${first.matchedOn === 'pan' ? 'PAN' : 'GSTIN'} ${first.value} already belongs to ${owner}`,
+        { duplicates }
+      );
+    }
+  }
+
   // Process GST numbers if provided
   if (clientBody.gstNumbers && Array.isArray(clientBody.gstNumbers)) {
-    const gstResult = await processGstNumbersFromFrontend(clientBody.gstNumbers, []);
+    const gstResult = await processGstNumbersFromFrontend(clientBody.gstNumbers, [], { pan: clientBody.pan });
     
     if (!gstResult.isValid) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'GST numbers validation failed', {
@@ -559,7 +580,10 @@ const updateClientById = async (clientId, updateBody, user = null) => {
 
   // Process GST numbers if provided
   if (updateBody.gstNumbers !== undefined) {
-    const gstResult = await processGstNumbersFromFrontend(updateBody.gstNumbers, client.gstNumbers);
+    const gstResult = await processGstNumbersFromFrontend(updateBody.gstNumbers, client.gstNumbers, {
+      pan: updateBody.pan !== undefined ? updateBody.pan : client.pan,
+      panChanged: updateBody.pan !== undefined && updateBody.pan !== client.pan
+    });
     
     if (!gstResult.isValid) {
       throw new ApiError(httpStatus.BAD_REQUEST, 'GST numbers validation failed', {
@@ -569,6 +593,16 @@ const updateClientById = async (clientId, updateBody, user = null) => {
     
     // Replace the gstNumbers field with processed result
     updateBody.gstNumbers = gstResult.gstNumbers;
+  } else if (updateBody.pan && updateBody.pan !== client.pan) {
+    // A changed PAN must still be the one in the client's GSTINs
+    const panErrors = (client.gstNumbers || [])
+      .flatMap((gst) => validateGstin(gst.gstNumber, { pan: updateBody.pan }))
+      .filter((gstinError) => gstinError.code === 'PAN_MISMATCH');
+    if (panErrors.length > 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'GST numbers validation failed', {
+        errors: panErrors.map((gstinError) => ({ type: gstinError.code, message: gstinError.message }))
+      });
+    }
   }
 
   // Merge client data with update body to check for compliance fields (for auto-detect when activities not provided)
@@ -662,7 +696,22 @@ const updateClientStatus = async (clientId, status, user = null) => {
 };
 
 /**
- * Delete client by id
+ * Move clients and their timelines to the recycle bin (see services/recycleBin.service.js). The timelines share the
+ * clients' deletedAt, so restoring a client brings back the timelines deleted with it.
+ * @param {Array<ObjectId>} clientIds
+ * @param {Object} [user] - Who deleted them
+ * @returns {Promise<number>} Number of clients deleted
+ */
+const softDeleteClients = async (clientIds, user = null) => {
+  const deletedBy = user ? user._id || user.id : null;
+  const deletedAt = new Date();
+  const deleted = await Client.softDeleteMany({ _id: { $in: clientIds } }, deletedBy, deletedAt);
+  await Timeline.softDeleteMany({ client: { $in: clientIds } }, deletedBy, deletedAt);
+  return deleted;
+};
+
+/**
+ * Delete client by id (to the recycle bin)
  * @param {ObjectId} clientId
  * @param {Object} user - User object with role information (optional)
  * @returns {Promise<Client>}
@@ -677,16 +726,17 @@ const deleteClientById = async (clientId, user = null) => {
     }
   }
   
-  await client.deleteOne();
+  await softDeleteClients([client._id], user);
   return client;
 };
 
 /**
- * Bulk delete clients by IDs
+ * Bulk delete clients by IDs (to the recycle bin)
  * @param {Array<string>} clientIds - Array of client IDs to delete
+ * @param {Object} [user] - Who deleted them
  * @returns {Promise<Object>} - Result with deleted count and errors
  */
-const bulkDeleteClients = async (clientIds) => {
+const bulkDeleteClients = async (clientIds, user = null) => {
   
   const results = {
     deleted: 0,
@@ -726,24 +776,21 @@ const bulkDeleteClients = async (clientIds) => {
         });
 
         if (validIds.length > 0) {
-          // Delete clients in batch
-          const deleteResult = await Client.deleteMany({
+          // Clients already in the recycle bin count as not found
+          const foundIds = await Client.find({
             _id: { $in: validIds }
-          });
+          }).select('_id').lean();
 
-          const deletedCount = deleteResult.deletedCount || 0;
+          // Delete clients in batch
+          const deletedCount = await softDeleteClients(foundIds.map(c => c._id), user);
           results.deleted += deletedCount;
           
           // Check which clients were not found (if any)
-          if (deletedCount < validIds.length) {
-            const notFoundCount = validIds.length - deletedCount;
+          if (foundIds.length < validIds.length) {
+            const notFoundCount = validIds.length - foundIds.length;
             results.notFound += notFoundCount;
             
             // Find which specific IDs were not found
-            const foundIds = await Client.find({
-              _id: { $in: validIds }
-            }).select('_id').lean();
-
             const foundIdSet = new Set(foundIds.map(c => c._id.toString()));
             const notFoundIds = validIds.filter(id => !foundIdSet.has(id.toString()));
 
@@ -859,7 +906,9 @@ const processActivitiesFromFrontend = async (activityData) => {
 };
 
 // Helper function to process GST numbers from frontend data
-const processGstNumbersFromFrontend = async (gstNumbersData, existingGstNumbers = []) => {
+// Existing rows that come back unchanged are only re-checked when the PAN changes, so an older GSTIN that fails the
+// check digit does not block unrelated edits (GET /clients/identifier-report lists those)
+const processGstNumbersFromFrontend = async (gstNumbersData, existingGstNumbers = [], { pan, panChanged = true } = {}) => {
   
   if (!gstNumbersData || !Array.isArray(gstNumbersData)) {
     return { isValid: true, gstNumbers: existingGstNumbers, errors: [] };
@@ -869,7 +918,7 @@ const processGstNumbersFromFrontend = async (gstNumbersData, existingGstNumbers
   const gstNumbers = [];
   const errors = [];
   
-  for (const gstRow of gstNumbersData) {
+  for (const [rowIndex, gstRow] of gstNumbersData.entries()) {
     try {
 
       // Validate required fields
@@ -883,6 +932,30 @@ const processGstNumbersFromFrontend = async (gstNumbersData, existingGstNumbers
         continue;
       }
 
+      // Check digit, and PAN and state code against the client; every problem in the row is reported
+      const unchanged =
+        !panChanged &&
+        gstRow._id &&
+        existingGstNumbers.some(
+          (gst) =>
+            gst._id &&
+            gst._id.toString() === String(gstRow._id) &&
+            gst.gstNumber === gstRow.gstNumber.trim() &&
+            gst.state === gstRow.state.trim()
+        );
+      const gstinErrors = unchanged ? [] : validateGstin(gstRow.gstNumber, { pan, state: gstRow.state });
+      if (gstinErrors.length > 0) {
+        gstinErrors.forEach((gstinError) => {
+          errors.push({
+            type: gstinError.code,
+            message: `GST row ${rowIndex + 1}: ${gstinError.message}`,
+            row: rowIndex,
+            data: gstRow
+          });
+        });
+        continue;
+      }
+
       // Check if this is an update (has _id) or new entry
       if (gstRow._id) {
 
@@ -1066,6 +1139,7 @@ const bulkImportClients = async (clients) => {
     created: 0,
     updated: 0,
     errors: [],
+    entityTypeSuggestions: [],
     totalProcessed: 0,
   };
 
@@ -1073,11 +1147,17 @@ const bulkImportClients = async (clients) => {
   
   const startTime = Date.now();
 
+  // For suggesting entity types of new clients from their PAN; the suggestions are returned, not saved
+  const entityTypeNames = await getEntityTypeNames();
+
   // Separate clients for creation and update
   const toCreate = clients.filter((client) => !client.id);
   const toUpdate = clients.filter((client) => client.id);
 
-  // Process creation in batches - allow duplicates
+  // New clients whose PAN/GSTIN another client (or an earlier row) already has
+  const duplicateErrors = await findImportDuplicates(toCreate);
+
+  // Process creation in batches
   if (toCreate.length > 0) {
     for (let i = 0; i < toCreate.length; i += BATCH_SIZE) {
       const batch = toCreate.slice(i, i + BATCH_SIZE);
@@ -1090,6 +1170,15 @@ const bulkImportClients = async (clients) => {
         const processedBatch = await Promise.all(
           batch.map(async (client, batchIndex) => {
 
+            if (duplicateErrors.has(i + batchIndex)) {
+              results.errors.push({
+                index: i + batchIndex,
+                error: duplicateErrors.get(i + batchIndex).message,
+                data: client
+              });
+              return null;
+            }
+
             // Basic validation for required fields
             if (!client.name || !client.branch) {
               const error = `Missing required fields - name: ${!!client.name}, branch: ${!!client.branch}`;
@@ -1102,7 +1191,7 @@ const bulkImportClients = async (clients) => {
               return null; // Skip this client
             }
             
-            let processedClient = { ...client };
+            const { allowDuplicate, ...processedClient } = client;
             
             // Validate and set default category if not provided
             if (!processedClient.category) {
@@ -1115,6 +1204,19 @@ const bulkImportClients = async (clients) => {
               });
               return null; // Skip this client
             }
+
+            const suggestedEntityType =
+              !processedClient.entityType && processedClient.pan
+                ? suggestEntityTypeForPan(processedClient.pan, entityTypeNames)
+                : null;
+            if (suggestedEntityType) {
+              results.entityTypeSuggestions.push({
+                index: i + batchIndex,
+                name: processedClient.name,
+                pan: processedClient.pan,
+                suggestedEntityType,
+              });
+            }
             
             // Auto-detect and add compliance activities based on PAN, TAN, and GST numbers
             const autoDetectedActivities = await autoDetectComplianceActivities(processedClient, []);
@@ -1196,7 +1298,7 @@ const bulkImportClients = async (clients) => {
                 }
               }
               
-              const gstResult = await processGstNumbersFromFrontend(client.gstNumbers, []);
+              const gstResult = await processGstNumbersFromFrontend(client.gstNumbers, [], { pan: client.pan });
               if (!gstResult.isValid) {
 
                 // Add validation errors to results
@@ -1436,7 +1538,10 @@ const bulkImportClients = async (clients) => {
                     }
                   }
                   
-                  const gstResult = await processGstNumbersFromFrontend(client.gstNumbers, existingClient.gstNumbers);
+                  const gstResult = await processGstNumbersFromFrontend(client.gstNumbers, existingClient.gstNumbers, {
+                    pan: client.pan !== undefined ? client.pan : existingClient.pan,
+                    panChanged: client.pan !== undefined && client.pan !== existingClient.pan
+                  });
                   if (gstResult.isValid) {
                     gstNumbers = gstResult.gstNumbers;
                   } else {
@@ -1680,6 +1785,10 @@ const removeActivityFromClient = async (clientId, activityId) => {
   }
   
   client.activities.splice(activityIndex, 1);
+  // Contacts stop getting mail for the activity once the client no longer has it
+  if (!client.activities.some((act) => act.activity.toString() === activityId)) {
+    client.contacts.forEach((contact) => contact.activities.pull(activityId));
+  }
   await client.save();
 };
 
@@ -1895,6 +2004,12 @@ const getClientTaskStatistics = async (filter = {}, options = {}, user = null) =
       {
         $unwind: '$timelineDetails'
       },
+      // Leave out timelines in the recycle bin
+      {
+        $match: {
+          'timelineDetails.isDeleted': { $ne: true }
+        }
+      },
       // Lookup client details from timeline
       {
         $lookup: {
@@ -1911,7 +2026,8 @@ const getClientTaskStatistics = async (filter = {}, options = {}, user = null) =
       // Match only the clients we're interested in
       {
         $match: {
-          'clientDetails._id': { $in: clientIds }
+          'clientDetails._id': { $in: clientIds },
+          'clientDetails.isDeleted': { $ne: true }
         }
       },
       // Group by client and status
@@ -2165,6 +2281,20 @@ const reprocessExistingClients = async (filter = {}, batchSize = 50) => {
   return results;
 };
 
+/**
+ * Throw a 400 listing every problem with a GSTIN (check digit, PAN, state code)
+ * @param {string} gstNumber
+ * @param {Object} context - { pan, state }
+ */
+const assertValidGstin = (gstNumber, context) => {
+  const gstinErrors = validateGstin(gstNumber, context);
+  if (gstinErrors.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, gstinErrors.map((gstinError) => gstinError.message).join('; '), {
+      errors: gstinErrors.map((gstinError) => ({ type: gstinError.code, message: gstinError.message }))
+    });
+  }
+};
+
 /**
  * Add a new GST number to a client
  * @param {ObjectId} clientId - Client ID
@@ -2181,6 +2311,7 @@ const addGstNumber = async (clientId, gstData) => {
   if (!gstData.state || !gstData.gstNumber || !gstData.dateOfRegistration || !gstData.gstUserId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Missing required fields: state, gstNumber, dateOfRegistration, and gstUserId are required');
   }
+  assertValidGstin(gstData.gstNumber, { pan: client.pan, state: gstData.state });
 
   // Check if GST number already exists for this state
   const existingGst = client.gstNumbers.find(
@@ -2259,6 +2390,12 @@ const updateGstNumber = async (clientId, gstId, updateData) => {
     }
   }
 
+  // Only a new number or state is checked; other edits to a row with an older bad GSTIN still go through
+  const current = client.gstNumbers[gstIndex];
+  if (updateData.gstNumber || updateData.state) {
+    assertValidGstin(updateData.gstNumber || current.gstNumber, { pan: client.pan, state: updateData.state || current.state });
+  }
+
   // Update GST data with proper type conversion
   if (updateData.state) updateData.state = updateData.state.trim();
   if (updateData.gstNumber) updateData.gstNumber = updateData.gstNumber.trim();
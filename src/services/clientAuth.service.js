@@ -8,6 +8,7 @@ import ApiError from '../utils/ApiError.js';
 import { tokenTypes } from '../config/tokens.js';
 import { emailService } from './index.js';
 import { getOTPEmailContent } from './email.service.js';
+import { createOTP, verifyOTP } from './otp.service.js';
 
 /**
  * Generate OTP for client login
@@ -24,33 +25,11 @@ const generateClientOTP = async (pan) => {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Client email not found. Please contact support.');
   }
 
-  // Generate 6-digit OTP
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  
-  // Save OTP token
-  const expires = moment().add(10, 'minutes'); // OTP expires in 10 minutes
-  const otpToken = jwt.sign(
-    { 
-      sub: client.id, 
-      otp, 
-      type: tokenTypes.CLIENT_OTP 
-    }, 
-    config.jwt.secret, 
-    { expiresIn: '10m' }
-  );
-  
-  await Token.create({
-    token: otpToken,
-    user: client.id,
-    userModel: 'Client',
-    expires: expires.toDate(),
-    type: tokenTypes.CLIENT_OTP,
-    blacklisted: false,
-  });
+  const { otp } = await createOTP({ userId: client.id, userModel: 'Client', identifier: client.pan }, tokenTypes.CLIENT_OTP);
 
   // Send OTP via email (header, highlighted OTP, footer)
   const { subject, text, html } = getOTPEmailContent(client.name || 'Client', otp, 'client');
-  await emailService.sendEmail(client.email, subject, text, html);
+  await emailService.sendEmail(client.email, subject, text, html, { log: { category: 'otp', client: client._id } });
 
   return { 
     message: 'OTP sent successfully',
@@ -71,30 +50,7 @@ const verifyClientOTP = async (email, pan, otp) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'No client found with this email and PAN');
   }
 
-  // Find the OTP token
-  const otpTokenDoc = await Token.findOne({
-    user: client.id,
-    type: tokenTypes.CLIENT_OTP,
-    blacklisted: false,
-    expires: { $gt: new Date() }
-  }).sort({ createdAt: -1 });
-
-  if (!otpTokenDoc) {
-    throw new ApiError(httpStatus.UNAUTHORIZED, 'OTP expired or not found');
-  }
-
-  // Verify OTP
-  try {
-    const payload = jwt.verify(otpTokenDoc.token, config.jwt.secret);
-    if (payload.otp !== otp) {
-      throw new ApiError(httpStatus.UNAUTHORIZED, 'Invalid OTP');
-    }
-  } catch (error) {
-    throw new ApiError(httpStatus.UNAUTHORIZED, 'Invalid or expired OTP');
-  }
-
-  // Blacklist the OTP token
-  await Token.findByIdAndUpdate(otpTokenDoc._id, { blacklisted: true });
+  await verifyOTP({ userId: client.id, userModel: 'Client', identifier: client.pan }, tokenTypes.CLIENT_OTP, otp);
 
   // Generate client access token
   const accessTokenExpires = moment().add(24, 'hours'); // Client token valid for 24 hours
@@ -0,0 +1,114 @@
+/**
+ * Contact persons of a client (Client.contacts): accountants, directors, authorised signatories. Each contact lists the
+ * activities it receives mail for, and one can be the primary contact for everything else; bulk emails, deadline
+ * reminders and document requests pick their recipients with getClientRecipients in bulkEmail.service.js.
+ */
+import httpStatus from 'http-status';
+import { Client } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { hasBranchAccess } from './role.service.js';
+
+const getAccessibleClient = async (clientId, user) => {
+  const client = await Client.findById(clientId);
+  if (!client) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
+  }
+  if (user && user.role && !hasBranchAccess(user.role, String(client.branch))) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this branch');
+  }
+  return client;
+};
+
+const getContact = (client, contactId) => {
+  const contact = client.contacts.id(contactId);
+  if (!contact) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Contact not found');
+  }
+  return contact;
+};
+
+// A contact can only be mailed about activities the client actually has
+const assertActivitiesAssigned = (client, activities = []) => {
+  const assigned = new Set(client.activities.map((assignment) => String(assignment.activity)));
+  const unassigned = activities.filter((activity) => !assigned.has(String(activity)));
+  if (unassigned.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Activities not assigned to this client: ${unassigned.join(', ')}`);
+  }
+};
+
+// Making a contact primary takes the flag from whichever contact had it
+const keepSinglePrimary = (client, primaryContact) => {
+  if (!primaryContact.primary) {
+    return;
+  }
+  client.contacts.forEach((contact) => {
+    if (contact !== primaryContact && contact.primary) {
+      contact.set('primary', false);
+    }
+  });
+};
+
+/**
+ * Get the contacts of a client
+ * @param {ObjectId} clientId
+ * @param {Object} [user]
+ * @returns {Promise<Array>}
+ */
+const getContacts = async (clientId, user = null) => {
+  const client = await getAccessibleClient(clientId, user);
+  return client.contacts;
+};
+
+/**
+ * Add a contact to a client
+ * @param {ObjectId} clientId
+ * @param {Object} contactBody - name, designation, email, phone, din, activities, primary
+ * @param {Object} [user]
+ * @returns {Promise<Object>} The new contact
+ */
+const addContact = async (clientId, contactBody, user = null) => {
+  const client = await getAccessibleClient(clientId, user);
+  assertActivitiesAssigned(client, contactBody.activities);
+
+  client.contacts.push(contactBody);
+  const contact = client.contacts[client.contacts.length - 1];
+  keepSinglePrimary(client, contact);
+  await client.save();
+  return contact;
+};
+
+/**
+ * Update a contact of a client
+ * @param {ObjectId} clientId
+ * @param {ObjectId} contactId
+ * @param {Object} updateBody
+ * @param {Object} [user]
+ * @returns {Promise<Object>} The updated contact
+ */
+const updateContact = async (clientId, contactId, updateBody, user = null) => {
+  const client = await getAccessibleClient(clientId, user);
+  const contact = getContact(client, contactId);
+  if (updateBody.activities) {
+    assertActivitiesAssigned(client, updateBody.activities);
+  }
+
+  contact.set(updateBody);
+  keepSinglePrimary(client, contact);
+  await client.save();
+  return contact;
+};
+
+/**
+ * Remove a contact from a client. Mail for its activities goes to the primary contact (or the client email) again.
+ * @param {ObjectId} clientId
+ * @param {ObjectId} contactId
+ * @param {Object} [user]
+ * @returns {Promise<void>}
+ */
+const removeContact = async (clientId, contactId, user = null) => {
+  const client = await getAccessibleClient(clientId, user);
+  getContact(client, contactId).remove();
+  await client.save();
+};
+
+export { getContacts, addContact, updateContact, removeContact };
@@ -0,0 +1,259 @@
+/**
+ * Client portal documents: clients upload into and download from their own `/Clients/<name>` folder.
+ * Files may be filed under a per-FY / per-activity sub-folder; staff are emailed when a client uploads.
+ */
+import mongoose from 'mongoose';
+import httpStatus from 'http-status';
+import { FileManager, Branch } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import { ensureClientFolderExists } from './fileManager.service.js';
+import { uploadFileToS3, deleteFileFromS3, getSignedDownloadUrl } from '../controllers/common.controller.js';
+import { sendEmail, generateNotificationHTML } from './email.service.js';
+
+/**
+ * Folder/file names must not contain path separators (folder paths are built by joining names with "/")
+ * @param {string} name
+ * @returns {string}
+ */
+const sanitizeName = (name) =>
+  String(name || '')
+    .replace(/[/\\]+/g, '-')
+    .trim();
+
+// Guards the walk up the folder tree against parentFolder cycles
+const MAX_FOLDER_DEPTH = 50;
+
+/**
+ * Whether a folder is the client's folder or sits anywhere below it. Ancestry is followed through parentFolder ids:
+ * paths are built from names, so another client's folder can share a path prefix.
+ * @param {Object} folder - FileManager folder document
+ * @param {Object} clientFolder - The client's root folder document
+ * @param {number} [depth]
+ * @returns {Promise<boolean>}
+ */
+const isWithinClientFolder = async (folder, clientFolder, depth = 0) => {
+  if (folder._id.equals(clientFolder._id)) {
+    return true;
+  }
+  if (!folder.folder.parentFolder || depth >= MAX_FOLDER_DEPTH) {
+    return false;
+  }
+  const parent = await FileManager.findOne({ _id: folder.folder.parentFolder, type: 'folder', isDeleted: false })
+    .select('folder.parentFolder')
+    .lean();
+  return Boolean(parent) && isWithinClientFolder(parent, clientFolder, depth + 1);
+};
+
+/**
+ * Find a folder in the client's tree by id
+ * @param {ObjectId} folderId
+ * @param {Object} clientFolder
+ * @returns {Promise<FileManager>}
+ */
+const getClientSubfolder = async (folderId, clientFolder) => {
+  const folder = await FileManager.findOne({ _id: folderId, type: 'folder', isDeleted: false });
+  if (!folder || !(await isWithinClientFolder(folder, clientFolder))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Folder not found');
+  }
+  return folder;
+};
+
+/**
+ * Find or create a named sub-folder for a portal upload. It has no staff creator, and only the client folder itself
+ * carries metadata.clientId, which is how the client folder is found.
+ * @param {Object} parent - Parent folder document
+ * @param {string} name
+ * @returns {Promise<FileManager>}
+ */
+const ensureSubfolder = async (parent, name) => {
+  const existing = await FileManager.findOne({
+    type: 'folder',
+    'folder.name': name,
+    'folder.parentFolder': parent._id,
+    isDeleted: false,
+  });
+  if (existing) {
+    return existing;
+  }
+  return FileManager.create({
+    type: 'folder',
+    folder: {
+      name,
+      parentFolder: parent._id,
+      createdBy: null,
+      isRoot: false,
+      path: `${parent.folder.path}/${name}`,
+      metadata: { createdByClient: true },
+    },
+  });
+};
+
+/**
+ * Folder an upload goes into: an explicit folder in the client's tree, else `<FY>/<activity>` under the client folder
+ * @param {Object} clientFolder
+ * @param {Object} options - { folderId, financialYear, activity }
+ * @returns {Promise<FileManager>}
+ */
+const resolveUploadFolder = async (clientFolder, { folderId, financialYear, activity }) => {
+  if (folderId) {
+    return getClientSubfolder(folderId, clientFolder);
+  }
+  let folder = clientFolder;
+  if (financialYear) {
+    folder = await ensureSubfolder(folder, sanitizeName(financialYear));
+  }
+  if (activity) {
+    folder = await ensureSubfolder(folder, sanitizeName(activity));
+  }
+  return folder;
+};
+
+/**
+ * Email the client's branch that a document was uploaded. Failures are logged, not raised.
+ * @param {Object} client
+ * @param {Object} file - Created FileManager document
+ * @param {Object} folder - Folder the file was stored in
+ */
+const notifyStaffOfUpload = async (client, file, folder) => {
+  try {
+    const branch = client.branch ? await Branch.findById(client.branch).select('name email').lean() : null;
+    if (!branch || !branch.email) {
+      logger.warn(`No branch email to notify about upload ${file._id} from client ${client._id}`);
+      return;
+    }
+    const subject = `New document from ${client.name}`;
+    const message = `${client.name} uploaded "${file.file.fileName}" through the client portal.`;
+    const details = `Folder: ${folder.folder.path}<br>PAN: ${client.pan || '-'}`;
+    await sendEmail(
+      branch.email,
+      subject,
+      `${message}\nFolder: ${folder.folder.path}`,
+      generateNotificationHTML({ notificationType: 'Client document upload', message, details }),
+      { log: { category: 'documentUpload', client: client._id } }
+    );
+  } catch (error) {
+    logger.error(`Failed to notify staff of client upload ${file._id}: ${error.message}`);
+  }
+};
+
+/**
+ * List a folder in the client's tree (the client folder itself by default)
+ * @param {Object} client - Authenticated client
+ * @param {Object} [options]
+ * @param {ObjectId} [options.folderId]
+ * @returns {Promise<Object>}
+ */
+const listClientDocuments = async (client, { folderId } = {}) => {
+  const clientFolder = await ensureClientFolderExists(client, null);
+  const folder = folderId ? await getClientSubfolder(folderId, clientFolder) : clientFolder;
+
+  const items = await FileManager.find({
+    $or: [{ 'folder.parentFolder': folder._id }, { 'file.parentFolder': folder._id }],
+    isDeleted: false,
+  })
+    .sort({ type: -1, 'folder.name': 1, 'file.fileName': 1 })
+    .lean();
+
+  return {
+    folder: {
+      id: folder._id,
+      name: folder.folder.name,
+      path: folder.folder.path,
+      isClientRoot: folder._id.equals(clientFolder._id),
+      parentFolder: folder._id.equals(clientFolder._id) ? null : folder.folder.parentFolder,
+    },
+    folders: items
+      .filter((item) => item.type === 'folder')
+      .map((item) => ({ id: item._id, name: item.folder.name, updatedAt: item.updatedAt })),
+    files: items
+      .filter((item) => item.type === 'file')
+      .map((item) => ({
+        id: item._id,
+        fileName: item.file.fileName,
+        fileSize: item.file.fileSize,
+        mimeType: item.file.mimeType,
+        uploadedByClient: Boolean(item.file.metadata && item.file.metadata.uploadedByClient),
+        createdAt: item.createdAt,
+      })),
+  };
+};
+
+/**
+ * Upload a document from the client portal into the client's folder
+ * @param {Object} client - Authenticated client
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} [options]
+ * @param {ObjectId} [options.folderId] - Existing folder in the client's tree
+ * @param {string} [options.financialYear] - Sub-folder for the FY, e.g. "2024-2025"
+ * @param {string} [options.activity] - Sub-folder for the activity, e.g. "GST"
+ * @returns {Promise<FileManager>}
+ */
+const uploadClientDocument = async (client, file, options = {}) => {
+  if (!file) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No file uploaded. Use multipart/form-data with field name "file"');
+  }
+  const fileName = sanitizeName(file.originalname);
+  const clientFolder = await ensureClientFolderExists(client, null);
+  const folder = await resolveUploadFolder(clientFolder, options);
+
+  if (await FileManager.isFileNameTaken(fileName, folder._id)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'File name already exists in this folder');
+  }
+
+  const { url, key } = await uploadFileToS3(file);
+  let document;
+  try {
+    document = await FileManager.create({
+      type: 'file',
+      file: {
+        fileName,
+        fileUrl: url,
+        fileKey: key,
+        fileSize: file.size || 0,
+        mimeType: file.mimetype,
+        metadata: {
+          clientId: new mongoose.Types.ObjectId(client.id),
+          clientName: client.name,
+          uploadedByClient: true,
+          financialYear: options.financialYear,
+          activity: options.activity,
+        },
+        parentFolder: folder._id,
+      },
+    });
+  } catch (error) {
+    await deleteFileFromS3(key).catch(() => {});
+    throw error;
+  }
+
+  await notifyStaffOfUpload(client, document, folder);
+  return document;
+};
+
+/**
+ * Short-lived download link for a file in the client's tree (uploaded by the client or shared by the firm)
+ * @param {Object} client - Authenticated client
+ * @param {ObjectId} fileId
+ * @returns {Promise<Object>}
+ */
+const getClientDocumentDownload = async (client, fileId) => {
+  const clientFolder = await ensureClientFolderExists(client, null);
+  const file = await FileManager.findOne({ _id: fileId, type: 'file', isDeleted: false });
+  const parent = file && (await FileManager.findOne({ _id: file.file.parentFolder, type: 'folder', isDeleted: false }));
+  if (!file || !parent || !(await isWithinClientFolder(parent, clientFolder))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'File not found');
+  }
+
+  const expiresIn = 300;
+  return {
+    id: file._id,
+    fileName: file.file.fileName,
+    mimeType: file.file.mimeType,
+    fileSize: file.file.fileSize,
+    url: await getSignedDownloadUrl(file.file.fileKey, file.file.fileName, expiresIn),
+    expiresIn,
+  };
+};
+
+export { isWithinClientFolder, listClientDocuments, uploadClientDocument, getClientDocumentDownload };
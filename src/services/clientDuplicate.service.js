@@ -0,0 +1,569 @@
+/**
+ * Duplicate clients: finding them (same PAN, GSTIN, email or phone, or a similar name within a branch) and merging a
+ * duplicate into the client that survives. A merge moves the duplicate's timelines, task references, group memberships,
+ * file-manager folder contents, activities and GST registrations to the survivor, then archives the duplicate
+ * (inactive, with mergedInto pointing at the survivor). Each step can be re-run, so a merge that stopped half-way can
+ * simply be repeated.
+ */
+import httpStatus from 'http-status';
+import { Client, FileManager, Group, Task, Timeline } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { getUserBranchIds, hasBranchAccess } from './role.service.js';
+import { ensureClientFolderExists } from './fileManager.service.js';
+import { validateGstin } from '../utils/gstin.js';
+
+const DUPLICATE_MATCH_TYPES = ['pan', 'gstin', 'email', 'phone', 'name'];
+
+const DEFAULT_NAME_THRESHOLD = 0.9;
+
+// Words that do not tell two client names apart ("M/s Sharma Traders Pvt. Ltd." ~ "Sharma Traders")
+const NAME_NOISE_WORDS = ['m', 's', 'ms', 'the', 'pvt', 'private', 'ltd', 'limited', 'co', 'company', 'and'];
+
+const normalizeText = (value) =>
+  String(value || '')
+    .trim()
+    .toUpperCase();
+
+const normalizeEmail = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+// Last 10 digits, so "+91 98765-43210" and "09876543210" match
+const normalizePhone = (value) =>
+  String(value || '')
+    .replace(/\D/g, '')
+    .slice(-10);
+
+/**
+ * Client name reduced for comparison: lower case, letters and digits only, without noise words
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && !NAME_NOISE_WORDS.includes(word))
+    .join(' ');
+
+const getBigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const bigrams = new Map();
+  for (let index = 0; index < compact.length - 1; index += 1) {
+    const bigram = compact.slice(index, index + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+};
+
+/**
+ * Similarity of two client names (Dice coefficient of character pairs, after normalizeName): 1 for the same name
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+const getNameSimilarity = (a, b) => {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+  const firstBigrams = getBigrams(first);
+  const secondBigrams = getBigrams(second);
+  let total = 0;
+  let shared = 0;
+  firstBigrams.forEach((count, bigram) => {
+    shared += Math.min(count, secondBigrams.get(bigram) || 0);
+    total += count;
+  });
+  secondBigrams.forEach((count) => {
+    total += count;
+  });
+  return total === 0 ? 0 : (2 * shared) / total;
+};
+
+/**
+ * Values a client can be matched on, by match type
+ * @param {Object} client
+ * @returns {Object<string, Array<string>>}
+ */
+const getMatchKeys = (client) => ({
+  pan: [normalizeText(client.pan)].filter(Boolean),
+  gstin: (client.gstNumbers || []).map((gst) => normalizeText(gst.gstNumber)).filter(Boolean),
+  email: [...new Set([client.email, client.email2].map(normalizeEmail).filter(Boolean))],
+  phone: [normalizePhone(client.phone)].filter((phone) => phone.length === 10),
+});
+
+const getActivityKey = (assignment) => {
+  const { subactivity } = assignment;
+  const subactivityId = subactivity ? String(subactivity._id || subactivity) : 'none';
+  return `${String(assignment.activity)}_${subactivityId}`;
+};
+
+const getTimelineKey = (timeline) =>
+  [
+    String(timeline.activity),
+    String(timeline.subactivityId || (timeline.subactivity && timeline.subactivity._id) || ''),
+    (timeline.period || '').trim(),
+    timeline.state || '',
+  ].join('|');
+
+const summarizeClient = (client) => ({
+  id: client._id,
+  name: client.name,
+  branch: client.branch,
+  pan: client.pan || null,
+  email: client.email || null,
+  phone: client.phone || null,
+  gstNumbers: (client.gstNumbers || []).map((gst) => gst.gstNumber),
+  status: client.status,
+  createdAt: client.createdAt,
+});
+
+/**
+ * Branch filter for the user's branches, narrowed to one branch when asked
+ * @param {ObjectId} [branch]
+ * @param {Object} [user]
+ * @returns {Object} Mongo filter on branch
+ */
+const getBranchFilter = (branch, user) => {
+  const allowedBranchIds = user && user.role ? getUserBranchIds(user.role) : null;
+  if (branch) {
+    if (allowedBranchIds && !allowedBranchIds.includes(String(branch))) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this branch');
+    }
+    return { branch };
+  }
+  return allowedBranchIds ? { branch: { $in: allowedBranchIds } } : {};
+};
+
+/**
+ * Clients not merged away that have one of the PANs or GSTINs
+ * @param {Array<string>} pans - Normalized (upper case)
+ * @param {Array<string>} gstins - Normalized (upper case)
+ * @param {ObjectId} [excludeId]
+ * @returns {Promise<Array<Object>>}
+ */
+const findClientsByIdentifiers = async (pans, gstins, excludeId = null) => {
+  const or = [];
+  if (pans.length > 0) or.push({ pan: { $in: pans } });
+  if (gstins.length > 0) or.push({ 'gstNumbers.gstNumber': { $in: gstins } });
+  if (or.length === 0) return [];
+
+  const filter = { $or: or, mergedInto: null };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Client.find(filter).select('name branch pan gstNumbers').lean();
+};
+
+/**
+ * Existing clients sharing a PAN or GSTIN with a client about to be created. Every branch is checked, but clients
+ * outside the caller's branches are only reported as being in another branch.
+ * @param {Object} clientBody - { pan, gstNumbers }
+ * @param {ObjectId} [excludeId] - The client itself, when updating
+ * @param {Array<string>|null} [allowedBranchIds] - From getUserBranchIds; null for every branch
+ * @returns {Promise<Array<Object>>} [{ id, name, branch, matchedOn, value }], or [{ otherBranch, matchedOn, value }]
+ */
+const findClientsWithSameIdentifiers = async ({ pan, gstNumbers }, excludeId = null, allowedBranchIds = null) => {
+  const { pan: pans, gstin: gstins } = getMatchKeys({ pan, gstNumbers });
+  const clients = await findClientsByIdentifiers(pans, gstins, excludeId);
+
+  return clients.map((client) => {
+    const keys = getMatchKeys(client);
+    const matchedPan = keys.pan.find((value) => pans.includes(value));
+    const match = {
+      matchedOn: matchedPan ? 'pan' : 'gstin',
+      value: matchedPan || keys.gstin.find((value) => gstins.includes(value)),
+    };
+    if (allowedBranchIds && !allowedBranchIds.includes(String(client.branch))) {
+      return { otherBranch: true, ...match };
+    }
+    return { id: client._id, name: client.name, branch: client.branch, ...match };
+  });
+};
+
+/**
+ * Rows of a bulk import whose PAN or GSTIN belongs to an existing client or to an earlier row. Rows with
+ * allowDuplicate set are not checked.
+ * @param {Array<Object>} clients - New clients ({ name, pan, gstNumbers, allowDuplicate })
+ * @returns {Promise<Map<number, { field: string, value: string, message: string }>>} Error by row index
+ */
+const findImportDuplicates = async (clients) => {
+  const checked = clients
+    .map((client, index) => ({ index, keys: getMatchKeys(client) }))
+    .filter(({ index }) => !clients[index].allowDuplicate);
+  const pans = [...new Set(checked.flatMap(({ keys }) => keys.pan))];
+  const gstins = [...new Set(checked.flatMap(({ keys }) => keys.gstin))];
+  const existing = await findClientsByIdentifiers(pans, gstins);
+
+  const ownerByValue = new Map();
+  existing.forEach((client) => {
+    const keys = getMatchKeys(client);
+    [...keys.pan, ...keys.gstin].forEach((value) => ownerByValue.set(value, `existing client ${client.name}`));
+  });
+
+  const errors = new Map();
+  checked.forEach(({ index, keys }) => {
+    const values = [...keys.pan.map((value) => ['pan', value]), ...keys.gstin.map((value) => ['gstNumbers', value])];
+    const match = values.find(([, value]) => ownerByValue.has(value));
+    if (match) {
+      const [field, value] = match;
+      errors.set(index, {
+        field,
+        value,
+        message: `${field === 'pan' ? 'PAN' : 'GSTIN'} ${value} already belongs to ${ownerByValue.get(
+          value
+        )}; set allowDuplicate to import anyway`,
+      });
+      return;
+    }
+    values.forEach(([, value]) => ownerByValue.set(value, `${clients[index].name} (earlier row)`));
+  });
+  return errors;
+};
+
+/**
+ * Groups of clients that look like the same client
+ * @param {Object} [options]
+ * @param {ObjectId} [options.branch]
+ * @param {Array<string>} [options.by] - Match types (pan, gstin, email, phone, name); all by default
+ * @param {number} [options.threshold] - Name similarity (0..1) from which names match; names only match within a branch
+ * @param {ObjectId} [options.client] - Only the group containing this client
+ * @param {Object} [user] - Limits the search to the user's branches
+ * @returns {Promise<{ totalGroups: number, groups: Array<Object> }>}
+ */
+const findDuplicateClients = async (
+  { branch, by = DUPLICATE_MATCH_TYPES, threshold = DEFAULT_NAME_THRESHOLD, client } = {},
+  user = null
+) => {
+  const clients = await Client.find({ ...getBranchFilter(branch, user), mergedInto: null })
+    .select('name branch pan gstNumbers email email2 phone status createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // Union-find over client indexes; each match joins two groups
+  const parents = clients.map((_, index) => index);
+  const find = (index) => {
+    let root = index;
+    while (parents[root] !== root) root = parents[root];
+    parents[index] = root;
+    return root;
+  };
+  const reasons = [];
+  const join = (first, second, reason) => {
+    parents[find(second)] = find(first);
+    reasons.push({ ...reason, index: first, clients: [clients[first]._id, clients[second]._id] });
+  };
+
+  const exactTypes = by.filter((type) => type !== 'name');
+  const keysByClient = clients.map(getMatchKeys);
+  exactTypes.forEach((type) => {
+    const firstIndexByValue = new Map();
+    keysByClient.forEach((keys, index) => {
+      keys[type].forEach((value) => {
+        if (firstIndexByValue.has(value)) {
+          join(firstIndexByValue.get(value), index, { type, value });
+        } else {
+          firstIndexByValue.set(value, index);
+        }
+      });
+    });
+  });
+
+  if (by.includes('name')) {
+    const indexesByBranch = new Map();
+    clients.forEach((candidate, index) => {
+      const key = String(candidate.branch);
+      if (!indexesByBranch.has(key)) indexesByBranch.set(key, []);
+      indexesByBranch.get(key).push(index);
+    });
+    indexesByBranch.forEach((indexes) => {
+      const names = indexes.map((index) => normalizeName(clients[index].name).replace(/ /g, ''));
+      indexes.forEach((first, i) => {
+        for (let j = i + 1; j < indexes.length; j += 1) {
+          // The similarity cannot reach the threshold when the lengths differ too much
+          const [shorter, longer] = [names[i].length, names[j].length].sort((a, b) => a - b);
+          if (shorter > 1 && (2 * (shorter - 1)) / (shorter + longer - 2) >= threshold) {
+            const score = getNameSimilarity(clients[first].name, clients[indexes[j]].name);
+            if (score >= threshold) {
+              join(first, indexes[j], {
+                type: 'name',
+                value: `${clients[first].name} ~ ${clients[indexes[j]].name}`,
+                score: Math.round(score * 100) / 100,
+              });
+            }
+          }
+        }
+      });
+    });
+  }
+
+  const groupsByRoot = new Map();
+  clients.forEach((candidate, index) => {
+    const root = find(index);
+    if (!groupsByRoot.has(root)) groupsByRoot.set(root, { clients: [], reasons: [] });
+    groupsByRoot.get(root).clients.push(summarizeClient(candidate));
+  });
+  reasons.forEach(({ index, ...reason }) => {
+    groupsByRoot.get(find(index)).reasons.push(reason);
+  });
+
+  const groups = [...groupsByRoot.values()]
+    .filter((group) => group.clients.length > 1)
+    .filter((group) => !client || group.clients.some((candidate) => String(candidate.id) === String(client)))
+    .sort((a, b) => b.clients.length - a.clients.length);
+
+  return { totalGroups: groups.length, groups };
+};
+
+/**
+ * Move a folder under another parent; the paths of everything below it follow
+ * @param {Object} folder - FileManager folder document
+ * @param {Object} parent - New parent folder
+ * @param {string} name - Name in the new parent
+ * @returns {Promise<void>}
+ */
+const moveFolder = async (folder, parent, name) => {
+  const oldPath = folder.folder.path;
+  const newPath = `${parent.folder.path}/${name}`;
+  folder.set({ 'folder.name': name, 'folder.parentFolder': parent._id, 'folder.path': newPath });
+  await folder.save();
+
+  const escaped = oldPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const descendants = await FileManager.find({ 'folder.path': { $regex: `^${escaped}/` } })
+    .select('folder.path')
+    .lean();
+  if (descendants.length > 0) {
+    await FileManager.bulkWrite(
+      descendants.map((descendant) => ({
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { 'folder.path': `${newPath}${descendant.folder.path.slice(oldPath.length)}` } },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+};
+
+/**
+ * Move the contents of the duplicate's client folder into the survivor's folder. Items whose name is taken in the
+ * survivor's folder get the duplicate's name appended. The survivor's folder is found (or created) by its client id
+ * only, and the merge stops when both clients resolve to the same folder.
+ * @returns {Promise<{ moved: number, renamed: number }>}
+ */
+const moveClientFolderContents = async (duplicate, survivor, dryRun) => {
+  const source = await FileManager.findOne({
+    type: 'folder',
+    'folder.metadata.clientId': duplicate._id,
+    isDeleted: false,
+  });
+  if (!source) {
+    return { moved: 0, renamed: 0 };
+  }
+
+  const target = dryRun
+    ? await FileManager.findOne({ type: 'folder', 'folder.metadata.clientId': survivor._id, isDeleted: false })
+    : await ensureClientFolderExists(survivor, source.folder.createdBy);
+  if (target && target._id.equals(source._id)) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `${duplicate.name} and ${survivor.name} share the folder ${source.folder.path}; move its files by hand first`
+    );
+  }
+
+  const children = await FileManager.find({
+    isDeleted: false,
+    $or: [{ 'folder.parentFolder': source._id }, { 'file.parentFolder': source._id }],
+  });
+  const [takenFolderNames, takenFileNames] = target
+    ? await Promise.all([
+        FileManager.find({ type: 'folder', 'folder.parentFolder': target._id, isDeleted: false }).distinct('folder.name'),
+        FileManager.find({ type: 'file', 'file.parentFolder': target._id, isDeleted: false }).distinct('file.fileName'),
+      ])
+    : [[], []];
+  const takenNames = { folder: new Set(takenFolderNames), file: new Set(takenFileNames) };
+
+  const moves = children.map((child) => {
+    const name = child.type === 'folder' ? child.folder.name : child.file.fileName;
+    const taken = takenNames[child.type].has(name);
+    return { child, taken, name: taken ? `${name} (${duplicate.name})` : name };
+  });
+
+  if (!dryRun) {
+    await Promise.all(
+      moves.map(({ child, name }) => {
+        if (child.type === 'folder') {
+          return moveFolder(child, target, name);
+        }
+        child.set({ 'file.fileName': name, 'file.parentFolder': target._id });
+        return child.save();
+      })
+    );
+    source.isDeleted = true;
+    source.folder.metadata = { ...(source.folder.metadata || {}), mergedInto: survivor._id };
+    source.markModified('folder.metadata');
+    await source.save();
+  }
+  return { moved: children.length, renamed: moves.filter(({ taken }) => taken).length };
+};
+
+// How far work on a timeline has got; of two copies of a period, a merge keeps the one further along
+const TIMELINE_PROGRESS = ['pending', 'delayed', 'not applicable', 'ongoing', 'ready for review', 'filed', 'completed'];
+
+const getTimelineProgress = (timeline) => TIMELINE_PROGRESS.indexOf(timeline.status || 'pending');
+
+/**
+ * Merge a duplicate client into the client that survives
+ * @param {ObjectId} survivorId
+ * @param {ObjectId} duplicateId
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would move
+ * @param {Object} [user] - Needs access to both clients' branches
+ * @returns {Promise<Object>} What moved (or would move) per kind of record
+ */
+const mergeClients = async (survivorId, duplicateId, { dryRun = false } = {}, user = null) => {
+  if (String(survivorId) === String(duplicateId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A client cannot be merged into itself');
+  }
+  const [survivor, duplicate] = await Promise.all([Client.findById(survivorId).lean(), Client.findById(duplicateId).lean()]);
+  if (!survivor || !duplicate) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
+  }
+  if (survivor.mergedInto || duplicate.mergedInto) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Client has already been merged into another client');
+  }
+  if (user && user.role && ![survivor, duplicate].every((client) => hasBranchAccess(user.role, String(client.branch)))) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this branch');
+  }
+
+  // Recurring timelines both clients have (same activity, subactivity, period and state) are kept once: the copy
+  // further along survives, the other goes to the recycle bin after its tasks are pointed at the one kept
+  const [survivorTimelines, duplicateTimelines] = await Promise.all([
+    Timeline.find({ client: survivor._id, timelineType: 'recurring' })
+      .select('activity subactivity subactivityId period state status')
+      .lean(),
+    Timeline.find({ client: duplicate._id })
+      .select('activity subactivity subactivityId period state timelineType status')
+      .lean(),
+  ]);
+  const survivorTimelinesByKey = new Map(survivorTimelines.map((timeline) => [getTimelineKey(timeline), timeline]));
+  const conflicts = [];
+  const movedTimelineIds = [];
+  duplicateTimelines.forEach((timeline) => {
+    const existing = timeline.timelineType === 'recurring' && survivorTimelinesByKey.get(getTimelineKey(timeline));
+    if (!existing) {
+      movedTimelineIds.push(timeline._id);
+      return;
+    }
+    const keepDuplicate = getTimelineProgress(timeline) > getTimelineProgress(existing);
+    const [kept, dropped] = keepDuplicate ? [timeline, existing] : [existing, timeline];
+    if (keepDuplicate) {
+      movedTimelineIds.push(timeline._id);
+    }
+    conflicts.push({
+      period: timeline.period,
+      keptTimeline: kept._id,
+      keptStatus: kept.status,
+      keptFrom: keepDuplicate ? 'duplicate' : 'survivor',
+      droppedTimeline: dropped._id,
+      droppedStatus: dropped.status,
+    });
+  });
+
+  const survivorActivityKeys = new Set((survivor.activities || []).map(getActivityKey));
+  const activities = (duplicate.activities || []).filter(
+    (assignment) => !survivorActivityKeys.has(getActivityKey(assignment))
+  );
+  const survivorGstins = new Set(getMatchKeys(survivor).gstin);
+  const gstNumbers = (duplicate.gstNumbers || [])
+    .filter((gst) => !survivorGstins.has(normalizeText(gst.gstNumber)))
+    .map(({ state, gstNumber, dateOfRegistration, gstUserId }) => ({ state, gstNumber, dateOfRegistration, gstUserId }));
+  // The GSTINs are added with updateOne, so they get the checks addGstNumber would make against the survivor's PAN
+  const gstErrors = gstNumbers.flatMap((gst) =>
+    validateGstin(gst.gstNumber, { pan: survivor.pan, state: gst.state }).map(({ code, message }) => ({
+      type: code,
+      message,
+    }))
+  );
+
+  const groups = await Group.find({ clients: duplicate._id });
+  const droppedTimelineIds = conflicts.map((conflict) => conflict.droppedTimeline);
+  const tasksToUpdate =
+    droppedTimelineIds.length > 0 ? await Task.countDocuments({ timeline: { $in: droppedTimelineIds } }) : 0;
+
+  const summary = {
+    dryRun,
+    survivor: summarizeClient(survivor),
+    duplicate: summarizeClient(duplicate),
+    timelines: { moved: movedTimelineIds.length, dropped: droppedTimelineIds.length, conflicts },
+    tasks: { updated: tasksToUpdate },
+    groups: { updated: groups.length },
+    activities: { added: activities.length },
+    gstNumbers: { added: gstNumbers.length, errors: gstErrors },
+  };
+
+  if (dryRun) {
+    summary.files = await moveClientFolderContents(duplicate, survivor, true);
+    return summary;
+  }
+  if (gstErrors.length > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "The duplicate's GST numbers do not fit the survivor", {
+      errors: gstErrors,
+    });
+  }
+
+  // First, so a shared folder stops the merge before anything else has moved
+  summary.files = await moveClientFolderContents(duplicate, survivor, false);
+
+  // Dropped copies leave the unique index on recurring timelines before the kept ones move to the survivor
+  if (droppedTimelineIds.length > 0) {
+    await Timeline.softDeleteMany({ _id: { $in: droppedTimelineIds } }, user ? user._id || user.id : null);
+  }
+  if (movedTimelineIds.length > 0) {
+    await Timeline.updateMany(
+      { _id: { $in: movedTimelineIds } },
+      { $set: { client: survivor._id, branch: survivor.branch } }
+    );
+  }
+  await conflicts.reduce(
+    (previous, { keptTimeline, droppedTimeline }) =>
+      previous.then(async () => {
+        await Task.updateMany({ timeline: droppedTimeline }, { $addToSet: { timeline: keptTimeline } });
+        await Task.updateMany({ timeline: droppedTimeline }, { $pull: { timeline: droppedTimeline } });
+      }),
+    Promise.resolve()
+  );
+  await Promise.all(
+    groups.map((group) => {
+      const clientIds = [
+        ...new Set(group.clients.map((id) => (String(id) === String(duplicate._id) ? String(survivor._id) : String(id)))),
+      ];
+      group.set({ clients: clientIds, numberOfClients: clientIds.length });
+      return group.save();
+    })
+  );
+
+  // updateOne rather than save: the client post-save hook would create timelines for the added activities, and the
+  // duplicate's timelines for them have just been moved over
+  if (activities.length > 0 || gstNumbers.length > 0) {
+    await Client.updateOne(
+      { _id: survivor._id },
+      { $push: { activities: { $each: activities }, gstNumbers: { $each: gstNumbers } } }
+    );
+  }
+  // A top-level status lets the client pre-update hook deactivate the duplicate's activities
+  await Client.updateOne({ _id: duplicate._id }, { status: 'inactive', mergedInto: survivor._id, mergedAt: new Date() });
+
+  return summary;
+};
+
+export {
+  DUPLICATE_MATCH_TYPES,
+  normalizeName,
+  getNameSimilarity,
+  findClientsWithSameIdentifiers,
+  findImportDuplicates,
+  findDuplicateClients,
+  mergeClients,
+};
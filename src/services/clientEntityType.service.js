@@ -0,0 +1,89 @@
+/**
+ * Client entity types checked against the holder type in the PAN (4th character): suggestions for new clients and a
+ * report of clients whose entity type disagrees with their PAN. This matters because compliance activities are
+ * auto-assigned from the entity type (see autoDetectComplianceActivities in client.service).
+ */
+import { Client, EntityTypeMaster } from '../models/index.js';
+import { getUserBranchIds } from './role.service.js';
+import { getPanHolderType, isEntityTypeConsistentWithPan, suggestEntityTypeForPan } from '../utils/pan.js';
+
+// Entity types for which autoDetectComplianceActivities assigns ROC activities (together with a CIN)
+const ROC_ENTITY_TYPES = ['Private Limited', 'LLP'];
+
+/**
+ * Names of the entity types in EntityTypeMaster
+ * @returns {Promise<Array<string>>}
+ */
+const getEntityTypeNames = async () => {
+  const entityTypes = await EntityTypeMaster.find().select('name').lean();
+  return entityTypes.map((entityType) => entityType.name);
+};
+
+/**
+ * Entity type suggested by a PAN's holder type
+ * @param {string} pan
+ * @param {Array<string>} [entityTypeNames] - Pass when suggesting for many clients
+ * @returns {Promise<{ pan: string, holderType: Object|null, entityType: string|null }>}
+ */
+const suggestEntityType = async (pan, entityTypeNames) => {
+  const names = entityTypeNames || (await getEntityTypeNames());
+  return { pan, holderType: getPanHolderType(pan), entityType: suggestEntityTypeForPan(pan, names) };
+};
+
+/**
+ * Clients whose entity type disagrees with their PAN, or who have a PAN but no entity type
+ * @param {Object} filter - { branch }
+ * @param {Object} [user] - Limits the report to the user's branches
+ * @returns {Promise<Object>} { checked, mismatched, missing, clients }
+ */
+const getEntityTypeReport = async ({ branch } = {}, user = null) => {
+  const mongoFilter = { pan: { $nin: [null, ''] } };
+  const allowedBranchIds = user && user.role ? getUserBranchIds(user.role) : null;
+  if (branch) {
+    mongoFilter.branch = allowedBranchIds && !allowedBranchIds.includes(String(branch)) ? { $in: [] } : branch;
+  } else if (allowedBranchIds) {
+    mongoFilter.branch = { $in: allowedBranchIds };
+  }
+
+  const [clients, entityTypeNames] = await Promise.all([
+    Client.find(mongoFilter).select('name pan entityType cinNumber branch').sort({ name: 1 }).lean(),
+    getEntityTypeNames(),
+  ]);
+
+  const entries = clients
+    .map((client) => {
+      const consistent = isEntityTypeConsistentWithPan(client.pan, client.entityType);
+      const hasEntityType = Boolean(client.entityType && client.entityType.trim());
+      if (consistent || (hasEntityType && consistent === null)) {
+        return null;
+      }
+      const suggestedEntityType = suggestEntityTypeForPan(client.pan, entityTypeNames);
+      if (!hasEntityType && !suggestedEntityType) {
+        return null;
+      }
+      return {
+        id: client._id,
+        name: client.name,
+        branch: client.branch,
+        pan: client.pan,
+        holderType: getPanHolderType(client.pan),
+        entityType: client.entityType || null,
+        suggestedEntityType,
+        issue: hasEntityType ? 'mismatch' : 'missing',
+        // ROC activities are (or would be) assigned from the entity type
+        affectsRoc:
+          Boolean(client.cinNumber) &&
+          [client.entityType, suggestedEntityType].some((name) => ROC_ENTITY_TYPES.includes((name || '').trim())),
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    checked: clients.length,
+    mismatched: entries.filter((entry) => entry.issue === 'mismatch').length,
+    missing: entries.filter((entry) => entry.issue === 'missing').length,
+    clients: entries,
+  };
+};
+
+export { getEntityTypeNames, suggestEntityType, getEntityTypeReport };
@@ -0,0 +1,73 @@
+/**
+ * Report of stored client identifiers that fail the full checks. New and changed PANs are checked for their holder
+ * type and GSTINs for their check digit, PAN and state on save; clients saved before that may still hold bad values,
+ * which are listed here to be corrected.
+ */
+import { Client } from '../models/index.js';
+import { getUserBranchIds } from './role.service.js';
+import { validateGstin } from '../utils/gstin.js';
+import { validatePan } from '../utils/pan.js';
+
+/**
+ * Problems with a client's PAN
+ * @param {Object} client - { pan }
+ * @returns {Array<Object>} { field, value, code, message }
+ */
+const getPanIssues = (client) =>
+  client.pan ? validatePan(client.pan).map(({ code, message }) => ({ field: 'pan', value: client.pan, code, message })) : [];
+
+/**
+ * Problems with a client's GSTINs
+ * @param {Object} client - { pan, gstNumbers }
+ * @returns {Array<Object>} { field, value, state, code, message }
+ */
+const getGstinIssues = (client) =>
+  (client.gstNumbers || []).flatMap((gst) =>
+    validateGstin(gst.gstNumber, { pan: client.pan, state: gst.state }).map(({ code, message }) => ({
+      field: 'gstNumber',
+      value: gst.gstNumber,
+      state: gst.state,
+      code,
+      message,
+    }))
+  );
+
+/**
+ * Clients whose stored PAN fails the holder type check, or whose GSTINs fail the check digit, PAN or state code checks
+ * @param {Object} filter - { branch }
+ * @param {Object} [user] - Limits the report to the user's branches
+ * @returns {Promise<Object>} { checked, invalidPans, invalidGstins, clients }
+ */
+const getIdentifierReport = async ({ branch } = {}, user = null) => {
+  const mongoFilter = { $or: [{ pan: { $nin: [null, ''] } }, { 'gstNumbers.0': { $exists: true } }] };
+  const allowedBranchIds = user && user.role ? getUserBranchIds(user.role) : null;
+  if (branch) {
+    mongoFilter.branch = allowedBranchIds && !allowedBranchIds.includes(String(branch)) ? { $in: [] } : branch;
+  } else if (allowedBranchIds) {
+    mongoFilter.branch = { $in: allowedBranchIds };
+  }
+
+  const clients = await Client.find(mongoFilter).select('name pan gstNumbers branch').sort({ name: 1 }).lean();
+
+  const entries = clients
+    .map((client) => ({
+      id: client._id,
+      name: client.name,
+      branch: client.branch,
+      issues: [...getPanIssues(client), ...getGstinIssues(client)],
+    }))
+    .filter((entry) => entry.issues.length > 0);
+
+  return {
+    checked: clients.length,
+    invalidPans: entries.filter((entry) => entry.issues.some((issue) => issue.field === 'pan')).length,
+    invalidGstins: entries.reduce(
+      (count, entry) =>
+        count + new Set(entry.issues.filter((issue) => issue.field === 'gstNumber').map((issue) => issue.value)).size,
+      0
+    ),
+    clients: entries,
+  };
+};
+
+export { getIdentifierReport };
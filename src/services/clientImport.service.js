@@ -0,0 +1,396 @@
+/**
+ * Client import from CSV/XLSX spreadsheets. Columns are mapped to client fields by header, from a saved mapping
+ * profile, the request, or the headers recognised in utils/clientImportFields.js. Every row is validated like
+ * POST /v1/clients/bulk-import plus the PAN/GSTIN and branch checks, and the valid rows are imported through the same
+ * "import.clients" job. A validate-only pass reports the errors per row, also as a downloadable CSV/XLSX.
+ */
+import httpStatus from 'http-status';
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import validator from 'validator';
+import { Branch, ClientImportProfile } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { hasBranchAccess } from './role.service.js';
+import { enqueueJob, getJobRequester } from './jobQueue.service.js';
+import { findImportDuplicates } from './clientDuplicate.service.js';
+import { bulkImportClientRow } from '../validations/client.validation.js';
+import { validateGstin } from '../utils/gstin.js';
+import { validatePan } from '../utils/pan.js';
+import { DATE_FIELDS, getImportField } from '../utils/clientImportFields.js';
+
+// Same limit as POST /v1/clients/bulk-import
+const MAX_IMPORT_ROWS = 5000;
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const UPPERCASE_FIELDS = ['pan', 'tanNumber', 'cinNumber', 'udyamNumber', 'gstNumber', 'category'];
+
+const GST_FIELDS = {
+  gstNumber: 'gstNumber',
+  gstState: 'state',
+  gstUserId: 'gstUserId',
+  gstDateOfRegistration: 'dateOfRegistration',
+};
+
+const REPORT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Plain value of a spreadsheet cell: text, a Date, or null when empty
+ * @param {*} value - ExcelJS cell value
+ * @returns {string|Date|null}
+ */
+const getCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return getCellValue(value.richText.map((part) => part.text).join(''));
+    if (value.text !== undefined) return getCellValue(value.text);
+    if (value.result !== undefined) return getCellValue(value.result);
+    return null;
+  }
+  return String(value).trim() || null;
+};
+
+/**
+ * Dates as typed in Indian spreadsheets (day first: 31/03/2024, 31.03.2024, 31-03-2024); other text is left to Joi
+ * @param {string|Date} value
+ * @returns {string|Date}
+ */
+const parseDate = (value) => {
+  const match = typeof value === 'string' && /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(value);
+  return match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : value;
+};
+
+/**
+ * Read the first worksheet of an uploaded file. The first row holds the headers.
+ * @param {Object} file - Multer file (buffer, originalname)
+ * @returns {Promise<{ headers: Array<string>, rows: Array<{ rowNumber: number, values: Object }> }>}
+ */
+const parseSpreadsheet = async (file) => {
+  const extension = path.extname((file && file.originalname) || '').toLowerCase();
+  if (!file || !SPREADSHEET_EXTENSIONS.includes(extension)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Upload a .csv or .xlsx file');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  try {
+    if (extension === '.csv') {
+      // Keep every value as typed: no number or date guessing, which drops leading zeros
+      worksheet = await workbook.csv.read(Readable.from([file.buffer]), { map: (datum) => datum });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      [worksheet] = workbook.worksheets;
+    }
+  } catch (error) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Could not read ${file.originalname}: ${error.message}`);
+  }
+  if (!worksheet) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `${file.originalname} has no worksheet`);
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    headers[columnNumber - 1] = getCellValue(cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) values[header] = getCellValue(row.getCell(index + 1).value);
+    });
+    if (Object.values(values).some((value) => value !== null)) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Turn a spreadsheet row into a bulk-import client
+ * @param {Object} values - Cell values by header
+ * @param {Array<Object>} columns - Column mapping
+ * @param {Map<string, string>} branchIdsByName - Lower-cased branch names to ids
+ * @returns {{ client: Object, errors: Array<Object> }}
+ */
+const buildClientFromRow = (values, columns, branchIdsByName) => {
+  const client = {};
+  const gst = {};
+  const errors = [];
+
+  Object.entries(values).forEach(([header, cellValue]) => {
+    const field = getImportField(header, columns);
+    if (!field || cellValue === null) return;
+
+    let value = DATE_FIELDS.includes(field) ? parseDate(cellValue) : cellValue;
+    if (value instanceof Date && !DATE_FIELDS.includes(field)) value = value.toISOString().slice(0, 10);
+    if (typeof value === 'string' && UPPERCASE_FIELDS.includes(field)) value = value.toUpperCase();
+
+    if (GST_FIELDS[field]) {
+      gst[GST_FIELDS[field]] = value;
+    } else if (field === 'branch' && !/^[0-9a-fA-F]{24}$/.test(value)) {
+      const branchId = branchIdsByName.get(value.toLowerCase());
+      if (branchId) client.branch = branchId;
+      else errors.push({ field: 'branch', value, message: `Unknown branch "${value}"` });
+    } else {
+      client[field] = value;
+    }
+  });
+
+  if (Object.keys(gst).length > 0) {
+    client.gstNumbers = [gst];
+  }
+  return { client, errors };
+};
+
+/**
+ * Validate a client like the bulk import does, plus the model's phone check, PAN holder type, GSTIN check digit/PAN/state
+ * and branch access
+ * @param {Object} client
+ * @param {Object} [user]
+ * @returns {{ client: Object, errors: Array<{ field: string, message: string }> }}
+ */
+const validateClientRow = (client, user) => {
+  const { value, error } = bulkImportClientRow.validate(client, { abortEarly: false, errors: { label: 'key' } });
+  const errors = error ? error.details.map((detail) => ({ field: detail.path.join('.'), message: detail.message })) : [];
+
+  // Joi only checks for a string; saving would fail on the model's check instead
+  if (typeof client.phone === 'string' && client.phone.trim() && !validator.isMobilePhone(client.phone.trim(), 'any')) {
+    errors.push({ field: 'phone', message: 'Invalid phone number' });
+  }
+  if (client.pan) {
+    validatePan(client.pan)
+      .filter((panError) => panError.code !== 'INVALID_FORMAT')
+      .forEach((panError) => errors.push({ field: 'pan', message: panError.message }));
+  }
+  (client.gstNumbers || []).forEach((gst, index) => {
+    validateGstin(gst.gstNumber, { pan: client.pan, state: gst.state })
+      .filter((gstinError) => gstinError.code !== 'INVALID_FORMAT')
+      .forEach((gstinError) => errors.push({ field: `gstNumbers.${index}.gstNumber`, message: gstinError.message }));
+  });
+  if (user && user.role && value.branch && !hasBranchAccess(user.role, value.branch)) {
+    errors.push({ field: 'branch', message: 'Access denied to this branch' });
+  }
+  return { client: value, errors };
+};
+
+/**
+ * Get a column mapping profile
+ * @param {ObjectId} profileId
+ * @returns {Promise<ClientImportProfile>}
+ */
+const getImportProfileById = async (profileId) => {
+  const profile = await ClientImportProfile.findById(profileId);
+  if (!profile) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Import profile not found');
+  }
+  return profile;
+};
+
+/**
+ * Parse, map and validate an uploaded client file
+ * @param {Object} file - Multer file
+ * @param {Object} options - { profileId, columns }; columns override the profile's for the same header
+ * @param {Object} [user]
+ * @returns {Promise<Object>} { fileName, headers, columns, rows: [{ rowNumber, values, client, errors }] }
+ */
+const checkClientFile = async (file, { profileId, columns = [] } = {}, user = null) => {
+  const { headers, rows } = await parseSpreadsheet(file);
+  if (rows.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `${file.originalname} has no data rows`);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `At most ${MAX_IMPORT_ROWS} clients can be imported at once`);
+  }
+
+  const profileColumns = profileId ? (await getImportProfileById(profileId)).columns : [];
+  const mapping = [...columns, ...profileColumns];
+  const branches = await Branch.find().select('name').lean();
+  const branchIdsByName = new Map(branches.map((branch) => [String(branch.name).toLowerCase(), String(branch._id)]));
+
+  const checkedRows = rows.map(({ rowNumber, values }) => {
+    const built = buildClientFromRow(values, mapping, branchIdsByName);
+    const validated = validateClientRow(built.client, user);
+    // A branch that could not be resolved is already reported; skip Joi's "branch is required" for it
+    const builtFields = new Set(built.errors.map((error) => error.field));
+    const errors = [...built.errors, ...validated.errors.filter((error) => !builtFields.has(error.field))];
+    return { rowNumber, values, client: validated.client, errors };
+  });
+
+  // Same check bulkImportClients makes, so a validate-only run already lists the duplicates
+  const newRows = checkedRows.filter((row) => !row.client.id);
+  const duplicateErrors = await findImportDuplicates(newRows.map((row) => row.client));
+  duplicateErrors.forEach((error, index) => newRows[index].errors.push(error));
+
+  return {
+    fileName: file.originalname,
+    headers,
+    columns: headers.map((header) => ({ header, field: getImportField(header, mapping) })),
+    rows: checkedRows,
+  };
+};
+
+/**
+ * Summary and per-row errors of a checked file
+ * @param {Object} checked - From checkClientFile
+ * @returns {Object}
+ */
+const summarizeCheck = ({ fileName, columns, rows }) => {
+  const invalidRows = rows.filter((row) => row.errors.length > 0);
+  return {
+    fileName,
+    totalRows: rows.length,
+    validRows: rows.length - invalidRows.length,
+    invalidRows: invalidRows.length,
+    columns,
+    errors: invalidRows.flatMap(({ rowNumber, client, errors }) =>
+      errors.map((error) => ({
+        row: rowNumber,
+        field: error.field,
+        value:
+          error.value !== undefined ? error.value : error.field.split('.').reduce((obj, key) => obj && obj[key], client),
+        message: error.message,
+      }))
+    ),
+  };
+};
+
+/**
+ * Validate an uploaded client file and, unless validateOnly, queue the import of its rows
+ * @param {Object} file - Multer file
+ * @param {Object} options
+ * @param {ObjectId} [options.profileId] - Saved column mapping
+ * @param {Array<{ header: string, field: string }>} [options.columns] - Column mapping for this upload
+ * @param {boolean} [options.validateOnly] - Only report; import nothing
+ * @param {boolean} [options.skipInvalidRows] - Import the valid rows even when others have errors
+ * @param {Object} user
+ * @returns {Promise<{ report: Object, job?: Job }>}
+ */
+const importClientFile = async (file, { validateOnly = false, skipInvalidRows = false, ...options } = {}, user) => {
+  const checked = await checkClientFile(file, options, user);
+  const report = summarizeCheck(checked);
+  if (validateOnly) {
+    return { report };
+  }
+  if (report.invalidRows > 0 && !skipInvalidRows) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `${report.invalidRows} of ${report.totalRows} rows have errors; fix them or import with skipInvalidRows`,
+      { report }
+    );
+  }
+
+  const clients = checked.rows.filter((row) => row.errors.length === 0).map((row) => row.client);
+  if (clients.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No valid rows to import', { report });
+  }
+  const job = await enqueueJob('import.clients', { clients }, { maxAttempts: 1, ...getJobRequester(user) });
+  return { report, job };
+};
+
+/**
+ * Downloadable validation report: the uploaded rows with their status and errors
+ * @param {Object} file - Multer file
+ * @param {Object} options - { profileId, columns }
+ * @param {Object} user
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<{ fileName: string, contentType: string, buffer: Buffer }>}
+ */
+const buildImportReport = async (file, options, user, format) => {
+  const { fileName, headers, rows } = await checkClientFile(file, options, user);
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Import report');
+  worksheet.addRow(['Row', 'Status', 'Errors', ...headers]);
+  rows.forEach(({ rowNumber, values, errors }) => {
+    worksheet.addRow([
+      rowNumber,
+      errors.length > 0 ? 'Error' : 'OK',
+      errors.map((error) => `${error.field}: ${error.message}`).join('; '),
+      ...headers.map((header) => values[header]),
+    ]);
+  });
+
+  const buffer = format === 'xlsx' ? await workbook.xlsx.writeBuffer() : await workbook.csv.writeBuffer();
+  return {
+    fileName: `${path.basename(fileName, path.extname(fileName))}-import-report.${format}`,
+    contentType: REPORT_TYPES[format],
+    buffer: Buffer.from(buffer),
+  };
+};
+
+/**
+ * Create a column mapping profile
+ * @param {Object} profileBody - { name, columns }
+ * @param {Object} [user]
+ * @returns {Promise<ClientImportProfile>}
+ */
+const createImportProfile = async (profileBody, user = null) => {
+  if ((await ClientImportProfile.countDocuments({ name: profileBody.name })) > 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'An import profile with this name already exists');
+  }
+  return ClientImportProfile.create({ ...profileBody, createdBy: user ? user._id : undefined });
+};
+
+/**
+ * Query column mapping profiles
+ * @param {Object} filter - { name }
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryImportProfiles = async ({ name, ...filter }, options) => {
+  const mongoFilter = { ...filter };
+  if (name) {
+    mongoFilter.name = { $regex: name, $options: 'i' };
+  }
+  return ClientImportProfile.paginate(mongoFilter, { sortBy: 'name:asc', ...options });
+};
+
+/**
+ * Update a column mapping profile
+ * @param {ObjectId} profileId
+ * @param {Object} updateBody - { name, columns }
+ * @returns {Promise<ClientImportProfile>}
+ */
+const updateImportProfileById = async (profileId, updateBody) => {
+  const profile = await getImportProfileById(profileId);
+  if (
+    updateBody.name &&
+    (await ClientImportProfile.countDocuments({ name: updateBody.name, _id: { $ne: profile._id } })) > 0
+  ) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'An import profile with this name already exists');
+  }
+  Object.assign(profile, updateBody);
+  await profile.save();
+  return profile;
+};
+
+/**
+ * Delete a column mapping profile
+ * @param {ObjectId} profileId
+ * @returns {Promise<ClientImportProfile>}
+ */
+const deleteImportProfileById = async (profileId) => {
+  const profile = await getImportProfileById(profileId);
+  await profile.remove();
+  return profile;
+};
+
+export {
+  parseSpreadsheet,
+  checkClientFile,
+  importClientFile,
+  buildImportReport,
+  createImportProfile,
+  queryImportProfiles,
+  getImportProfileById,
+  updateImportProfileById,
+  deleteImportProfileById,
+};
@@ -0,0 +1,294 @@
+/**
+ * Client deadline reminders: email clients ahead of (and after) the due date of their open timelines.
+ * Reminders are configured on email templates tied to an activity/subactivity (EmailTemplate.reminder) and
+ * every email is recorded in ClientReminderLog, which also keeps each reminder from going out twice.
+ */
+import mongoose from 'mongoose';
+import { EmailTemplate, Timeline, ClientReminderLog } from '../models/index.js';
+import logger from '../config/logger.js';
+import config from '../config/config.js';
+import { COMPLIANCE_FORMS } from '../jobs/timelineGenerator/complianceCalendar.js';
+import { wrapWithDefaultLayout, getLogoAttachment } from '../utils/emailLayout.js';
+import createTrackedRun from '../jobs/trackedRun.js';
+import * as emailTemplateService from './emailTemplate.service.js';
+import * as emailService from './email.service.js';
+import { getClientRecipients, getRecipientPlaceholders } from './bulkEmail.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timelines still waiting on work; ready for review/filed no longer need anything from the client
+const OPEN_STATUSES = ['pending', 'ongoing', 'delayed'];
+
+// Overdue reminders stop this many days after the due date
+const OVERDUE_LOOKBACK_DAYS = 90;
+
+// SMTP account for each statutory form family, then activity-name fallbacks
+const FORM_ACCOUNTS = {
+  GSTR1: 'gst',
+  GSTR1_QRMP: 'gst',
+  GSTR3B: 'gst',
+  GSTR3B_QRMP: 'gst',
+  CMP08: 'gst',
+  GSTR9: 'gst',
+  GSTR9C: 'gst',
+  TDS_PAYMENT: 'incometax',
+  TDS_RETURN: 'incometax',
+  ITR: 'incometax',
+  TAX_AUDIT: 'audit',
+  AOC4: 'roc',
+  MGT7: 'roc',
+  DIR3_KYC: 'roc',
+};
+const ACTIVITY_ACCOUNT_PATTERNS = [
+  { pattern: /gst/i, account: 'gst' },
+  { pattern: /audit/i, account: 'audit' },
+  { pattern: /\broc\b|\bmca\b|company law/i, account: 'roc' },
+  { pattern: /income\s*tax|\bitr\b|\btds\b/i, account: 'incometax' },
+];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Which reminder (if any) is due today for a timeline
+ * @param {Date} dueDate
+ * @param {Date} today
+ * @param {Object} reminder - EmailTemplate.reminder settings
+ * @returns {{ kind: 'before'|'overdue', offset: number }|null} offset = days left, or days overdue
+ */
+const getReminderOffset = (dueDate, today, reminder) => {
+  if (!dueDate || !reminder) {
+    return null;
+  }
+  const daysLeft = Math.round((startOfDay(dueDate) - startOfDay(today)) / DAY_MS);
+  if (daysLeft >= 0) {
+    return (reminder.daysBefore || []).includes(daysLeft) ? { kind: 'before', offset: daysLeft } : null;
+  }
+
+  const daysOverdue = -daysLeft;
+  if (!reminder.onOverdue || daysOverdue > OVERDUE_LOOKBACK_DAYS) {
+    return null;
+  }
+  const repeat = reminder.overdueRepeatDays || 0;
+  const isDue = daysOverdue === 1 || (repeat > 0 && (daysOverdue - 1) % repeat === 0);
+  return isDue ? { kind: 'overdue', offset: daysOverdue } : null;
+};
+
+/**
+ * Named SMTP account matching a filing: from its statutory form, else from the activity name
+ * @param {string} [activityName]
+ * @param {string} [complianceForm]
+ * @returns {string|null}
+ */
+const inferFromAccount = (activityName, complianceForm) => {
+  if (complianceForm && COMPLIANCE_FORMS[complianceForm]) {
+    return FORM_ACCOUNTS[complianceForm] || null;
+  }
+  const match = ACTIVITY_ACCOUNT_PATTERNS.find(({ pattern }) => pattern.test(activityName || ''));
+  return match ? match.account : null;
+};
+
+/**
+ * Reminder template for a timeline: one for its exact subactivity wins over one for the whole activity
+ * @param {Array<Object>} templates - Templates with reminders enabled
+ * @param {Object} timeline
+ * @returns {Object|null}
+ */
+const findTemplateForTimeline = (templates, timeline) => {
+  const activityId = String(timeline.activity._id || timeline.activity);
+  const subactivityId = String(timeline.subactivityId || (timeline.subactivity && timeline.subactivity._id) || '');
+  const forActivity = templates.filter((template) => String(template.activity) === activityId);
+  return (
+    forActivity.find((template) => template.subactivity && String(template.subactivity) === subactivityId) ||
+    forActivity.find((template) => !template.subactivity) ||
+    null
+  );
+};
+
+/**
+ * Client contacts a timeline's reminders go to (see getClientRecipients)
+ * @param {Object} timeline - With client (contacts, email, email2) and activity populated
+ * @returns {Array<{ name: string, email: string }>}
+ */
+const getReminderRecipients = (timeline) =>
+  timeline.client
+    ? getClientRecipients(timeline.client, timeline.activity && (timeline.activity._id || timeline.activity))
+    : [];
+
+/**
+ * Email one reminder and record it
+ * @returns {Promise<boolean>} Whether it was sent
+ */
+const sendReminder = async ({ timeline, template, reminderDue }) => {
+  const { client } = timeline;
+  const recipients = getReminderRecipients(timeline);
+  const to = recipients.map((recipient) => recipient.email).join(', ');
+  const activityName = timeline.activity && timeline.activity.name;
+  const fromAccount = template.reminder.fromAccount || inferFromAccount(activityName, timeline.complianceForm);
+  const extra = {
+    ...emailTemplateService.getTimelinePlaceholders(timeline, activityName),
+    ...getRecipientPlaceholders(recipients),
+    daysLeft: reminderDue.kind === 'before' ? reminderDue.offset : 0,
+    daysOverdue: reminderDue.kind === 'overdue' ? reminderDue.offset : 0,
+  };
+  const { subject, text } = emailTemplateService.renderForClient(template, client, extra);
+  const { html } = emailTemplateService.renderForClientHtml(template, client, extra);
+
+  const log = {
+    client: client._id,
+    timeline: timeline._id,
+    template: template._id,
+    kind: reminderDue.kind,
+    offset: reminderDue.offset,
+    dueDate: timeline.dueDate,
+    sentTo: to,
+    fromAccount: fromAccount && config.email.smtpAccounts[fromAccount] ? fromAccount : null,
+    subject,
+  };
+  try {
+    const logoAttach = getLogoAttachment();
+    await emailService.sendEmailWithAttachments(
+      to,
+      subject,
+      text,
+      wrapWithDefaultLayout(html, { useCid: true }),
+      logoAttach ? [logoAttach] : [],
+      {
+        ...(log.fromAccount ? { fromAccount: log.fromAccount } : {}),
+        log: { category: 'clientReminder', client: client._id, timeline: timeline._id, template: template._id },
+      }
+    );
+    await ClientReminderLog.create({ ...log, status: 'sent' });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send deadline reminder for timeline ${timeline._id}: ${error.message}`);
+    await ClientReminderLog.create({ ...log, status: 'failed', error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Send the deadline reminders due today
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ checked: number, sent: number, failed: number, skipped: number }>}
+ *   checked: reminders due today; skipped: client opted out, inactive, without email or already reminded.
+ *   Each reminder goes to the client's contacts for the timeline's activity.
+ */
+const sendClientDeadlineReminders = async ({ now = new Date() } = {}) => {
+  const result = { checked: 0, sent: 0, failed: 0, skipped: 0 };
+  const templates = await EmailTemplate.find({ 'reminder.enabled': true, activity: { $ne: null } }).lean();
+  if (templates.length === 0) {
+    return result;
+  }
+
+  const today = startOfDay(now);
+  const maxDaysBefore = Math.max(0, ...templates.flatMap((template) => template.reminder.daysBefore || []));
+  const withOverdue = templates.some((template) => template.reminder.onOverdue);
+  const timelines = await Timeline.find({
+    activity: { $in: [...new Set(templates.map((template) => String(template.activity)))] },
+    status: { $in: OPEN_STATUSES },
+    dueDate: {
+      $gte: withOverdue ? new Date(today.getTime() - OVERDUE_LOOKBACK_DAYS * DAY_MS) : today,
+      $lt: new Date(today.getTime() + (maxDaysBefore + 1) * DAY_MS),
+    },
+  })
+    .select('client activity subactivity subactivityId period dueDate complianceForm')
+    .populate('client', 'name email email2 contacts phone address district state country status reminderOptOut')
+    .populate('activity', 'name')
+    .lean();
+
+  const due = timelines
+    .map((timeline) => {
+      const template = findTemplateForTimeline(templates, timeline);
+      const reminderDue = template && getReminderOffset(timeline.dueDate, today, template.reminder);
+      return reminderDue ? { timeline, template, reminderDue } : null;
+    })
+    .filter(Boolean);
+  result.checked = due.length;
+
+  // One at a time: the named SMTP accounts are not pooled
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const reminder of due) {
+    const { client } = reminder.timeline;
+    const alreadySent =
+      client &&
+      (await ClientReminderLog.countDocuments({
+        timeline: reminder.timeline._id,
+        kind: reminder.reminderDue.kind,
+        offset: reminder.reminderDue.offset,
+        status: 'sent',
+      })) > 0;
+    if (
+      !client ||
+      client.reminderOptOut ||
+      client.status === 'inactive' ||
+      getReminderRecipients(reminder.timeline).length === 0 ||
+      alreadySent
+    ) {
+      result.skipped += 1;
+    } else if (await sendReminder(reminder)) {
+      result.sent += 1;
+    } else {
+      result.failed += 1;
+    }
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+
+  return result;
+};
+
+// Run daily by jobs/clientReminder.job.js and POST /v1/client-reminders/run; reported by /v1/cron/status
+const clientReminderRun = createTrackedRun(
+  'Client reminder run',
+  async () => {
+    const result = await sendClientDeadlineReminders();
+    logger.info(
+      `📧 Client deadline reminders: ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped of ${result.checked}`
+    );
+    return result;
+  },
+  { checked: 0, sent: 0, failed: 0, skipped: 0 }
+);
+
+/**
+ * Counts from the most recent run
+ * @returns {Object}
+ */
+const getClientReminderJobStatus = clientReminderRun.getStatus;
+
+/**
+ * Run the reminder job once. Skipped while a previous run is still in progress.
+ * @returns {Promise<Object>}
+ */
+const runClientReminders = clientReminderRun.run;
+
+/**
+ * Query reminder logs
+ * @param {Object} filter - client, timeline, status, kind
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryReminderLogs = async (filter, options) => {
+  const mongoFilter = { ...filter };
+  ['client', 'timeline'].forEach((key) => {
+    if (mongoFilter[key]) {
+      mongoFilter[key] = new mongoose.Types.ObjectId(mongoFilter[key]);
+    }
+  });
+  return ClientReminderLog.paginate(mongoFilter, { sortBy: 'createdAt:desc', ...options });
+};
+
+export {
+  getReminderOffset,
+  inferFromAccount,
+  getReminderRecipients,
+  findTemplateForTimeline,
+  sendClientDeadlineReminders,
+  runClientReminders,
+  getClientReminderJobStatus,
+  queryReminderLogs,
+};
@@ -8,10 +8,33 @@ import { Client, Timeline, Activity } from '../models/index.js';
 import ApiError from '../utils/ApiError.js';
 import { hasBranchAccess } from './role.service.js';
 import { getCurrentFinancialYear } from '../utils/financialYear.js';
+import {
+  timelineStatuses,
+  timelinePendingStatuses,
+  timelineClientStatusMap,
+  timelineClientStatuses,
+} from '../config/timelineWorkflow.js';
 
-const PENDING_STATUSES = ['pending', 'ongoing', 'delayed'];
 const AUDITING_ACTIVITY_NAME = 'Auditing';
 
+// Status summary key for a status: 'ready for review' -> readyForReview
+const toSummaryKey = (status) => status.replace(/ (\w)/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Count timelines per status, one key for every workflow status
+ * @param {Array<string>} statuses
+ * @param {Array<string>} [allStatuses] - Statuses that always get a key; timelineClientStatuses for the client portal
+ * @returns {Object} e.g. { pending: 2, ongoing: 0, readyForReview: 1, filed: 0, completed: 4, delayed: 0, notApplicable: 0 }
+ */
+const buildStatusSummary = (statuses, allStatuses = timelineStatuses) => {
+  const summary = Object.fromEntries(allStatuses.map((status) => [toSummaryKey(status), 0]));
+  statuses.forEach((status) => {
+    const key = toSummaryKey(status);
+    summary[key] = (summary[key] || 0) + 1;
+  });
+  return summary;
+};
+
 /**
  * Get next financial year string. e.g. "2024-2025" -> "2025-2026" (audit for a FY is done in next FY).
  * @param {string} fy - e.g. "2024-2025"
@@ -36,6 +59,33 @@ const normalizeFinancialYear = (year) => {
   return getCurrentFinancialYear().yearString;
 };
 
+/**
+ * Report fields of a timeline (populated activity, lean)
+ * @param {Object} t
+ * @returns {Object}
+ */
+const formatReportTimeline = (t) => ({
+  _id: t._id,
+  activity: t.activity ? { _id: t.activity._id, name: t.activity.name } : { _id: t.activity, name: null },
+  subactivity: t.subactivity ? { _id: t.subactivity._id || t.subactivityId, name: t.subactivity.name || null } : null,
+  status: t.status || 'pending',
+  period: t.period,
+  dueDate: t.dueDate,
+  startDate: t.startDate,
+  endDate: t.endDate,
+  completedAt: t.completedAt,
+  frequency: t.frequency,
+  timelineType: t.timelineType,
+  referenceNumber: t.referenceNumber,
+});
+
+/**
+ * A report timeline as the client sees it, with its status mapped through timelineClientStatusMap
+ * @param {Object} item - From formatReportTimeline
+ * @returns {Object}
+ */
+const toClientTimeline = (item) => ({ ...item, status: timelineClientStatusMap[item.status] || item.status });
+
 /**
  * Get full year report for a single client: timelines, status breakdown, pendings, turnover.
  * @param {string} clientId
@@ -86,56 +136,18 @@ const getClientYearReport = async (clientId, year, user = null) => {
     if (auditingTimelines.length > 0) {
       auditingNextYear = {
         financialYear: nextFy,
-        timelines: auditingTimelines.map((t) => ({
-          _id: t._id,
-          activity: t.activity
-            ? { _id: t.activity._id, name: t.activity.name }
-            : { _id: t.activity, name: null },
-          subactivity: t.subactivity
-            ? { _id: t.subactivity._id || t.subactivityId, name: t.subactivity.name || null }
-            : null,
-          status: t.status || 'pending',
-          period: t.period,
-          dueDate: t.dueDate,
-          startDate: t.startDate,
-          endDate: t.endDate,
-          completedAt: t.completedAt,
-          frequency: t.frequency,
-          timelineType: t.timelineType,
-          referenceNumber: t.referenceNumber,
-        })),
+        timelines: auditingTimelines.map(formatReportTimeline),
       };
     }
   }
 
-  const statusSummary = { pending: 0, completed: 0, delayed: 0, ongoing: 0, notApplicable: 0 };
   const pendings = [];
 
   const timelineList = timelines.map((t) => {
     const status = t.status || 'pending';
-    if (status === 'not applicable') statusSummary.notApplicable += 1;
-    else statusSummary[status] = (statusSummary[status] || 0) + 1;
-
-    const item = {
-      _id: t._id,
-      activity: t.activity
-        ? { _id: t.activity._id, name: t.activity.name }
-        : { _id: t.activity, name: null },
-      subactivity: t.subactivity
-        ? { _id: t.subactivity._id || t.subactivityId, name: t.subactivity.name || null }
-        : null,
-      status,
-      period: t.period,
-      dueDate: t.dueDate,
-      startDate: t.startDate,
-      endDate: t.endDate,
-      completedAt: t.completedAt,
-      frequency: t.frequency,
-      timelineType: t.timelineType,
-      referenceNumber: t.referenceNumber,
-    };
+    const item = formatReportTimeline(t);
 
-    if (PENDING_STATUSES.includes(status)) {
+    if (timelinePendingStatuses.includes(status)) {
       pendings.push(item);
     }
 
@@ -159,11 +171,7 @@ const getClientYearReport = async (clientId, year, user = null) => {
     turnoverHistory: (client.turnoverHistory || []).sort((a, b) => (b.year || '').localeCompare(a.year || '')),
     timelines: timelineList,
     statusSummary: {
-      pending: statusSummary.pending,
-      completed: statusSummary.completed,
-      delayed: statusSummary.delayed,
-      ongoing: statusSummary.ongoing,
-      notApplicable: statusSummary.notApplicable,
+      ...buildStatusSummary(timelines.map((t) => t.status || 'pending')),
       total: timelineList.length,
     },
     pendings,
@@ -172,4 +180,84 @@ const getClientYearReport = async (clientId, year, user = null) => {
   return result;
 };
 
-export { getClientYearReport, normalizeFinancialYear, getNextFinancialYear };
+/**
+ * Year report of the logged-in client for the client portal: getClientYearReport with client-facing statuses
+ * (see timelineClientStatusMap), so internal review steps are not shown
+ * @param {string} clientId - Authenticated client's id
+ * @param {string} [year] - FY e.g. "2024-2025" or "2024"
+ * @returns {Promise<Object>}
+ */
+const getClientPortalYearReport = async (clientId, year) => {
+  const report = await getClientYearReport(clientId, year);
+  const timelines = report.timelines.map(toClientTimeline);
+  const result = {
+    ...report,
+    timelines,
+    statusSummary: {
+      ...buildStatusSummary(
+        timelines.map((t) => t.status),
+        timelineClientStatuses
+      ),
+      total: timelines.length,
+    },
+    pendings: report.pendings.map(toClientTimeline),
+  };
+  if (report.auditingNextYear) {
+    result.auditingNextYear = {
+      ...report.auditingNextYear,
+      timelines: report.auditingNextYear.timelines.map(toClientTimeline),
+    };
+  }
+  return result;
+};
+
+/**
+ * Compliance status of a client's own timelines for the client portal, grouped by financial year (latest first).
+ * Only fields meant for the client are returned; internal status history and working fields are left out, and
+ * statuses are the client-facing ones (see timelineClientStatusMap).
+ * @param {string} clientId - Authenticated client's id
+ * @param {Object} [filter]
+ * @param {string} [filter.financialYear] - e.g. "2024-2025"
+ * @param {string} [filter.status] - One of timelineClientStatuses
+ * @returns {Promise<Object>}
+ */
+const getClientComplianceStatus = async (clientId, { financialYear, status } = {}) => {
+  const query = { client: new mongoose.Types.ObjectId(clientId) };
+  if (financialYear) query.financialYear = normalizeFinancialYear(financialYear);
+  if (status) {
+    query.status = { $in: timelineStatuses.filter((internal) => timelineClientStatusMap[internal] === status) };
+  }
+
+  const timelines = await Timeline.find(query)
+    .select('activity subactivity subactivityId status period dueDate startDate endDate completedAt frequency timelineType referenceNumber financialYear state')
+    .populate('activity', 'name')
+    .sort({ dueDate: 1, period: 1 })
+    .lean();
+
+  const groups = new Map();
+  timelines.forEach((t) => {
+    const fy = t.financialYear || null;
+    if (!groups.has(fy)) {
+      groups.set(fy, { financialYear: fy, statusSummary: { total: 0 }, timelines: [] });
+    }
+    const group = groups.get(fy);
+    const item = { ...toClientTimeline(formatReportTimeline(t)), state: t.state || null };
+    group.statusSummary[item.status] = (group.statusSummary[item.status] || 0) + 1;
+    group.statusSummary.total += 1;
+    group.timelines.push(item);
+  });
+
+  const financialYears = [...groups.values()].sort((a, b) =>
+    (b.financialYear || '').localeCompare(a.financialYear || '')
+  );
+  return { total: timelines.length, financialYears };
+};
+
+export {
+  getClientYearReport,
+  getClientPortalYearReport,
+  getClientComplianceStatus,
+  normalizeFinancialYear,
+  getNextFinancialYear,
+  buildStatusSummary,
+};
@@ -0,0 +1,273 @@
+import httpStatus from 'http-status';
+import ComplianceExtension from '../models/complianceExtension.model.js';
+import Timeline from '../models/timeline.model.js';
+import ApiError from '../utils/ApiError.js';
+import cache from '../utils/cache.js';
+import logger from '../config/logger.js';
+import { timelineClosedStatuses } from '../config/timelineWorkflow.js';
+import { normalizeStateName } from '../utils/indianStates.js';
+import {
+  COMPLIANCE_FORMS,
+  detectComplianceForm,
+  getStatutoryDueDate,
+} from '../jobs/timelineGenerator/complianceCalendar.js';
+import { calculateDueDate } from '../jobs/timelineGenerator/dueDate.js';
+import { SHIFTED_FREQUENCIES } from '../jobs/timelineGenerator/workingDay.js';
+import { getBranchStates, shiftDueDate, writeTimelineDueDates } from './holiday.service.js';
+
+const EXTENSIONS_CACHE_KEY = 'complianceCalendar:activeExtensions';
+const EXTENSIONS_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Build the context the statutory rules need from a client
+ * @param {Object} client - Client document (entityType, metadata)
+ * @param {string} [state] - GST state of the timeline
+ * @returns {Object}
+ */
+const buildComplianceContext = (client, state = null) => {
+  const metadata = (client && client.metadata) || {};
+  return {
+    state,
+    entityType: client && client.entityType,
+    auditApplicable: metadata.auditApplicable,
+    transferPricing: metadata.transferPricing,
+    agmDate: metadata.agmDate,
+  };
+};
+
+/**
+ * Active extensions, newest first. Cached because the timeline generator resolves a due date per client.
+ * @returns {Promise<Array>}
+ */
+const getActiveExtensions = async () => {
+  const cached = cache.get(EXTENSIONS_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+  const extensions = await ComplianceExtension.find({ isActive: true }).sort({ createdAt: -1 }).lean();
+  cache.set(EXTENSIONS_CACHE_KEY, extensions, EXTENSIONS_CACHE_TTL);
+  return extensions;
+};
+
+/**
+ * Latest active extension covering a form, period and state
+ * @param {string} form
+ * @param {string} period
+ * @param {string} [state]
+ * @returns {Promise<Object|null>}
+ */
+const findApplicableExtension = async (form, period, state = null) => {
+  const extensions = await getActiveExtensions();
+  const stateName = state ? normalizeStateName(state) : null;
+  return (
+    extensions.find(
+      (extension) =>
+        extension.form === form &&
+        extension.period === period &&
+        (!extension.states || extension.states.length === 0 || (stateName && extension.states.includes(stateName)))
+    ) || null
+  );
+};
+
+/**
+ * Resolve the due date of a recurring timeline. Subactivities that file a recognised statutory form get the
+ * statutory date (or the latest extension of it); anything else falls back to the subactivity's frequencyConfig.
+ * The result is moved to the next working day when it falls on a Sunday or a holiday in the timeline's state.
+ * @param {Object} params
+ * @param {Object} params.subactivity - { name, frequency, frequencyConfig, complianceForm }
+ * @param {string} params.frequency
+ * @param {string} params.period - Timeline period
+ * @param {Object} [params.client]
+ * @param {string} [params.state] - GST state for per-state timelines
+ * @param {string} [params.branchState] - Branch state, for holidays when neither the timeline nor client has one
+ * @param {Date} [params.fallbackDueDate] - Used instead of frequencyConfig when no form applies
+ * @returns {Promise<{ dueDate: Date, complianceForm: string|null, extension: Object|null }>}
+ */
+const resolveDueDate = async ({
+  subactivity,
+  frequency,
+  period,
+  client = null,
+  state = null,
+  branchState = null,
+  fallbackDueDate,
+}) => {
+  const snapshot = subactivity && typeof subactivity.toObject === 'function' ? subactivity.toObject() : subactivity;
+  const resolvedFrequency = frequency || (snapshot && snapshot.frequency);
+  let result = { dueDate: null, complianceForm: null, extension: null };
+
+  const complianceForm = detectComplianceForm({ ...snapshot, frequency: resolvedFrequency });
+  const statutoryDueDate =
+    complianceForm && getStatutoryDueDate(complianceForm, period, buildComplianceContext(client, state));
+  if (statutoryDueDate) {
+    const extension = await findApplicableExtension(complianceForm, period, state);
+    result = {
+      dueDate: extension ? new Date(extension.extendedDueDate) : statutoryDueDate,
+      complianceForm,
+      extension,
+    };
+  } else {
+    result.dueDate = fallbackDueDate || calculateDueDate(resolvedFrequency, snapshot && snapshot.frequencyConfig, period);
+  }
+
+  if (SHIFTED_FREQUENCIES.includes(resolvedFrequency)) {
+    const holidayState = state || (client && client.state) || branchState;
+    result.dueDate = await shiftDueDate(result.dueDate, holidayState);
+  }
+  return result;
+};
+
+/**
+ * Recompute the due date of open timelines for a form and period, e.g. after an extension is published
+ * @param {string} form
+ * @param {string} period
+ * @returns {Promise<number>} Number of timelines whose due date changed
+ */
+const recomputeTimelineDueDates = async (form, period) => {
+  const { frequency } = COMPLIANCE_FORMS[form];
+  // Closed timelines keep the due date they had; everything else follows the calendar
+  const timelines = await Timeline.find(
+    {
+      period,
+      frequency,
+      timelineType: 'recurring',
+      status: { $nin: timelineClosedStatuses },
+    },
+    'dueDate startDate endDate complianceForm subactivity state client branch'
+  )
+    .populate('client', 'entityType metadata state')
+    .lean();
+  const branchStates = await getBranchStates();
+
+  const matching = timelines.filter(
+    (timeline) => (timeline.complianceForm || detectComplianceForm({ ...timeline.subactivity, frequency })) === form
+  );
+
+  const resolved = await Promise.all(
+    matching.map(async (timeline) => {
+      const { dueDate } = await resolveDueDate({
+        subactivity: { ...timeline.subactivity, complianceForm: form },
+        frequency,
+        period,
+        client: timeline.client,
+        state: timeline.state,
+        branchState: branchStates.get(String(timeline.branch)),
+      });
+      return { timeline, set: { dueDate, startDate: dueDate, endDate: dueDate, complianceForm: form } };
+    })
+  );
+  const changed = resolved.filter(
+    ({ timeline, set }) =>
+      !timeline.dueDate || timeline.dueDate.getTime() !== set.dueDate.getTime() || timeline.complianceForm !== form
+  );
+  await writeTimelineDueDates(changed);
+  const updated = changed.length;
+
+  logger.info(`Recomputed due dates for ${form} ${period}: ${updated} timeline(s) updated`);
+  return updated;
+};
+
+/**
+ * List the supported forms and their statutory rules
+ * @returns {Array<Object>}
+ */
+const getComplianceForms = () =>
+  Object.entries(COMPLIANCE_FORMS).map(([code, { label, frequency, rule }]) => ({ code, label, frequency, rule }));
+
+/**
+ * Preview the due date of a form for a period
+ * @param {Object} query - { form, period, state, entityType, auditApplicable, transferPricing, agmDate }
+ * @returns {Promise<Object>}
+ */
+const getFormDueDate = async ({ form, period, state, ...context }) => {
+  const statutoryDueDate = getStatutoryDueDate(form, period, { state, ...context });
+  if (!statutoryDueDate) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Period ${period} is not valid for ${COMPLIANCE_FORMS[form].label}`);
+  }
+  const extension = await findApplicableExtension(form, period, state);
+  return {
+    form,
+    period,
+    statutoryDueDate,
+    dueDate: await shiftDueDate(extension ? extension.extendedDueDate : statutoryDueDate, state),
+    extension,
+  };
+};
+
+/**
+ * Publish a due-date extension and move the due date of matching open timelines
+ * @param {Object} extensionBody
+ * @param {ObjectId} [createdBy]
+ * @returns {Promise<ComplianceExtension>}
+ */
+const createExtension = async (extensionBody, createdBy = null) => {
+  const { form, period } = extensionBody;
+  if (!getStatutoryDueDate(form, period)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Period ${period} is not valid for ${COMPLIANCE_FORMS[form].label}`);
+  }
+
+  const extension = await ComplianceExtension.create({
+    ...extensionBody,
+    states: (extensionBody.states || []).map(normalizeStateName),
+    createdBy,
+  });
+  cache.delete(EXTENSIONS_CACHE_KEY);
+
+  extension.timelinesUpdated = await recomputeTimelineDueDates(form, period);
+  await extension.save();
+  return extension;
+};
+
+/**
+ * Query extensions
+ * @param {Object} filter - form, period, isActive
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryExtensions = async (filter, options) =>
+  ComplianceExtension.paginate(filter, { sortBy: 'createdAt:desc', ...options });
+
+/**
+ * Get extension by id
+ * @param {ObjectId} extensionId
+ * @returns {Promise<ComplianceExtension>}
+ */
+const getExtensionById = async (extensionId) => {
+  const extension = await ComplianceExtension.findById(extensionId);
+  if (!extension) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Extension not found');
+  }
+  return extension;
+};
+
+/**
+ * Withdraw an extension; open timelines go back to the statutory date (or an earlier extension still active)
+ * @param {ObjectId} extensionId
+ * @returns {Promise<ComplianceExtension>}
+ */
+const withdrawExtension = async (extensionId) => {
+  const extension = await getExtensionById(extensionId);
+  if (!extension.isActive) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Extension is already withdrawn');
+  }
+
+  extension.isActive = false;
+  await extension.save();
+  cache.delete(EXTENSIONS_CACHE_KEY);
+
+  extension.timelinesUpdated = await recomputeTimelineDueDates(extension.form, extension.period);
+  await extension.save();
+  return extension;
+};
+
+export {
+  buildComplianceContext,
+  resolveDueDate,
+  recomputeTimelineDueDates,
+  getComplianceForms,
+  getFormDueDate,
+  createExtension,
+  queryExtensions,
+  getExtensionById,
+  withdrawExtension,
+};
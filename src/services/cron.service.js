@@ -1,15 +1,33 @@
 import cron from 'node-cron';
+import httpStatus from 'http-status';
 import { Task } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
 import { sendEmail, generateDailyReminderHTML } from './email.service.js';
 import {
   findDuplicateRecurringTimelines,
   removeDuplicateRecurringTimelines,
 } from './timelineDedupe.service.js';
+import { getTimelineStatusJobStatus } from './timelineStatusCron.service.js';
+import { getClientReminderJobStatus, runClientReminders } from './clientReminder.service.js';
+import { purgeDeleted } from './recycleBin.service.js';
+import { recordCronRun } from './cronRun.service.js';
+import {
+  processDailyTimelines,
+  processMonthlyTimelines,
+  processQuarterlyTimelines,
+  processYearlyTimelines,
+} from '../jobs/timelineGenerator/processors.js';
+import { getDateFromPeriod } from '../jobs/timelineGenerator/period.js';
+import { getCronLocks, runWithCronLock } from './cronLock.service.js';
+import { enqueueJob, getJobRequester } from './jobQueue.service.js';
+import scheduleLockedJob from '../jobs/lockedSchedule.js';
+import instanceId from '../utils/instanceId.js';
 import logger from '../config/logger.js';
 
 /**
  * Send daily reminder emails for pending tasks
  * Runs at 12:50 PM Indian Standard Time (IST) daily
+ * @returns {Promise<{ processed: number, sent: number, failed: number }>} processed = pending tasks
  */
 const sendDailyTaskReminders = async () => {
   try {
@@ -32,7 +50,7 @@ const sendDailyTaskReminders = async () => {
 
     if (pendingTasks.length === 0) {
       logger.info('✅ No pending tasks found for reminders');
-      return;
+      return { processed: 0, sent: 0, failed: 0 };
     }
 
     logger.info(`📋 Found ${pendingTasks.length} pending tasks to send reminders for`);
@@ -120,7 +138,8 @@ Your Task Management System`;
           teamMember.email,
           `📋 Daily Reminder: ${totalTasks} Pending Task${totalTasks > 1 ? 's' : ''} - ${istTime.toLocaleDateString()}`,
           emailBody,
-          html
+          html,
+          { log: { category: 'dailyTaskReminder' } }
         );
 
         emailsSent++;
@@ -133,9 +152,11 @@ Your Task Management System`;
     }
 
     logger.info(`📧 Daily reminder process completed: ${emailsSent} emails sent, ${emailsFailed} failed`);
+    return { processed: pendingTasks.length, sent: emailsSent, failed: emailsFailed };
 
   } catch (error) {
     logger.error('❌ Error in daily task reminder process:', error);
+    throw error;
   }
 };
 
@@ -151,13 +172,10 @@ const initializeCronJobs = () => {
     // Since we're using timezone: "Asia/Kolkata", the cron expression should be in IST
     const cronExpression = '0 10 * * *'; // 10:00 AM IST
 
-    cron.schedule(cronExpression, async () => {
+    scheduleLockedJob('daily-task-reminders', cronExpression, async () => {
       logger.info('🕙 Daily task reminder cron job triggered at 10:00 AM IST');
-      await sendDailyTaskReminders();
-    }, {
-      scheduled: true,
-      timezone: "Asia/Kolkata"
-    });
+      await recordCronRun('daily-task-reminders', sendDailyTaskReminders);
+    }).start();
 
     logger.info('✅ Daily task reminder cron job scheduled for 10:00 AM IST daily');
 
@@ -185,22 +203,42 @@ const stopCronJobs = () => {
 };
 
 /**
- * Get status of cron jobs
+ * Get status of cron jobs. Jobs scheduled with a cluster-wide lock also report who holds it and their last run,
+ * whichever instance ran it.
  */
-const getCronJobStatus = () => {
+const getCronJobStatus = async () => {
   try {
     const tasks = cron.getTasks();
+    const locks = await getCronLocks();
     const status = {
+      instance: instanceId,
       totalJobs: tasks.size,
       runningJobs: 0,
-      jobs: []
+      jobs: [],
+      // Last run of the overdue timeline check (jobs/timelineStatus.job.js)
+      timelineStatus: getTimelineStatusJobStatus(),
+      // Last run of the client deadline reminders (jobs/clientReminder.job.js)
+      clientReminders: getClientReminderJobStatus()
     };
 
-    tasks.forEach((task, name) => {
+    tasks.forEach((task) => {
+      const nextRun = task.getNextRun();
+      const lock = locks[task.name];
       const jobStatus = {
-        name,
-        running: task.running,
-        nextRun: task.nextDate ? task.nextDate().toISOString() : null
+        name: task.name,
+        status: task.getStatus(),
+        running: task.getStatus() === 'running' || Boolean(lock && lock.isLocked),
+        nextRun: nextRun ? nextRun.toISOString() : null,
+        ...(lock && {
+          schedule: lock.schedule,
+          holder: lock.holder,
+          lockedUntil: lock.lockedUntil,
+          lastRunAt: lock.lastRunAt,
+          lastFinishedAt: lock.lastFinishedAt,
+          lastStatus: lock.lastStatus,
+          lastError: lock.lastError,
+          lastDurationMs: lock.lastDurationMs
+        })
       };
       
       if (jobStatus.running) {
@@ -223,11 +261,72 @@ const getCronJobStatus = () => {
  */
 const findDuplicateTimelines = async () => findDuplicateRecurringTimelines();
 
+// What POST /v1/cron/run/:job runs for each job in CRON_RUN_JOBS; timeline jobs accept a period of their frequency
+const RUNNABLE_JOBS = {
+  'timelines-daily': { frequency: 'Daily', run: processDailyTimelines },
+  'timelines-monthly': { frequency: 'Monthly', run: processMonthlyTimelines },
+  'timelines-quarterly': { frequency: 'Quarterly', run: processQuarterlyTimelines },
+  'timelines-yearly': { frequency: 'Yearly', run: processYearlyTimelines },
+  'daily-task-reminders': { run: sendDailyTaskReminders },
+  'client-reminders': { run: runClientReminders },
+  'remove-duplicate-timelines': { run: removeDuplicateRecurringTimelines },
+  'purge-recycle-bin': { run: purgeDeleted },
+};
+
+/**
+ * Run of a cron job started by hand, under the job's cluster-wide lock so it never overlaps a scheduled run.
+ * Run by the "cron.run" queue job; the run is recorded like a scheduled one.
+ * @param {Object} payload - { job, period, triggeredBy }
+ * @returns {Promise<Object>} The recorded run
+ */
+const executeCronJob = async ({ job, period, triggeredBy }) => {
+  const definition = RUNNABLE_JOBS[job];
+  logger.info(`▶️ Manual run of ${job}${period ? ` for ${period}` : ''}`);
+  const { ran, result } = await runWithCronLock(
+    job,
+    () =>
+      recordCronRun(job, () => definition.run(period ? { period } : undefined), { trigger: 'manual', period, triggeredBy }),
+    { manual: true }
+  );
+  if (!ran) {
+    throw new ApiError(httpStatus.CONFLICT, `${job} is already running`);
+  }
+  return result.toJSON();
+};
+
+/**
+ * Queue a run of a cron job, e.g. to regenerate a past period after a fix. Follow it at /v1/jobs/:jobId; its
+ * result is the recorded run.
+ * @param {string} job - One of CRON_RUN_JOBS
+ * @param {Object} [options]
+ * @param {string} [options.period] - Timeline jobs only, e.g. "Q2-2025"; defaults to the current period
+ * @param {Object} [user] - User who started it
+ * @returns {Promise<Job>}
+ */
+const runCronJob = async (job, { period } = {}, user = null) => {
+  const definition = RUNNABLE_JOBS[job];
+  if (!definition) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Unknown cron job: ${job}`);
+  }
+  if (period && !definition.frequency) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `${job} does not run for a period`);
+  }
+  if (period && !getDateFromPeriod(period, definition.frequency)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid ${definition.frequency.toLowerCase()} period: ${period}`);
+  }
+
+  const triggeredBy = user ? user._id || user.id : undefined;
+  // Once only: a second attempt would run the job again
+  return enqueueJob('cron.run', { job, period, triggeredBy }, { maxAttempts: 1, ...(user && getJobRequester(user)) });
+};
+
 /**
- * Remove duplicate recurring timelines (keep oldest per group).
- * @returns {{ deleted, duplicateGroups, keptPerGroup }}
+ * Queue removal of duplicate recurring timelines (keep oldest per group). The job result is the recorded run, with
+ * { deleted, duplicateGroups, keptPerGroup } in its result.
+ * @param {Object} [user]
+ * @returns {Promise<Job>}
  */
-const removeDuplicateTimelines = async () => removeDuplicateRecurringTimelines();
+const removeDuplicateTimelines = async (user = null) => runCronJob('remove-duplicate-timelines', {}, user);
 
 export {
   initializeCronJobs,
@@ -235,5 +334,7 @@ export {
   getCronJobStatus,
   sendDailyTaskReminders,
   findDuplicateTimelines,
-  removeDuplicateTimelines
+  removeDuplicateTimelines,
+  runCronJob,
+  executeCronJob
 };
@@ -0,0 +1,143 @@
+/**
+ * Cluster-wide locks for scheduled cron jobs. Every app instance schedules the same jobs; on each tick the instances
+ * race to claim it in the `cronlocks` collection and only the winner runs it. A tick is identified by its scheduled
+ * time, so an instance whose timer fires late cannot run a tick that another instance already finished. The lock is a
+ * lease renewed while the job runs; if its holder dies the lease runs out and the next tick can be claimed.
+ */
+import { CronLock } from '../models/index.js';
+import logger from '../config/logger.js';
+import instanceId from '../utils/instanceId.js';
+
+const DEFAULT_LEASE_MS = 30 * 60 * 1000;
+
+/**
+ * Scheduled time of a tick, to the minute (cron's resolution here), so every instance computes the same value
+ * @param {Date} [date]
+ * @returns {Date}
+ */
+const getTickTime = (date = new Date()) => {
+  const tick = new Date(date);
+  tick.setSeconds(0, 0);
+  return tick;
+};
+
+/**
+ * Claim a tick of a job for this instance
+ * @param {string} name - Job name
+ * @param {Object} options
+ * @param {Date} options.tickAt - Scheduled time of the tick
+ * @param {number} options.leaseMs
+ * @param {string} [options.schedule] - Cron expression, for status reporting
+ * @param {boolean} [options.manual] - Run started by hand: only needs the lease free, and leaves the last tick alone so
+ *   the scheduled tick of the same minute still runs
+ * @returns {Promise<boolean>} Whether this instance holds the lock
+ */
+const acquireCronLock = async (name, { tickAt, leaseMs, schedule, manual = false }) => {
+  const now = new Date();
+  const leaseFree = { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+  try {
+    const lock = await CronLock.findOneAndUpdate(
+      manual
+        ? { _id: name, ...leaseFree }
+        : { _id: name, $and: [leaseFree, { $or: [{ lastTickAt: null }, { lastTickAt: { $lt: tickAt } }] }] },
+      {
+        $set: {
+          ...(schedule && { schedule }),
+          holder: instanceId,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+          ...(!manual && { lastTickAt: tickAt }),
+          lastRunAt: now,
+          lastStatus: 'running',
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // The upsert collides with the existing lock when the filter did not match: someone else has this tick
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release the lock and record the run
+ * @param {string} name
+ * @param {Object} outcome - { startedAt, error, nextRunAt }
+ */
+const releaseCronLock = async (name, { startedAt, error, nextRunAt }) => {
+  const finishedAt = new Date();
+  await CronLock.updateOne(
+    { _id: name, holder: instanceId },
+    {
+      $set: {
+        lockedUntil: finishedAt,
+        lastFinishedAt: finishedAt,
+        lastStatus: error ? 'failed' : 'completed',
+        lastError: error ? error.message : null,
+        lastDurationMs: finishedAt - startedAt,
+        nextRunAt,
+      },
+    }
+  );
+};
+
+/**
+ * Run a job's tick on this instance only if no other instance has claimed it
+ * @param {string} name - Job name (unique across the app)
+ * @param {function(): Promise<*>} fn
+ * @param {Object} [options]
+ * @param {Date} [options.tickAt] - Scheduled time of the tick (node-cron's context.date); defaults to now
+ * @param {number} [options.leaseMs] - Lease length, renewed every third of it while running
+ * @param {string} [options.schedule] - Cron expression
+ * @param {function(): (Date|null)} [options.getNextRun]
+ * @param {boolean} [options.manual] - Started by hand rather than by a tick (see acquireCronLock)
+ * @returns {Promise<{ ran: boolean, result?: * }>}
+ */
+const runWithCronLock = async (
+  name,
+  fn,
+  { tickAt, leaseMs = DEFAULT_LEASE_MS, schedule, getNextRun, manual = false } = {}
+) => {
+  const acquired = await acquireCronLock(name, { tickAt: getTickTime(tickAt), leaseMs, schedule, manual });
+  if (!acquired) {
+    return { ran: false };
+  }
+
+  const startedAt = new Date();
+  const renewal = setInterval(() => {
+    CronLock.updateOne({ _id: name, holder: instanceId }, { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }).catch(
+      (error) => logger.error(`Failed to renew cron lock ${name}: ${error.message}`)
+    );
+  }, leaseMs / 3);
+
+  let error = null;
+  try {
+    const result = await fn();
+    return { ran: true, result };
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    clearInterval(renewal);
+    await releaseCronLock(name, { startedAt, error, nextRunAt: getNextRun ? getNextRun() : undefined }).catch((err) =>
+      logger.error(`Failed to release cron lock ${name}: ${err.message}`)
+    );
+  }
+};
+
+/**
+ * Lock state and last run of every locked job, keyed by job name
+ * @returns {Promise<Object<string, Object>>}
+ */
+const getCronLocks = async () => {
+  const now = new Date();
+  const locks = await CronLock.find().select('-__v').lean();
+  return locks.reduce((byName, { _id: name, ...lock }) => {
+    return { ...byName, [name]: { ...lock, isLocked: Boolean(lock.lockedUntil && lock.lockedUntil > now) } };
+  }, {});
+};
+
+export { getTickTime, acquireCronLock, runWithCronLock, getCronLocks };
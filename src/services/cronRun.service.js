@@ -0,0 +1,80 @@
+/**
+ * Run history for cron jobs: each scheduled or manual run of the jobs in CRON_RUN_JOBS is stored in `cronruns`
+ * with its timing, counts and errors.
+ */
+import httpStatus from 'http-status';
+import { CronRun } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import instanceId from '../utils/instanceId.js';
+
+// A run with thousands of failures keeps the first ones only; `failed` still has the full count
+const MAX_STORED_FAILURES = 100;
+
+const pickCount = (value) => (typeof value === 'number' ? value : undefined);
+
+/**
+ * Run a job and store the run. The job's error is rethrown after the run is recorded as failed.
+ * @param {string} job - One of CRON_RUN_JOBS
+ * @param {function(): Promise<Object>} fn - Returns the job's summary: processed, created, failed and failures are
+ *   stored as counts, anything else in result
+ * @param {Object} [options]
+ * @param {'schedule'|'manual'} [options.trigger]
+ * @param {string} [options.period]
+ * @param {ObjectId} [options.triggeredBy]
+ * @returns {Promise<CronRun>}
+ */
+const recordCronRun = async (job, fn, { trigger = 'schedule', period, triggeredBy } = {}) => {
+  const run = await CronRun.create({ job, trigger, period, triggeredBy, instance: instanceId, startedAt: new Date() });
+  try {
+    const { processed, created, failed, failures, period: runPeriod, ...result } = (await fn()) || {};
+    Object.assign(run, {
+      status: 'completed',
+      period: runPeriod || period,
+      processed: pickCount(processed),
+      created: pickCount(created),
+      failed: pickCount(failed),
+      failures: (failures || []).slice(0, MAX_STORED_FAILURES),
+      result,
+    });
+    return run;
+  } catch (error) {
+    Object.assign(run, { status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save().catch((err) => logger.error(`Failed to record ${job} run ${run._id}: ${err.message}`));
+  }
+};
+
+/**
+ * Query cron runs
+ * @param {Object} filter - job, status, trigger, period, startDate, endDate (on startedAt)
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryCronRuns = async (filter, options) => {
+  const { startDate, endDate, ...mongoFilter } = filter;
+  if (startDate || endDate) {
+    mongoFilter.startedAt = {};
+    if (startDate) mongoFilter.startedAt.$gte = new Date(startDate);
+    if (endDate) mongoFilter.startedAt.$lte = new Date(endDate);
+  }
+  return CronRun.paginate(mongoFilter, { sortBy: 'startedAt:desc', ...options });
+};
+
+/**
+ * Get a cron run
+ * @param {ObjectId} runId
+ * @returns {Promise<CronRun>}
+ */
+const getCronRunById = async (runId) => {
+  const run = await CronRun.findById(runId);
+  if (!run) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Cron run not found');
+  }
+  return run;
+};
+
+export { recordCronRun, queryCronRuns, getCronRunById };
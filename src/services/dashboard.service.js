@@ -412,6 +412,7 @@ const getTopClients = async (user, branchId) => {
       }
     },
     { $unwind: '$clientInfo' },
+    { $match: { 'clientInfo.isDeleted': { $ne: true } } },
     {
       $project: {
         _id: 0,
@@ -1,6 +1,8 @@
 import nodemailer from 'nodemailer';
 import config from '../config/config.js';
 import logger from '../config/logger.js';
+import { EmailLog } from '../models/index.js';
+import { UNSTORED_CONTENT_CATEGORIES } from '../models/emailLog.model.js';
 
 const defaultTransport = nodemailer.createTransport({
   ...config.email.smtp,
@@ -41,24 +43,98 @@ if (config.env !== 'test') {
     .catch(() => logger.warn('Unable to connect to email server. Make sure you have configured the SMTP options in .env'));
 }
 
+/**
+ * Record a send attempt in EmailLog. A failure to write the log is reported but never fails the send.
+ * @param {Object} msg - Nodemailer message
+ * @param {string} [fromAccount]
+ * @param {Object} log - { category, template, client, task, timeline, attachments } or { logId } when resending
+ * @param {{ info?: Object, error?: Error }} outcome
+ */
+const recordEmail = async (msg, fromAccount, log, { info, error }) => {
+  const { logId, category = 'other', attachments = [], ...links } = log;
+  const result = error
+    ? { status: 'failed', error: error.message || String(error) }
+    : { status: 'sent', messageId: info && info.messageId };
+  result.lastAttemptAt = new Date();
+  try {
+    if (logId) {
+      await EmailLog.updateOne(
+        { _id: logId },
+        { $set: result, $inc: { retryCount: 1 }, ...(error ? {} : { $unset: { error: 1 } }) }
+      );
+      return;
+    }
+    const storeContent = !UNSTORED_CONTENT_CATEGORIES.includes(category);
+    await EmailLog.create({
+      to: [].concat(msg.to).join(', '),
+      from: msg.from,
+      fromAccount: fromAccount && config.email.smtpAccounts?.[fromAccount] ? fromAccount : null,
+      subject: msg.subject,
+      category,
+      ...links,
+      ...result,
+      text: storeContent ? msg.text : undefined,
+      html: storeContent ? msg.html : undefined,
+      attachments: storeContent ? attachments : [],
+    });
+  } catch (logError) {
+    logger.error(`Failed to write email log for ${msg.to}: ${logError.message}`);
+  }
+};
+
+/**
+ * Attachments that can be fetched again on resend (URL / S3 key); inline buffers are not kept
+ * @param {Array} [attachments]
+ * @returns {Array<{ filename: string, url: string, s3Key: string }>}
+ */
+const getAttachmentRefs = (attachments) =>
+  (attachments || [])
+    .filter((attachment) => attachment.url || attachment.s3Key)
+    .map(({ filename, url, s3Key }) => ({ filename, url, s3Key }));
+
+/**
+ * Send a message through the account's transport and log the outcome (errors are re-thrown)
+ * @param {Object} msg - Nodemailer message
+ * @param {{ fromAccount?: string, log?: Object, timeout?: number }} options
+ * @returns {Promise<Object>} Nodemailer info
+ */
+const deliver = async (msg, { fromAccount, log = {}, timeout } = {}) => {
+  const sending = getTransport(fromAccount).sendMail(msg);
+  let info;
+  try {
+    info = timeout
+      ? await Promise.race([
+          sending,
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Email timeout')), timeout)),
+        ])
+      : await sending;
+  } catch (error) {
+    await recordEmail(msg, fromAccount, log, { error });
+    throw error;
+  }
+  await recordEmail(msg, fromAccount, log, { info });
+  return info;
+};
+
+/**
+ * Every send below accepts `options.log` to link the EmailLog entry:
+ * { category, template, client, task, timeline } (see models/emailLog.model.js for categories).
+ */
+
 /**
  * Send an email
  * @param {string} to
  * @param {string} subject
  * @param {string} text
  * @param {string} [html] - Optional HTML content
- * @param {{ fromAccount?: string }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
+ * @param {{ fromAccount?: string, log?: Object }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
  * @returns {Promise}
  */
 const sendEmail = async (to, subject, text, html = null, options = {}) => {
   const fromAccount = options.fromAccount;
   const msg = { from: getFrom(fromAccount), to, subject, text };
   if (html) msg.html = html;
-  const tr = getTransport(fromAccount);
-  return Promise.race([
-    tr.sendMail(msg),
-    new Promise((_, reject) => setTimeout(() => reject(new Error('Email timeout')), 10000)),
-  ]);
+  return deliver(msg, { fromAccount, log: options.log, timeout: 10000 });
 };
 
 /**
@@ -66,17 +142,13 @@ const sendEmail = async (to, subject, text, html = null, options = {}) => {
  * @param {string} to
  * @param {string} subject
  * @param {string} html - HTML body
- * @param {{ fromAccount?: string }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
+ * @param {{ fromAccount?: string, log?: Object }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
  * @returns {Promise}
  */
 const sendHtmlEmail = async (to, subject, html, options = {}) => {
   const fromAccount = options.fromAccount;
   const msg = { from: getFrom(fromAccount), to, subject, html };
-  const tr = getTransport(fromAccount);
-  return Promise.race([
-    tr.sendMail(msg),
-    new Promise((_, reject) => setTimeout(() => reject(new Error('Email timeout')), 10000)),
-  ]);
+  return deliver(msg, { fromAccount, log: options.log, timeout: 10000 });
 };
 
 /**
@@ -86,7 +158,7 @@ const sendHtmlEmail = async (to, subject, html, options = {}) => {
  * @param {string} text
  * @param {string} [html]
  * @param {Array} [attachments]
- * @param {{ fromAccount?: string }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
+ * @param {{ fromAccount?: string, log?: Object }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
  * @returns {Promise}
  */
 const sendEmailWithAttachments = async (to, subject, text, html = null, attachments = [], options = {}) => {
@@ -94,7 +166,7 @@ const sendEmailWithAttachments = async (to, subject, text, html = null, attachme
   const msg = { from: getFrom(fromAccount), to, subject, text };
   if (html) msg.html = html;
   if (attachments?.length) msg.attachments = attachments;
-  await getTransport(fromAccount).sendMail(msg);
+  await deliver(msg, { fromAccount, log: { ...options.log, attachments: getAttachmentRefs(attachments) } });
 };
 
 /**
@@ -211,7 +283,7 @@ const processAttachments = async (attachments) => {
  * @param {string} text
  * @param {string} [html]
  * @param {Array} [attachments]
- * @param {{ fromAccount?: string }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
+ * @param {{ fromAccount?: string, log?: Object }} [options] - fromAccount: 'audit' | 'gst' | 'incometax' | 'roc' | 'info'
  * @returns {Promise}
  */
 const sendEmailWithFileAttachments = async (to, subject, text, html = null, attachments = [], options = {}) => {
@@ -222,7 +294,7 @@ const sendEmailWithFileAttachments = async (to, subject, text, html = null, atta
     const processedAttachments = await processAttachments(attachments);
     if (processedAttachments.length) msg.attachments = processedAttachments;
   }
-  await getTransport(fromAccount).sendMail(msg);
+  await deliver(msg, { fromAccount, log: { ...options.log, attachments: getAttachmentRefs(attachments) } });
 };
 
 /**
@@ -573,7 +645,7 @@ const sendResetPasswordEmail = async (to, token) => {
   const text = `Dear user,
 To reset your password, click on this link: ${resetPasswordUrl}
 If you did not request any password resets, then ignore this email.`;
-  await sendEmail(to, subject, text);
+  await sendEmail(to, subject, text, null, { log: { category: 'account' } });
 };
 
 /**
@@ -589,7 +661,7 @@ const sendVerificationEmail = async (to, token) => {
   const text = `Dear user,
 To verify your email, click on this link: ${verificationEmailUrl}
 If you did not create an account, then ignore this email.`;
-  await sendEmail(to, subject, text);
+  await sendEmail(to, subject, text, null, { log: { category: 'account' } });
 };
 
 /**
@@ -667,13 +739,13 @@ const getOTPEmailContent = (recipientName, otp, type = 'team') => {
  */
 const sendEmailOtp = async (to, otp) => {
   const { subject, text } = getOTPEmailContent('User', otp, 'team');
-  await sendEmail(to, subject, text);
+  await sendEmail(to, subject, text, null, { log: { category: 'otp' } });
 };
 
 const sendPasswordResetOtp = async (to, otp) => {
   const subject = 'Your Password Reset OTP';
   const text = `Your OTP for password reset is: ${otp}\nThis OTP is valid for 10 minutes.`;
-  await sendEmail(to, subject, text);
+  await sendEmail(to, subject, text, null, { log: { category: 'otp' } });
 };
 
 export {
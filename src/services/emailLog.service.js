@@ -0,0 +1,76 @@
+/**
+ * Outbound email log (written by email.service.js on every send): querying and resending failures.
+ */
+import mongoose from 'mongoose';
+import httpStatus from 'http-status';
+import { EmailLog } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { getLogoAttachment, LOGO_CID } from '../utils/emailLayout.js';
+import * as emailService from './email.service.js';
+
+/**
+ * Query email logs
+ * @param {Object} filter - to, status, category, fromAccount, client, task, timeline, template, startDate, endDate
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryEmailLogs = async (filter, options) => {
+  const { startDate, endDate, ...rest } = filter;
+  const mongoFilter = { ...rest };
+  ['client', 'task', 'timeline', 'template'].forEach((key) => {
+    if (mongoFilter[key]) {
+      mongoFilter[key] = new mongoose.Types.ObjectId(mongoFilter[key]);
+    }
+  });
+  if (mongoFilter.to) {
+    mongoFilter.to = mongoFilter.to.toLowerCase();
+  }
+  if (startDate || endDate) {
+    mongoFilter.createdAt = {};
+    if (startDate) mongoFilter.createdAt.$gte = new Date(startDate);
+    if (endDate) mongoFilter.createdAt.$lte = new Date(endDate);
+  }
+  return EmailLog.paginate(mongoFilter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Get an email log entry, including the stored body
+ * @param {ObjectId} logId
+ * @returns {Promise<EmailLog>}
+ */
+const getEmailLogById = async (logId) => {
+  const log = await EmailLog.findById(logId).select('+text +html');
+  if (!log) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Email log not found');
+  }
+  return log;
+};
+
+/**
+ * Send a failed email again from its stored content; the outcome is written back to the same entry
+ * @param {ObjectId} logId
+ * @returns {Promise<EmailLog>}
+ */
+const resendEmail = async (logId) => {
+  const log = await getEmailLogById(logId);
+  if (log.status !== 'failed') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only failed emails can be resent');
+  }
+  if (!log.text && !log.html) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Email content was not stored; it cannot be resent');
+  }
+
+  const logo = log.html && log.html.includes(`cid:${LOGO_CID}`) ? getLogoAttachment() : null;
+  const attachments = [...(logo ? [logo] : []), ...log.attachments.map((attachment) => attachment.toObject())];
+  try {
+    await emailService.sendEmailWithFileAttachments(log.to, log.subject, log.text, log.html, attachments, {
+      fromAccount: log.fromAccount || undefined,
+      log: { logId: log._id },
+    });
+  } catch (error) {
+    throw new ApiError(httpStatus.BAD_GATEWAY, `Resend failed: ${error.message}`);
+  }
+  return getEmailLogById(logId);
+};
+
+export { queryEmailLogs, getEmailLogById, resendEmail };
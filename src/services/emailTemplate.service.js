@@ -19,11 +19,16 @@ const PLACEHOLDER_MAP = {
  * Replace {{placeholder}} in a string with client data
  * @param {string} str - subject or body
  * @param {Object} client - plain client object (name, email, phone, etc.)
+ * @param {Object} [extra] - additional placeholder values, e.g. { pendingDocuments: '...' }
  * @returns {string}
  */
-const applyPlaceholders = (str, client) => {
+const applyPlaceholders = (str, client, extra = {}) => {
   if (!str || typeof str !== 'string') return str;
   let out = str;
+  for (const [placeholder, value] of Object.entries(extra)) {
+    const re = new RegExp(`\\{\\{${placeholder}\\}\\}`, 'gi');
+    out = out.replace(re, value != null ? String(value) : '');
+  }
   for (const [placeholder, field] of Object.entries(PLACEHOLDER_MAP)) {
     const value = client[field] != null ? String(client[field]) : '';
     const re = new RegExp(`\\{\\{${placeholder}\\}\\}`, 'gi');
@@ -32,6 +37,19 @@ const applyPlaceholders = (str, client) => {
   return out;
 };
 
+/**
+ * Placeholder values describing a timeline, for emails about a specific filing
+ * @param {Object} timeline - { subactivity, period, dueDate }
+ * @param {string} [activityName]
+ * @returns {{ activityName: string, subactivityName: string, period: string, dueDate: string }}
+ */
+const getTimelinePlaceholders = (timeline, activityName = '') => ({
+  activityName: activityName || '',
+  subactivityName: (timeline.subactivity && timeline.subactivity.name) || '',
+  period: timeline.period || '',
+  dueDate: timeline.dueDate ? new Date(timeline.dueDate).toLocaleDateString('en-IN') : '',
+});
+
 /**
  * Create email template
  */
@@ -97,14 +115,15 @@ const htmlToPlainText = (html) => {
  * Uses bodyText; if missing, strips bodyHtml to plain text (legacy).
  * @param {Object} template - { subject, bodyText, bodyHtml? }
  * @param {Object} client - client plain object
+ * @param {Object} [extra] - additional placeholder values
  * @returns {{ subject: string, text: string }}
  */
-const renderForClient = (template, client) => {
-  const subject = applyPlaceholders(template.subject, client);
+const renderForClient = (template, client, extra = {}) => {
+  const subject = applyPlaceholders(template.subject, client, extra);
   const rawBody = template.bodyText && template.bodyText.trim()
     ? template.bodyText
     : htmlToPlainText(template.bodyHtml || '');
-  const text = applyPlaceholders(rawBody, client);
+  const text = applyPlaceholders(rawBody, client, extra);
   return { subject, text };
 };
 
@@ -113,14 +132,15 @@ const renderForClient = (template, client) => {
  * Uses bodyHtml with placeholders; if missing, uses bodyText with newlines → <br>.
  * @param {Object} template - { subject, bodyText, bodyHtml? }
  * @param {Object} client - client plain object
+ * @param {Object} [extra] - additional placeholder values
  * @returns {{ subject: string, html: string }}
  */
-const renderForClientHtml = (template, client) => {
-  const subject = applyPlaceholders(template.subject, client);
+const renderForClientHtml = (template, client, extra = {}) => {
+  const subject = applyPlaceholders(template.subject, client, extra);
   const rawHtml = template.bodyHtml && template.bodyHtml.trim()
     ? template.bodyHtml
     : (template.bodyText || '').replace(/\n/g, '<br>\n');
-  const html = applyPlaceholders(rawHtml, client);
+  const html = applyPlaceholders(rawHtml, client, extra);
   return { subject, html };
 };
 
@@ -133,5 +153,6 @@ export {
   renderForClient,
   renderForClientHtml,
   applyPlaceholders,
+  getTimelinePlaceholders,
   PLACEHOLDER_MAP,
 };
@@ -0,0 +1,360 @@
+/**
+ * Exports of the analytics tables (clients, timelines, team members) and of the client/group year reports.
+ * Tables are read page by page with the same filters as their JSON endpoints and streamed as CSV or XLSX; year reports
+ * can also be rendered as a branded PDF (utils/reportPdf.js).
+ *
+ * Every export resolves to { fileName, contentType, pipe(stream) } once its first page has loaded, so access and
+ * filter errors surface as normal API errors before anything is written to the response.
+ */
+import { once } from 'events';
+import httpStatus from 'http-status';
+import moment from 'moment';
+import ExcelJS from 'exceljs';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import { clientAnalytics, teamMemberAnalytics, timelineAnalytics } from './analytics/index.js';
+import { getClientYearReport } from './clientReport.service.js';
+import { getGroupYearReport } from './groupReport.service.js';
+import { renderClientReportPdf, renderGroupReportPdf } from '../utils/reportPdf.js';
+
+const TABLE_EXPORT_FORMATS = ['csv', 'xlsx'];
+const REPORT_EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const EXPORT_PAGE_SIZE = 500;
+const MAX_EXPORT_ROWS = 50000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+};
+
+const names = (list) => (list || []).map((item) => item && item.name).filter(Boolean);
+
+const CLIENT_TABLE_COLUMNS = [
+  { header: 'Name', value: (c) => c.name },
+  { header: 'File no', value: (c) => c.fNo },
+  { header: 'Branch', value: (c) => c.branch && c.branch.name },
+  { header: 'Entity type', value: (c) => c.entityType },
+  { header: 'Business type', value: (c) => c.businessType },
+  { header: 'Category', value: (c) => c.category },
+  { header: 'PAN', value: (c) => c.pan },
+  { header: 'TAN', value: (c) => c.tanNumber },
+  { header: 'CIN', value: (c) => c.cinNumber },
+  { header: 'Email', value: (c) => c.email },
+  { header: 'Phone', value: (c) => c.phone },
+  { header: 'District', value: (c) => c.district },
+  { header: 'State', value: (c) => c.state },
+  { header: 'Turnover', value: (c) => c.turnover },
+  { header: 'Activities', value: (c) => names(c.activities.summary) },
+  { header: 'Team members', value: (c) => names(c.teamMembers.members) },
+  { header: 'Timelines', value: (c) => c.timelines.total },
+  { header: 'Tasks', value: (c) => c.tasks.total },
+  { header: 'Tasks completed', value: (c) => c.tasks.status.completed },
+  { header: 'Tasks pending', value: (c) => c.tasks.status.pending },
+];
+
+const TIMELINE_TABLE_COLUMNS = [
+  { header: 'Client', value: (t) => t.client && t.client.name },
+  { header: 'PAN', value: (t) => t.client && t.client.pan },
+  { header: 'Branch', value: (t) => t.branch && t.branch.name },
+  { header: 'Activity', value: (t) => t.activity && t.activity.name },
+  { header: 'Subactivity', value: (t) => t.subactivity && t.subactivity.name },
+  { header: 'Financial year', value: (t) => t.financialYear },
+  { header: 'Period', value: (t) => t.period },
+  { header: 'Frequency', value: (t) => t.frequency },
+  { header: 'Due date', value: (t) => t.dueDate },
+  { header: 'Status', value: (t) => t.status },
+  { header: 'Completed on', value: (t) => t.completedAt },
+  { header: 'Tasks', value: (t) => t.tasks.total },
+  { header: 'Tasks completed', value: (t) => t.tasks.status.completed },
+];
+
+const TEAM_MEMBER_TABLE_COLUMNS = [
+  { header: 'Name', value: (m) => m.name },
+  { header: 'Email', value: (m) => m.email },
+  { header: 'Phone', value: (m) => m.phone },
+  { header: 'Branch', value: (m) => m.branch && m.branch.name },
+  { header: 'City', value: (m) => m.city },
+  { header: 'State', value: (m) => m.state },
+  { header: 'Skills', value: (m) => names(m.skills.list) },
+  { header: 'Clients', value: (m) => m.clients.total },
+  { header: 'Tasks', value: (m) => m.tasks.total },
+  { header: 'Completed', value: (m) => m.tasks.status.completed },
+  { header: 'Pending', value: (m) => m.tasks.status.pending },
+  { header: 'Ongoing', value: (m) => m.tasks.status.ongoing },
+  { header: 'Delayed', value: (m) => m.tasks.status.delayed },
+  { header: 'Overdue', value: (m) => m.tasks.overdue },
+  { header: 'Completion rate (%)', value: (m) => m.tasks.completionRate },
+];
+
+const REPORT_COLUMNS = [
+  { header: 'Financial year', value: (t) => t.financialYear },
+  { header: 'Client', value: (t) => t.clientName },
+  { header: 'Activity', value: (t) => t.activity && t.activity.name },
+  { header: 'Subactivity', value: (t) => t.subactivity && t.subactivity.name },
+  { header: 'Period', value: (t) => t.period },
+  { header: 'Due date', value: (t) => t.dueDate },
+  { header: 'Status', value: (t) => t.status },
+  { header: 'Completed on', value: (t) => t.completedAt },
+  { header: 'Reference no', value: (t) => t.referenceNumber },
+];
+
+/**
+ * Cell value for the format: dates stay dates in XLSX, lists are joined
+ * @param {*} value
+ * @param {string} format
+ * @returns {*}
+ */
+const toCell = (value, format) => {
+  if (value === null || value === undefined) return format === 'csv' ? '' : null;
+  if (Array.isArray(value)) return value.join(', ');
+  if (value instanceof Date) return format === 'csv' ? moment(value).format('YYYY-MM-DD') : value;
+  return value;
+};
+
+/**
+ * One CSV field. Text that spreadsheets would run as a formula is prefixed with a quote.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  let text = String(value);
+  if (/^[=@]/.test(text) || /^[+-][^0-9.]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Row writer for a stream. Waits for the stream to drain so large exports are not buffered in memory.
+ * @param {stream.Writable} stream
+ * @param {string} format - csv | xlsx
+ * @param {Array<string>} headers
+ * @returns {{ writeRow: function(Array): Promise, end: function(): Promise }}
+ */
+const createRowWriter = (stream, format, headers) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet('Export');
+    const headerRow = worksheet.addRow(headers);
+    headerRow.font = { bold: true };
+    headerRow.commit();
+    return {
+      writeRow: async (values) => worksheet.addRow(values).commit(),
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  const toLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+  // Byte order mark so Excel opens the file as UTF-8
+  stream.write(`\uFEFF${toLine(headers)}`);
+  return {
+    writeRow: async (values) => {
+      if (!stream.write(toLine(values))) {
+        await once(stream, 'drain');
+      }
+    },
+    end: async () => {
+      stream.end();
+    },
+  };
+};
+
+/**
+ * Export of a paginated listing
+ * @param {Object} listing
+ * @param {string} listing.fileName - Without extension
+ * @param {string} listing.format - csv | xlsx
+ * @param {Array<{ header: string, value: function }>} listing.columns
+ * @param {function(number, number): Promise<{ results: Array, totalPages: number, totalResults: number }>} listing.fetchPage
+ * @returns {Promise<{ fileName: string, contentType: string, pipe: function(stream.Writable): Promise }>}
+ */
+const exportListing = async ({ fileName, format, columns, fetchPage }) => {
+  const firstPage = await fetchPage(1, EXPORT_PAGE_SIZE);
+  if (firstPage.totalResults > MAX_EXPORT_ROWS) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `The export has ${firstPage.totalResults} rows; narrow the filters to at most ${MAX_EXPORT_ROWS}`
+    );
+  }
+
+  const pipe = async (stream) => {
+    const writer = createRowWriter(
+      stream,
+      format,
+      columns.map((column) => column.header)
+    );
+    let page = firstPage;
+    let pageNumber = 1;
+    try {
+      /* eslint-disable no-await-in-loop, no-restricted-syntax */
+      for (;;) {
+        for (const row of page.results) {
+          await writer.writeRow(columns.map((column) => toCell(column.value(row), format)));
+        }
+        if (pageNumber >= page.totalPages || page.results.length === 0) break;
+        pageNumber += 1;
+        page = await fetchPage(pageNumber, EXPORT_PAGE_SIZE);
+      }
+      /* eslint-enable no-await-in-loop, no-restricted-syntax */
+      await writer.end();
+    } catch (error) {
+      // The response has started; all that is left is to cut it short
+      logger.error(`Export ${fileName}.${format} failed on page ${pageNumber}: ${error.message}`);
+      stream.destroy(error);
+    }
+  };
+
+  return { fileName: `${fileName}.${format}`, contentType: CONTENT_TYPES[format], pipe };
+};
+
+/**
+ * Export of rows that are already loaded
+ * @param {string} fileName - Without extension
+ * @param {string} format - csv | xlsx
+ * @param {Array<Object>} columns
+ * @param {Array<Object>} rows
+ * @returns {Promise<Object>} See exportListing
+ */
+const exportRows = (fileName, format, columns, rows) =>
+  exportListing({
+    fileName,
+    format,
+    columns,
+    fetchPage: async () => ({ results: rows, totalPages: 1, totalResults: rows.length }),
+  });
+
+/**
+ * Export of a rendered file (e.g. a PDF)
+ * @param {string} fileName - With extension
+ * @param {string} format
+ * @param {Buffer} buffer
+ * @returns {Object} See exportListing
+ */
+const exportBuffer = (fileName, format, buffer) => ({
+  fileName,
+  contentType: CONTENT_TYPES[format],
+  pipe: async (stream) => {
+    stream.end(buffer);
+  },
+});
+
+const datedFileName = (name) => `${name}-${moment().format('YYYY-MM-DD')}`;
+
+const slugify = (text) =>
+  String(text || 'report')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Clients table (GET /v1/analytics/clients/table) as CSV/XLSX
+ * @param {Object} filter - Same filters as the table
+ * @param {Object} options - sortBy
+ * @param {string} format - csv | xlsx
+ * @param {Object} user
+ * @returns {Promise<Object>} See exportListing
+ */
+const exportClientsTable = (filter, options, format, user) =>
+  exportListing({
+    fileName: datedFileName('clients'),
+    format,
+    columns: CLIENT_TABLE_COLUMNS,
+    fetchPage: (page, limit) => clientAnalytics.getAllClientsTableData(filter, { ...options, page, limit }, user),
+  });
+
+/**
+ * Timelines table (GET /v1/analytics/timelines/table) as CSV/XLSX
+ * @param {Object} filter - Same filters as the table
+ * @param {Object} options - sortBy
+ * @param {string} format - csv | xlsx
+ * @param {Object} user
+ * @returns {Promise<Object>} See exportListing
+ */
+const exportTimelinesTable = (filter, options, format, user) =>
+  exportListing({
+    fileName: datedFileName('timelines'),
+    format,
+    columns: TIMELINE_TABLE_COLUMNS,
+    fetchPage: (page, limit) => timelineAnalytics.getAllTimelinesTableData(filter, { ...options, page, limit }, user),
+  });
+
+/**
+ * Team members table (GET /v1/analytics/team-members/table) as CSV/XLSX
+ * @param {Object} filter - Same filters as the table
+ * @param {Object} options - sortBy
+ * @param {string} format - csv | xlsx
+ * @param {Object} user
+ * @returns {Promise<Object>} See exportListing
+ */
+const exportTeamMembersTable = (filter, options, format, user) =>
+  exportListing({
+    fileName: datedFileName('team-members'),
+    format,
+    columns: TEAM_MEMBER_TABLE_COLUMNS,
+    fetchPage: (page, limit) => teamMemberAnalytics.getAllTeamMembersTableData(filter, { ...options, page, limit }, user),
+  });
+
+/**
+ * Timeline rows of a client year report, including next year's auditing
+ * @param {Object} report - From getClientYearReport (or one client of getGroupYearReport)
+ * @returns {Array<Object>}
+ */
+const getReportRows = (report) => {
+  const clientName = report.client.name;
+  const rows = report.timelines.map((t) => ({ ...t, financialYear: report.financialYear, clientName }));
+  if (report.auditingNextYear) {
+    const { financialYear, timelines } = report.auditingNextYear;
+    rows.push(...timelines.map((t) => ({ ...t, financialYear, clientName })));
+  }
+  return rows;
+};
+
+/**
+ * Client year report (GET /v1/clients/:clientId/report) as CSV/XLSX or a branded PDF
+ * @param {ObjectId} clientId
+ * @param {string} [year] - FY e.g. "2024-2025" or "2024"
+ * @param {string} format - csv | xlsx | pdf
+ * @param {Object} user
+ * @returns {Promise<Object>} See exportListing
+ */
+const exportClientReport = async (clientId, year, format, user) => {
+  const report = await getClientYearReport(clientId, year, user);
+  const fileName = `${slugify(report.client.name)}-fy-${report.financialYear}`;
+  if (format === 'pdf') {
+    return exportBuffer(`${fileName}.pdf`, format, await renderClientReportPdf(report));
+  }
+  return exportRows(fileName, format, REPORT_COLUMNS, getReportRows(report));
+};
+
+/**
+ * Group year report (GET /v1/groups/:groupId/report) as CSV/XLSX or a branded PDF
+ * @param {ObjectId} groupId
+ * @param {string} [year] - FY e.g. "2024-2025" or "2024"
+ * @param {string} format - csv | xlsx | pdf
+ * @param {Object} user
+ * @returns {Promise<Object>} See exportListing
+ */
+const exportGroupReport = async (groupId, year, format, user) => {
+  const report = await getGroupYearReport(groupId, year, user);
+  const fileName = `${slugify(report.group.name)}-fy-${report.financialYear}`;
+  if (format === 'pdf') {
+    return exportBuffer(`${fileName}.pdf`, format, await renderGroupReportPdf(report));
+  }
+  return exportRows(fileName, format, REPORT_COLUMNS, report.clients.flatMap(getReportRows));
+};
+
+export {
+  TABLE_EXPORT_FORMATS,
+  REPORT_EXPORT_FORMATS,
+  exportListing,
+  exportClientsTable,
+  exportTimelinesTable,
+  exportTeamMembersTable,
+  exportClientReport,
+  exportGroupReport,
+};
@@ -779,15 +779,18 @@ const getFolderTree = async (userId, rootFolderId = null) => {
  */
 /**
  * Ensure the Clients root folder and a client subfolder exist; create if missing.
+ * The client folder is found by metadata.clientId only; when another folder already has the client's name, the new
+ * folder is named "<name> (2)", "<name> (3)", ...
  * @param {Object} client - Client document
- * @param {ObjectId} createdBy - User/branch id for folder createdBy
+ * @param {ObjectId|null} createdBy - User creating the folders; null when the client does, from the portal
  * @returns {Promise<FileManager>} The client folder document
  */
 const ensureClientFolderExists = async (client, createdBy) => {
   const clientId = client._id;
   const clientName = client.name || `Client ${clientId}`;
+  const byClient = !createdBy;
 
-  let clientFolder = await FileManager.findOne({
+  const clientFolder = await FileManager.findOne({
     type: 'folder',
     'folder.metadata.clientId': new mongoose.Types.ObjectId(clientId),
     isDeleted: false,
@@ -808,47 +811,41 @@ const ensureClientFolderExists = async (client, createdBy) => {
         name: 'Clients',
         description: 'Parent folder for all client subfolders',
         parentFolder: null,
-        createdBy,
+        createdBy: createdBy || null,
         isRoot: true,
         path: '/Clients',
+        ...(byClient && { metadata: { createdByClient: true } }),
       },
     });
   }
 
-  // Find or create client subfolder
-  const existingByName = await FileManager.findOne({
-    type: 'folder',
-    'folder.name': clientName,
-    'folder.parentFolder': clientsRoot._id,
-    isDeleted: false,
-  });
-
-  if (!existingByName) {
-    clientFolder = await FileManager.create({
+  // A folder with the same name belongs to another client (or to nobody); never adopt it
+  const escapedName = clientName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const takenNames = new Set(
+    await FileManager.find({
       type: 'folder',
-      folder: {
-        name: clientName,
-        description: `Folder for client: ${clientName}`,
-        parentFolder: clientsRoot._id,
-        createdBy,
-        isRoot: false,
-        path: `/Clients/${clientName}`,
-        metadata: { clientId, clientName },
-      },
-    });
-  } else {
-    if (!existingByName.folder.metadata?.clientId) {
-      existingByName.folder.metadata = {
-        ...(existingByName.folder.metadata || {}),
-        clientId,
-        clientName,
-      };
-      await existingByName.save();
-    }
-    clientFolder = existingByName;
+      'folder.name': { $regex: `^${escapedName}( \\(\\d+\\))?$` },
+      'folder.parentFolder': clientsRoot._id,
+      isDeleted: false,
+    }).distinct('folder.name')
+  );
+  let folderName = clientName;
+  for (let suffix = 2; takenNames.has(folderName); suffix += 1) {
+    folderName = `${clientName} (${suffix})`;
   }
 
-  return clientFolder;
+  return FileManager.create({
+    type: 'folder',
+    folder: {
+      name: folderName,
+      description: `Folder for client: ${clientName}`,
+      parentFolder: clientsRoot._id,
+      createdBy: createdBy || null,
+      isRoot: false,
+      path: `/Clients/${folderName}`,
+      metadata: { clientId, clientName, ...(byClient && { createdByClient: true }) },
+    },
+  });
 };
 
 const uploadFileToClientFolder = async (clientId, fileData) => {
@@ -1140,6 +1137,7 @@ export {
   searchSubfoldersByName,
   searchClientSubfolders,
   getFolderTree,
+  ensureClientFolderExists,
   uploadFileToClientFolder,
   getClientFolderContents,
   getClientFolderContentsByFolderId,
@@ -545,6 +545,7 @@ const getGroupTaskStatistics = async (filter = {}, options = {}, user = null) =>
           pipeline: [
             {
               $match: {
+                isDeleted: { $ne: true },
                 $expr: {
                   $in: ['$$timelineId', '$timeline']
                 }
@@ -585,6 +586,11 @@ const getGroupTaskStatistics = async (filter = {}, options = {}, user = null) =>
       {
         $unwind: '$clientDetails'
       },
+      {
+        $match: {
+          'clientDetails.isDeleted': { $ne: true }
+        }
+      },
       // Group by client to get all statuses together
       {
         $group: {
@@ -855,6 +861,7 @@ const getAllGroupsAnalytics = async (filter = {}, user = null) => {
             pipeline: [
               {
                 $match: {
+                  isDeleted: { $ne: true },
                   $expr: {
                     $in: ['$$timelineId', '$timeline']
                   }
@@ -934,6 +941,7 @@ const getAllGroupsAnalytics = async (filter = {}, user = null) => {
           pipeline: [
             {
               $match: {
+                isDeleted: { $ne: true },
                 $expr: {
                   $in: ['$$timelineId', '$timeline']
                 }
@@ -1168,6 +1176,7 @@ const getGroupAnalytics = async (groupId, user = null, options = {}) => {
             pipeline: [
               {
                 $match: {
+                  isDeleted: { $ne: true },
                   $expr: {
                     $in: ['$$timelineId', '$timeline']
                   }
@@ -1199,6 +1208,7 @@ const getGroupAnalytics = async (groupId, user = null, options = {}) => {
             pipeline: [
               {
                 $match: {
+                  isDeleted: { $ne: true },
                   $expr: {
                     $in: ['$$timelineId', '$timeline']
                   }
@@ -1230,6 +1240,7 @@ const getGroupAnalytics = async (groupId, user = null, options = {}) => {
             pipeline: [
               {
                 $match: {
+                  isDeleted: { $ne: true },
                   $expr: {
                     $in: ['$$timelineId', '$timeline']
                   }
@@ -1348,6 +1359,7 @@ const getGroupAnalytics = async (groupId, user = null, options = {}) => {
             pipeline: [
               {
                 $match: {
+                  isDeleted: { $ne: true },
                   $expr: {
                     $in: ['$$timelineId', '$timeline']
                   }
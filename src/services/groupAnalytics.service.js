@@ -4,8 +4,7 @@
  */
 import { Timeline, Activity } from '../models/index.js';
 import { getCurrentFinancialYear } from '../utils/financialYear.js';
-
-const PENDING_STATUSES = ['pending', 'ongoing', 'delayed'];
+import { timelinePendingStatuses } from '../config/timelineWorkflow.js';
 
 /**
  * Timeline counts by activity for current FY (group-level).
@@ -46,7 +45,7 @@ const getGroupTimelineByActivityForCurrentFY = async (clientIds, currentFY) => {
     byActivity[aid].totalCurrentFY += r.count;
     if (status === 'completed') {
       byActivity[aid].completedCurrentFY += r.count;
-    } else if (PENDING_STATUSES.includes(status)) {
+    } else if (timelinePendingStatuses.includes(status)) {
       byActivity[aid].pendingCurrentFY += r.count;
     }
   });
@@ -93,7 +92,7 @@ const getClientTimelineByActivityForCurrentFY = async (clientIds, currentFY) =>
     }
     act[aid].totalCurrentFY += r.count;
     if (status === 'completed') act[aid].completedCurrentFY += r.count;
-    else if (PENDING_STATUSES.includes(status)) act[aid].pendingCurrentFY += r.count;
+    else if (timelinePendingStatuses.includes(status)) act[aid].pendingCurrentFY += r.count;
   });
   const resultMap = new Map();
   clientIds.forEach((cid) => {
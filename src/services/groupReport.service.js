@@ -7,9 +7,9 @@ import mongoose from 'mongoose';
 import { Group, Timeline, Activity } from '../models/index.js';
 import ApiError from '../utils/ApiError.js';
 import { hasBranchAccess } from './role.service.js';
-import { normalizeFinancialYear, getNextFinancialYear } from './clientReport.service.js';
+import { normalizeFinancialYear, getNextFinancialYear, buildStatusSummary } from './clientReport.service.js';
+import { timelinePendingStatuses } from '../config/timelineWorkflow.js';
 
-const PENDING_STATUSES = ['pending', 'ongoing', 'delayed'];
 const AUDITING_ACTIVITY_NAME = 'Auditing';
 
 /**
@@ -18,12 +18,9 @@ const AUDITING_ACTIVITY_NAME = 'Auditing';
  * @returns {{ statusSummary: Object, pendings: Array, timelineList: Array }}
  */
 const buildTimelineReport = (timelines) => {
-  const statusSummary = { pending: 0, completed: 0, delayed: 0, ongoing: 0, notApplicable: 0 };
   const pendings = [];
   const timelineList = timelines.map((t) => {
     const status = t.status || 'pending';
-    if (status === 'not applicable') statusSummary.notApplicable += 1;
-    else statusSummary[status] = (statusSummary[status] || 0) + 1;
     const item = {
       _id: t._id,
       activity: t.activity
@@ -42,12 +39,12 @@ const buildTimelineReport = (timelines) => {
       timelineType: t.timelineType,
       referenceNumber: t.referenceNumber,
     };
-    if (PENDING_STATUSES.includes(status)) pendings.push(item);
+    if (timelinePendingStatuses.includes(status)) pendings.push(item);
     return item;
   });
   return {
     statusSummary: {
-      ...statusSummary,
+      ...buildStatusSummary(timelineList.map((item) => item.status)),
       total: timelineList.length,
     },
     pendings,
@@ -0,0 +1,241 @@
+import httpStatus from 'http-status';
+import Branch from '../models/branch.model.js';
+import Holiday from '../models/holiday.model.js';
+import Timeline from '../models/timeline.model.js';
+import ApiError from '../utils/ApiError.js';
+import cache from '../utils/cache.js';
+import logger from '../config/logger.js';
+import { timelineClosedStatuses } from '../config/timelineWorkflow.js';
+import { normalizeStateName } from '../utils/indianStates.js';
+import { isWorkingDay, shiftToWorkingDay, SHIFTED_FREQUENCIES } from '../jobs/timelineGenerator/workingDay.js';
+
+const HOLIDAYS_CACHE_KEY = 'holidays:all';
+const HOLIDAYS_CACHE_TTL = 10 * 60 * 1000;
+
+// Due-date rewrites are sent to the database in bulkWrite batches of this size
+const DUE_DATE_BATCH_SIZE = 500;
+
+/**
+ * Normalise the type/states pair of a holiday body
+ * @param {Object} body
+ * @returns {Object}
+ */
+const normalizeHolidayBody = (body) => {
+  const normalized = { ...body };
+  if (normalized.states) {
+    normalized.states = normalized.states.map(normalizeStateName);
+  }
+  if (normalized.type === 'national') {
+    normalized.states = [];
+  }
+  return normalized;
+};
+
+/**
+ * All holidays as plain objects. Cached because due dates are resolved per client by the timeline generator.
+ * @returns {Promise<Array<Object>>}
+ */
+const getHolidays = async () => {
+  const cached = cache.get(HOLIDAYS_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+  const holidays = await Holiday.find({}, 'date type states').lean();
+  cache.set(HOLIDAYS_CACHE_KEY, holidays, HOLIDAYS_CACHE_TTL);
+  return holidays;
+};
+
+/**
+ * Move a due date to the next working day for a state
+ * @param {Date} date
+ * @param {string} [state]
+ * @returns {Promise<Date>}
+ */
+const shiftDueDate = async (date, state = null) => shiftToWorkingDay(date, await getHolidays(), state);
+
+/**
+ * Move timelines to new due dates (start and end dates follow), batch by batch. bulkWrite skips mongoose
+ * middleware, so each batch is also logged through the audit plugin.
+ * @param {Array<{ timeline: Object, set: Object }>} updates - timeline: lean { _id, branch, ... }; set: fields to write
+ * @returns {Promise<void>}
+ */
+const writeTimelineDueDates = async (updates) => {
+  const batches = [];
+  for (let start = 0; start < updates.length; start += DUE_DATE_BATCH_SIZE) {
+    batches.push(updates.slice(start, start + DUE_DATE_BATCH_SIZE));
+  }
+  await batches.reduce(
+    (previous, batch) =>
+      previous.then(async () => {
+        await Timeline.bulkWrite(
+          batch.map(({ timeline, set }) => ({ updateOne: { filter: { _id: timeline._id }, update: { $set: set } } })),
+          { ordered: false }
+        );
+        await Timeline.writeAuditEntries(
+          batch.map(({ timeline, set }) => ({ action: 'update', before: timeline, after: { ...timeline, ...set } }))
+        );
+      }),
+    Promise.resolve()
+  );
+};
+
+/**
+ * State of each branch by id, the holiday state of timelines whose client has none
+ * @returns {Promise<Map<string, string>>}
+ */
+const getBranchStates = async () => {
+  const branches = await Branch.find({}, 'state').lean();
+  return new Map(branches.map((branch) => [branch._id.toString(), branch.state]));
+};
+
+/**
+ * Create a holiday
+ * @param {Object} holidayBody
+ * @param {ObjectId} [createdBy]
+ * @returns {Promise<Holiday>}
+ */
+const createHoliday = async (holidayBody, createdBy = null) => {
+  const body = normalizeHolidayBody(holidayBody);
+  if (body.type === 'state' && (!body.states || body.states.length === 0)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'States are required for a state holiday');
+  }
+  const holiday = await Holiday.create({ ...body, createdBy });
+  cache.delete(HOLIDAYS_CACHE_KEY);
+  return holiday;
+};
+
+/**
+ * Query for holidays
+ * @param {Object} filter - type, state, year, startDate, endDate
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryHolidays = async (filter, options) => {
+  const mongoFilter = {};
+  if (filter.type) {
+    mongoFilter.type = filter.type;
+  }
+  if (filter.state) {
+    // Holidays observed in the state: national ones plus those declared for it
+    mongoFilter.$or = [{ type: 'national' }, { states: normalizeStateName(filter.state) }];
+  }
+  if (filter.year) {
+    mongoFilter.date = { $gte: new Date(Date.UTC(filter.year, 0, 1)), $lt: new Date(Date.UTC(filter.year + 1, 0, 1)) };
+  }
+  if (filter.startDate || filter.endDate) {
+    mongoFilter.date = { ...mongoFilter.date };
+    if (filter.startDate) {
+      mongoFilter.date.$gte = new Date(filter.startDate);
+    }
+    if (filter.endDate) {
+      mongoFilter.date.$lte = new Date(filter.endDate);
+    }
+  }
+  return Holiday.paginate(mongoFilter, { sortBy: 'date:asc', ...options });
+};
+
+/**
+ * Get holiday by id
+ * @param {ObjectId} holidayId
+ * @returns {Promise<Holiday>}
+ */
+const getHolidayById = async (holidayId) => {
+  const holiday = await Holiday.findById(holidayId);
+  if (!holiday) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Holiday not found');
+  }
+  return holiday;
+};
+
+/**
+ * Update holiday by id
+ * @param {ObjectId} holidayId
+ * @param {Object} updateBody
+ * @returns {Promise<Holiday>}
+ */
+const updateHolidayById = async (holidayId, updateBody) => {
+  const holiday = await getHolidayById(holidayId);
+  Object.assign(holiday, normalizeHolidayBody(updateBody));
+  if (holiday.type === 'state' && holiday.states.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'States are required for a state holiday');
+  }
+  await holiday.save();
+  cache.delete(HOLIDAYS_CACHE_KEY);
+  return holiday;
+};
+
+/**
+ * Delete holiday by id. Timelines already moved off the holiday keep their shifted due date.
+ * @param {ObjectId} holidayId
+ * @returns {Promise<Holiday>}
+ */
+const deleteHolidayById = async (holidayId) => {
+  const holiday = await getHolidayById(holidayId);
+  await holiday.remove();
+  cache.delete(HOLIDAYS_CACHE_KEY);
+  return holiday;
+};
+
+/**
+ * Move open recurring timelines whose due date falls on a Sunday or holiday to the next working day.
+ * Used after holidays are added; the holiday state of a timeline is its GST state, else the client's state, else the
+ * state of its branch.
+ * @param {Object} params
+ * @param {Date} [params.startDate] - Only timelines due on or after this date (default: today)
+ * @param {Date} [params.endDate] - Only timelines due on or before this date
+ * @param {string} [params.state] - Only timelines in this state
+ * @returns {Promise<{ scanned: number, shifted: number }>}
+ */
+const reshiftOpenTimelines = async ({ startDate, endDate, state } = {}) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const filter = {
+    timelineType: 'recurring',
+    frequency: { $in: SHIFTED_FREQUENCIES },
+    status: { $nin: timelineClosedStatuses },
+    dueDate: { $gte: startDate ? new Date(startDate) : today },
+  };
+  if (endDate) {
+    filter.dueDate.$lte = new Date(endDate);
+  }
+
+  const holidays = await getHolidays();
+  const stateName = state ? normalizeStateName(state) : null;
+  const branchStates = await getBranchStates();
+  const timelines = await Timeline.find(filter, 'dueDate startDate endDate state client branch')
+    .populate('client', 'state')
+    .lean();
+
+  const toShift = timelines
+    .map((timeline) => ({
+      timeline,
+      holidayState:
+        timeline.state || (timeline.client && timeline.client.state) || branchStates.get(String(timeline.branch)) || null,
+    }))
+    .filter(({ holidayState }) => !stateName || normalizeStateName(holidayState) === stateName)
+    .filter(({ timeline, holidayState }) => !isWorkingDay(timeline.dueDate, holidays, holidayState));
+
+  await writeTimelineDueDates(
+    toShift.map(({ timeline, holidayState }) => {
+      const dueDate = shiftToWorkingDay(timeline.dueDate, holidays, holidayState);
+      return { timeline, set: { dueDate, startDate: dueDate, endDate: dueDate } };
+    })
+  );
+
+  logger.info(`Reshifted ${toShift.length} of ${timelines.length} open timeline(s) to working days`);
+  return { scanned: timelines.length, shifted: toShift.length };
+};
+
+export {
+  getHolidays,
+  shiftDueDate,
+  writeTimelineDueDates,
+  getBranchStates,
+  createHoliday,
+  queryHolidays,
+  getHolidayById,
+  updateHolidayById,
+  deleteHolidayById,
+  reshiftOpenTimelines,
+};
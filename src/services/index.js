@@ -7,19 +7,40 @@ import * as activityService from './activity.service.js';
 import * as branchService from './branch.service.js';
 import * as clientService from './client.service.js';
 import * as clientAuthService from './clientAuth.service.js';
+import * as teamMemberAuthService from './teamMemberAuth.service.js';
 import * as groupService from './group.service.js';
 import * as roleService from './role.service.js';
 import * as timelineService from './timeline.service.js';
 import * as timelineBulkImportService from './timelineBulkImport.service.js';
+import * as timelineWorkflowService from './timelineWorkflow.service.js';
+import * as timelineDocumentService from './timelineDocument.service.js';
+import * as timelinePreviewService from './timelinePreview.service.js';
+import * as timelineBackfillService from './timelineBackfill.service.js';
 import * as dashboardService from './dashboard.service.js';
 import * as fileManagerService from './fileManager.service.js';
 import * as emailService from './email.service.js';
+import * as emailLogService from './emailLog.service.js';
+import * as jobQueueService from './jobQueue.service.js';
 import * as taskService from './task.service.js';
 import * as cronService from './cron.service.js';
+import * as cronRunService from './cronRun.service.js';
+import * as timelineStatusCronService from './timelineStatusCron.service.js';
+import * as clientReminderService from './clientReminder.service.js';
+import * as clientEntityTypeService from './clientEntityType.service.js';
+import * as clientIdentifierService from './clientIdentifier.service.js';
+import * as clientImportService from './clientImport.service.js';
+import * as clientDuplicateService from './clientDuplicate.service.js';
+import * as clientContactService from './clientContact.service.js';
+import * as recycleBinService from './recycleBin.service.js';
+import * as exportService from './export.service.js';
 import * as analyticsService from './analytics/index.js';
 import * as businessMasterService from './businessMaster.service.js';
 import * as entityTypeMasterService from './entityTypeMaster.service.js';
 import * as emailTemplateService from './emailTemplate.service.js';
+import * as otpService from './otp.service.js';
+import * as auditLogService from './auditLog.service.js';
+import * as complianceCalendarService from './complianceCalendar.service.js';
+import * as holidayService from './holiday.service.js';
 
 export {
   teamMemberService,
@@ -27,17 +48,38 @@ export {
   branchService,
   clientService,
   clientAuthService,
+  teamMemberAuthService,
   groupService,
   roleService,
   timelineService,
   timelineBulkImportService,
+  timelineWorkflowService,
+  timelineDocumentService,
+  timelinePreviewService,
+  timelineBackfillService,
   dashboardService,
   fileManagerService,
   emailService,
+  emailLogService,
+  jobQueueService,
   taskService,
   cronService,
+  cronRunService,
+  timelineStatusCronService,
+  clientReminderService,
+  clientEntityTypeService,
+  clientIdentifierService,
+  clientImportService,
+  clientDuplicateService,
+  clientContactService,
+  recycleBinService,
+  exportService,
   analyticsService,
   businessMasterService,
   entityTypeMasterService,
   emailTemplateService,
+  otpService,
+  auditLogService,
+  complianceCalendarService,
+  holidayService,
 };
@@ -0,0 +1,411 @@
+/**
+ * Persistent job queue backed by the `jobs` collection.
+ * Any process can enqueue; every process running the worker polls for due jobs and claims one at a time with an
+ * atomic findOneAndUpdate, so several app instances (PM2 cluster mode) never run the same job twice. A running job
+ * refreshes its lock while it works; if its process dies the lock expires and another worker takes the job over.
+ * Payloads larger than PAYLOAD_INLINE_LIMIT_BYTES are uploaded to S3 rather than stored on the job, and finished jobs
+ * are removed after config.jobQueue.retentionDays by a TTL index.
+ * A job queued by a user or team member runs inside a request context for them, so its changes are audited as theirs.
+ */
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import { Job, User, Role, TeamMember } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import instanceId from '../utils/instanceId.js';
+import { s3 } from '../utils/s3Connection.js';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { hasPermission } from './role.service.js';
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// Larger payloads go to S3: a bulk import body can approach the 16MB document limit
+const PAYLOAD_INLINE_LIMIT_BYTES = 256 * 1024;
+
+const handlers = {};
+
+const worker = {
+  id: instanceId,
+  timer: null,
+  isTicking: false,
+  stopping: false,
+};
+
+const getLockTimeoutMs = () => config.jobQueue.lockTimeoutMinutes * 60 * 1000;
+
+/**
+ * Register the function that runs jobs of a type. Its return value is stored as the job result.
+ * @param {string} type - e.g. "email.taskAssignment"
+ * @param {function(Object, Job, Object): Promise<*>} handler - Called with the payload, the job document and the
+ *   requester (see loadJobRequester)
+ */
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, ... capped at an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} milliseconds
+ */
+const getBackoffMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+/**
+ * Client errors (bad input, missing records) will fail the same way again, so they are not retried
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => !(error instanceof ApiError && error.statusCode < 500);
+
+/**
+ * S3 key of a job's payload
+ * @param {ObjectId} jobId
+ * @returns {string}
+ */
+const getPayloadKey = (jobId) => `jobs/payloads/${jobId}.json`;
+
+/**
+ * The payload to run a job with, downloaded from S3 when it was too large to store on the job
+ * @param {Job} job
+ * @returns {Promise<Object>}
+ */
+const loadJobPayload = async (job) => {
+  if (!job.payloadKey) {
+    return job.payload || {};
+  }
+  const object = await s3.getObject({ Bucket: config.aws.s3.bucket, Key: job.payloadKey }).promise();
+  return JSON.parse(object.Body.toString('utf8'));
+};
+
+/**
+ * Remove a payload from S3 once its job no longer needs it. Failures are only logged.
+ * @param {string} payloadKey
+ */
+const deleteJobPayload = async (payloadKey) => {
+  await s3
+    .deleteObject({ Bucket: config.aws.s3.bucket, Key: payloadKey })
+    .promise()
+    .catch((error) => logger.error(`Failed to delete job payload ${payloadKey}: ${error.message}`));
+};
+
+/**
+ * Claim the next due job for this worker: a queued job whose runAt has passed, or a running job whose lock expired
+ * @param {string} workerId
+ * @param {Array<string>} types - Job types this worker can run
+ * @param {Date} [now]
+ * @returns {Promise<Job|null>}
+ */
+const claimNextJob = async (workerId, types, now = new Date()) =>
+  Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - getLockTimeoutMs()) } },
+      ],
+    },
+    { $set: { status: 'running', lockedBy: workerId, lockedAt: now, startedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { priority: -1, runAt: 1 } }
+  );
+
+/**
+ * Record the outcome of an attempt. Updates only while this worker still holds the lock.
+ * @param {Job} job
+ * @param {string} workerId
+ * @param {{ result?: *, error?: Error }} outcome
+ */
+const finishJob = async (job, workerId, { result, error }) => {
+  const release = { lockedBy: null, lockedAt: null };
+  let update;
+  if (!error) {
+    update = { ...release, status: 'completed', result, completedAt: new Date(), lastError: null, payloadKey: null };
+  } else if (isRetryable(error) && job.attempts < job.maxAttempts) {
+    update = {
+      ...release,
+      status: 'queued',
+      runAt: new Date(Date.now() + getBackoffMs(job.attempts)),
+      lastError: error.message,
+    };
+  } else {
+    update = { ...release, status: 'failed', completedAt: new Date(), lastError: error.message };
+  }
+  await Job.updateOne({ _id: job._id, lockedBy: workerId }, { $set: update });
+  // A failed job keeps its payload so it can be retried
+  if (update.status === 'completed' && job.payloadKey) {
+    await deleteJobPayload(job.payloadKey);
+  }
+};
+
+/**
+ * Load who queued a job the way the auth middleware sets req.user: a user with their role, or a team member
+ * @param {Job} job
+ * @returns {Promise<Object|null>} null for jobs queued by the system
+ */
+const loadJobRequester = async (job) => {
+  if (!job.createdBy) {
+    return null;
+  }
+  if (job.createdByModel === 'TeamMember') {
+    const teamMember = await TeamMember.findById(job.createdBy);
+    return (
+      teamMember && {
+        ...teamMember.toObject(),
+        id: teamMember._id.toString(),
+        userType: 'teamMember',
+        branch: teamMember.branch,
+      }
+    );
+  }
+  const user = await User.findById(job.createdBy);
+  if (user) {
+    user.role = await Role.findById(user.role);
+  }
+  return user;
+};
+
+/**
+ * Run a job's handler, inside a request context for its requester so audit entries name them
+ * @param {Job} job
+ * @returns {Promise<*>} The handler's result
+ */
+const runHandler = async (job) => {
+  const requester = await loadJobRequester(job);
+  const run = async () => handlers[job.type](await loadJobPayload(job), job, requester);
+  if (!requester) {
+    return run();
+  }
+  return runWithRequestContext(
+    { requestId: `job-${job._id}`, req: { method: 'JOB', originalUrl: job.type, user: requester } },
+    run
+  );
+};
+
+/**
+ * Run one claimed job, keeping its lock fresh while the handler works
+ * @param {Job} job
+ * @param {string} workerId
+ */
+const runJob = async (job, workerId) => {
+  if (job.attempts > job.maxAttempts) {
+    // Taken over after its worker died on the last attempt
+    await finishJob(job, workerId, { error: new Error(job.lastError || 'Worker stopped while running the job') });
+    return;
+  }
+
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id, lockedBy: workerId }, { $set: { lockedAt: new Date() } }).catch((error) =>
+      logger.error(`Failed to refresh lock on job ${job._id}: ${error.message}`)
+    );
+  }, getLockTimeoutMs() / 3);
+
+  try {
+    const result = await runHandler(job);
+    await finishJob(job, workerId, { result });
+    logger.info(`✅ Job ${job.type} ${job._id} completed`);
+  } catch (error) {
+    logger.error(`❌ Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${error.message}`);
+    await finishJob(job, workerId, { error });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Claim and run due jobs one at a time until none are left or the worker stops
+ * @param {Array<string>} types
+ */
+const runDueJobs = async (types) => {
+  if (worker.stopping) {
+    return;
+  }
+  const job = await claimNextJob(worker.id, types);
+  if (!job) {
+    return;
+  }
+  await runJob(job, worker.id);
+  await runDueJobs(types);
+};
+
+/**
+ * Run due jobs until none are left. Only one tick runs at a time in a process.
+ */
+const tick = async () => {
+  if (worker.isTicking || worker.stopping || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  worker.isTicking = true;
+  try {
+    const types = Object.keys(handlers);
+    if (types.length) {
+      await runDueJobs(types);
+    }
+  } catch (error) {
+    logger.error(`Job queue tick failed: ${error.message}`);
+  } finally {
+    worker.isTicking = false;
+  }
+};
+
+/**
+ * Record how far a running job has got (shown on GET /v1/jobs/:jobId). Failures are only logged.
+ * @param {Job} job - The job passed to the handler
+ * @param {{ done: number, total: number, message?: string }} progress
+ */
+const updateJobProgress = async (job, progress) => {
+  await Job.updateOne({ _id: job._id, lockedBy: job.lockedBy }, { $set: { progress } }).catch((error) =>
+    logger.error(`Failed to record progress of job ${job._id}: ${error.message}`)
+  );
+};
+
+/**
+ * enqueueJob options recording who queued a job
+ * @param {Object} user - req.user: a user, or a team member
+ * @returns {{ createdBy: ObjectId, createdByModel: string }}
+ */
+const getJobRequester = (user) => ({
+  createdBy: user._id,
+  createdByModel: user.userType === 'teamMember' ? 'TeamMember' : 'User',
+});
+
+/**
+ * Add a job to the queue
+ * @param {string} type
+ * @param {Object} payload - Plain JSON data (ids as strings); a payload kept in S3 reaches the handler as parsed JSON
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Default 3; use 1 for jobs that are not safe to repeat
+ * @param {number} [options.priority] - Higher runs first
+ * @param {Date} [options.runAt] - Do not run before this time
+ * @param {ObjectId} [options.createdBy] - User or team member who requested it (see getJobRequester)
+ * @param {string} [options.createdByModel] - User (default) or TeamMember
+ * @returns {Promise<Job>}
+ */
+const enqueueJob = async (type, payload = {}, { maxAttempts, priority, runAt, createdBy, createdByModel } = {}) => {
+  const options = { type, maxAttempts, priority, runAt, createdBy, createdByModel };
+  const body = JSON.stringify(payload);
+  let job;
+  if (Buffer.byteLength(body) <= PAYLOAD_INLINE_LIMIT_BYTES) {
+    job = await Job.create({ ...options, payload });
+  } else {
+    const _id = new mongoose.Types.ObjectId();
+    const payloadKey = getPayloadKey(_id);
+    await s3
+      .putObject({ Bucket: config.aws.s3.bucket, Key: payloadKey, Body: body, ContentType: 'application/json' })
+      .promise();
+    job = await Job.create({ ...options, _id, payloadKey }).catch(async (error) => {
+      await deleteJobPayload(payloadKey);
+      throw error;
+    });
+  }
+  if (worker.timer) {
+    setImmediate(tick);
+  }
+  return job;
+};
+
+/**
+ * Start polling for jobs in this process (no-op when JOB_WORKER_ENABLED=false or already started)
+ */
+const startWorker = () => {
+  if (worker.timer || !config.jobQueue.workerEnabled) {
+    return;
+  }
+  worker.stopping = false;
+  worker.timer = setInterval(tick, config.jobQueue.pollIntervalSeconds * 1000);
+  setImmediate(tick);
+  logger.info(`✅ Job queue worker ${worker.id} started (${Object.keys(handlers).join(', ') || 'no handlers'})`);
+};
+
+/**
+ * Stop polling. A job already running finishes; its lock is released when it does.
+ */
+const stopWorker = () => {
+  if (!worker.timer) {
+    return;
+  }
+  worker.stopping = true;
+  clearInterval(worker.timer);
+  worker.timer = null;
+  logger.info(`⏹️ Job queue worker ${worker.id} stopped`);
+};
+
+/**
+ * Users without getSystem may only see and retry the jobs they started
+ * @param {Job} job
+ * @param {Object} user
+ */
+const assertJobAccess = (job, user) => {
+  if (hasPermission(user.role, 'getSystem')) {
+    return;
+  }
+  if (!job.createdBy || job.createdBy.toString() !== (user._id || user.id).toString()) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this job');
+  }
+};
+
+/**
+ * Query jobs
+ * @param {Object} filter - type, status, createdBy
+ * @param {Object} options - Query options
+ * @param {Object} user
+ * @returns {Promise<QueryResult>}
+ */
+const queryJobs = async (filter, options, user) => {
+  const mongoFilter = { ...filter };
+  if (!hasPermission(user.role, 'getSystem')) {
+    mongoFilter.createdBy = user._id;
+  } else if (mongoFilter.createdBy) {
+    mongoFilter.createdBy = new mongoose.Types.ObjectId(mongoFilter.createdBy);
+  }
+  return Job.paginate(mongoFilter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Get a job
+ * @param {ObjectId} jobId
+ * @param {Object} user
+ * @returns {Promise<Job>}
+ */
+const getJobById = async (jobId, user) => {
+  const job = await Job.findById(jobId);
+  if (!job) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Job not found');
+  }
+  assertJobAccess(job, user);
+  return job;
+};
+
+/**
+ * Queue a failed job again with a fresh set of attempts
+ * @param {ObjectId} jobId
+ * @param {Object} user
+ * @returns {Promise<Job>}
+ */
+const retryJob = async (jobId, user) => {
+  const job = await getJobById(jobId, user);
+  if (job.status !== 'failed') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only failed jobs can be retried');
+  }
+  Object.assign(job, { status: 'queued', attempts: 0, runAt: new Date(), completedAt: undefined });
+  await job.save();
+  if (worker.timer) {
+    setImmediate(tick);
+  }
+  return job;
+};
+
+export {
+  registerJobHandler,
+  getBackoffMs,
+  claimNextJob,
+  runJob,
+  updateJobProgress,
+  getJobRequester,
+  enqueueJob,
+  startWorker,
+  stopWorker,
+  queryJobs,
+  getJobById,
+  retryJob,
+};
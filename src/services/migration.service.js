@@ -0,0 +1,170 @@
+/**
+ * Versioned data migrations. The migrations in src/migrations run in version order and each applied one is recorded in
+ * the `migrations` collection, so every environment ends up with the same data shape whether it is new or old.
+ * Runs are serialised across instances with the cron lease lock. Run with `npm run migrate` or at boot with
+ * MIGRATE_ON_BOOT=true, where an instance that loses the lock waits until the winner has applied them.
+ */
+import { Migration } from '../models/index.js';
+import logger from '../config/logger.js';
+import defaultMigrations from '../migrations/index.js';
+import { runWithCronLock } from './cronLock.service.js';
+
+const LOCK_NAME = 'migrations';
+
+// While another instance migrates, boot checks again this often, and gives up after the timeout
+const BOOT_WAIT_INTERVAL_MS = 5 * 1000;
+const BOOT_WAIT_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Check migration definitions: unique versions in ascending order, each with an up function
+ * @param {Array<Object>} migrations
+ */
+const checkMigrations = (migrations) => {
+  migrations.forEach((migration, index) => {
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version} has no up function`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Migration ${migration.version} is out of order or duplicated`);
+    }
+  });
+};
+
+/**
+ * Applied and pending migrations, plus applied versions that no longer have a migration file
+ * @param {Array<Object>} [migrations]
+ * @returns {Promise<Array<Object>>} { version, name, description, status: 'applied'|'pending'|'missing', appliedAt }
+ */
+const getMigrationStatus = async (migrations = defaultMigrations) => {
+  const applied = await Migration.find().sort({ version: 1 }).lean();
+  const appliedByVersion = new Map(applied.map((record) => [record.version, record]));
+  const known = new Set(migrations.map((migration) => migration.version));
+
+  const status = migrations.map(({ version, name, description }) => {
+    const record = appliedByVersion.get(version);
+    return {
+      version,
+      name,
+      description,
+      status: record ? 'applied' : 'pending',
+      appliedAt: record ? record.appliedAt : null,
+    };
+  });
+  const missing = applied
+    .filter((record) => !known.has(record.version))
+    .map(({ version, name, appliedAt }) => ({ version, name, description: null, status: 'missing', appliedAt }));
+  return [...status, ...missing].sort((a, b) => a.version.localeCompare(b.version));
+};
+
+/**
+ * Run one migration in one direction and record (or remove) it unless it is a dry run
+ * @returns {Promise<Object>} { version, name, direction, dryRun, durationMs, result }
+ */
+const runMigration = async (migration, direction, dryRun) => {
+  const { version, name } = migration;
+  logger.info(`${dryRun ? '🔍 Dry run of' : '🚚 Running'} migration ${version}-${name} (${direction})`);
+  const startedAt = Date.now();
+  const result = (await migration[direction]({ dryRun })) || {};
+  const durationMs = Date.now() - startedAt;
+
+  if (!dryRun) {
+    if (direction === 'up') {
+      await Migration.create({ version, name, durationMs, result });
+    } else {
+      await Migration.deleteOne({ version });
+    }
+  }
+  logger.info(`✅ Migration ${version}-${name} (${direction}) done in ${durationMs}ms: ${JSON.stringify(result)}`);
+  return { version, name, direction, dryRun, durationMs, result };
+};
+
+/**
+ * Run migrations one after the other, on this instance only if no other instance is migrating
+ * @param {Array<Object>} steps - Migrations to run, in order
+ * @param {'up'|'down'} direction
+ * @param {boolean} dryRun
+ * @returns {Promise<{ ran: boolean, migrations: Array<Object> }>}
+ */
+const runLocked = async (steps, direction, dryRun) => {
+  if (steps.length === 0) {
+    return { ran: true, migrations: [] };
+  }
+  const outcome = await runWithCronLock(
+    LOCK_NAME,
+    () =>
+      steps.reduce(
+        (previous, migration) =>
+          previous.then(async (results) => [...results, await runMigration(migration, direction, dryRun)]),
+        Promise.resolve([])
+      ),
+    { manual: true }
+  );
+  if (!outcome.ran) {
+    logger.warn('⏭️ Migrations are already running on another instance');
+  }
+  return { ran: outcome.ran, migrations: outcome.result || [] };
+};
+
+/**
+ * Apply pending migrations in version order. Stops at the first migration that fails; those before it stay applied.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what each migration would change without writing or recording anything
+ * @param {string} [options.to] - Last version to apply
+ * @param {Array<Object>} [migrations]
+ * @returns {Promise<{ ran: boolean, migrations: Array<Object> }>}
+ */
+const migrateUp = async ({ dryRun = false, to } = {}, migrations = defaultMigrations) => {
+  checkMigrations(migrations);
+  const applied = new Set(await Migration.distinct('version'));
+  const pending = migrations.filter(({ version }) => !applied.has(version) && (!to || version <= to));
+  return runLocked(pending, 'up', dryRun);
+};
+
+/**
+ * Apply pending migrations before the app serves requests. When another instance holds the lock this one waits and
+ * checks again until nothing is pending, so no instance starts on the old data shape.
+ * @param {Array<Object>} [migrations]
+ * @param {number} [startedAt] - When the first attempt was made
+ * @returns {Promise<{ ran: boolean, migrations: Array<Object> }>}
+ */
+const migrateUpOnBoot = async (migrations = defaultMigrations, startedAt = Date.now()) => {
+  const outcome = await migrateUp({}, migrations);
+  if (outcome.ran) {
+    return outcome;
+  }
+  if (Date.now() - startedAt >= BOOT_WAIT_TIMEOUT_MS) {
+    throw new Error(`Migrations on another instance did not finish within ${BOOT_WAIT_TIMEOUT_MS / 60000} minutes`);
+  }
+  logger.info('⏳ Waiting for another instance to finish migrating');
+  await new Promise((resolve) => {
+    setTimeout(resolve, BOOT_WAIT_INTERVAL_MS);
+  });
+  return migrateUpOnBoot(migrations, startedAt);
+};
+
+/**
+ * Roll back the most recently applied migrations, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {number} [options.steps] - How many migrations to roll back
+ * @param {Array<Object>} [migrations]
+ * @returns {Promise<{ ran: boolean, migrations: Array<Object> }>}
+ */
+const migrateDown = async ({ dryRun = false, steps = 1 } = {}, migrations = defaultMigrations) => {
+  checkMigrations(migrations);
+  const applied = await Migration.find().sort({ version: -1 }).limit(steps).lean();
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+  const rollbacks = applied.map(({ version, name }) => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${version}-${name} is applied but has no migration file`);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${version}-${name} cannot be rolled back`);
+    }
+    return migration;
+  });
+  return runLocked(rollbacks, 'down', dryRun);
+};
+
+export { getMigrationStatus, migrateUp, migrateUpOnBoot, migrateDown };
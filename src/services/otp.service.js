@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import httpStatus from 'http-status';
+import moment from 'moment';
+import config from '../config/config.js';
+import Token from '../models/token.model.js';
+import OtpLockout from '../models/otpLockout.model.js';
+import OtpIssuance from '../models/otpIssuance.model.js';
+import ApiError from '../utils/ApiError.js';
+
+/**
+ * @typedef {Object} OtpSubject
+ * @property {ObjectId} userId - Client or TeamMember id
+ * @property {string} userModel - 'Client' | 'TeamMember'
+ * @property {string} identifier - PAN for clients, email for team members
+ */
+
+/**
+ * Hash an OTP so the plain code is never stored
+ * @param {string} otp
+ * @returns {string}
+ */
+const hashOTP = (otp) => crypto.createHmac('sha256', config.jwt.secret).update(String(otp)).digest('hex');
+
+/**
+ * Constant-time comparison of an OTP against its stored hash
+ * @param {string} otp
+ * @param {string} hash
+ * @returns {boolean}
+ */
+const matchesOTP = (otp, hash) => {
+  const candidate = Buffer.from(hashOTP(otp), 'hex');
+  const stored = Buffer.from(hash, 'hex');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+/**
+ * Build the error returned while a subject is locked out
+ * @param {Date} lockedUntil
+ * @returns {ApiError}
+ */
+const lockedOutError = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil(moment(lockedUntil).diff(moment(), 'minutes', true)));
+  return new ApiError(httpStatus.TOO_MANY_REQUESTS, `Too many OTP attempts. Please try again in ${minutes} minute(s)`);
+};
+
+/**
+ * Throw if the subject is currently locked out
+ * @param {OtpSubject} subject
+ * @returns {Promise<void>}
+ */
+const assertNotLockedOut = async (subject) => {
+  const lockout = await OtpLockout.findOne({
+    user: subject.userId,
+    clearedAt: null,
+    lockedUntil: { $gt: new Date() },
+  }).sort({ lockedUntil: -1 });
+
+  if (lockout) {
+    throw lockedOutError(lockout.lockedUntil);
+  }
+};
+
+/**
+ * Start of the counting window for a subject. Activity before the last lockout is not counted
+ * again, so an expired or cleared lockout does not immediately re-trigger.
+ * @param {OtpSubject} subject
+ * @param {moment.Moment} windowStart
+ * @returns {Promise<Date>}
+ */
+const getCountingWindowStart = async (subject, windowStart) => {
+  const lastLockout = await OtpLockout.findOne({ user: subject.userId }).sort({ createdAt: -1 });
+  if (!lastLockout) {
+    return windowStart.toDate();
+  }
+  const lockoutEnd = lastLockout.clearedAt || lastLockout.createdAt;
+  return moment.max(windowStart, moment(lockoutEnd)).toDate();
+};
+
+/**
+ * Record a lockout and invalidate any OTP still outstanding for the subject
+ * @param {OtpSubject} subject
+ * @param {string} type
+ * @param {string} reason
+ * @param {number} count
+ * @param {Date} lockedUntil
+ * @returns {Promise<OtpLockout>}
+ */
+const lockOut = async (subject, type, reason, count, lockedUntil) => {
+  await Token.updateMany({ user: subject.userId, type, blacklisted: false }, { blacklisted: true });
+  return OtpLockout.create({
+    identifier: subject.identifier,
+    user: subject.userId,
+    userModel: subject.userModel,
+    reason,
+    count,
+    lockedUntil,
+  });
+};
+
+/**
+ * Count an OTP issued to the subject in the current clock hour
+ * @param {OtpSubject} subject
+ * @param {string} type
+ * @returns {Promise<OtpIssuance>} The hour's counter after this OTP
+ */
+const countIssuance = async (subject, type) => {
+  const filter = { user: subject.userId, type, windowStart: moment().startOf('hour').toDate() };
+  try {
+    return await OtpIssuance.findOneAndUpdate(filter, { $inc: { count: 1 } }, { upsert: true, new: true });
+  } catch (error) {
+    // Two first requests of the hour raced to create the counter: count against the one that won
+    if (error.code === 11000) {
+      return OtpIssuance.findOneAndUpdate(filter, { $inc: { count: 1 } }, { new: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate a 6-digit OTP and store its hash. Any earlier unused OTP of the same type is invalidated.
+ * Issuance is capped at config.otp.maxPerHour per subject and clock hour.
+ * @param {OtpSubject} subject
+ * @param {string} type - OTP token type from config/tokens.js
+ * @returns {Promise<{ otp: string, expires: Date }>}
+ */
+const createOTP = async (subject, type) => {
+  await assertNotLockedOut(subject);
+
+  const issuance = await countIssuance(subject, type);
+  if (issuance.count > config.otp.maxPerHour) {
+    const lockedUntil = moment(issuance.windowStart).add(1, 'hour').toDate();
+    // Only the request that crossed the cap records the lockout; parallel ones past it are just refused
+    if (issuance.count === config.otp.maxPerHour + 1) {
+      await lockOut(subject, type, 'tooManyRequests', config.otp.maxPerHour, lockedUntil);
+    }
+    throw lockedOutError(lockedUntil);
+  }
+
+  await Token.updateMany({ user: subject.userId, type, blacklisted: false }, { blacklisted: true });
+
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const expires = moment().add(config.otp.expirationMinutes, 'minutes').toDate();
+
+  await Token.create({
+    token: hashOTP(otp),
+    user: subject.userId,
+    userModel: subject.userModel,
+    expires,
+    type,
+    blacklisted: false,
+    attempts: 0,
+  });
+
+  return { otp, expires };
+};
+
+/**
+ * Record a wrong guess and lock the subject out once config.otp.maxFailedAttempts is reached
+ * across all OTPs in the lockout window
+ * @param {OtpSubject} subject
+ * @param {string} type
+ * @param {Token} otpTokenDoc
+ * @returns {Promise<void>}
+ */
+const recordFailedAttempt = async (subject, type, otpTokenDoc) => {
+  // Counted in the database so concurrent wrong guesses cannot get past maxAttempts
+  const counted = await Token.findOneAndUpdate(
+    { _id: otpTokenDoc._id, blacklisted: false },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'OTP expired or not found');
+  }
+  const exhausted = counted.attempts >= config.otp.maxAttempts;
+  if (exhausted) {
+    await Token.updateOne({ _id: otpTokenDoc._id }, { blacklisted: true });
+  }
+
+  const since = await getCountingWindowStart(subject, moment().subtract(config.otp.lockoutMinutes, 'minutes'));
+  const [{ failed = 0 } = {}] = await Token.aggregate([
+    { $match: { user: otpTokenDoc.user, type, createdAt: { $gte: since } } },
+    { $group: { _id: null, failed: { $sum: '$attempts' } } },
+  ]);
+
+  if (failed >= config.otp.maxFailedAttempts) {
+    const lockedUntil = moment().add(config.otp.lockoutMinutes, 'minutes').toDate();
+    await lockOut(subject, type, 'tooManyFailedAttempts', failed, lockedUntil);
+    throw lockedOutError(lockedUntil);
+  }
+
+  if (exhausted) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Too many invalid attempts. Please request a new OTP');
+  }
+  throw new ApiError(httpStatus.UNAUTHORIZED, 'Invalid OTP');
+};
+
+/**
+ * Verify an OTP. A matched OTP is blacklisted (single use); a wrong guess counts against
+ * config.otp.maxAttempts for the OTP and config.otp.maxFailedAttempts for the subject.
+ * @param {OtpSubject} subject
+ * @param {string} type - OTP token type from config/tokens.js
+ * @param {string} otp
+ * @returns {Promise<Token>}
+ */
+const verifyOTP = async (subject, type, otp) => {
+  await assertNotLockedOut(subject);
+
+  const otpTokenDoc = await Token.findOne({
+    user: subject.userId,
+    type,
+    blacklisted: false,
+    expires: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  if (!otpTokenDoc) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'OTP expired or not found');
+  }
+
+  if (!matchesOTP(otp, otpTokenDoc.token)) {
+    await recordFailedAttempt(subject, type, otpTokenDoc);
+  }
+
+  // Single use: only the request that flips blacklisted wins, so a replayed OTP cannot log in twice
+  const consumed = await Token.findOneAndUpdate(
+    { _id: otpTokenDoc._id, blacklisted: false },
+    { blacklisted: true },
+    { new: true }
+  );
+  if (!consumed) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'OTP expired or not found');
+  }
+
+  return consumed;
+};
+
+/**
+ * Query for OTP lockouts
+ * @param {Object} filter - identifier, userModel, reason, active
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryOtpLockouts = async (filter, options) => {
+  const mongoFilter = {};
+  if (filter.identifier) {
+    mongoFilter.identifier = filter.identifier;
+  }
+  if (filter.userModel) {
+    mongoFilter.userModel = filter.userModel;
+  }
+  if (filter.reason) {
+    mongoFilter.reason = filter.reason;
+  }
+  if (filter.active === true || filter.active === 'true') {
+    mongoFilter.clearedAt = null;
+    mongoFilter.lockedUntil = { $gt: new Date() };
+  }
+  return OtpLockout.paginate(mongoFilter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Clear a lockout so the client/team member can request a new OTP immediately
+ * @param {ObjectId} lockoutId
+ * @param {ObjectId} clearedBy - Admin user id
+ * @returns {Promise<OtpLockout>}
+ */
+const clearOtpLockout = async (lockoutId, clearedBy) => {
+  const lockout = await OtpLockout.findById(lockoutId);
+  if (!lockout) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'OTP lockout not found');
+  }
+  if (lockout.clearedAt) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'OTP lockout already cleared');
+  }
+  lockout.clearedAt = new Date();
+  lockout.clearedBy = clearedBy;
+  await lockout.save();
+  // Start the hour's OTP count again so the subject can request one now
+  await OtpIssuance.deleteMany({ user: lockout.user });
+  return lockout;
+};
+
+export { hashOTP, createOTP, verifyOTP, queryOtpLockouts, clearOtpLockout };
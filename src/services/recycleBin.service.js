@@ -0,0 +1,226 @@
+/**
+ * Recycle bin for clients, timelines and tasks (see models/plugins/softDelete.plugin.js): listing what was deleted,
+ * restoring it, and purging what has been deleted for longer than config.recycleBin.retentionDays. A purge also
+ * removes references to documents that no longer exist: timeline ids in Task.timeline and client ids in Group.clients.
+ */
+import httpStatus from 'http-status';
+import moment from 'moment';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { Client, Group, Task, Timeline } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { getUserBranchIds, hasBranchAccess } from './role.service.js';
+
+const RECYCLE_BIN_ENTITIES = {
+  clients: { model: Client, label: 'Client' },
+  timelines: { model: Timeline, label: 'Timeline' },
+  tasks: { model: Task, label: 'Task' },
+};
+
+const getEntity = (entity) => {
+  const definition = RECYCLE_BIN_ENTITIES[entity];
+  if (!definition) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Unknown recycle bin: ${entity}`);
+  }
+  return definition;
+};
+
+/**
+ * Deleted clients, timelines or tasks, most recently deleted first
+ * @param {'clients'|'timelines'|'tasks'} entity
+ * @param {Object} filter - Mongo filter (e.g. branch, deletedBy)
+ * @param {Object} options - Query options
+ * @param {Object} [user] - Limits the listing to the user's branches
+ * @returns {Promise<QueryResult>}
+ */
+const queryDeleted = async (entity, filter, options, user = null) => {
+  const { model } = getEntity(entity);
+  const mongoFilter = { ...filter, isDeleted: true };
+
+  const allowedBranchIds = user && user.role ? getUserBranchIds(user.role) : null;
+  if (allowedBranchIds) {
+    if (mongoFilter.branch && !allowedBranchIds.includes(String(mongoFilter.branch))) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this branch');
+    }
+    if (!mongoFilter.branch) {
+      mongoFilter.branch = { $in: allowedBranchIds };
+    }
+  }
+  return model.paginate(mongoFilter, { sortBy: 'deletedAt:desc', ...options });
+};
+
+/**
+ * Active timelines that restoring these timelines would clash with on the unique recurring timeline index
+ * (client, activity, subactivity, period and state; see models/timeline.model.js)
+ * @param {Array<Object>} timelines - Deleted timelines to restore
+ * @returns {Promise<Array<Object>>}
+ */
+const findRestoreConflicts = async (timelines) => {
+  const indexed = timelines.filter(
+    (timeline) => timeline.timelineType === 'recurring' && typeof timeline.period === 'string' && timeline.subactivityId
+  );
+  if (indexed.length === 0) {
+    return [];
+  }
+  return Timeline.find({
+    $or: indexed.map((timeline) => ({
+      client: timeline.client,
+      activity: timeline.activity,
+      subactivityId: timeline.subactivityId,
+      period: timeline.period,
+      state: timeline.state || null,
+      timelineType: 'recurring',
+    })),
+  })
+    .select('period state')
+    .lean();
+};
+
+/**
+ * Take a client, timeline or task out of the recycle bin. A client comes back with the timelines deleted along with
+ * it; a timeline of a deleted client cannot be restored before the client. Nothing is restored when a timeline would
+ * clash with an active one for the same period.
+ * @param {'clients'|'timelines'|'tasks'} entity
+ * @param {ObjectId} id
+ * @param {Object} [user]
+ * @returns {Promise<Document>} The restored document
+ */
+const restoreDeleted = async (entity, id, user = null) => {
+  const { model, label } = getEntity(entity);
+  const doc = await model.findOne({ _id: id, isDeleted: true });
+  if (!doc) {
+    throw new ApiError(httpStatus.NOT_FOUND, `${label} not found in the recycle bin`);
+  }
+  if (user && user.role && doc.branch && !hasBranchAccess(user.role, String(doc.branch))) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this branch');
+  }
+
+  if (entity === 'timelines') {
+    const client = await Client.findById(doc.client).setOptions({ withDeleted: true }).select('isDeleted').lean();
+    if (client && client.isDeleted) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'The client of this timeline is deleted; restore the client first');
+    }
+  }
+
+  // Timelines deleted with a client share its deletedAt; ones deleted on their own before stay deleted
+  let timelines = [];
+  if (entity === 'timelines') {
+    timelines = [doc];
+  } else if (entity === 'clients') {
+    timelines = await Timeline.find({ client: doc._id, isDeleted: true, deletedAt: doc.deletedAt })
+      .select('client activity subactivityId period state timelineType')
+      .lean();
+  }
+  const conflicts = await findRestoreConflicts(timelines);
+  if (conflicts.length > 0) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `${conflicts.length} timeline(s) for the same period already exist; delete them before restoring`,
+      { conflicts: conflicts.map(({ _id, period, state }) => ({ id: _id, period, state: state || null })) }
+    );
+  }
+
+  try {
+    await model.restoreMany({ _id: doc._id });
+    if (entity === 'clients' && timelines.length > 0) {
+      await Timeline.restoreMany({ _id: { $in: timelines.map((timeline) => timeline._id) } });
+    }
+  } catch (error) {
+    // A timeline created since the check: put back in the recycle bin whatever this restore took out
+    if (entity === 'clients') {
+      await Timeline.softDeleteMany(
+        { _id: { $in: timelines.map((timeline) => timeline._id) } },
+        doc.deletedBy,
+        doc.deletedAt
+      );
+    }
+    await model.softDeleteMany({ _id: doc._id }, doc.deletedBy, doc.deletedAt);
+    if (error.code === 11000) {
+      throw new ApiError(
+        httpStatus.CONFLICT,
+        'A timeline for the same period already exists; delete it before restoring this one'
+      );
+    }
+    throw error;
+  }
+  return model.findById(doc._id);
+};
+
+/**
+ * Pull ids of timelines that no longer exist out of tasks, and of clients that no longer exist out of groups
+ * @returns {Promise<{ tasks: number, groups: number }>} Documents updated
+ */
+const removeDanglingReferences = async () => {
+  const referencedTimelineIds = await Task.distinct('timeline').setOptions({ withDeleted: true });
+  const existingTimelineIds = await Timeline.find({ _id: { $in: referencedTimelineIds } })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+  const existingTimelines = new Set(existingTimelineIds.map(String));
+  const missingTimelineIds = referencedTimelineIds.filter((timelineId) => !existingTimelines.has(String(timelineId)));
+  let tasks = 0;
+  if (missingTimelineIds.length > 0) {
+    const result = await Task.updateMany(
+      { timeline: { $in: missingTimelineIds } },
+      { $pull: { timeline: { $in: missingTimelineIds } } }
+    );
+    tasks = result.nModified;
+  }
+
+  const referencedClientIds = await Group.distinct('clients');
+  const existingClientIds = await Client.find({ _id: { $in: referencedClientIds } })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+  const existingClients = new Set(existingClientIds.map(String));
+  const missingClients = new Set(referencedClientIds.map(String).filter((clientId) => !existingClients.has(clientId)));
+  const groups = missingClients.size > 0 ? await Group.find({ clients: { $in: [...missingClients] } }) : [];
+  await Promise.all(
+    groups.map((group) => {
+      const clients = group.clients.filter((clientId) => !missingClients.has(String(clientId)));
+      return group.set({ clients, numberOfClients: clients.length }).save();
+    })
+  );
+
+  return { tasks, groups: groups.length };
+};
+
+/**
+ * Permanently delete what has been in the recycle bin for longer than the retention period. A purged client takes
+ * all its timelines with it, deleted or not.
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Default config.recycleBin.retentionDays
+ * @returns {Promise<Object>} Counts of purged documents and of cleaned references
+ */
+const purgeDeleted = async ({ retentionDays = config.recycleBin.retentionDays } = {}) => {
+  const cutoff = moment().subtract(retentionDays, 'days').toDate();
+  const expired = { isDeleted: true, deletedAt: { $lt: cutoff } };
+
+  const clientIds = await Client.find(expired).distinct('_id');
+  const timelineIds = await Timeline.find({ $or: [expired, { client: { $in: clientIds } }] })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+  const taskIds = await Task.find(expired).distinct('_id');
+
+  const [tasks, timelines, clients] = await Promise.all([
+    taskIds.length > 0 ? Task.deleteMany({ _id: { $in: taskIds } }) : { deletedCount: 0 },
+    timelineIds.length > 0 ? Timeline.deleteMany({ _id: { $in: timelineIds } }) : { deletedCount: 0 },
+    clientIds.length > 0 ? Client.deleteMany({ _id: { $in: clientIds } }) : { deletedCount: 0 },
+  ]);
+  const references = await removeDanglingReferences();
+
+  const summary = {
+    processed: clients.deletedCount + timelines.deletedCount + tasks.deletedCount,
+    retentionDays,
+    clients: clients.deletedCount,
+    timelines: timelines.deletedCount,
+    tasks: tasks.deletedCount,
+    tasksUpdated: references.tasks,
+    groupsUpdated: references.groups,
+  };
+  logger.info(
+    `🗑️ Recycle bin purge: ${summary.clients} clients, ${summary.timelines} timelines, ${summary.tasks} tasks removed; ` +
+      `${summary.tasksUpdated} tasks and ${summary.groupsUpdated} groups cleaned of dangling references`
+  );
+  return summary;
+};
+
+export { RECYCLE_BIN_ENTITIES, queryDeleted, restoreDeleted, removeDanglingReferences, purgeDeleted };
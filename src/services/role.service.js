@@ -318,6 +318,13 @@ const getAvailableApiPermissions = () => {
       category: 'timeline_management',
       group: 'timelines',
     },
+    reviewTimelines: {
+      key: 'reviewTimelines',
+      title: 'Review Timelines',
+      description: 'Can approve reviewed work as filed and reopen reviewed or completed timelines',
+      category: 'timeline_management',
+      group: 'timelines',
+    },
     
     // Role Management
     getRoles: {
@@ -350,6 +357,15 @@ const getAvailableApiPermissions = () => {
       category: 'file_management',
       group: 'fileManager',
     },
+
+    // Audit Trail
+    getAuditLogs: {
+      key: 'getAuditLogs',
+      title: 'View Audit Logs',
+      description: 'Can view the history of changes to clients, timelines, tasks and roles',
+      category: 'audit',
+      group: 'auditLogs',
+    },
   };
 };
 
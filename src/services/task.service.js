@@ -2,33 +2,10 @@ import httpStatus from 'http-status';
 import mongoose from 'mongoose';
 import { Task, TeamMember, Timeline, Group } from '../models/index.js';
 import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
 import { sendEmail, generateTaskAssignmentHTML } from './email.service.js';
-
-// Simple email queue for background processing
-const emailQueue = [];
-let isProcessingEmails = false;
-
-/**
- * Process email queue in background
- */
-const processEmailQueue = async () => {
-  if (isProcessingEmails || emailQueue.length === 0) {
-    return;
-  }
-
-  isProcessingEmails = true;
-  
-  while (emailQueue.length > 0) {
-    const emailJob = emailQueue.shift();
-    try {
-      await sendTaskAssignmentEmail(emailJob.task, emailJob.teamMember, emailJob.assignedBy);
-    } catch (error) {
-      // Log error but continue processing
-    }
-  }
-  
-  isProcessingEmails = false;
-};
+import { applyStatusTransition } from './timelineWorkflow.service.js';
+import { enqueueJob } from './jobQueue.service.js';
 
 /**
  * Resolve assigner for display: User (assignedBy) or TeamMember (assignedByTeamMember)
@@ -36,56 +13,68 @@ const processEmailQueue = async () => {
 const getTaskAssigner = (task) => task?.assignedBy || task?.assignedByTeamMember || null;
 
 /**
- * Add email to queue for background processing
+ * Queue the assignment email as a background job (retried with backoff if sending fails).
+ * Failing to queue it is logged, never raised: it shouldn't prevent task creation.
  */
-const queueTaskAssignmentEmail = (task, teamMember, assignedBy) => {
-  const assigner = assignedBy ?? getTaskAssigner(task);
-  emailQueue.push({ task, teamMember, assignedBy: assigner });
-  
-  // Process queue asynchronously
-  setImmediate(() => processEmailQueue());
+const queueTaskAssignmentEmail = (task) => {
+  enqueueJob('email.taskAssignment', { taskId: task._id }).catch((error) =>
+    logger.error(`Failed to queue task assignment email for task ${task._id}: ${error.message}`)
+  );
 };
 
 /**
- * Send task assignment email to team member
+ * Send task assignment email to team member. Errors are raised so the queue can retry.
  * @param {Object} task - Created task object
  * @param {Object} teamMember - Team member details
  * @param {Object} assignedBy - User who assigned the task
  * @returns {Promise<void>}
  */
 const sendTaskAssignmentEmail = async (task, teamMember, assignedBy = null) => {
-  try {
-    if (!teamMember || !teamMember.email) {
-      return;
-    }
-    const assigner = assignedBy ?? getTaskAssigner(task);
-    const assignedByDisplay = assigner
-      ? (assigner.email ? `${assigner.name} (${assigner.email})` : assigner.name)
-      : 'System';
+  if (!teamMember || !teamMember.email) {
+    return;
+  }
+  const assigner = assignedBy ?? getTaskAssigner(task);
+  const assignedByDisplay = assigner
+    ? (assigner.email ? `${assigner.name} (${assigner.email})` : assigner.name)
+    : 'System';
 
-    const taskData = {
-      taskTitle: `Task: ${task.remarks || 'New Task Assigned'}`,
-      taskDescription: task.remarks || 'A new task has been assigned to you',
-      assignedBy: assignedByDisplay,
-      dueDate: task.endDate ? task.endDate.toLocaleDateString() : null,
-      priority: task.priority || 'medium',
-      taskId: task._id ? task._id.toString() : null
-    };
+  const taskData = {
+    taskTitle: `Task: ${task.remarks || 'New Task Assigned'}`,
+    taskDescription: task.remarks || 'A new task has been assigned to you',
+    assignedBy: assignedByDisplay,
+    dueDate: task.endDate ? task.endDate.toLocaleDateString() : null,
+    priority: task.priority || 'medium',
+    taskId: task._id ? task._id.toString() : null
+  };
 
-    // Generate HTML email
-    const html = generateTaskAssignmentHTML(taskData);
+  // Generate HTML email
+  const html = generateTaskAssignmentHTML(taskData);
 
-    // Send email
-    await sendEmail(
-      teamMember.email,
-      `🎯 New Task Assigned: ${taskData.taskTitle}`,
-      `You have been assigned a new task.\n\nTask: ${taskData.taskTitle}\nDescription: ${taskData.taskDescription}\nPriority: ${taskData.priority.toUpperCase()}\nDue Date: ${taskData.dueDate || 'Not specified'}\nAssigned By: ${taskData.assignedBy}`,
-      html
-    );
+  // Send email
+  await sendEmail(
+    teamMember.email,
+    `🎯 New Task Assigned: ${taskData.taskTitle}`,
+    `You have been assigned a new task.\n\nTask: ${taskData.taskTitle}\nDescription: ${taskData.taskDescription}\nPriority: ${taskData.priority.toUpperCase()}\nDue Date: ${taskData.dueDate || 'Not specified'}\nAssigned By: ${taskData.assignedBy}`,
+    html,
+    { log: { category: 'taskAssignment', task: task._id } }
+  );
+};
 
-  } catch (error) {
-    // Don't throw error - email failure shouldn't prevent task creation
+/**
+ * Job handler for "email.taskAssignment": load the task and email its team member
+ * @param {{ taskId: ObjectId }} payload
+ * @returns {Promise<Object>}
+ */
+const sendQueuedTaskAssignmentEmail = async ({ taskId }) => {
+  const task = await Task.findById(taskId)
+    .populate('teamMember', 'name email phone')
+    .populate('assignedBy', 'name email')
+    .populate('assignedByTeamMember', 'name email phone');
+  if (!task || !task.teamMember || !task.teamMember.email) {
+    return { sent: false, reason: task ? 'Team member has no email' : 'Task not found' };
   }
+  await sendTaskAssignmentEmail(task, task.teamMember, getTaskAssigner(task));
+  return { sent: true, to: task.teamMember.email };
 };
 
 /**
@@ -107,7 +96,7 @@ const createTask = async (taskBody) => {
 
     // Queue email notification for background processing
     if (populatedTask.teamMember && populatedTask.teamMember.email) {
-      queueTaskAssignmentEmail(populatedTask, populatedTask.teamMember, getTaskAssigner(populatedTask));
+      queueTaskAssignmentEmail(populatedTask);
     }
 
     return populatedTask;
@@ -412,9 +401,10 @@ const queryTasks = async (filter, options) => {
  * Update task by id
  * @param {ObjectId} taskId
  * @param {Object} updateBody
+ * @param {Object} [user] - User making the change; timeline status changes are checked against the workflow
  * @returns {Promise<Task>}
  */
-const updateTaskById = async (taskId, updateBody) => {
+const updateTaskById = async (taskId, updateBody, user = null) => {
   const task = await getTaskByIdMinimal(taskId);
   
   // Check if teamMember is being updated and validate
@@ -439,7 +429,7 @@ const updateTaskById = async (taskId, updateBody) => {
     // If task has no timelines, just ignore timelineUpdates (handle gracefully)
     if (taskTimelineIds.length > 0) {
       const invalidTimelineIds = [];
-      const bulkOps = [];
+      const updates = [];
 
       timelineUpdates.forEach((t) => {
         const timelineId = t?.timelineId?.toString();
@@ -451,41 +441,54 @@ const updateTaskById = async (taskId, updateBody) => {
           return;
         }
 
-        const $set = {};
+        updates.push({ ...t, timelineId });
+      });
+
+      if (invalidTimelineIds.length > 0) {
+        throw new ApiError(
+          httpStatus.BAD_REQUEST,
+          `Some timelines do not belong to this task: ${invalidTimelineIds.join(', ')}`
+        );
+      }
+
+      // Status changes go through the workflow on the loaded timelines, then are written in one bulkWrite
+      const timelines = await Timeline.find({ _id: { $in: updates.map((t) => t.timelineId) } });
+      const timelinesById = new Map(timelines.map((timeline) => [timeline._id.toString(), timeline]));
+      const beforeById = new Map(timelines.map((timeline) => [timeline._id.toString(), timeline.toObject()]));
+      const changed = [];
+
+      updates.forEach((t) => {
+        const timeline = timelinesById.get(t.timelineId);
+        if (!timeline) return;
 
         if (typeof t.status === 'string') {
-          $set.status = t.status;
-          // If status is completed and completedAt not provided, set it now
-          if (t.status === 'completed' && !t.completedAt) {
-            $set.completedAt = new Date();
-          }
+          applyStatusTransition(timeline, t.status, { user, reason: t.statusReason });
         }
         if (Object.prototype.hasOwnProperty.call(t, 'referenceNumber')) {
-          $set.referenceNumber = t.referenceNumber;
+          timeline.referenceNumber = t.referenceNumber;
         }
         if (Object.prototype.hasOwnProperty.call(t, 'completedAt')) {
-          $set.completedAt = t.completedAt;
+          timeline.completedAt = t.completedAt;
+        }
+        if (timeline.isModified()) {
+          changed.push(timeline);
         }
-
-        if (Object.keys($set).length === 0) return;
-
-        bulkOps.push({
-          updateOne: {
-            filter: { _id: new mongoose.Types.ObjectId(timelineId) },
-            update: { $set },
-          },
-        });
       });
 
-      if (invalidTimelineIds.length > 0) {
-        throw new ApiError(
-          httpStatus.BAD_REQUEST,
-          `Some timelines do not belong to this task: ${invalidTimelineIds.join(', ')}`
+      if (changed.length > 0) {
+        await Promise.all(changed.map((timeline) => timeline.validate()));
+        await Timeline.bulkWrite(
+          changed.map((timeline) => ({ updateOne: { filter: { _id: timeline._id }, update: timeline.getChanges() } })),
+          { ordered: false }
+        );
+        // bulkWrite skips mongoose middleware, so the audit plugin is told about the changes here
+        await Timeline.writeAuditEntries(
+          changed.map((timeline) => ({
+            action: 'update',
+            before: beforeById.get(timeline._id.toString()),
+            after: timeline.toObject(),
+          }))
         );
-      }
-
-      if (bulkOps.length > 0) {
-        await Timeline.bulkWrite(bulkOps, { ordered: false });
       }
     }
   }
@@ -496,13 +499,14 @@ const updateTaskById = async (taskId, updateBody) => {
 };
 
 /**
- * Delete task by id
+ * Delete task by id (to the recycle bin)
  * @param {ObjectId} taskId
+ * @param {Object} [user] - Who deleted it
  * @returns {Promise<Task>}
  */
-const deleteTaskById = async (taskId) => {
+const deleteTaskById = async (taskId, user = null) => {
   const task = await getTaskByIdMinimal(taskId);
-  await Task.deleteOne({ _id: taskId });
+  await Task.softDeleteMany({ _id: task._id }, user ? user._id || user.id : null);
   return task;
 };
 
@@ -730,7 +734,7 @@ const getTaskStatistics = async (branchId = null) => {
  */
 const bulkUpdateTaskStatus = async (taskIds, status) => {
   const result = await Task.updateMany(
-    { _id: { $in: taskIds } },
+    { _id: { $in: taskIds }, isDeleted: { $ne: true } },
     { $set: { status } }
   );
   return result;
@@ -764,7 +768,7 @@ const bulkCreateTasks = async (tasks) => {
     // Queue emails for background processing
     populatedTasks.forEach(task => {
       if (task.teamMember && task.teamMember.email) {
-        queueTaskAssignmentEmail(task, task.teamMember, getTaskAssigner(task));
+        queueTaskAssignmentEmail(task);
       }
     });
 
@@ -792,13 +796,14 @@ const bulkCreateTasks = async (tasks) => {
 };
 
 /**
- * Bulk delete tasks
+ * Bulk delete tasks (to the recycle bin)
  * @param {Array<ObjectId>} taskIds
+ * @param {Object} [user] - Who deleted them
  * @returns {Promise<Object>}
  */
-const bulkDeleteTasks = async (taskIds) => {
-  const result = await Task.deleteMany({ _id: { $in: taskIds } });
-  return result;
+const bulkDeleteTasks = async (taskIds, user = null) => {
+  const deletedCount = await Task.softDeleteMany({ _id: { $in: taskIds } }, user ? user._id || user.id : null);
+  return { deletedCount };
 };
 
 /**
@@ -1000,11 +1005,12 @@ const updateTaskOfAccessibleTeamMember = async (teamMemberId, taskId, updateBody
     }
   }
   
-  return updateTaskById(taskId, updateBody);
+  return updateTaskById(taskId, updateBody, { id: teamMemberId, userType: 'teamMember' });
 };
 
 export default {
   createTask,
+  sendQueuedTaskAssignmentEmail,
   getTaskById,
   getTaskByIdMinimal,
   queryTasks,
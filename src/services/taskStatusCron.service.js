@@ -1,6 +1,7 @@
 import cron from 'node-cron';
 import { Task } from '../models/index.js';
 import logger from '../config/logger.js';
+import scheduleLockedJob from '../jobs/lockedSchedule.js';
 
 class TaskStatusCronService {
   constructor() {
@@ -17,34 +18,20 @@ class TaskStatusCronService {
     }
 
     // Run task status check every day at midnight (00:00)
-    cron.schedule('0 0 * * *', async () => {
+    scheduleLockedJob('task-status-daily', '0 0 * * *', async () => {
       logger.info('🕛 Starting daily task status check...');
-      try {
-        const result = await Task.checkAndUpdateAllTaskStatuses();
-        logger.info(`✅ Daily task status check completed: ${result.delayedCount} delayed, ${result.pendingCount} reverted to pending`);
-      } catch (error) {
-        logger.error('❌ Error in daily task status check:', error);
-      }
-    }, {
-      scheduled: true,
-      timezone: "UTC"
-    });
+      const result = await Task.checkAndUpdateAllTaskStatuses();
+      logger.info(`✅ Daily task status check completed: ${result.delayedCount} delayed, ${result.pendingCount} reverted to pending`);
+    }, { timezone: 'UTC' }).start();
 
     // Also run every hour for more frequent checks (optional)
-    cron.schedule('0 * * * *', async () => {
+    scheduleLockedJob('task-status-hourly', '0 * * * *', async () => {
       logger.info('🕐 Starting hourly task status check...');
-      try {
-        const result = await Task.checkAndUpdateAllTaskStatuses();
-        if (result.delayedCount > 0 || result.pendingCount > 0) {
-          logger.info(`🔄 Hourly task status check: ${result.delayedCount} delayed, ${result.pendingCount} reverted to pending`);
-        }
-      } catch (error) {
-        logger.error('❌ Error in hourly task status check:', error);
+      const result = await Task.checkAndUpdateAllTaskStatuses();
+      if (result.delayedCount > 0 || result.pendingCount > 0) {
+        logger.info(`🔄 Hourly task status check: ${result.delayedCount} delayed, ${result.pendingCount} reverted to pending`);
       }
-    }, {
-      scheduled: true,
-      timezone: "UTC"
-    });
+    }, { timezone: 'UTC' }).start();
 
     this.isRunning = true;
     logger.info('✅ Task status cron service started successfully');
@@ -61,10 +48,10 @@ class TaskStatusCronService {
 
     // Stop only our scheduled jobs
     const tasks = cron.getTasks();
-    tasks.forEach((task, name) => {
-      if (name.includes('task-status')) {
+    tasks.forEach((task) => {
+      if (task.name.includes('task-status')) {
         task.stop();
-        logger.info(`Stopped task status cron job: ${name}`);
+        logger.info(`Stopped task status cron job: ${task.name}`);
       }
     });
 
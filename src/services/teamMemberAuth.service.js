@@ -0,0 +1,57 @@
+import httpStatus from 'http-status';
+import TeamMember from '../models/teamMember.model.js';
+import ApiError from '../utils/ApiError.js';
+import { tokenTypes } from '../config/tokens.js';
+import { generateTeamMemberAuthTokens } from './token.service.js';
+import { sendEmail, getOTPEmailContent } from './email.service.js';
+import { createOTP, verifyOTP } from './otp.service.js';
+
+/**
+ * Generate OTP for team member login
+ * @param {string} email
+ * @returns {Promise<Object>}
+ */
+const generateTeamMemberOTP = async (email) => {
+  const teamMember = await TeamMember.findOne({ email });
+  if (!teamMember) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Team member not found with this email');
+  }
+
+  const { otp } = await createOTP(
+    { userId: teamMember.id, userModel: 'TeamMember', identifier: teamMember.email },
+    tokenTypes.TEAM_MEMBER_OTP
+  );
+
+  // Send OTP via email (header, highlighted OTP, footer)
+  const { subject, text, html } = getOTPEmailContent(teamMember.name || 'Team Member', otp, 'team');
+  await sendEmail(teamMember.email, subject, text, html, { log: { category: 'otp' } });
+
+  return {
+    email: teamMember.email,
+    message: 'Please check your email for the OTP',
+  };
+};
+
+/**
+ * Verify team member OTP and issue auth tokens
+ * @param {string} email
+ * @param {string} otp
+ * @returns {Promise<{ teamMember: TeamMember, tokens: Object }>}
+ */
+const verifyTeamMemberOTP = async (email, otp) => {
+  const teamMember = await TeamMember.findOne({ email });
+  if (!teamMember) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Team member not found');
+  }
+
+  await verifyOTP(
+    { userId: teamMember.id, userModel: 'TeamMember', identifier: teamMember.email },
+    tokenTypes.TEAM_MEMBER_OTP,
+    otp
+  );
+
+  const tokens = await generateTeamMemberAuthTokens(teamMember);
+  return { teamMember, tokens };
+};
+
+export { generateTeamMemberOTP, verifyTeamMemberOTP };
@@ -8,6 +8,9 @@ import Group from '../models/group.model.js';
 import { hasBranchAccess, getUserBranchIds } from './role.service.js';
 import { getCurrentFinancialYear, generateTimelineDates, calculateNextOccurrence } from '../utils/financialYear.js';
 import cache from '../utils/cache.js';
+import { resolveDueDate } from './complianceCalendar.service.js';
+import { applyStatusTransition, assertInitialStatus } from './timelineWorkflow.service.js';
+import { buildDocumentChecklist } from './timelineDocument.service.js';
 
 /**
  * Validate if activity ID exists
@@ -48,6 +51,7 @@ const validateClient = async (clientId) => {
  * @returns {Promise<Timeline>}
  */
 const createTimeline = async (timelineBody, user = null) => {
+  assertInitialStatus(timelineBody.status);
   await validateActivity(timelineBody.activity);
   await validateClient(timelineBody.client);
   
@@ -842,7 +846,13 @@ const updateTimelineById = async (timelineId, updateBody, user = null) => {
   if (shouldUnsetCompletedAt) delete updateBody.completedAt;
   if (shouldUnsetReferenceNumber) delete updateBody.referenceNumber;
 
-  Object.assign(timeline, updateBody);
+  // Status changes go through the workflow so they are checked and recorded in statusHistory
+  const { status, statusReason, ...otherUpdates } = updateBody;
+  if (status) {
+    applyStatusTransition(timeline, status, { user, reason: statusReason });
+  }
+
+  Object.assign(timeline, otherUpdates);
   if (shouldUnsetCompletedAt) {
     timeline.completedAt = undefined;
     timeline.markModified('completedAt');
@@ -859,23 +869,28 @@ const updateTimelineById = async (timelineId, updateBody, user = null) => {
 };
 
 /**
- * Delete timeline by id
+ * Delete timeline by id (to the recycle bin; tasks keep referencing it until it is purged)
  * @param {ObjectId} timelineId
  * @param {Object} user
  * @returns {Promise<Timeline>}
  */
 const deleteTimelineById = async (timelineId, user = null) => {
   const timeline = await getTimelineById(timelineId, user);
-  await timeline.deleteOne();
+  if (!timeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Timeline not found');
+  }
+  await Timeline.softDeleteMany({ _id: timeline._id }, user ? user._id || user.id : null);
   return timeline;
 };
 
 /**
- * Bulk import timelines
+ * Bulk import timelines. New timelines start in an initial status; status changes to existing ones go through
+ * the workflow.
  * @param {Array} timelinesData
+ * @param {Object} [user] - Who imported them
  * @returns {Promise<Object>}
  */
-const bulkImportTimelines = async (timelinesData) => {
+const bulkImportTimelines = async (timelinesData, user = null) => {
   const results = {
     created: [],
     updated: [],
@@ -914,8 +929,11 @@ const bulkImportTimelines = async (timelinesData) => {
         const existingTimeline = await Timeline.findById(timelineData.id);
         if (existingTimeline) {
           // Update existing timeline
-          Object.assign(existingTimeline, timelineData);
-          delete existingTimeline.id; // Remove the id field
+          const { id, status, statusReason, ...changes } = timelineData;
+          Object.assign(existingTimeline, changes);
+          if (status) {
+            applyStatusTransition(existingTimeline, status, { user, reason: statusReason });
+          }
           await existingTimeline.save();
           results.updated.push({
             index: i,
@@ -924,6 +942,7 @@ const bulkImportTimelines = async (timelinesData) => {
         } else {
           // Create new timeline with the provided ID
           delete timelineData.id;
+          assertInitialStatus(timelineData.status);
           const newTimeline = await Timeline.create(timelineData);
           results.created.push({
             index: i,
@@ -932,6 +951,7 @@ const bulkImportTimelines = async (timelinesData) => {
         }
       } else {
         // Create new timeline
+        assertInitialStatus(timelineData.status);
         const newTimeline = await Timeline.create(timelineData);
         results.created.push({
           index: i,
@@ -981,21 +1001,29 @@ const isGstRelatedSubactivity = (subactivity) => {
  * Create timelines for a client based on their activities and subactivities
  * @param {Object} client - Client document
  * @param {Array} activities - Array of client activities
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Return the timelines unsaved instead of creating them
+ * @param {Array<Object>} [options.activityDocs] - Activity documents to use instead of loading them
+ *   (previews of unsaved subactivity changes)
  * @returns {Promise<Array>} Array of created timeline documents
  */
-export const createClientTimelines = async (client, activities) => {
+export const createClientTimelines = async (client, activities, { dryRun = false, activityDocs = [] } = {}) => {
   if (!activities || activities.length === 0) {
     return [];
   }
 
-  const timelinePromises = [];
+  const timelines = [];
   const { yearString: financialYear } = getCurrentFinancialYear();
+  const branch = await mongoose.model('Branch').findById(client.branch).select('state').lean();
+  const branchState = branch ? branch.state : null;
 
   for (const activityItem of activities) {
     try {
       // Get the full activity document to check subactivities
       const Activity = mongoose.model('Activity');
-      const activity = await Activity.findById(activityItem.activity);
+      const activityId = String(activityItem.activity?._id || activityItem.activity);
+      const activity =
+        activityDocs.find((doc) => String(doc._id) === activityId) || (await Activity.findById(activityItem.activity));
       
       if (!activity) {
 
@@ -1035,6 +1063,15 @@ export const createClientTimelines = async (client, activities) => {
                   }
                   
                   const currentPeriod = getPeriodFromDate(currentDueDate, subactivity.frequency);
+                  const { dueDate, complianceForm } = await resolveDueDate({
+                    subactivity,
+                    frequency: subactivity.frequency,
+                    period: currentPeriod,
+                    client,
+                    state: gstNumber.state,
+                    branchState,
+                    fallbackDueDate: currentDueDate,
+                  });
 
                   const timeline = new Timeline({
                     activity: activity._id,
@@ -1048,11 +1085,12 @@ export const createClientTimelines = async (client, activities) => {
                     subactivityId: subactivity._id,
                     client: client._id,
                     status: 'pending',
-                    dueDate: currentDueDate,
-                    startDate: currentDueDate,
-                    endDate: currentDueDate,
+                    dueDate,
+                    startDate: dueDate,
+                    endDate: dueDate,
                     frequency: subactivity.frequency,
                     frequencyConfig: subactivity.frequencyConfig,
+                    complianceForm,
                     branch: client.branch,
                     timelineType: 'recurring',
                     financialYear: financialYear,
@@ -1063,6 +1101,7 @@ export const createClientTimelines = async (client, activities) => {
                       fieldType: field.type,
                       fieldValue: null
                     })) : [],
+                    documentChecklist: buildDocumentChecklist(subactivity),
                     metadata: {
                       gstNumber: gstNumber.gstNumber,
                       gstState: gstNumber.state,
@@ -1071,7 +1110,7 @@ export const createClientTimelines = async (client, activities) => {
                     }
                   });
                   
-                  timelinePromises.push(timeline.save());
+                  timelines.push(timeline);
                 } else {
                   // OneTime: no dueDate/startDate/endDate; period = 'OneTime'
                   const timeline = new Timeline({
@@ -1098,6 +1137,7 @@ export const createClientTimelines = async (client, activities) => {
                       fieldType: field.type,
                       fieldValue: null
                     })) : [],
+                    documentChecklist: buildDocumentChecklist(subactivity),
                     metadata: {
                       gstNumber: gstNumber.gstNumber,
                       gstState: gstNumber.state,
@@ -1105,7 +1145,7 @@ export const createClientTimelines = async (client, activities) => {
                       gstId: gstNumber._id?.toString() || gstNumber._id
                     }
                   });
-                  timelinePromises.push(timeline.save());
+                  timelines.push(timeline);
                 }
               }
             } else {
@@ -1122,6 +1162,14 @@ export const createClientTimelines = async (client, activities) => {
                 }
                 
                 const currentPeriod = getPeriodFromDate(currentDueDate, subactivity.frequency);
+                const { dueDate, complianceForm } = await resolveDueDate({
+                  subactivity,
+                  frequency: subactivity.frequency,
+                  period: currentPeriod,
+                  client,
+                  branchState,
+                  fallbackDueDate: currentDueDate,
+                });
 
                 const timeline = new Timeline({
                   activity: activity._id,
@@ -1135,11 +1183,12 @@ export const createClientTimelines = async (client, activities) => {
                   subactivityId: subactivity._id,
                   client: client._id,
                   status: 'pending',
-                  dueDate: currentDueDate,
-                  startDate: currentDueDate,
-                  endDate: currentDueDate,
+                  dueDate,
+                  startDate: dueDate,
+                  endDate: dueDate,
                   frequency: subactivity.frequency,
                   frequencyConfig: subactivity.frequencyConfig,
+                  complianceForm,
                   branch: client.branch,
                   timelineType: 'recurring',
                   financialYear: financialYear,
@@ -1148,10 +1197,11 @@ export const createClientTimelines = async (client, activities) => {
                     fileName: field.name,
                     fieldType: field.type,
                     fieldValue: null // Empty value as requested
-                  })) : []
+                  })) : [],
+                  documentChecklist: buildDocumentChecklist(subactivity)
                 });
                 
-                timelinePromises.push(timeline.save());
+                timelines.push(timeline);
               } else {
                 // OneTime: no dueDate/startDate/endDate; period = 'OneTime'
                 const timeline = new Timeline({
@@ -1176,9 +1226,10 @@ export const createClientTimelines = async (client, activities) => {
                     fileName: field.name,
                     fieldType: field.type,
                     fieldValue: null
-                  })) : []
+                  })) : [],
+                  documentChecklist: buildDocumentChecklist(subactivity)
                 });
-                timelinePromises.push(timeline.save());
+                timelines.push(timeline);
               }
             }
           }
@@ -1198,7 +1249,7 @@ export const createClientTimelines = async (client, activities) => {
           period: 'OneTime',
           fields: []
         });
-        timelinePromises.push(timeline.save());
+        timelines.push(timeline);
       }
     } catch (error) {
 
@@ -1206,9 +1257,13 @@ export const createClientTimelines = async (client, activities) => {
     }
   }
   
+  if (dryRun) {
+    return timelines;
+  }
+
   // Wait for all timelines to be created
-  if (timelinePromises.length > 0) {
-    const createdTimelines = await Promise.all(timelinePromises);
+  if (timelines.length > 0) {
+    const createdTimelines = await Promise.all(timelines.map((timeline) => timeline.save()));
     return createdTimelines;
   }
   
@@ -1216,7 +1271,9 @@ export const createClientTimelines = async (client, activities) => {
 };
 
 /**
- * Calculate due date for current period based on frequency
+ * Calculate due date for current period based on frequency.
+ * The date is not moved off Sundays/holidays here because the period is derived from it;
+ * createClientTimelines passes it to resolveDueDate, which applies the working-day shift.
  * @param {string} frequency - The frequency type
  * @param {Object} frequencyConfig - The frequency configuration
  * @returns {Date} Due date for current period
@@ -1464,18 +1521,22 @@ export const getAllTimelines = async (filter = {}, options = {}) => {
 };
 
 /**
- * Update timeline status
+ * Move a timeline to a new status through the workflow
  * @param {String} timelineId - Timeline ID
  * @param {String} status - New status
+ * @param {Object} [options]
+ * @param {Object} [options.user] - User making the change
+ * @param {String} [options.reason] - Required for some statuses (e.g. not applicable)
  * @returns {Promise<Object>} Updated timeline document
  */
-export const updateTimelineStatus = async (timelineId, status) => {
-  const timeline = await Timeline.findByIdAndUpdate(
-    timelineId,
-    { status },
-    { new: true, runValidators: true }
-  );
-  
+export const updateTimelineStatus = async (timelineId, status, { user = null, reason } = {}) => {
+  const timeline = await getTimelineById(timelineId, user);
+  if (!timeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Timeline not found');
+  }
+  applyStatusTransition(timeline, status, { user, reason });
+  await timeline.save();
+
   // Populate the updated timeline before returning
   const populatedTimeline = await Timeline.populate(timeline, [
     { path: 'activity', select: 'name sortOrder subactivities' },
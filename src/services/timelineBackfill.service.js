@@ -0,0 +1,213 @@
+/**
+ * Financial-year backfill: create the recurring timelines a financial year is missing for the clients that have the
+ * subactivities assigned, so past periods can be filled in. Timelines are upserted, so running it again only fills
+ * gaps. Runs as a "timelines.backfill" job; replaces the hard-coded scripts in src/scripts/backfill*.js.
+ */
+import httpStatus from 'http-status';
+import { Activity, Branch, Client } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import logger from '../config/logger.js';
+import { getUserBranchIds } from './role.service.js';
+import { enqueueJob, getJobRequester } from './jobQueue.service.js';
+import { upsertRecurringTimeline } from './timelineUpsert.service.js';
+import { resolveDueDate } from './complianceCalendar.service.js';
+import { getFinancialYearPeriods } from '../jobs/timelineGenerator/period.js';
+import { isGstRelatedSubactivity } from '../jobs/timelineGenerator/processors.js';
+
+const BACKFILL_FREQUENCIES = ['Monthly', 'Quarterly', 'Yearly'];
+
+// Progress is saved every this many clients
+const PROGRESS_EVERY = 25;
+
+const MAX_STORED_FAILURES = 100;
+
+/**
+ * @param {string} financialYear - e.g. "2024-2025"
+ * @returns {number} Start year
+ */
+const parseFinancialYear = (financialYear) => {
+  const match = /^(\d{4})-(\d{4})$/.exec(financialYear || '');
+  if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid financial year: ${financialYear}`);
+  }
+  return Number(match[1]);
+};
+
+/**
+ * Active clients with activities, limited to the requested clients/branches and the branches the user may access
+ * @param {Object} options - { clientIds, branchIds }
+ * @param {Object} [user]
+ * @returns {Object} Mongo filter
+ */
+const buildClientFilter = ({ clientIds = [], branchIds = [] }, user) => {
+  const filter = { 'activities.0': { $exists: true }, status: 'active' };
+  if (clientIds.length > 0) {
+    filter._id = { $in: clientIds };
+  }
+  let branches = branchIds.length > 0 ? branchIds.map(String) : null;
+  const allowedBranchIds = user && user.role ? getUserBranchIds(user.role) : null;
+  if (allowedBranchIds) {
+    branches = branches ? branches.filter((id) => allowedBranchIds.includes(id)) : allowedBranchIds;
+  }
+  if (branches) {
+    filter.branch = { $in: branches };
+  }
+  return filter;
+};
+
+/**
+ * Subactivities of a client the backfill applies to: active assignments matching the activity/subactivity filter
+ * @returns {Array<{ activity: Activity, subactivity: Object }>}
+ */
+const getClientTargets = (client, { activityId, subactivityIds = [], frequencies = BACKFILL_FREQUENCIES }) => {
+  const targets = [];
+  (client.activities || []).forEach((clientActivity) => {
+    const { activity } = clientActivity;
+    if (clientActivity.status !== 'active' || !activity || !activity.subactivities) return;
+    if (activityId && String(activity._id) !== String(activityId)) return;
+
+    const assignedId = clientActivity.subactivity && (clientActivity.subactivity._id || clientActivity.subactivity);
+    activity.subactivities.forEach((subactivity) => {
+      if (assignedId && String(assignedId) !== String(subactivity._id)) return;
+      if (subactivityIds.length > 0 && !subactivityIds.map(String).includes(String(subactivity._id))) return;
+      if (!frequencies.includes(subactivity.frequency)) return;
+      targets.push({ activity, subactivity });
+    });
+  });
+  return targets;
+};
+
+/**
+ * Create the missing timelines of a financial year
+ * @param {Object} options
+ * @param {string} options.financialYear - e.g. "2024-2025"
+ * @param {ObjectId} [options.activityId]
+ * @param {Array<ObjectId>} [options.subactivityIds]
+ * @param {Array<ObjectId>} [options.branchIds]
+ * @param {Array<ObjectId>} [options.clientIds]
+ * @param {Array<string>} [options.frequencies] - Monthly, Quarterly and/or Yearly (default: all three)
+ * @param {boolean} [options.dryRun] - Count what would be created without writing
+ * @param {Object} [context]
+ * @param {Object} [context.user] - Limits the clients to the user's branches
+ * @param {function(Object): Promise} [context.onProgress] - Called with { done, total } clients
+ * @returns {Promise<Object>} Summary report
+ */
+const backfillTimelines = async (options, { user = null, onProgress } = {}) => {
+  const { financialYear, dryRun = false } = options;
+  const fyStartYear = parseFinancialYear(financialYear);
+
+  const [clients, branches] = await Promise.all([
+    Client.find(buildClientFilter(options, user)).populate('activities.activity'),
+    Branch.find({}, 'state').lean(),
+  ]);
+  const branchStates = new Map(branches.map((branch) => [branch._id.toString(), branch.state]));
+
+  const summary = { financialYear, dryRun, clients: clients.length, processed: 0, created: 0, existing: 0, failed: 0 };
+  const failures = [];
+  const bySubactivity = new Map();
+
+  /* eslint-disable no-restricted-syntax, no-await-in-loop */
+  for (const [index, client] of clients.entries()) {
+    for (const { activity, subactivity } of getClientTargets(client, options)) {
+      const key = `${activity._id}:${subactivity._id}`;
+      if (!bySubactivity.has(key)) {
+        bySubactivity.set(key, {
+          activity: { id: activity._id, name: activity.name },
+          subactivity: { id: subactivity._id, name: subactivity.name },
+          created: 0,
+          existing: 0,
+          failed: 0,
+        });
+      }
+      const counts = bySubactivity.get(key);
+      const gstNumbers = isGstRelatedSubactivity(subactivity) && client.gstNumbers ? client.gstNumbers : [];
+
+      for (const gstNumber of gstNumbers.length > 0 ? gstNumbers : [null]) {
+        for (const period of getFinancialYearPeriods(subactivity.frequency, fyStartYear)) {
+          summary.processed += 1;
+          try {
+            const { dueDate, complianceForm } = await resolveDueDate({
+              subactivity,
+              frequency: subactivity.frequency,
+              period,
+              client,
+              state: gstNumber ? gstNumber.state : null,
+              branchState: branchStates.get(String(client.branch)),
+            });
+            const { created } = await upsertRecurringTimeline({
+              clientId: client._id,
+              activityId: activity._id,
+              branchId: client.branch,
+              period,
+              dueDate,
+              subactivity,
+              financialYear,
+              complianceForm,
+              dryRun,
+              ...(gstNumber && {
+                state: gstNumber.state,
+                metadata: {
+                  gstNumber: gstNumber.gstNumber,
+                  gstState: gstNumber.state,
+                  gstUserId: gstNumber.gstUserId,
+                  gstId: gstNumber._id && gstNumber._id.toString(),
+                },
+              }),
+            });
+            const outcome = created ? 'created' : 'existing';
+            summary[outcome] += 1;
+            counts[outcome] += 1;
+          } catch (error) {
+            summary.failed += 1;
+            counts.failed += 1;
+            if (failures.length < MAX_STORED_FAILURES) {
+              failures.push({
+                client: client._id,
+                activity: activity._id,
+                subactivity: subactivity._id,
+                period,
+                state: gstNumber ? gstNumber.state : null,
+                message: error.message,
+              });
+            }
+          }
+        }
+      }
+    }
+
+    const done = index + 1;
+    if (onProgress && (done % PROGRESS_EVERY === 0 || done === clients.length)) {
+      await onProgress({ done, total: clients.length, message: `${summary.created} created` });
+    }
+  }
+  /* eslint-enable no-restricted-syntax, no-await-in-loop */
+
+  logger.info(
+    `📅 Timeline backfill ${financialYear}${dryRun ? ' (dry run)' : ''}: ${summary.created} created, ` +
+      `${summary.existing} existing, ${summary.failed} failed for ${summary.clients} clients`
+  );
+  return { ...summary, subactivities: [...bySubactivity.values()], failures };
+};
+
+/**
+ * Check a backfill request and queue it
+ * @param {Object} options - See backfillTimelines
+ * @param {Object} user
+ * @returns {Promise<Job>}
+ */
+const queueTimelineBackfill = async (options, user) => {
+  parseFinancialYear(options.financialYear);
+  if (options.activityId) {
+    const activity = await Activity.findById(options.activityId).select('subactivities._id').lean();
+    if (!activity) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Activity not found');
+    }
+    const knownIds = activity.subactivities.map((subactivity) => String(subactivity._id));
+    if ((options.subactivityIds || []).some((id) => !knownIds.includes(String(id)))) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'One or more subactivities do not belong to the activity');
+    }
+  }
+  return enqueueJob('timelines.backfill', options, getJobRequester(user));
+};
+
+export { BACKFILL_FREQUENCIES, backfillTimelines, queueTimelineBackfill };
@@ -1,9 +1,12 @@
 import httpStatus from 'http-status';
 import ApiError from '../utils/ApiError.js';
 import { Timeline } from '../models/index.js';
+import { applyStatusTransition, getAllowedNextStatuses } from './timelineWorkflow.service.js';
+import { timelineReviewedCompletionFrom } from '../config/timelineWorkflow.js';
 
 /**
- * Bulk import timeline field updates
+ * Bulk import timeline field updates. Status changes, including the completion when every field is filled, go
+ * through the timeline workflow (services/timelineWorkflow.service.js) as the importing user.
  * @param {Array} timelineUpdates - Array of timeline updates
  * @param {Object} user - User object for branch access validation
  * @returns {Promise<Object>} - Result of bulk import
@@ -67,36 +70,30 @@ const bulkImportTimelineFields = async (timelineUpdates, user = null) => {
           );
         }
 
-        // Update timeline
-        const updateData = {};
-        
         // Only update fields if they were provided
         if (update.fields && update.fields.length > 0) {
-          updateData.fields = updatedFields;
+          timeline.fields = updatedFields;
         }
 
-        // If status is explicitly provided, use it
+        // An explicit status must be a move the workflow allows this user; filling every field completes the
+        // timeline only where completing is such a move (statutory filings still need their review)
         if (update.status) {
-          updateData.status = update.status;
-        } else if (allFieldsCompleted && timeline.status !== 'completed') {
-          // Auto-update status to completed if all fields are filled
-          updateData.status = 'completed';
+          applyStatusTransition(timeline, update.status, { user, reason: update.statusReason });
+        } else if (
+          allFieldsCompleted &&
+          getAllowedNextStatuses(timeline, user).includes('completed') &&
+          (!timeline.complianceForm || timelineReviewedCompletionFrom.includes(timeline.status))
+        ) {
+          applyStatusTransition(timeline, 'completed', { user });
         }
 
-        // If completedAt is provided, use it
+        // If completedAt is provided, use it (the workflow sets it on completion otherwise)
         if (update.completedAt) {
-          updateData.completedAt = update.completedAt;
-        } else if (updateData.status === 'completed' && !timeline.completedAt) {
-          // Auto-set completedAt if status is completed and not already set
-          updateData.completedAt = new Date();
+          timeline.completedAt = update.completedAt;
         }
 
         // Update the timeline
-        const updatedTimeline = await Timeline.findByIdAndUpdate(
-          update.timelineId,
-          updateData,
-          { new: true, runValidators: true }
-        );
+        const updatedTimeline = await timeline.save();
 
         results.successful++;
         results.updatedTimelines.push({
@@ -141,7 +138,7 @@ const bulkImportTimelineFields = async (timelineUpdates, user = null) => {
  * @returns {Promise<Array>} - Updated fields array
  */
 const updateTimelineFields = async (timeline, fieldUpdates) => {
-  const updatedFields = [...timeline.fields];
+  const updatedFields = timeline.fields.map((field) => (field.toObject ? field.toObject() : field));
 
   // Process each field update
   for (const fieldUpdate of fieldUpdates) {
@@ -0,0 +1,281 @@
+/**
+ * Document checklists: subactivities list the documents a client must provide, each generated timeline
+ * gets its own copy to track received/pending items, and pending items can be emailed to the client.
+ */
+import httpStatus from 'http-status';
+import validator from 'validator';
+import { Timeline, Activity, Client, FileManager } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { hasBranchAccess } from './role.service.js';
+import * as emailTemplateService from './emailTemplate.service.js';
+import * as emailService from './email.service.js';
+import { getClientRecipients, getRecipientPlaceholders } from './bulkEmail.service.js';
+import { isWithinClientFolder } from './clientDocument.service.js';
+import { wrapWithDefaultLayout, getLogoAttachment } from '../utils/emailLayout.js';
+
+// Used when no template is chosen; supports the same placeholders as stored templates
+const DEFAULT_REQUEST_TEMPLATE = {
+  subject: 'Documents required: {{subactivityName}} ({{period}})',
+  bodyText: [
+    'Dear {{clientName}},',
+    '',
+    'To complete {{activityName}} - {{subactivityName}} for {{period}} (due {{dueDate}}), please share the following documents:',
+    '',
+    '{{pendingDocuments}}',
+    '',
+    'You can upload them through the client portal or reply to this email.',
+    '',
+    'Thank you.',
+  ].join('\n'),
+};
+
+/**
+ * Checklist entries for a new timeline, copied from the subactivity definition
+ * @param {Object} subactivity - Subactivity (document or plain object) with optional documentChecklist
+ * @returns {Array<Object>}
+ */
+const buildDocumentChecklist = (subactivity) =>
+  ((subactivity && subactivity.documentChecklist) || []).map((item) => ({
+    item: item._id || null,
+    name: item.name,
+    description: item.description,
+    required: item.required !== false,
+    status: 'pending',
+    files: [],
+  }));
+
+/**
+ * Load a timeline the user may access (team members: own branch; users: branch access of their role)
+ * @param {ObjectId} timelineId
+ * @param {Object} [user]
+ * @returns {Promise<Timeline>}
+ */
+const getAccessibleTimeline = async (timelineId, user = null) => {
+  const timeline = await Timeline.findById(timelineId);
+  if (!timeline) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Timeline not found');
+  }
+  const branchId = timeline.branch && timeline.branch.toString();
+  if (user && user.userType === 'teamMember') {
+    if (branchId !== (user.branch && user.branch.toString())) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this timeline');
+    }
+  } else if (user && user.role && branchId && !hasBranchAccess(user.role, branchId)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this timeline');
+  }
+  return timeline;
+};
+
+/**
+ * Counts of checklist items by status
+ * @param {Array<Object>} checklist
+ * @returns {Object}
+ */
+const summarizeChecklist = (checklist) => {
+  const summary = { total: checklist.length, received: 0, pending: 0, notApplicable: 0, requiredPending: 0 };
+  checklist.forEach((item) => {
+    if (item.status === 'received') summary.received += 1;
+    else if (item.status === 'not applicable') summary.notApplicable += 1;
+    else {
+      summary.pending += 1;
+      if (item.required) summary.requiredPending += 1;
+    }
+  });
+  return summary;
+};
+
+/**
+ * Get a timeline's document checklist with linked files
+ * @param {ObjectId} timelineId
+ * @param {Object} [user]
+ * @returns {Promise<Object>}
+ */
+const getTimelineDocuments = async (timelineId, user = null) => {
+  const timeline = await getAccessibleTimeline(timelineId, user);
+  await timeline.populate('documentChecklist.files', 'file.fileName file.mimeType file.fileSize createdAt').execPopulate();
+
+  return {
+    timelineId: timeline._id,
+    items: timeline.documentChecklist,
+    summary: summarizeChecklist(timeline.documentChecklist),
+    requests: timeline.documentRequests,
+  };
+};
+
+/**
+ * Check that files to link to a checklist item exist and are stored in the client's folder tree
+ * @param {Array<ObjectId>} fileIds
+ * @param {ObjectId} clientId
+ * @returns {Promise<void>}
+ */
+const assertClientFiles = async (fileIds, clientId) => {
+  const uniqueIds = [...new Set(fileIds.map(String))];
+  if (uniqueIds.length === 0) {
+    return;
+  }
+  const [files, clientFolder] = await Promise.all([
+    FileManager.find({ _id: { $in: uniqueIds }, type: 'file', isDeleted: false })
+      .select('file.parentFolder')
+      .lean(),
+    FileManager.findOne({ type: 'folder', 'folder.metadata.clientId': clientId, isDeleted: false }).select('_id').lean(),
+  ]);
+  if (files.length !== uniqueIds.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'One or more files were not found');
+  }
+
+  const parentIds = [...new Set(files.map((file) => String(file.file.parentFolder)))];
+  const parents = clientFolder
+    ? await FileManager.find({ _id: { $in: parentIds }, type: 'folder', isDeleted: false })
+        .select('folder.parentFolder')
+        .lean()
+    : [];
+  const inClientFolder = await Promise.all(parents.map((parent) => isWithinClientFolder(parent, clientFolder)));
+  if (parents.length !== parentIds.length || inClientFolder.includes(false)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Files must be stored in the client's folder");
+  }
+};
+
+/**
+ * Update one checklist item: mark it received/pending/not applicable and link the files received
+ * @param {ObjectId} timelineId
+ * @param {ObjectId} itemId - Checklist entry id on the timeline
+ * @param {Object} updateBody - { status, files, remarks }
+ * @param {Object} [user]
+ * @returns {Promise<Object>}
+ */
+const updateChecklistItem = async (timelineId, itemId, updateBody, user = null) => {
+  const timeline = await getAccessibleTimeline(timelineId, user);
+  const item = timeline.documentChecklist.id(itemId);
+  if (!item) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Checklist item not found');
+  }
+
+  if (updateBody.files) {
+    await assertClientFiles(updateBody.files, timeline.client);
+    item.files = updateBody.files;
+  }
+  if (updateBody.remarks !== undefined) {
+    item.remarks = updateBody.remarks;
+  }
+  if (updateBody.status && updateBody.status !== item.status) {
+    item.status = updateBody.status;
+    item.receivedAt = updateBody.status === 'received' ? new Date() : undefined;
+  }
+  item.updatedBy = user && user.userType !== 'teamMember' ? user._id || user.id : undefined;
+
+  await timeline.save();
+  return getTimelineDocuments(timelineId, user);
+};
+
+/**
+ * Add items the subactivity's checklist has gained since the timeline was generated, and refresh the
+ * name/description/required flag of items copied from it. Item status and files are kept.
+ * @param {ObjectId} timelineId
+ * @param {Object} [user]
+ * @returns {Promise<Object>}
+ */
+const syncChecklistFromSubactivity = async (timelineId, user = null) => {
+  const timeline = await getAccessibleTimeline(timelineId, user);
+  const activity = await Activity.findById(timeline.activity).select('subactivities').lean();
+  const subactivityId = timeline.subactivityId || (timeline.subactivity && timeline.subactivity._id);
+  const subactivity =
+    activity && subactivityId && activity.subactivities.find((sub) => sub._id.toString() === subactivityId.toString());
+  if (!subactivity) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Timeline is not linked to a subactivity');
+  }
+
+  buildDocumentChecklist(subactivity).forEach((entry) => {
+    const existing = timeline.documentChecklist.find((item) => item.item && item.item.toString() === entry.item.toString());
+    if (existing) {
+      existing.name = entry.name;
+      existing.description = entry.description;
+      existing.required = entry.required;
+    } else {
+      timeline.documentChecklist.push(entry);
+    }
+  });
+
+  await timeline.save();
+  return getTimelineDocuments(timelineId, user);
+};
+
+/**
+ * Email the client the checklist items still pending, using an email template
+ * (`{{pendingDocuments}}`, `{{activityName}}`, `{{subactivityName}}`, `{{period}}`, `{{dueDate}}` on top of the
+ * client placeholders) or a built-in default
+ * @param {ObjectId} timelineId
+ * @param {Object} options - { templateId, to }
+ * @param {Object} [user]
+ * @returns {Promise<Object>}
+ */
+const sendDocumentRequest = async (timelineId, { templateId, to } = {}, user = null) => {
+  const timeline = await getAccessibleTimeline(timelineId, user);
+  const pending = timeline.documentChecklist.filter((item) => item.status === 'pending');
+  if (pending.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No pending documents to request');
+  }
+
+  const [client, activity] = await Promise.all([
+    Client.findById(timeline.client).select('name email email2 contacts phone address district state country').lean(),
+    Activity.findById(timeline.activity).select('name').lean(),
+  ]);
+  // Without an explicit address, the request goes to the client's contacts for the timeline's activity
+  const recipients = to
+    ? [{ name: client && client.name, email: to }]
+    : (client && getClientRecipients(client, timeline.activity)) || [];
+  const recipient = recipients.map((contact) => contact.email).join(', ');
+  if (!recipient) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Client has no email address');
+  }
+
+  const template = templateId ? await emailTemplateService.getTemplateById(templateId, user) : DEFAULT_REQUEST_TEMPLATE;
+  const describeItem = (item) => (item.description ? `${item.name} (${item.description})` : item.name);
+  const values = {
+    ...emailTemplateService.getTimelinePlaceholders(timeline, activity && activity.name),
+    ...getRecipientPlaceholders(recipients),
+  };
+  const { subject, text } = emailTemplateService.renderForClient(template, client, {
+    ...values,
+    pendingDocuments: pending.map((item) => `- ${describeItem(item)}`).join('\n'),
+  });
+  const { html } = emailTemplateService.renderForClientHtml(template, client, {
+    ...values,
+    pendingDocuments: `<ul>${pending.map((item) => `<li>${validator.escape(describeItem(item))}</li>`).join('')}</ul>`,
+  });
+
+  const logoAttach = getLogoAttachment();
+  await emailService.sendEmailWithAttachments(
+    recipient,
+    subject,
+    text,
+    wrapWithDefaultLayout(html, { useCid: true }),
+    logoAttach ? [logoAttach] : [],
+    {
+      log: {
+        category: 'documentRequest',
+        client: timeline.client,
+        timeline: timeline._id,
+        template: templateId || undefined,
+      },
+    }
+  );
+
+  timeline.documentRequests.push({
+    sentTo: recipient,
+    items: pending.map((item) => item.name),
+    template: templateId || undefined,
+    sentBy: user && user.userType !== 'teamMember' ? user._id || user.id : undefined,
+    sentAt: new Date(),
+  });
+  await timeline.save();
+
+  return { sentTo: recipient, subject, items: pending.map((item) => item.name) };
+};
+
+export {
+  buildDocumentChecklist,
+  getTimelineDocuments,
+  updateChecklistItem,
+  syncChecklistFromSubactivity,
+  sendDocumentRequest,
+};
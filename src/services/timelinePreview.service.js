@@ -0,0 +1,240 @@
+/**
+ * Timeline generation previews: run the recurring generator, the bulk create or a client's timeline creation as a
+ * dry run and describe the timelines it would create, without writing anything. Subactivity changes can be
+ * previewed before they are saved by passing them in the request.
+ */
+import httpStatus from 'http-status';
+import { Activity, Client, Timeline } from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { getUserBranchIds, hasBranchAccess } from './role.service.js';
+import { createClientTimelines } from './timeline.service.js';
+import { bulkCreateTimelines } from './activity.service.js';
+import {
+  processDailyTimelines,
+  processMonthlyTimelines,
+  processQuarterlyTimelines,
+  processYearlyTimelines,
+} from '../jobs/timelineGenerator/processors.js';
+import { getDateFromPeriod } from '../jobs/timelineGenerator/period.js';
+
+const PROCESSORS = {
+  Daily: processDailyTimelines,
+  Monthly: processMonthlyTimelines,
+  Quarterly: processQuarterlyTimelines,
+  Yearly: processYearlyTimelines,
+};
+
+/**
+ * Whether a timeline with the same client, subactivity and period (and GST state) is already stored
+ * @param {Timeline} timeline - Unsaved timeline
+ * @returns {Promise<boolean>}
+ */
+const isExistingTimeline = async (timeline) => {
+  const filter = {
+    client: timeline.client,
+    activity: timeline.activity,
+    subactivityId: timeline.subactivityId || null,
+    timelineType: timeline.timelineType,
+  };
+  if (timeline.timelineType === 'recurring') {
+    filter.period = timeline.period;
+    if (timeline.state) filter.state = timeline.state;
+    else filter.$or = [{ state: { $exists: false } }, { state: null }];
+  }
+  return (await Timeline.countDocuments(filter)) > 0;
+};
+
+/**
+ * Preview entries for unsaved timelines, with client and activity names
+ * @param {Array<Timeline>} timelines
+ * @param {Object} [options]
+ * @param {boolean} [options.checkExisting] - Flag timelines that are already stored (creating them would be skipped)
+ * @returns {Promise<Array<Object>>}
+ */
+const describeTimelines = async (timelines, { checkExisting = false } = {}) => {
+  const idsOf = (key) => [...new Set(timelines.map((timeline) => String(timeline[key])))];
+  const [clients, activities] = await Promise.all([
+    Client.find({ _id: { $in: idsOf('client') } })
+      .select('name')
+      .lean(),
+    Activity.find({ _id: { $in: idsOf('activity') } })
+      .select('name')
+      .lean(),
+  ]);
+  const nameById = new Map([...clients, ...activities].map((doc) => [String(doc._id), doc.name]));
+  const existing = checkExisting ? await Promise.all(timelines.map(isExistingTimeline)) : [];
+
+  return timelines.map((timeline, index) => ({
+    client: { id: timeline.client, name: nameById.get(String(timeline.client)) || null },
+    activity: { id: timeline.activity, name: nameById.get(String(timeline.activity)) || null },
+    subactivity: timeline.subactivity ? { id: timeline.subactivity._id, name: timeline.subactivity.name } : null,
+    period: timeline.period || null,
+    dueDate: timeline.dueDate || null,
+    state: timeline.state || null,
+    frequency: timeline.frequency,
+    timelineType: timeline.timelineType,
+    financialYear: timeline.financialYear,
+    complianceForm: timeline.complianceForm || null,
+    action: existing[index] ? 'exists' : 'create',
+  }));
+};
+
+/**
+ * Load an activity and apply unsaved subactivity changes to it in memory
+ * @param {ObjectId} activityId
+ * @param {ObjectId} [subactivityId] - Subactivity to change; without it `changes` is a new subactivity
+ * @param {Object} [changes] - Subactivity fields (name, frequency, frequencyConfig, ...)
+ * @returns {Promise<{ activity: Activity, subactivity: Object|null }>}
+ */
+const loadActivityWithChanges = async (activityId, subactivityId, changes) => {
+  const activity = await Activity.findById(activityId);
+  if (!activity) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Activity not found');
+  }
+  let subactivity = null;
+  if (subactivityId) {
+    subactivity = activity.subactivities.id(subactivityId);
+    if (!subactivity) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Subactivity not found');
+    }
+    if (changes) subactivity.set(changes);
+  } else if (changes) {
+    activity.subactivities.push(changes);
+    subactivity = activity.subactivities[activity.subactivities.length - 1];
+  }
+  return { activity, subactivity };
+};
+
+/**
+ * Keep only the generator's timelines and failures for clients in the user's branches
+ * @param {Object} run - { timelines, failures }
+ * @param {Array<string>|null} allowedBranchIds - null for access to all branches
+ * @returns {Promise<Object>} { timelines, failures }
+ */
+const filterRunByBranch = async ({ timelines, failures }, allowedBranchIds) => {
+  if (!allowedBranchIds) {
+    return { timelines, failures };
+  }
+  const allowed = new Set(allowedBranchIds);
+  const failedClientIds = [...new Set(failures.map((failure) => String(failure.client)))];
+  const visibleClientIds = new Set(
+    failedClientIds.length > 0
+      ? (await Client.find({ _id: { $in: failedClientIds }, branch: { $in: allowedBranchIds } }).distinct('_id')).map(String)
+      : []
+  );
+  return {
+    timelines: timelines.filter((timeline) => allowed.has(String(timeline.branch))),
+    failures: failures.filter((failure) => visibleClientIds.has(String(failure.client))),
+  };
+};
+
+/**
+ * What the recurring generator would create now, or for a given period, for clients in the user's branches
+ * @param {Object} body - { frequency, period }
+ * @param {Object} [user]
+ */
+const previewGenerator = async ({ frequency, period }, user) => {
+  if (frequency && !PROCESSORS[frequency]) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `The generator does not run ${frequency} subactivities`);
+  }
+  if (period && !frequency) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A period can only be previewed for one frequency');
+  }
+  if (period && !getDateFromPeriod(period, frequency)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid ${frequency.toLowerCase()} period: ${period}`);
+  }
+  const frequencies = frequency ? [frequency] : Object.keys(PROCESSORS);
+  // One frequency after the other: each run loads every active client
+  const runs = await frequencies.reduce(
+    (previous, name) =>
+      previous.then(async (done) => ({ ...done, [name]: await PROCESSORS[name]({ dryRun: true, period }) })),
+    Promise.resolve({})
+  );
+
+  const { timelines, failures } = await filterRunByBranch(
+    {
+      timelines: frequencies.flatMap((name) => runs[name].timelines),
+      failures: frequencies.flatMap((name) => runs[name].failures),
+    },
+    user && user.role ? getUserBranchIds(user.role) : null
+  );
+  return {
+    periods: Object.fromEntries(frequencies.map((name) => [name, runs[name].period])),
+    failed: failures.length,
+    failures,
+    timelines: await describeTimelines(timelines),
+  };
+};
+
+/**
+ * What POST /v1/activities/bulk-create-timelines would do with the same body
+ * @param {Object} body - Bulk create body, plus optional subactivity changes
+ * @param {Object} user
+ */
+const previewBulkCreate = async ({ subactivity: changes, ...bulkData }, user) => {
+  const { activity, subactivity } = await loadActivityWithChanges(bulkData.activityId, bulkData.subactivityId, changes);
+  const result = await bulkCreateTimelines({ ...bulkData, subactivityId: subactivity ? subactivity._id : undefined }, user, {
+    dryRun: true,
+    activity,
+  });
+  return {
+    deleted: result.deleted || 0,
+    failed: result.failed,
+    failures: result.errors,
+    timelines: await describeTimelines(result.timelines, { checkExisting: true }),
+  };
+};
+
+/**
+ * Timelines a client would get for an activity (or for all its assigned activities)
+ * @param {Object} body - { clientId, activityId, subactivityId, subactivity }
+ * @param {Object} user
+ */
+const previewClient = async ({ clientId, activityId, subactivityId, subactivity: changes }, user) => {
+  const client = await Client.findById(clientId);
+  if (!client) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
+  }
+  if (user && user.role && client.branch && !hasBranchAccess(user.role, client.branch.toString())) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Access denied to this client');
+  }
+
+  let entries = (client.activities || []).filter((entry) => entry.status === 'active');
+  const activityDocs = [];
+  if (activityId) {
+    const { activity, subactivity } = await loadActivityWithChanges(activityId, subactivityId, changes);
+    activityDocs.push(activity);
+    entries = [{ activity: activity._id, subactivity: subactivity ? subactivity._id : undefined }];
+  }
+
+  const timelines = await createClientTimelines(client, entries, { dryRun: true, activityDocs });
+  return { timelines: await describeTimelines(timelines, { checkExisting: true }) };
+};
+
+/**
+ * Dry run of timeline generation
+ * @param {Object} body - { source: 'generator'|'bulkCreate'|'client', ...the source's own options }
+ * @param {Object} user
+ * @returns {Promise<Object>} { source, total, toCreate, existing, timelines, ... }
+ */
+const previewTimelines = async ({ source, ...options }, user) => {
+  let preview;
+  if (source === 'generator') {
+    preview = await previewGenerator(options, user);
+  } else if (source === 'bulkCreate') {
+    preview = await previewBulkCreate(options, user);
+  } else {
+    preview = await previewClient(options, user);
+  }
+
+  const existing = preview.timelines.filter((timeline) => timeline.action === 'exists').length;
+  return {
+    source,
+    total: preview.timelines.length,
+    toCreate: preview.timelines.length - existing,
+    existing,
+    ...preview,
+  };
+};
+
+export { describeTimelines, previewTimelines };
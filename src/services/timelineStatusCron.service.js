@@ -0,0 +1,115 @@
+import Timeline from '../models/timeline.model.js';
+import logger from '../config/logger.js';
+import { timelineSystemTransitions } from '../config/timelineWorkflow.js';
+import createTrackedRun from '../jobs/trackedRun.js';
+
+// OneTime timelines carry no dueDate, so only these frequencies can become overdue
+const DATED_FREQUENCIES = ['Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly'];
+
+// Statuses the job moves to "delayed" once the due date has passed
+const OVERDUE_STATUSES = Object.keys(timelineSystemTransitions).filter((status) =>
+  timelineSystemTransitions[status].includes('delayed')
+);
+
+/**
+ * Due dates are stored as local midnight, so a timeline is overdue from the day after its due date
+ * @returns {Date}
+ */
+const getStartOfToday = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Status a delayed timeline goes back to when its due date moves out again, or null when a user
+ * marked it delayed (the job only undoes its own changes)
+ * @param {Object} timeline
+ * @returns {string|null}
+ */
+const getRevertStatus = (timeline) => {
+  const entry = [...(timeline.statusHistory || [])].reverse().find((item) => item.to === 'delayed');
+  if (entry && entry.changedByModel !== 'System') {
+    return null;
+  }
+  const allowed = timelineSystemTransitions.delayed;
+  return entry && allowed.includes(entry.from) ? entry.from : 'pending';
+};
+
+/**
+ * Move the matching timelines in one status to another in a single updateMany, recording the system change in
+ * their status history the way applyStatusTransition does. Timelines in the recycle bin are left as they are.
+ * @param {Object} filter
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<number>} Number of timelines moved
+ */
+const moveTimelines = async (filter, from, to) => {
+  const result = await Timeline.updateMany(
+    { ...filter, status: from, isDeleted: { $ne: true } },
+    {
+      $set: { status: to },
+      $push: { statusHistory: { from, to, changedByModel: 'System', changedByName: 'system', changedAt: new Date() } },
+    }
+  );
+  return result.nModified;
+};
+
+/**
+ * Mark open recurring timelines whose due date has passed as delayed, and move timelines this job
+ * delayed back to their previous status when the due date has since been extended
+ * @returns {Promise<{ delayedCount: number, revertedCount: number }>}
+ */
+const updateOverdueTimelineStatuses = async () => {
+  const startOfToday = getStartOfToday();
+  const datedFilter = { timelineType: 'recurring', frequency: { $in: DATED_FREQUENCIES } };
+
+  const overdueFilter = { ...datedFilter, dueDate: { $ne: null, $lt: startOfToday } };
+  const delayed = await Promise.all(OVERDUE_STATUSES.map((status) => moveTimelines(overdueFilter, status, 'delayed')));
+
+  // Only the status history is needed to pick the status each extended timeline goes back to
+  const extended = await Timeline.find(
+    { ...datedFilter, status: 'delayed', dueDate: { $ne: null, $gte: startOfToday } },
+    'statusHistory.from statusHistory.to statusHistory.changedByModel'
+  ).lean();
+  const idsByStatus = extended.reduce((groups, timeline) => {
+    const status = getRevertStatus(timeline);
+    if (status) {
+      groups.set(status, [...(groups.get(status) || []), timeline._id]);
+    }
+    return groups;
+  }, new Map());
+  const reverted = await Promise.all(
+    [...idsByStatus].map(([status, ids]) => moveTimelines({ _id: { $in: ids } }, 'delayed', status))
+  );
+
+  const sum = (counts) => counts.reduce((total, count) => total + count, 0);
+  return { delayedCount: sum(delayed), revertedCount: sum(reverted) };
+};
+
+// Run hourly by jobs/timelineStatus.job.js and POST /v1/cron/trigger-timeline-status; reported by /v1/cron/status
+const timelineStatusRun = createTrackedRun(
+  'Timeline status check',
+  async () => {
+    const result = await updateOverdueTimelineStatuses();
+    if (result.delayedCount > 0 || result.revertedCount > 0) {
+      logger.info(`🔄 Timeline status check: ${result.delayedCount} delayed, ${result.revertedCount} reverted`);
+    }
+    return result;
+  },
+  { delayedCount: 0, revertedCount: 0 }
+);
+
+/**
+ * Counts from the most recent run
+ * @returns {Object}
+ */
+const getTimelineStatusJobStatus = timelineStatusRun.getStatus;
+
+/**
+ * Run the overdue check once. Skipped while a previous run is still in progress.
+ * @returns {Promise<Object>}
+ */
+const runTimelineStatusCheck = timelineStatusRun.run;
+
+export { updateOverdueTimelineStatuses, runTimelineStatusCheck, getTimelineStatusJobStatus };
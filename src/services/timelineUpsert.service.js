@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { Timeline } from '../models/index.js';
+import { buildDocumentChecklist } from './timelineDocument.service.js';
 
 /**
  * Atomically upsert a recurring timeline (idempotent).
@@ -18,8 +19,11 @@ import { Timeline } from '../models/index.js';
  * @param {mongoose.Types.ObjectId|string} params.branchId
  * @param {string} params.period
  * @param {Date} params.dueDate
- * @param {Object} params.subactivity - subactivity snapshot (must include _id, name, frequency, frequencyConfig, fields)
+ * @param {Object} params.subactivity - subactivity snapshot (must include _id, name, frequency, frequencyConfig, fields;
+ *   documentChecklist when the subactivity has one)
  * @param {string} params.financialYear
+ * @param {string} [params.complianceForm] - Statutory form the dueDate was resolved from
+ * @param {boolean} [params.dryRun] - Only look for the timeline; when missing, return it unsaved with created=true
  * @returns {Promise<{timeline: any, created: boolean}>}
  */
 const upsertRecurringTimeline = async ({
@@ -32,6 +36,8 @@ const upsertRecurringTimeline = async ({
   financialYear,
   state = null,
   metadata = {},
+  complianceForm = null,
+  dryRun = false,
 }) => {
   const subactivityId = subactivity?._id ? new mongoose.Types.ObjectId(subactivity._id) : null;
   if (!subactivityId) {
@@ -74,6 +80,7 @@ const upsertRecurringTimeline = async ({
             fieldValue: null,
           }))
         : [],
+    documentChecklist: buildDocumentChecklist(subactivity),
     subactivity: {
       _id: subactivityId,
       name: subactivity.name,
@@ -84,11 +91,19 @@ const upsertRecurringTimeline = async ({
     subactivityId,
     frequency: subactivity.frequency,
     frequencyConfig: subactivity.frequencyConfig,
+    complianceForm: complianceForm || undefined,
     timelineType: 'recurring',
     state: state || undefined,
     metadata: metadata || {},
+    // Upserts skip schema defaults, and the unique index only covers timelines with isDeleted: false
+    isDeleted: false,
   };
 
+  if (dryRun) {
+    const existing = await Timeline.findOne(filter).select('_id').lean();
+    return { timeline: existing || new Timeline(timelineData), created: !existing };
+  }
+
   // Use rawResult so we can reliably detect "created vs existing"
   const result = await Timeline.findOneAndUpdate(
     filter,
@@ -0,0 +1,174 @@
+/* eslint-disable no-param-reassign */
+import httpStatus from 'http-status';
+import ApiError from '../utils/ApiError.js';
+import { hasPermission } from './role.service.js';
+import {
+  timelineStatuses,
+  timelineInitialStatuses,
+  timelineStatusTransitions,
+  timelineStatusPermissions,
+  timelineTeamMemberPermissions,
+  timelineTransitionPermissions,
+  timelineReasonRequiredStatuses,
+  timelineMakerCheckerStatuses,
+  timelineReviewedCompletionFrom,
+  timelineSystemTransitions,
+} from '../config/timelineWorkflow.js';
+
+/**
+ * Describe the workflow for clients (allowed moves, permissions, reason rules)
+ * @returns {Object}
+ */
+const getStatusWorkflow = () => ({
+  statuses: timelineStatuses,
+  initialStatuses: timelineInitialStatuses,
+  transitions: timelineStatusTransitions,
+  permissions: timelineStatusPermissions,
+  transitionPermissions: timelineTransitionPermissions,
+  reasonRequired: timelineReasonRequiredStatuses,
+  makerChecker: timelineMakerCheckerStatuses,
+  reviewedCompletionFrom: timelineReviewedCompletionFrom,
+});
+
+/**
+ * Whether a user holds a workflow permission; team members get a fixed set instead of a role
+ * @param {Object|null} user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const userHasPermission = (user, permission) => {
+  if (!user) {
+    return false;
+  }
+  if (user.userType === 'teamMember') {
+    return timelineTeamMemberPermissions.includes(permission);
+  }
+  return Boolean(user.role) && hasPermission(user.role, permission);
+};
+
+/**
+ * Permission needed for a move
+ * @param {string} from
+ * @param {string} to
+ * @returns {string|undefined}
+ */
+const getTransitionPermission = (from, to) =>
+  timelineTransitionPermissions[`${from}->${to}`] || timelineStatusPermissions[to];
+
+/**
+ * History entry fields identifying who made a change
+ * @param {Object|null} user - Authenticated user/team member, or null for the system
+ * @returns {Object}
+ */
+const getActor = (user) => {
+  if (!user) {
+    return { changedByModel: 'System', changedByName: 'system' };
+  }
+  return {
+    changedBy: user.id || user._id,
+    changedByModel: user.userType === 'teamMember' ? 'TeamMember' : 'User',
+    changedByName: user.name || user.email,
+  };
+};
+
+/**
+ * Statuses a user may move a timeline to from its current status
+ * @param {Object} timeline
+ * @param {Object|null} user
+ * @returns {string[]}
+ */
+const getAllowedNextStatuses = (timeline, user) =>
+  (timelineStatusTransitions[timeline.status] || []).filter((to) => {
+    const permission = getTransitionPermission(timeline.status, to);
+    return !permission || userHasPermission(user, permission);
+  });
+
+/**
+ * Check the status a timeline is created or imported with; anything further goes through applyStatusTransition
+ * @param {string} [status]
+ */
+const assertInitialStatus = (status) => {
+  if (status && !timelineInitialStatuses.includes(status)) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `A timeline can only be created as "${timelineInitialStatuses.join('", "')}"; use a status change for "${status}"`
+    );
+  }
+};
+
+/**
+ * Check a status change against the workflow and apply it to the timeline document (not saved).
+ * Sets/clears completedAt and appends the change to statusHistory.
+ * @param {Timeline} timeline - Timeline document
+ * @param {string} to - New status
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Authenticated user making the change
+ * @param {string} [options.reason]
+ * @param {boolean} [options.system] - Change made by a scheduled job rather than a user
+ * @returns {Timeline}
+ */
+const applyStatusTransition = (timeline, to, { user = null, reason, system = false } = {}) => {
+  const from = timeline.status || 'pending';
+  if (from === to) {
+    return timeline;
+  }
+
+  if (!timelineStatuses.includes(to)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown status "${to}"`);
+  }
+
+  if (system) {
+    if (!(timelineSystemTransitions[from] || []).includes(to)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Timeline cannot be moved from "${from}" to "${to}" automatically`);
+    }
+  } else {
+    if (!(timelineStatusTransitions[from] || []).includes(to)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Timeline cannot be moved from "${from}" to "${to}"`);
+    }
+
+    const permission = getTransitionPermission(from, to);
+    if (permission && !userHasPermission(user, permission)) {
+      throw new ApiError(httpStatus.FORBIDDEN, `Moving a timeline to "${to}" requires the ${permission} permission`);
+    }
+
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (timelineReasonRequiredStatuses.includes(to) && !trimmedReason) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `A reason is required to mark a timeline as "${to}"`);
+    }
+
+    if (to === 'completed' && timeline.complianceForm && !timelineReviewedCompletionFrom.includes(from)) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Statutory filings must be reviewed and marked "${timelineReviewedCompletionFrom.join('" or "')}" before completion`
+      );
+    }
+
+    const makerStatus = timelineMakerCheckerStatuses[to];
+    if (makerStatus) {
+      const makerEntry = [...(timeline.statusHistory || [])].reverse().find((entry) => entry.to === makerStatus);
+      const userId = (user.id || user._id).toString();
+      if (makerEntry && makerEntry.changedBy && makerEntry.changedBy.toString() === userId) {
+        throw new ApiError(httpStatus.FORBIDDEN, `A timeline must be moved to "${to}" by someone other than its preparer`);
+      }
+    }
+  }
+
+  timeline.status = to;
+  if (to === 'completed' && !timeline.completedAt) {
+    timeline.completedAt = new Date();
+  } else if (from === 'completed') {
+    timeline.completedAt = undefined;
+  }
+
+  timeline.statusHistory = timeline.statusHistory || [];
+  timeline.statusHistory.push({
+    from,
+    to,
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : undefined,
+    ...getActor(system ? null : user),
+    changedAt: new Date(),
+  });
+  return timeline;
+};
+
+export { getStatusWorkflow, getAllowedNextStatuses, assertInitialStatus, applyStatusTransition };
@@ -0,0 +1,56 @@
+/**
+ * Client fields a spreadsheet column can be mapped to, with the headers recognised without a mapping.
+ * Headers are compared lower-cased with everything but letters and digits removed ("GST No." -> "gstno").
+ * The gst* fields make up one GST registration per row.
+ */
+const CLIENT_IMPORT_FIELDS = {
+  id: ['id', 'clientid'],
+  name: ['name', 'clientname'],
+  phone: ['phone', 'mobile', 'mobileno', 'phoneno', 'contactno'],
+  email: ['email', 'emailid'],
+  email2: ['email2', 'alternateemail'],
+  address: ['address'],
+  district: ['district', 'city'],
+  state: ['state'],
+  country: ['country'],
+  fNo: ['fno', 'fileno', 'filenumber'],
+  pan: ['pan', 'panno', 'pannumber'],
+  dob: ['dob', 'dateofbirth', 'dateofincorporation'],
+  businessType: ['businesstype'],
+  tanNumber: ['tan', 'tanno', 'tannumber'],
+  cinNumber: ['cin', 'cinno', 'cinnumber', 'llpin'],
+  udyamNumber: ['udyam', 'udyamno', 'udyamnumber'],
+  iecCode: ['iec', 'ieccode'],
+  entityType: ['entitytype', 'constitution'],
+  category: ['category'],
+  turnover: ['turnover'],
+  branch: ['branch', 'branchname'],
+  gstNumber: ['gstin', 'gstno', 'gstnumber'],
+  gstState: ['gststate'],
+  gstUserId: ['gstuserid', 'gstusername'],
+  gstDateOfRegistration: ['gstregistrationdate', 'dateofregistration', 'gstdateofregistration'],
+};
+
+const DATE_FIELDS = ['dob', 'gstDateOfRegistration'];
+
+const normalizeHeader = (header) =>
+  String(header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Field for a spreadsheet header, from the mapping when it has the header or else from the recognised headers
+ * @param {string} header
+ * @param {Array<{ header: string, field: string }>} [columns] - Mapping (e.g. from a saved profile)
+ * @returns {string|null}
+ */
+const getImportField = (header, columns = []) => {
+  const key = normalizeHeader(header);
+  const mapped = columns.find((column) => normalizeHeader(column.header) === key);
+  if (mapped) {
+    return mapped.field || null;
+  }
+  return Object.keys(CLIENT_IMPORT_FIELDS).find((field) => CLIENT_IMPORT_FIELDS[field].includes(key)) || null;
+};
+
+export { CLIENT_IMPORT_FIELDS, DATE_FIELDS, normalizeHeader, getImportField };
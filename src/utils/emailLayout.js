@@ -11,6 +11,16 @@ const FOOTER_ADDRESS = 'Office 222, 2nd floor, Ganpati Plaza, M.I. Road, Jaipur-
 const FOOTER_WEBSITE = 'www.vsc.co.in';
 const FOOTER_PHONE = '0141-2389290';
 
+/** Firm branding shared by the email layout and generated documents (e.g. PDF reports). */
+export const BRANDING = {
+  title: HEADER_TITLE,
+  subtitle: 'Chartered Accountants',
+  address: FOOTER_ADDRESS,
+  website: FOOTER_WEBSITE,
+  phone: FOOTER_PHONE,
+  color: '#001f3f',
+};
+
 let logoBufferCache = null;
 
 /** Read logo from disk and return as Buffer for inline attachment. Returns null if file missing. */
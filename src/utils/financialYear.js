@@ -17,10 +17,10 @@ export const getMonthFromQuarterRegister = (quarter) => REGISTER_QUARTER_MONTH[q
 
 /**
  * Get current financial year (April to March)
+ * @param {Date} [now] - Date to take the financial year of
  * @returns {Object} Object containing start and end dates of current financial year
  */
-export const getCurrentFinancialYear = () => {
-  const now = new Date();
+export const getCurrentFinancialYear = (now = new Date()) => {
   const currentYear = now.getFullYear();
   const currentMonth = now.getMonth() + 1; // 0-indexed to 1-indexed
   
@@ -0,0 +1,73 @@
+/**
+ * GSTIN checks: format, check digit, embedded PAN and state code.
+ *
+ * A GSTIN is the two-digit state code, the holder's PAN, an entity number, "Z" and a check character computed from the
+ * first 14 characters (base-36 Luhn variant, as used by the GST portal).
+ */
+import { findState } from './indianStates.js';
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Check character for the first 14 characters of a GSTIN
+ * @param {string} base - First 14 characters
+ * @returns {string}
+ */
+const getGstinCheckCharacter = (base) => {
+  const radix = GSTIN_CHARACTERS.length;
+  const sum = base.split('').reduce((total, character, index) => {
+    const product = GSTIN_CHARACTERS.indexOf(character) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / radix) + (product % radix);
+  }, 0);
+  return GSTIN_CHARACTERS[(radix - (sum % radix)) % radix];
+};
+
+/**
+ * Problems with a GSTIN, each with a code and a message naming the expected value
+ * @param {string} gstin
+ * @param {Object} [context]
+ * @param {string} [context.pan] - Client PAN; characters 3-12 of the GSTIN must equal it
+ * @param {string} [context.state] - State the GSTIN is registered in; must match its state code
+ * @returns {Array<{ code: string, message: string }>} Empty when the GSTIN is valid
+ */
+const validateGstin = (gstin, { pan, state } = {}) => {
+  const value = String(gstin || '')
+    .trim()
+    .toUpperCase();
+  if (!GSTIN_PATTERN.test(value)) {
+    return [{ code: 'INVALID_FORMAT', message: `GSTIN ${value} is not in the 15-character GSTIN format` }];
+  }
+
+  const errors = [];
+  const checkCharacter = getGstinCheckCharacter(value.slice(0, 14));
+  if (value[14] !== checkCharacter) {
+    errors.push({
+      code: 'INVALID_CHECKSUM',
+      message: `GSTIN ${value} has check character ${value[14]}, expected ${checkCharacter}; check it for typos`,
+    });
+  }
+  if (pan && value.slice(2, 12) !== String(pan).trim().toUpperCase()) {
+    errors.push({
+      code: 'PAN_MISMATCH',
+      message: `GSTIN ${value} contains PAN ${value.slice(2, 12)}, but the client's PAN is ${pan}`,
+    });
+  }
+  if (state) {
+    const registeredState = findState(state);
+    const codeState = findState(value.slice(0, 2));
+    if (!registeredState) {
+      errors.push({ code: 'UNKNOWN_STATE', message: `Unknown state ${state} for GSTIN ${value}` });
+    } else if (!codeState || codeState.code !== registeredState.code) {
+      errors.push({
+        code: 'STATE_MISMATCH',
+        message: `GSTIN ${value} has state code ${value.slice(0, 2)}${codeState ? ` (${codeState.name})` : ''}, but ${
+          registeredState.name
+        } is ${registeredState.code}`,
+      });
+    }
+  }
+  return errors;
+};
+
+export { GSTIN_PATTERN, getGstinCheckCharacter, validateGstin };
@@ -0,0 +1,92 @@
+/**
+ * Indian states and union territories with their GST state codes (first two digits of a GSTIN).
+ *
+ * gstr3bQuarterlyDay: due day of quarterly GSTR-3B under QRMP, which depends on the state
+ * (22nd for category X, 24th for category Y).
+ */
+const INDIAN_STATES = [
+  { code: '01', name: 'Jammu and Kashmir', gstr3bQuarterlyDay: 24 },
+  { code: '02', name: 'Himachal Pradesh', gstr3bQuarterlyDay: 24 },
+  { code: '03', name: 'Punjab', gstr3bQuarterlyDay: 24 },
+  { code: '04', name: 'Chandigarh', gstr3bQuarterlyDay: 24 },
+  { code: '05', name: 'Uttarakhand', gstr3bQuarterlyDay: 24 },
+  { code: '06', name: 'Haryana', gstr3bQuarterlyDay: 24 },
+  { code: '07', name: 'Delhi', gstr3bQuarterlyDay: 24 },
+  { code: '08', name: 'Rajasthan', gstr3bQuarterlyDay: 24 },
+  { code: '09', name: 'Uttar Pradesh', gstr3bQuarterlyDay: 24 },
+  { code: '10', name: 'Bihar', gstr3bQuarterlyDay: 24 },
+  { code: '11', name: 'Sikkim', gstr3bQuarterlyDay: 24 },
+  { code: '12', name: 'Arunachal Pradesh', gstr3bQuarterlyDay: 24 },
+  { code: '13', name: 'Nagaland', gstr3bQuarterlyDay: 24 },
+  { code: '14', name: 'Manipur', gstr3bQuarterlyDay: 24 },
+  { code: '15', name: 'Mizoram', gstr3bQuarterlyDay: 24 },
+  { code: '16', name: 'Tripura', gstr3bQuarterlyDay: 24 },
+  { code: '17', name: 'Meghalaya', gstr3bQuarterlyDay: 24 },
+  { code: '18', name: 'Assam', gstr3bQuarterlyDay: 24 },
+  { code: '19', name: 'West Bengal', gstr3bQuarterlyDay: 24 },
+  { code: '20', name: 'Jharkhand', gstr3bQuarterlyDay: 24 },
+  { code: '21', name: 'Odisha', gstr3bQuarterlyDay: 24 },
+  { code: '22', name: 'Chhattisgarh', gstr3bQuarterlyDay: 22 },
+  { code: '23', name: 'Madhya Pradesh', gstr3bQuarterlyDay: 22 },
+  { code: '24', name: 'Gujarat', gstr3bQuarterlyDay: 22 },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu', gstr3bQuarterlyDay: 22 },
+  { code: '27', name: 'Maharashtra', gstr3bQuarterlyDay: 22 },
+  { code: '29', name: 'Karnataka', gstr3bQuarterlyDay: 22 },
+  { code: '30', name: 'Goa', gstr3bQuarterlyDay: 22 },
+  { code: '31', name: 'Lakshadweep', gstr3bQuarterlyDay: 22 },
+  { code: '32', name: 'Kerala', gstr3bQuarterlyDay: 22 },
+  { code: '33', name: 'Tamil Nadu', gstr3bQuarterlyDay: 22 },
+  { code: '34', name: 'Puducherry', gstr3bQuarterlyDay: 22 },
+  { code: '35', name: 'Andaman and Nicobar Islands', gstr3bQuarterlyDay: 22 },
+  { code: '36', name: 'Telangana', gstr3bQuarterlyDay: 22 },
+  { code: '37', name: 'Andhra Pradesh', gstr3bQuarterlyDay: 22 },
+  { code: '38', name: 'Ladakh', gstr3bQuarterlyDay: 24 },
+];
+
+// Spellings seen in client data that should resolve to the canonical names above
+const STATE_ALIASES = {
+  'jammu & kashmir': 'Jammu and Kashmir',
+  'new delhi': 'Delhi',
+  'nct of delhi': 'Delhi',
+  orissa: 'Odisha',
+  pondicherry: 'Puducherry',
+  'andaman & nicobar islands': 'Andaman and Nicobar Islands',
+  'dadra and nagar haveli': 'Dadra and Nagar Haveli and Daman and Diu',
+  'daman and diu': 'Dadra and Nagar Haveli and Daman and Diu',
+  'dadra & nagar haveli and daman & diu': 'Dadra and Nagar Haveli and Daman and Diu',
+};
+
+const normalizeKey = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+/**
+ * Find a state by name, alias or GST state code
+ * @param {string} value - e.g. "Maharashtra", "27", "orissa"
+ * @returns {Object|null}
+ */
+const findState = (value) => {
+  const key = normalizeKey(value);
+  if (!key) {
+    return null;
+  }
+  if (/^\d{1,2}$/.test(key)) {
+    return INDIAN_STATES.find((state) => state.code === key.padStart(2, '0')) || null;
+  }
+  const name = STATE_ALIASES[key] || key;
+  return INDIAN_STATES.find((state) => normalizeKey(state.name) === normalizeKey(name)) || null;
+};
+
+/**
+ * Canonical state name, or the trimmed input when the state is not recognised
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeStateName = (value) => {
+  const state = findState(value);
+  return state ? state.name : String(value || '').trim();
+};
+
+export { INDIAN_STATES, findState, normalizeStateName };
@@ -0,0 +1,9 @@
+import os from 'os';
+
+/**
+ * Identifies this process among app instances (e.g. PM2 cluster workers): "<hostname>:<pid>".
+ * Used as the holder of job queue and cron locks.
+ */
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+export default instanceId;
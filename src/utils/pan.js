@@ -0,0 +1,143 @@
+/**
+ * PAN structure checks and the holder type encoded in it.
+ *
+ * A PAN is three letters, the holder type (4th character), the initial of the holder's name (or surname), four digits
+ * and a check letter. The check letter's algorithm is not published, so it cannot be verified here; the structure and
+ * holder type can.
+ */
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+const COMPANY_PATTERN = /company|private limited|public limited|pvt\.?\s*ltd|\bltd\b|\bopc\b/i;
+const LLP_PATTERN = /\bllp\b|limited liability partnership/i;
+
+/**
+ * Holder types by the PAN's 4th character. `matches` tells whether a free-text entity type (from EntityTypeMaster)
+ * fits the holder type; `suggestions` are the entity type names to suggest, in order of preference.
+ */
+const PAN_HOLDER_TYPES = {
+  P: {
+    label: 'Individual',
+    matches: (entityType) => /individual|proprietor/i.test(entityType),
+    suggestions: ['Individual', 'Proprietorship'],
+  },
+  C: {
+    label: 'Company',
+    matches: (entityType) => COMPANY_PATTERN.test(entityType) && !LLP_PATTERN.test(entityType),
+    suggestions: ['Private Limited', 'Public Limited', 'Company'],
+  },
+  H: {
+    label: 'Hindu Undivided Family',
+    matches: (entityType) => /\bhuf\b|hindu undivided/i.test(entityType),
+    suggestions: ['HUF'],
+  },
+  F: {
+    label: 'Firm / LLP',
+    matches: (entityType) => /firm|partnership/i.test(entityType) || LLP_PATTERN.test(entityType),
+    suggestions: ['Partnership Firm', 'Partnership', 'Firm', 'LLP'],
+  },
+  A: {
+    label: 'Association of Persons',
+    matches: (entityType) => /\baop\b|association of persons/i.test(entityType),
+    suggestions: ['AOP'],
+  },
+  B: {
+    label: 'Body of Individuals',
+    matches: (entityType) => /\bboi\b|body of individuals/i.test(entityType),
+    suggestions: ['BOI'],
+  },
+  T: {
+    label: 'Trust',
+    matches: (entityType) => /trust/i.test(entityType),
+    suggestions: ['Trust'],
+  },
+  L: {
+    label: 'Local Authority',
+    matches: (entityType) => /local authority/i.test(entityType),
+    suggestions: ['Local Authority'],
+  },
+  J: {
+    label: 'Artificial Juridical Person',
+    matches: (entityType) => /juridical/i.test(entityType),
+    suggestions: ['Artificial Juridical Person'],
+  },
+  G: {
+    label: 'Government',
+    matches: (entityType) => /government/i.test(entityType),
+    suggestions: ['Government'],
+  },
+};
+
+/**
+ * Problems with a PAN's structure
+ * @param {string} pan
+ * @returns {Array<{ code: string, message: string }>} Empty when the PAN is well-formed
+ */
+const validatePan = (pan) => {
+  const value = String(pan || '')
+    .trim()
+    .toUpperCase();
+  if (!PAN_PATTERN.test(value)) {
+    return [{ code: 'INVALID_FORMAT', message: `PAN ${value} is not in the format AAAAA9999A` }];
+  }
+  if (!PAN_HOLDER_TYPES[value[3]]) {
+    return [{ code: 'INVALID_HOLDER_TYPE', message: `PAN ${value} has an unknown holder type ${value[3]} (4th character)` }];
+  }
+  return [];
+};
+
+/**
+ * Holder type of a well-formed PAN
+ * @param {string} pan
+ * @returns {{ code: string, label: string }|null}
+ */
+const getPanHolderType = (pan) => {
+  if (validatePan(pan).length > 0) {
+    return null;
+  }
+  const code = String(pan).trim().toUpperCase()[3];
+  return { code, label: PAN_HOLDER_TYPES[code].label };
+};
+
+/**
+ * Whether an entity type fits the PAN's holder type. Unknown when either is missing or the PAN is malformed.
+ * @param {string} pan
+ * @param {string} entityType
+ * @returns {boolean|null}
+ */
+const isEntityTypeConsistentWithPan = (pan, entityType) => {
+  const holderType = getPanHolderType(pan);
+  if (!holderType || !entityType || !entityType.trim()) {
+    return null;
+  }
+  return PAN_HOLDER_TYPES[holderType.code].matches(entityType);
+};
+
+/**
+ * Entity type to suggest for a PAN, taken from the known entity type names when one fits
+ * @param {string} pan
+ * @param {Array<string>} [entityTypeNames] - Names in EntityTypeMaster
+ * @returns {string|null}
+ */
+const suggestEntityTypeForPan = (pan, entityTypeNames = []) => {
+  const holderType = getPanHolderType(pan);
+  if (!holderType) {
+    return null;
+  }
+  const { matches, suggestions } = PAN_HOLDER_TYPES[holderType.code];
+  const byName = new Map(entityTypeNames.map((name) => [name.trim().toLowerCase(), name]));
+  const preferred = suggestions.find((name) => byName.has(name.toLowerCase()));
+  if (preferred) {
+    return byName.get(preferred.toLowerCase());
+  }
+  return entityTypeNames.find(matches) || suggestions[0];
+};
+
+export {
+  PAN_PATTERN,
+  PAN_HOLDER_TYPES,
+  validatePan,
+  getPanHolderType,
+  isEntityTypeConsistentWithPan,
+  suggestEntityTypeForPan,
+};
@@ -0,0 +1,244 @@
+/* eslint-disable no-param-reassign */
+/**
+ * Client and group year reports (services/clientReport.service.js, services/groupReport.service.js) as PDFs to send
+ * to clients, with the firm's header and footer from the email layout.
+ */
+import PDFDocument from 'pdfkit';
+import moment from 'moment';
+import { BRANDING, getLogoBuffer } from './emailLayout.js';
+
+const MARGIN = 40;
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 56;
+const MUTED = '#555555';
+const RULE = '#d9d9d9';
+
+function formatDate(date) {
+  return date ? moment(date).format('DD MMM YYYY') : '';
+}
+
+function formatStatus(status) {
+  const text = status || 'pending';
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+const TIMELINE_COLUMNS = [
+  { header: 'Activity', width: 0.22, value: (t) => (t.activity && t.activity.name) || '' },
+  { header: 'Subactivity', width: 0.24, value: (t) => (t.subactivity && t.subactivity.name) || '' },
+  { header: 'Period', width: 0.14, value: (t) => t.period || '' },
+  { header: 'Due date', width: 0.13, value: (t) => formatDate(t.dueDate) },
+  { header: 'Status', width: 0.14, value: (t) => formatStatus(t.status) },
+  { header: 'Completed', width: 0.13, value: (t) => formatDate(t.completedAt) },
+];
+
+function drawHeader(doc) {
+  const { width } = doc.page;
+  doc.save();
+  doc.rect(0, 0, width, HEADER_HEIGHT).fill(BRANDING.color);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(16).text(BRANDING.title, MARGIN, 18, { lineBreak: false });
+  doc
+    .font('Helvetica')
+    .fontSize(8)
+    .text(BRANDING.subtitle.toUpperCase(), MARGIN, 40, { characterSpacing: 1.2, lineBreak: false });
+  doc.restore();
+}
+
+function drawFooter(doc) {
+  const { width, height } = doc.page;
+  const top = height - FOOTER_HEIGHT;
+  const { bottom } = doc.page.margins;
+  // Writing inside the bottom margin would otherwise start a new page
+  doc.page.margins.bottom = 0;
+  doc.save();
+  doc.rect(0, top, width, FOOTER_HEIGHT).fill(BRANDING.color);
+  const logo = getLogoBuffer();
+  if (logo) {
+    try {
+      doc.image(logo, MARGIN, top + 12, { fit: [96, 32] });
+    } catch (error) {
+      // An unreadable logo file should not stop the report; the footer text still carries the branding
+    }
+  }
+  doc
+    .fillColor('#ffffff')
+    .font('Helvetica')
+    .fontSize(8)
+    .text(BRANDING.address, MARGIN + 110, top + 12, { width: width - MARGIN * 2 - 110, align: 'right' })
+    .text(`${BRANDING.website}  |  ${BRANDING.phone}`, { width: width - MARGIN * 2 - 110, align: 'right' });
+  doc.restore();
+  doc.page.margins.bottom = bottom;
+}
+
+function contentBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > contentBottom(doc)) {
+    doc.addPage();
+  }
+}
+
+function heading(doc, text, size = 13) {
+  ensureSpace(doc, size * 3);
+  doc.moveDown(0.6).fillColor(BRANDING.color).font('Helvetica-Bold').fontSize(size).text(text, MARGIN);
+  doc.moveDown(0.3).fillColor('#1a1a1a').font('Helvetica').fontSize(9);
+}
+
+function keyValues(doc, entries) {
+  entries
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED).text(`${label}: `, MARGIN, doc.y, { continued: true });
+      doc.font('Helvetica').fillColor('#1a1a1a').text(String(value));
+    });
+}
+
+function table(doc, columns, rows) {
+  const tableWidth = doc.page.width - MARGIN * 2;
+  const widths = columns.map((column) => column.width * tableWidth);
+  const header = columns.map((column) => column.header);
+  const padding = 4;
+
+  const drawRow = (cells, isHeader = false) => {
+    doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const rowHeight =
+      Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: widths[index] - padding * 2 }))) +
+      padding * 2;
+    if (doc.y + rowHeight > contentBottom(doc)) {
+      doc.addPage();
+      // Repeat the header row when the table continues on a new page
+      if (!isHeader) drawRow(header, true);
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    }
+    const top = doc.y;
+    if (isHeader) {
+      doc.rect(MARGIN, top, tableWidth, rowHeight).fill('#eef1f5');
+    }
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      doc.fillColor('#1a1a1a').text(cell, x + padding, top + padding, { width: widths[index] - padding * 2 });
+      x += widths[index];
+    });
+    doc
+      .moveTo(MARGIN, top + rowHeight)
+      .lineTo(MARGIN + tableWidth, top + rowHeight)
+      .strokeColor(RULE)
+      .lineWidth(0.5)
+      .stroke();
+    doc.x = MARGIN;
+    doc.y = top + rowHeight;
+  };
+
+  drawRow(header, true);
+  if (rows.length === 0) {
+    drawRow(['No timelines for this year', ...header.slice(1).map(() => '')]);
+  }
+  rows.forEach((row) => drawRow(columns.map((column) => String(column.value(row)))));
+}
+
+function statusSummary(doc, summary) {
+  const parts = [
+    ['Total', summary.total],
+    ['Completed', summary.completed],
+    ['Pending', summary.pending],
+    ['Ongoing', summary.ongoing],
+    ['Ready for review', summary.readyForReview],
+    ['Filed', summary.filed],
+    ['Delayed', summary.delayed],
+    ['Not applicable', summary.notApplicable],
+  ].filter(([, count]) => count !== undefined);
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor('#1a1a1a')
+    .text(parts.map(([label, count]) => `${label}: ${count}`).join('    '), MARGIN);
+}
+
+function clientSection(doc, report) {
+  keyValues(doc, [
+    ['Client', report.client.name],
+    ['Email', report.client.email],
+    ['Phone', report.client.phone],
+    ['Turnover', report.turnover],
+  ]);
+  doc.moveDown(0.4);
+  statusSummary(doc, { total: report.timelines.length, ...report.statusSummary });
+  doc.moveDown(0.6);
+  table(doc, TIMELINE_COLUMNS, report.timelines);
+  if (report.auditingNextYear) {
+    heading(doc, `Auditing (FY ${report.auditingNextYear.financialYear})`, 10);
+    table(doc, TIMELINE_COLUMNS, report.auditingNextYear.timelines);
+  }
+}
+
+/**
+ * Render a branded PDF
+ * @param {string} title - Document title (PDF metadata)
+ * @param {function(PDFDocument)} draw - Writes the body
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(title, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      bufferPages: true,
+      margins: { top: HEADER_HEIGHT + 24, bottom: FOOTER_HEIGHT + 20, left: MARGIN, right: MARGIN },
+      info: { Title: title, Author: BRANDING.title },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc
+      .moveDown(1.5)
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(MUTED)
+      .text(`Generated on ${moment().format('DD MMM YYYY')}`, MARGIN);
+
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index += 1) {
+      doc.switchToPage(index);
+      drawHeader(doc);
+      drawFooter(doc);
+    }
+    doc.end();
+  });
+}
+
+/**
+ * Client year report as a PDF
+ * @param {Object} report - From getClientYearReport
+ * @returns {Promise<Buffer>}
+ */
+const renderClientReportPdf = (report) =>
+  renderPdf(`${report.client.name} - FY ${report.financialYear}`, (doc) => {
+    heading(doc, `Compliance report - FY ${report.financialYear}`, 15);
+    clientSection(doc, report);
+  });
+
+/**
+ * Group year report as a PDF, one section per client
+ * @param {Object} report - From getGroupYearReport
+ * @returns {Promise<Buffer>}
+ */
+const renderGroupReportPdf = (report) =>
+  renderPdf(`${report.group.name} - FY ${report.financialYear}`, (doc) => {
+    heading(doc, `Compliance report - FY ${report.financialYear}`, 15);
+    keyValues(doc, [
+      ['Group', report.group.name],
+      ['Clients', report.summary.totalClients],
+      ['Timelines', report.summary.totalTimelines],
+      ['Completed', report.summary.totalCompleted],
+      ['Pending', report.summary.totalPending],
+    ]);
+    report.clients.forEach((clientReport) => {
+      heading(doc, clientReport.client.name, 12);
+      clientSection(doc, clientReport);
+    });
+  });
+
+export { renderClientReportPdf, renderGroupReportPdf };
@@ -0,0 +1,24 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-request context (request id, IP and the Express request itself) that is carried
+ * through async calls, so code far from the controller (e.g. mongoose plugins) can see
+ * who made the request without threading it through every service signature.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context
+ * @param {Function} fn
+ * @returns {*}
+ */
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the current request context, or null outside of a request (cron jobs, scripts)
+ * @returns {Object|null}
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+export { runWithRequestContext, getRequestContext };
@@ -0,0 +1,12 @@
+/**
+ * Send an export from services/export.service.js as a file download
+ * @param {Response} res
+ * @param {{ fileName: string, contentType: string, pipe: function(stream.Writable): Promise }} file
+ * @returns {Promise}
+ */
+const sendExport = (res, file) => {
+  res.attachment(file.fileName).type(file.contentType);
+  return file.pipe(res);
+};
+
+export default sendExport;
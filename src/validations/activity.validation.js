@@ -1,6 +1,8 @@
 import Joi from 'joi';
 import { objectId } from './custom.validation.js';
 import { validateFrequencyWithConfig } from '../utils/frequencyValidator.js';
+import { COMPLIANCE_FORM_CODES } from '../jobs/timelineGenerator/complianceCalendar.js';
+import { timelineStatuses } from '../config/timelineWorkflow.js';
 
 // Field validation schema for subactivities
 const fieldSchema = Joi.object({
@@ -63,6 +65,14 @@ const frequencyConfigSchema = Joi.object({
   yearlyTime: Joi.string().pattern(/^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$|^(0?[0-9]|1[0-9]|2[0-3]):[0-5][0-9]$/).allow('', null).optional(),
 });
 
+// Document checklist item validation schema
+const documentChecklistItemSchema = Joi.object({
+  _id: Joi.string().custom(objectId).optional(),
+  name: Joi.string().trim().required(),
+  description: Joi.string().trim().allow('').optional(),
+  required: Joi.boolean().optional(),
+});
+
 // Subactivity validation schema
 const subactivitySchema = Joi.object({
   _id: Joi.string().custom(objectId).optional(), // Optional for existing subactivities
@@ -70,6 +80,8 @@ const subactivitySchema = Joi.object({
   dueDate: Joi.date().optional(),
   frequency: Joi.string().valid('None', 'OneTime', 'Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly').optional().default('None'),
   frequencyConfig: frequencyConfigSchema.optional(),
+  complianceForm: Joi.string().valid(...COMPLIANCE_FORM_CODES).allow(null).optional(),
+  documentChecklist: Joi.array().items(documentChecklistItemSchema).optional(),
   fields: Joi.array().items(fieldSchema).optional(),
   createdAt: Joi.date().optional(),
   updatedAt: Joi.date().optional(),
@@ -154,6 +166,8 @@ const createSubactivity = {
     dueDate: Joi.date().optional(),
     frequency: Joi.string().valid('None', 'OneTime', 'Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly').optional().default('None'),
     frequencyConfig: frequencyConfigSchema.optional(),
+    complianceForm: Joi.string().valid(...COMPLIANCE_FORM_CODES).allow(null).optional(),
+    documentChecklist: Joi.array().items(documentChecklistItemSchema).optional(),
     fields: Joi.array().items(fieldSchema).optional(),
   }),
 };
@@ -168,6 +182,8 @@ const updateSubactivity = {
     dueDate: Joi.date().optional(),
     frequency: Joi.string().valid('None', 'OneTime', 'Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly').optional(),
     frequencyConfig: frequencyConfigSchema.optional(),
+    complianceForm: Joi.string().valid(...COMPLIANCE_FORM_CODES).allow(null).optional(),
+    documentChecklist: Joi.array().items(documentChecklistItemSchema).optional(),
     fields: Joi.array().items(fieldSchema).optional(),
   }),
 };
@@ -188,7 +204,7 @@ const bulkCreateTimelines = {
       .required(),
     activityId: Joi.string().custom(objectId).required(),
     subactivityId: Joi.string().custom(objectId).optional(),
-    status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable').default('pending'),
+    status: Joi.string().valid(...timelineStatuses).default('pending'),
     dueDate: Joi.date().optional(),
     startDate: Joi.date().optional(),
     endDate: Joi.date().optional(),
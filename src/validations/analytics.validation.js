@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { objectId } from './custom.validation.js';
+import { timelineStatuses } from '../config/timelineWorkflow.js';
 
 const getTaskCompletionTrends = {
   query: Joi.object().keys({
@@ -171,7 +172,7 @@ const getAllTimelinesTableData = {
     subactivitySearch: Joi.string().trim().allow(''),
     
     // Timeline filters
-    status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable'),
+    status: Joi.string().valid(...timelineStatuses),
     frequency: Joi.string().valid('None', 'OneTime', 'Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly'),
     timelineType: Joi.string().valid('oneTime', 'recurring'),
     period: Joi.string().trim().allow(''),
@@ -190,6 +191,21 @@ const getAllTimelinesTableData = {
   })
 };
 
+const exportFormat = Joi.string().valid('csv', 'xlsx').default('csv');
+
+// Exports take the table filters and sort; page and limit are ignored, every matching row is exported
+const exportClientsTable = {
+  query: getAllClientsTableData.query.keys({ format: exportFormat })
+};
+
+const exportTeamMembersTable = {
+  query: getAllTeamMembersTableData.query.keys({ format: exportFormat })
+};
+
+const exportTimelinesTable = {
+  query: getAllTimelinesTableData.query.keys({ format: exportFormat })
+};
+
 const getTimelineDetailsOverview = {
   params: Joi.object().keys({
     timelineId: Joi.string().custom(objectId).required()
@@ -221,6 +237,9 @@ const getTimelineDetailsOverview = {
 };
 
 export default {
+  exportClientsTable,
+  exportTeamMembersTable,
+  exportTimelinesTable,
   getTaskCompletionTrends,
   getTopTeamMembersByCompletion,
   getTopTeamMembersByBranch,
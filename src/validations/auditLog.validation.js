@@ -0,0 +1,22 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const getAuditLogs = {
+  query: Joi.object().keys({
+    entityType: Joi.string().valid('Client', 'Timeline', 'Task', 'Role'),
+    entityId: Joi.string().custom(objectId),
+    actor: Joi.string().custom(objectId),
+    actorModel: Joi.string().valid('User', 'TeamMember', 'Client', 'System'),
+    action: Joi.string().valid('create', 'update', 'delete'),
+    field: Joi.string().trim(),
+    branch: Joi.string().custom(objectId),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+    populate: Joi.string().valid('actor', 'branch', 'actor,branch'),
+  }),
+};
+
+export { getAuditLogs };
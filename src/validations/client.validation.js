@@ -15,6 +15,7 @@ const createClient = {
     pan: Joi.string().pattern(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/),
     dob: Joi.date().max('now'),
     businessType: Joi.string(),
+    reminderOptOut: Joi.boolean(),
     gstNumbers: Joi.array().items(
       Joi.object({
         state: Joi.string().required(),
@@ -39,6 +40,8 @@ const createClient = {
     ).optional(),
     branch: Joi.string().custom(objectId).required(),
     sortOrder: Joi.number(),
+    // Create even when another client already has the PAN or a GSTIN
+    allowDuplicate: Joi.boolean(),
     // Add activities with subactivity support
     activities: Joi.array().items(
       Joi.object({
@@ -113,6 +116,7 @@ const updateClient = {
       pan: Joi.string().pattern(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/),
       dob: Joi.date().max('now'),
       businessType: Joi.string(),
+      reminderOptOut: Joi.boolean(),
       gstNumbers: Joi.array().items(
         Joi.object({
           state: Joi.string().required(),
@@ -165,53 +169,55 @@ const deleteClient = {
   }),
 };
 
+// One client of a bulk import; also used for the rows of an uploaded spreadsheet
+const bulkImportClientRow = Joi.object().keys({
+  id: Joi.string().custom(objectId).optional(),
+  name: Joi.string(),
+  phone: Joi.string(),
+  email: Joi.string().email(),
+  email2: Joi.string().email(),
+  address: Joi.string(),
+  district: Joi.string(),
+  state: Joi.string(),
+  country: Joi.string(),
+  fNo: Joi.string(),
+  pan: Joi.string().pattern(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/),
+  dob: Joi.date().max('now'),
+  businessType: Joi.string(),
+  gstNumbers: Joi.array().items(
+    Joi.object({
+      state: Joi.string().required(),
+      gstNumber: Joi.string().pattern(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).required(),
+      dateOfRegistration: Joi.date().max('now').required(),
+      gstUserId: Joi.string().required()
+    })
+  ),
+  tanNumber: Joi.string().pattern(/^[A-Z]{4}[0-9]{5}[A-Z]{1}$/),
+  cinNumber: Joi.string().pattern(/^[A-Z]{1}[0-9]{5}[A-Z]{2}[0-9]{4}[A-Z]{3}[0-9]{6}$/),
+  udyamNumber: Joi.string().pattern(/^UDYAM-[A-Z]{2}[0-9]{2}[0-9]{7}$/),
+  iecCode: Joi.string().pattern(/^[0-9]{10}$/),
+  entityType: Joi.string(),
+  metadata: Joi.object(),
+  category: Joi.string().valid('A', 'B', 'C').default('C'),
+  turnover: Joi.string(),
+  branch: Joi.string().custom(objectId).required(),
+  sortOrder: Joi.number(),
+  allowDuplicate: Joi.boolean(),
+  // Add activities with subactivity support
+  activities: Joi.array().items(
+    Joi.object({
+      activity: Joi.string().custom(objectId).required(),
+      subactivity: Joi.string().custom(objectId).optional(), // Add subactivity support
+      notes: Joi.string().optional(),
+      status: Joi.string().valid('active', 'inactive').default('active')
+    })
+  ),
+});
+
 const bulkImportClients = {
   body: Joi.object().keys({
     clients: Joi.array()
-      .items(
-        Joi.object().keys({
-          id: Joi.string().custom(objectId).optional(),
-          name: Joi.string(),
-          phone: Joi.string(),
-          email: Joi.string().email(),
-          email2: Joi.string().email(),
-          address: Joi.string(),
-          district: Joi.string(),
-          state: Joi.string(),
-          country: Joi.string(),
-          fNo: Joi.string(),
-          pan: Joi.string().pattern(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/),
-          dob: Joi.date().max('now'),
-          businessType: Joi.string(),
-          gstNumbers: Joi.array().items(
-            Joi.object({
-              state: Joi.string().required(),
-              gstNumber: Joi.string().pattern(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).required(),
-              dateOfRegistration: Joi.date().max('now').required(),
-              gstUserId: Joi.string().required()
-            })
-          ),
-          tanNumber: Joi.string().pattern(/^[A-Z]{4}[0-9]{5}[A-Z]{1}$/),
-          cinNumber: Joi.string().pattern(/^[A-Z]{1}[0-9]{5}[A-Z]{2}[0-9]{4}[A-Z]{3}[0-9]{6}$/),
-          udyamNumber: Joi.string().pattern(/^UDYAM-[A-Z]{2}[0-9]{2}[0-9]{7}$/),
-          iecCode: Joi.string().pattern(/^[0-9]{10}$/),
-          entityType: Joi.string(),
-          metadata: Joi.object(),
-          category: Joi.string().valid('A', 'B', 'C').default('C'),
-          turnover: Joi.string(),
-          branch: Joi.string().custom(objectId).required(),
-          sortOrder: Joi.number(),
-          // Add activities with subactivity support
-          activities: Joi.array().items(
-            Joi.object({
-              activity: Joi.string().custom(objectId).required(),
-              subactivity: Joi.string().custom(objectId).optional(), // Add subactivity support
-              notes: Joi.string().optional(),
-              status: Joi.string().valid('active', 'inactive').default('active')
-            })
-          ),
-        })
-      )
+      .items(bulkImportClientRow)
       .min(1)
       .max(5000)
       .required(),
@@ -270,6 +276,22 @@ const getClientActivities = {
   }),
 };
 
+const suggestEntityType = {
+  query: Joi.object().keys({
+    pan: Joi.string()
+      .trim()
+      .uppercase()
+      .pattern(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/)
+      .required(),
+  }),
+};
+
+const getEntityTypeReport = {
+  query: Joi.object().keys({
+    branch: Joi.string().custom(objectId),
+  }),
+};
+
 const getClientTaskStatistics = {
   query: Joi.object().keys({
     name: Joi.string().trim().allow(''),
@@ -330,6 +352,12 @@ const getClientReport = {
   }),
 };
 
+const getIdentifierReport = {
+  query: Joi.object().keys({
+    branch: Joi.string().custom(objectId),
+  }),
+};
+
 export default {
   createClient,
   getClients,
@@ -349,4 +377,9 @@ export default {
   updateGstNumber,
   getGstNumbers,
   getClientReport,
-}; 
\ No newline at end of file
+  suggestEntityType,
+  getEntityTypeReport,
+  getIdentifierReport,
+};
+
+export { bulkImportClientRow };
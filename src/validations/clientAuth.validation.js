@@ -1,4 +1,6 @@
 import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import { timelineClientStatuses } from '../config/timelineWorkflow.js';
 
 const generateOTP = {
   body: Joi.object().keys({
@@ -20,8 +22,52 @@ const logout = {
   }),
 };
 
+const getComplianceStatus = {
+  query: Joi.object().keys({
+    financialYear: Joi.string()
+      .trim()
+      .pattern(/^\d{4}(-\d{4})?$/),
+    status: Joi.string().valid(...timelineClientStatuses),
+  }),
+};
+
+const getYearReport = {
+  query: Joi.object().keys({
+    year: Joi.string()
+      .trim()
+      .pattern(/^\d{4}(-\d{4})?$/),
+  }),
+};
+
+const getDocuments = {
+  query: Joi.object().keys({
+    folderId: Joi.string().custom(objectId),
+  }),
+};
+
+const uploadDocument = {
+  body: Joi.object().keys({
+    folderId: Joi.string().custom(objectId),
+    financialYear: Joi.string()
+      .trim()
+      .pattern(/^\d{4}-\d{4}$/),
+    activity: Joi.string().trim().max(100),
+  }),
+};
+
+const downloadDocument = {
+  params: Joi.object().keys({
+    fileId: Joi.string().custom(objectId).required(),
+  }),
+};
+
 export {
   generateOTP,
   verifyOTPAndLogin,
   logout,
+  getComplianceStatus,
+  getYearReport,
+  getDocuments,
+  uploadDocument,
+  downloadDocument,
 };
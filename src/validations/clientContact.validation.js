@@ -0,0 +1,58 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const contactFields = {
+  name: Joi.string().trim(),
+  designation: Joi.string().trim().allow(''),
+  email: Joi.string().email().allow(''),
+  phone: Joi.string().trim().allow(''),
+  // Director Identification Number
+  din: Joi.string()
+    .trim()
+    .pattern(/^[0-9]{8}$/)
+    .allow('')
+    .messages({ 'string.pattern.base': 'din must be 8 digits' }),
+  activities: Joi.array().items(Joi.string().custom(objectId)).unique(),
+  primary: Joi.boolean(),
+};
+
+// Contacts are only added and changed through /v1/clients/:clientId/contacts, not with the client itself
+const contact = Joi.object().keys({
+  ...contactFields,
+  name: contactFields.name.required(),
+});
+
+const getContacts = {
+  params: Joi.object().keys({
+    clientId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const addContact = {
+  params: Joi.object().keys({
+    clientId: Joi.string().custom(objectId).required(),
+  }),
+  body: contact,
+};
+
+const updateContact = {
+  params: Joi.object().keys({
+    clientId: Joi.string().custom(objectId).required(),
+    contactId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys(contactFields).min(1),
+};
+
+const removeContact = {
+  params: Joi.object().keys({
+    clientId: Joi.string().custom(objectId).required(),
+    contactId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export default {
+  getContacts,
+  addContact,
+  updateContact,
+  removeContact,
+};
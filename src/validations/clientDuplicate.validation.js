@@ -0,0 +1,34 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const MATCH_TYPES = ['pan', 'gstin', 'email', 'phone', 'name'];
+
+const findDuplicateClients = {
+  query: Joi.object().keys({
+    branch: Joi.string().custom(objectId),
+    client: Joi.string().custom(objectId),
+    // Comma separated, e.g. "pan,gstin"
+    by: Joi.string().custom((value, helpers) => {
+      if (value.split(',').every((type) => MATCH_TYPES.includes(type.trim()))) {
+        return value;
+      }
+      return helpers.message(`by must be a comma separated list of: ${MATCH_TYPES.join(', ')}`);
+    }),
+    threshold: Joi.number().min(0.5).max(1),
+  }),
+};
+
+const mergeClients = {
+  params: Joi.object().keys({
+    clientId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    duplicateId: Joi.string().custom(objectId).required(),
+    dryRun: Joi.boolean().default(false),
+  }),
+};
+
+export default {
+  findDuplicateClients,
+  mergeClients,
+};
@@ -0,0 +1,82 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import { CLIENT_IMPORT_FIELDS } from '../utils/clientImportFields.js';
+
+const importColumn = Joi.object().keys({
+  header: Joi.string().trim().required(),
+  field: Joi.string()
+    .valid(...Object.keys(CLIENT_IMPORT_FIELDS))
+    .allow(null, '')
+    .empty('')
+    .default(null),
+});
+
+// Multipart forms send the column mapping as a JSON string
+const importColumns = Joi.alternatives().try(
+  Joi.array().items(importColumn),
+  Joi.string().custom((value, helpers) => {
+    let columns;
+    try {
+      columns = JSON.parse(value);
+    } catch (error) {
+      return helpers.message('{{#label}} must be a JSON array of { header, field }');
+    }
+    const result = Joi.array().items(importColumn).validate(columns);
+    if (result.error) {
+      return helpers.message(`{{#label}} ${result.error.message}`);
+    }
+    return result.value;
+  })
+);
+
+const importClientFile = {
+  body: Joi.object().keys({
+    profileId: Joi.string().custom(objectId),
+    columns: importColumns,
+    validateOnly: Joi.boolean(),
+    skipInvalidRows: Joi.boolean(),
+    reportFormat: Joi.string().valid('csv', 'xlsx'),
+  }),
+};
+
+const getClientImportProfiles = {
+  query: Joi.object().keys({
+    name: Joi.string(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const createClientImportProfile = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().required(),
+    columns: Joi.array().items(importColumn).min(1).required(),
+  }),
+};
+
+const updateClientImportProfile = {
+  params: Joi.object().keys({
+    profileId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim(),
+      columns: Joi.array().items(importColumn).min(1),
+    })
+    .min(1),
+};
+
+const deleteClientImportProfile = {
+  params: Joi.object().keys({
+    profileId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export default {
+  importClientFile,
+  getClientImportProfiles,
+  createClientImportProfile,
+  updateClientImportProfile,
+  deleteClientImportProfile,
+};
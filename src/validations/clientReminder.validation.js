@@ -0,0 +1,16 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const getReminderLogs = {
+  query: Joi.object().keys({
+    client: Joi.string().custom(objectId),
+    timeline: Joi.string().custom(objectId),
+    status: Joi.string().valid('sent', 'failed'),
+    kind: Joi.string().valid('before', 'overdue'),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+export { getReminderLogs };
@@ -1,4 +1,6 @@
 import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import { EMAIL_CATEGORIES } from '../models/emailLog.model.js';
 
 const sendCustomEmail = {
   body: Joi.object().keys({
@@ -56,10 +58,43 @@ const sendEmailWithAttachments = {
   }),
 };
 
+const getEmailLogs = {
+  query: Joi.object().keys({
+    to: Joi.string().trim(),
+    status: Joi.string().valid('sent', 'failed'),
+    category: Joi.string().valid(...EMAIL_CATEGORIES),
+    fromAccount: Joi.string().trim(),
+    client: Joi.string().custom(objectId),
+    task: Joi.string().custom(objectId),
+    timeline: Joi.string().custom(objectId),
+    template: Joi.string().custom(objectId),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getEmailLog = {
+  params: Joi.object().keys({
+    logId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const resendEmail = {
+  params: Joi.object().keys({
+    logId: Joi.string().custom(objectId).required(),
+  }),
+};
+
 export {
   sendCustomEmail,
   sendTaskAssignmentEmail,
   sendNotificationEmail,
   sendBulkEmails,
   sendEmailWithAttachments,
+  getEmailLogs,
+  getEmailLog,
+  resendEmail,
 };
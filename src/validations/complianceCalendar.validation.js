@@ -0,0 +1,55 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import { COMPLIANCE_FORM_CODES } from '../jobs/timelineGenerator/complianceCalendar.js';
+
+const getFormDueDate = {
+  query: Joi.object().keys({
+    form: Joi.string()
+      .valid(...COMPLIANCE_FORM_CODES)
+      .required(),
+    period: Joi.string().trim().required(),
+    state: Joi.string().trim(),
+    entityType: Joi.string().trim(),
+    auditApplicable: Joi.boolean(),
+    transferPricing: Joi.boolean(),
+    agmDate: Joi.date().iso(),
+  }),
+};
+
+const createExtension = {
+  body: Joi.object().keys({
+    form: Joi.string()
+      .valid(...COMPLIANCE_FORM_CODES)
+      .required(),
+    period: Joi.string().trim().required(),
+    states: Joi.array().items(Joi.string().trim()),
+    extendedDueDate: Joi.date().iso().required(),
+    notificationRef: Joi.string().trim().allow(''),
+    remarks: Joi.string().trim().allow(''),
+  }),
+};
+
+const getExtensions = {
+  query: Joi.object().keys({
+    form: Joi.string().valid(...COMPLIANCE_FORM_CODES),
+    period: Joi.string().trim(),
+    isActive: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getExtension = {
+  params: Joi.object().keys({
+    extensionId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const withdrawExtension = {
+  params: Joi.object().keys({
+    extensionId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export { getFormDueDate, createExtension, getExtensions, getExtension, withdrawExtension };
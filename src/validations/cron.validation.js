@@ -0,0 +1,37 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+import { CRON_RUN_JOBS } from '../models/cronRun.model.js';
+
+const getCronRuns = {
+  query: Joi.object().keys({
+    job: Joi.string().valid(...CRON_RUN_JOBS),
+    status: Joi.string().valid('running', 'completed', 'failed'),
+    trigger: Joi.string().valid('schedule', 'manual'),
+    period: Joi.string().trim(),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getCronRun = {
+  params: Joi.object().keys({
+    runId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const runCronJob = {
+  params: Joi.object().keys({
+    job: Joi.string()
+      .valid(...CRON_RUN_JOBS)
+      .required(),
+  }),
+  body: Joi.object().keys({
+    // Checked against the job's frequency in the service: "2025-06-01", "June-2025", "Q2-2025", "2025-2026"
+    period: Joi.string().trim(),
+  }),
+};
+
+export { getCronRuns, getCronRun, runCronJob };
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { objectId } from './custom.validation.js';
+import { timelineStatuses } from '../config/timelineWorkflow.js';
 
 const getTimelineCountsByBranch = {
   query: Joi.object().keys({
@@ -50,7 +51,7 @@ const getTimelineStatusByFrequency = {
     startDate: Joi.date().iso().optional().allow(''),
     endDate: Joi.date().iso().optional().allow(''),
     frequency: Joi.string().valid('Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly').optional().allow(''),
-    status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable').optional().allow(''),
+    status: Joi.string().valid(...timelineStatuses).optional().allow(''),
   }),
 };
 
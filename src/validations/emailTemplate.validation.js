@@ -1,5 +1,16 @@
 import Joi from 'joi';
 import { objectId } from './custom.validation.js';
+import { SMTP_ACCOUNT_NAMES } from '../config/config.js';
+
+const reminderSchema = Joi.object().keys({
+  enabled: Joi.boolean(),
+  daysBefore: Joi.array().items(Joi.number().integer().min(0).max(365)).unique(),
+  onOverdue: Joi.boolean(),
+  overdueRepeatDays: Joi.number().integer().min(0).max(365),
+  fromAccount: Joi.string()
+    .valid(...SMTP_ACCOUNT_NAMES)
+    .allow(null),
+});
 
 const createTemplate = {
   body: Joi.object().keys({
@@ -10,6 +21,7 @@ const createTemplate = {
     branch: Joi.string().custom(objectId).optional().allow(null),
     activity: Joi.string().custom(objectId).optional().allow(null),
     subactivity: Joi.string().custom(objectId).optional().allow(null),
+    reminder: reminderSchema.optional(),
   }),
 };
 
@@ -43,6 +55,7 @@ const updateTemplate = {
       branch: Joi.string().custom(objectId).allow(null),
       activity: Joi.string().custom(objectId).allow(null),
       subactivity: Joi.string().custom(objectId).allow(null),
+      reminder: reminderSchema,
     })
     .min(1),
 };
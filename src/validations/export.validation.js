@@ -0,0 +1,29 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const reportExportQuery = Joi.object().keys({
+  year: Joi.string()
+    .trim()
+    .pattern(/^\d{4}(-\d{4})?$/)
+    .optional(), // e.g. "2024" or "2024-2025"
+  format: Joi.string().valid('csv', 'xlsx', 'pdf').default('pdf'),
+});
+
+const exportClientReport = {
+  params: Joi.object().keys({
+    clientId: Joi.string().custom(objectId).required(),
+  }),
+  query: reportExportQuery,
+};
+
+const exportGroupReport = {
+  params: Joi.object().keys({
+    groupId: Joi.string().custom(objectId).required(),
+  }),
+  query: reportExportQuery,
+};
+
+export default {
+  exportClientReport,
+  exportGroupReport,
+};
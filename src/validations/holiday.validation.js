@@ -0,0 +1,62 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const createHoliday = {
+  body: Joi.object().keys({
+    name: Joi.string().required().trim(),
+    date: Joi.date().iso().required(),
+    type: Joi.string().valid('national', 'state').default('national'),
+    states: Joi.array()
+      .items(Joi.string().trim())
+      .when('type', { is: 'state', then: Joi.array().min(1).required() }),
+  }),
+};
+
+const getHolidays = {
+  query: Joi.object().keys({
+    type: Joi.string().valid('national', 'state'),
+    state: Joi.string().trim(),
+    year: Joi.number().integer().min(2000),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getHoliday = {
+  params: Joi.object().keys({
+    holidayId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateHoliday = {
+  params: Joi.object().keys({
+    holidayId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim(),
+      date: Joi.date().iso(),
+      type: Joi.string().valid('national', 'state'),
+      states: Joi.array().items(Joi.string().trim()),
+    })
+    .min(1),
+};
+
+const deleteHoliday = {
+  params: Joi.object().keys({
+    holidayId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const reshiftTimelines = {
+  body: Joi.object().keys({
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    state: Joi.string().trim(),
+  }),
+};
+
+export { createHoliday, getHolidays, getHoliday, updateHoliday, deleteHoliday, reshiftTimelines };
@@ -14,6 +14,13 @@ import * as taskValidation from './task.validation.js';
 import * as businessMasterValidation from './businessMaster.validation.js';
 import * as entityTypeMasterValidation from './entityTypeMaster.validation.js';
 import * as emailTemplateValidation from './emailTemplate.validation.js';
+import * as otpLockoutValidation from './otpLockout.validation.js';
+import * as auditLogValidation from './auditLog.validation.js';
+import * as complianceCalendarValidation from './complianceCalendar.validation.js';
+import * as holidayValidation from './holiday.validation.js';
+import * as clientReminderValidation from './clientReminder.validation.js';
+import * as jobValidation from './job.validation.js';
+import * as cronValidation from './cron.validation.js';
 
 export {
   authValidation,
@@ -32,4 +39,11 @@ export {
   businessMasterValidation,
   entityTypeMasterValidation,
   emailTemplateValidation,
+  otpLockoutValidation,
+  auditLogValidation,
+  complianceCalendarValidation,
+  holidayValidation,
+  clientReminderValidation,
+  jobValidation,
+  cronValidation,
 };
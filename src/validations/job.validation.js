@@ -0,0 +1,27 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const getJobs = {
+  query: Joi.object().keys({
+    type: Joi.string().trim(),
+    status: Joi.string().valid('queued', 'running', 'completed', 'failed'),
+    createdBy: Joi.string().custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getJob = {
+  params: Joi.object().keys({
+    jobId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const retryJob = {
+  params: Joi.object().keys({
+    jobId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export { getJobs, getJob, retryJob };
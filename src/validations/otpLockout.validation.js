@@ -0,0 +1,22 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const getOtpLockouts = {
+  query: Joi.object().keys({
+    identifier: Joi.string().trim(),
+    userModel: Joi.string().valid('Client', 'TeamMember'),
+    reason: Joi.string().valid('tooManyRequests', 'tooManyFailedAttempts'),
+    active: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const clearOtpLockout = {
+  params: Joi.object().keys({
+    lockoutId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export { getOtpLockouts, clearOtpLockout };
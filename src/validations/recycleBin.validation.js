@@ -0,0 +1,55 @@
+import Joi from 'joi';
+import { objectId } from './custom.validation.js';
+
+const deletedQuery = {
+  branch: Joi.string().custom(objectId),
+  deletedBy: Joi.string().custom(objectId),
+  sortBy: Joi.string(),
+  limit: Joi.number().integer(),
+  page: Joi.number().integer(),
+};
+
+const getDeletedClients = {
+  query: Joi.object().keys(deletedQuery),
+};
+
+const getDeletedTimelines = {
+  query: Joi.object().keys({
+    ...deletedQuery,
+    client: Joi.string().custom(objectId),
+  }),
+};
+
+const getDeletedTasks = {
+  query: Joi.object().keys({
+    ...deletedQuery,
+    teamMember: Joi.string().custom(objectId),
+  }),
+};
+
+const restoreClient = {
+  params: Joi.object().keys({
+    clientId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const restoreTimeline = {
+  params: Joi.object().keys({
+    timelineId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const restoreTask = {
+  params: Joi.object().keys({
+    taskId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+export default {
+  getDeletedClients,
+  getDeletedTimelines,
+  getDeletedTasks,
+  restoreClient,
+  restoreTimeline,
+  restoreTask,
+};
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { objectId } from './custom.validation.js';
+import { timelineStatuses } from '../config/timelineWorkflow.js';
 
 const createTask = {
   body: Joi.object().keys({
@@ -116,7 +117,8 @@ const updateTask = {
       timelineUpdates: Joi.array().items(
         Joi.object().keys({
           timelineId: Joi.string().custom(objectId).required(),
-          status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable'),
+          status: Joi.string().valid(...timelineStatuses),
+          statusReason: Joi.string().trim().max(500),
           referenceNumber: Joi.string().allow('').max(255),
           completedAt: Joi.date().allow(null),
         }).min(2) // must include timelineId + at least one field to update
@@ -392,7 +394,8 @@ const updateTaskOfAccessibleTeamMember = {
       timelineUpdates: Joi.array().items(
         Joi.object().keys({
           timelineId: Joi.string().custom(objectId).required(),
-          status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable'),
+          status: Joi.string().valid(...timelineStatuses),
+          statusReason: Joi.string().trim().max(500),
           referenceNumber: Joi.string().allow('').max(255),
           completedAt: Joi.date().allow(null),
         }).min(2)
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { objectId } from './custom.validation.js';
+import { timelineStatuses } from '../config/timelineWorkflow.js';
 
 const generateOTP = {
   body: Joi.object().keys({
@@ -99,8 +100,10 @@ const updateTask = {
           .description('Reference number for the timeline'),
         completedAt: Joi.date().allow(null).optional()
           .description('Completion date for the timeline'),
-        status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable').optional()
-          .description('Status for the timeline')
+        status: Joi.string().valid(...timelineStatuses).optional()
+          .description('Status for the timeline'),
+        statusReason: Joi.string().trim().max(500).optional()
+          .description('Reason for the status change (required for not applicable)')
       }).min(2) // timelineId + at least one field to update
     ).optional()
       .description('Array of timeline updates')
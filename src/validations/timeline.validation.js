@@ -1,5 +1,7 @@
 import Joi from 'joi';
 import { objectId } from './custom.validation.js';
+import { timelineStatuses, timelineInitialStatuses } from '../config/timelineWorkflow.js';
+import { COMPLIANCE_FORM_CODES } from '../jobs/timelineGenerator/complianceCalendar.js';
 
 // Frequency configuration validation schema
 const frequencyConfigSchema = Joi.object({
@@ -51,7 +53,7 @@ const createTimeline = {
       Joi.string().custom(objectId),
       Joi.array().items(Joi.string().custom(objectId)).min(1).max(1)
     ).required(),
-    status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable').required(),
+    status: Joi.string().valid(...timelineInitialStatuses).required(),
     subactivity: Joi.string().custom(objectId).optional(),
     period: Joi.string().trim().optional(),
     dueDate: Joi.date().optional(),
@@ -83,7 +85,7 @@ const getTimelines = {
       Joi.string().custom(objectId),
       Joi.string().trim()
     ),
-    status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable'),
+    status: Joi.string().valid(...timelineStatuses),
     search: Joi.string(),
     branch: Joi.string().custom(objectId),
     group: Joi.alternatives().try(
@@ -123,7 +125,8 @@ const updateTimeline = {
     .keys({
       activity: Joi.string().custom(objectId),
       client: Joi.string().custom(objectId),
-      status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable'),
+      status: Joi.string().valid(...timelineStatuses),
+      statusReason: Joi.string().trim().max(500),
       subactivity: Joi.string().custom(objectId),
       period: Joi.string().trim(),
       dueDate: Joi.date(),
@@ -148,6 +151,48 @@ const updateTimeline = {
     .min(1),
 };
 
+const updateTimelineStatus = {
+  params: Joi.object().keys({
+    timelineId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string()
+      .valid(...timelineStatuses)
+      .required(),
+    reason: Joi.string().trim().max(500),
+  }),
+};
+
+const getTimelineDocuments = {
+  params: Joi.object().keys({
+    timelineId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateTimelineDocument = {
+  params: Joi.object().keys({
+    timelineId: Joi.string().custom(objectId).required(),
+    itemId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      status: Joi.string().valid('pending', 'received', 'not applicable'),
+      files: Joi.array().items(Joi.string().custom(objectId)),
+      remarks: Joi.string().trim().allow('').max(500),
+    })
+    .min(1),
+};
+
+const sendDocumentRequest = {
+  params: Joi.object().keys({
+    timelineId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    templateId: Joi.string().custom(objectId),
+    to: Joi.string().email(),
+  }),
+};
+
 const deleteTimeline = {
   params: Joi.object().keys({
     timelineId: Joi.string().custom(objectId),
@@ -160,7 +205,7 @@ const bulkImportTimelines = {
       Joi.object().keys({
         activity: Joi.string().custom(objectId).required(),
         client: Joi.string().custom(objectId).required(),
-        status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable').required(),
+        status: Joi.string().valid(...timelineInitialStatuses).required(),
         subactivity: Joi.string().custom(objectId).optional(),
         period: Joi.string().trim().optional(),
         dueDate: Joi.date().optional(),
@@ -190,19 +235,91 @@ const bulkImportTimelineFields = {
             fieldValue: Joi.any().required(),
           })
         ).optional(),
-        status: Joi.string().valid('pending', 'completed', 'delayed', 'ongoing', 'not applicable').optional(),
+        status: Joi.string().valid(...timelineStatuses).optional(),
+        statusReason: Joi.string().trim().max(500).optional(),
         completedAt: Joi.date().optional(),
       })
     ).min(1).required(),
   }),
 };
 
+// Subactivity as it would be saved, to preview timelines before adding or changing it
+const subactivityChangesSchema = Joi.object({
+  name: Joi.string().trim(),
+  frequency: Joi.string().valid('None', 'OneTime', 'Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly'),
+  frequencyConfig: frequencyConfigSchema,
+  complianceForm: Joi.string()
+    .valid(...COMPLIANCE_FORM_CODES)
+    .allow(null),
+  documentChecklist: Joi.array().items(
+    Joi.object({
+      name: Joi.string().trim().required(),
+      description: Joi.string().trim().allow(''),
+      required: Joi.boolean(),
+    })
+  ),
+  fields: Joi.array().items(Joi.object({ name: Joi.string().trim().required(), type: Joi.string() }).unknown(true)),
+});
+
+const previewTimelines = {
+  body: Joi.object().keys({
+    source: Joi.string().valid('generator', 'bulkCreate', 'client').required(),
+    // generator: Daily/Monthly/Quarterly/Yearly (all when omitted), with a period only for a single frequency;
+    // bulkCreate: as in the bulk create body
+    frequency: Joi.string().valid('None', 'OneTime', 'Hourly', 'Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly'),
+    period: Joi.string().trim(),
+    // bulkCreate: the body of POST /v1/activities/bulk-create-timelines
+    clientIds: Joi.array()
+      .items(Joi.string().custom(objectId))
+      .min(1)
+      .max(1000)
+      .when('source', { is: 'bulkCreate', then: Joi.required() }),
+    activityId: Joi.string().custom(objectId).when('source', { is: 'bulkCreate', then: Joi.required() }),
+    subactivityId: Joi.string().custom(objectId),
+    subactivity: subactivityChangesSchema,
+    status: Joi.string().valid(...timelineStatuses),
+    dueDate: Joi.date(),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    timelineType: Joi.string().valid('oneTime', 'recurring'),
+    financialYear: Joi.string().trim(),
+    notes: Joi.string().allow(''),
+    // client: one client, for one activity or all its assigned activities
+    clientId: Joi.string().custom(objectId).when('source', { is: 'client', then: Joi.required() }),
+  }),
+};
+
+// Create the missing recurring timelines of a financial year
+const backfillTimelines = {
+  body: Joi.object().keys({
+    financialYear: Joi.string()
+      .trim()
+      .pattern(/^\d{4}-\d{4}$/)
+      .required(),
+    activityId: Joi.string().custom(objectId),
+    subactivityIds: Joi.array().items(Joi.string().custom(objectId)).when('activityId', {
+      is: Joi.exist(),
+      otherwise: Joi.forbidden(),
+    }),
+    branchIds: Joi.array().items(Joi.string().custom(objectId)),
+    clientIds: Joi.array().items(Joi.string().custom(objectId)).max(1000),
+    frequencies: Joi.array().items(Joi.string().valid('Monthly', 'Quarterly', 'Yearly')).min(1),
+    dryRun: Joi.boolean(),
+  }),
+};
+
 export {
   createTimeline,
   getTimelines,
   getTimeline,
   updateTimeline,
+  updateTimelineStatus,
+  getTimelineDocuments,
+  updateTimelineDocument,
+  sendDocumentRequest,
   deleteTimeline,
   bulkImportTimelines,
   bulkImportTimelineFields,
+  previewTimelines,
+  backfillTimelines,
 };
\ No newline at end of file
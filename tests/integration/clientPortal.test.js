@@ -0,0 +1,119 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import moment from 'moment';
+import app from '../../src/app.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import { tokenTypes } from '../../src/config/tokens.js';
+import { Activity, Client, Timeline } from '../../src/models/index.js';
+import { generateToken } from '../../src/services/token.service.js';
+import { getCurrentFinancialYear } from '../../src/utils/financialYear.js';
+import { branchOne, insertBranches } from '../fixtures/branch.fixture.js';
+import { userOne, insertUsers } from '../fixtures/user.fixture.js';
+
+setupTestDB();
+
+describe('Client portal routes', () => {
+  const financialYear = getCurrentFinancialYear().yearString;
+  const clientA = { _id: new mongoose.Types.ObjectId(), name: 'Acme Traders', pan: 'ABCPK1234L', branch: branchOne._id };
+  const clientB = { _id: new mongoose.Types.ObjectId(), name: 'Zenith Exports', pan: 'ZENPK5678Q', branch: branchOne._id };
+  let activity;
+  let clientBTimeline;
+
+  const accessTokenFor = (id, type) => generateToken(id, moment().add(1, 'hour'), type);
+  const clientAToken = () => accessTokenFor(clientA._id, tokenTypes.CLIENT_ACCESS);
+
+  beforeEach(async () => {
+    await insertBranches([branchOne]);
+    await Client.insertMany([clientA, clientB]);
+    activity = await Activity.create({ name: 'GST', sortOrder: 1 });
+    const timeline = (client, status) => ({
+      activity: activity._id,
+      client: client._id,
+      branch: branchOne._id,
+      status,
+      financialYear,
+      period: 'April-2025',
+    });
+    [, , clientBTimeline] = await Timeline.insertMany([
+      timeline(clientA, 'ready for review'),
+      timeline(clientA, 'filed'),
+      timeline(clientB, 'ongoing'),
+    ]);
+  });
+
+  describe('GET /v1/client-auth/compliance-status', () => {
+    test("should return only the logged-in client's timelines, with client-facing statuses", async () => {
+      const res = await request(app)
+        .get('/v1/client-auth/compliance-status')
+        .set('Authorization', `Bearer ${clientAToken()}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.total).toBe(2);
+      const [group] = res.body.data.financialYears;
+      expect(group.timelines.map((t) => t._id)).not.toContain(clientBTimeline._id.toString());
+      expect(group.timelines.map((t) => t.status).sort()).toEqual(['filed', 'in progress']);
+      expect(group.statusSummary).toEqual({ total: 2, filed: 1, 'in progress': 1 });
+    });
+
+    test('should filter by client-facing status and reject internal ones', async () => {
+      const res = await request(app)
+        .get('/v1/client-auth/compliance-status?status=in progress')
+        .set('Authorization', `Bearer ${clientAToken()}`)
+        .send()
+        .expect(httpStatus.OK);
+      expect(res.body.data.total).toBe(1);
+
+      await request(app)
+        .get('/v1/client-auth/compliance-status?status=ready for review')
+        .set('Authorization', `Bearer ${clientAToken()}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should not take another client id from the query', async () => {
+      await request(app)
+        .get(`/v1/client-auth/compliance-status?client=${clientB._id}`)
+        .set('Authorization', `Bearer ${clientAToken()}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should reject staff access tokens', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/client-auth/compliance-status')
+        .set('Authorization', `Bearer ${accessTokenFor(userOne._id, tokenTypes.ACCESS)}`)
+        .send()
+        .expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/client-auth/year-report', () => {
+    test('should report on the logged-in client only, with client-facing statuses', async () => {
+      const res = await request(app)
+        .get(`/v1/client-auth/year-report?year=${financialYear}`)
+        .set('Authorization', `Bearer ${clientAToken()}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      const report = res.body.data;
+      expect(report.client._id).toBe(clientA._id.toString());
+      expect(report.timelines).toHaveLength(2);
+      expect(report.timelines.map((t) => t._id)).not.toContain(clientBTimeline._id.toString());
+      expect(report.statusSummary).toEqual(expect.objectContaining({ inProgress: 1, filed: 1, total: 2 }));
+      expect(report.statusSummary).not.toHaveProperty('readyForReview');
+      expect(report.pendings.map((t) => t.status)).toEqual(['in progress']);
+    });
+
+    test('should not take another client id from the query', async () => {
+      await request(app)
+        .get(`/v1/client-auth/year-report?clientId=${clientB._id}`)
+        .set('Authorization', `Bearer ${clientAToken()}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+});
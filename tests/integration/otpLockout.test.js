@@ -0,0 +1,108 @@
+import request from 'supertest';
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import moment from 'moment';
+import app from '../../src/app.js';
+import setupTestDB from '../utils/setupTestDB.js';
+import config from '../../src/config/config.js';
+import { tokenTypes } from '../../src/config/tokens.js';
+import { Role, OtpLockout, OtpIssuance } from '../../src/models/index.js';
+import { generateToken } from '../../src/services/token.service.js';
+import { userOne, admin, insertUsers } from '../fixtures/user.fixture.js';
+
+setupTestDB();
+
+describe('OTP lockout routes', () => {
+  const memberId = new mongoose.Types.ObjectId();
+  let adminAccessToken;
+  let userAccessToken;
+  let activeLockout;
+
+  const accessTokenFor = (user) =>
+    generateToken(user._id, moment().add(config.jwt.accessExpirationMinutes, 'minutes'), tokenTypes.ACCESS);
+
+  beforeEach(async () => {
+    const [adminRole, staffRole] = await Role.create([{ name: 'admin' }, { name: 'staff' }]);
+    await insertUsers([
+      { ...admin, role: adminRole._id },
+      { ...userOne, role: staffRole._id },
+    ]);
+    adminAccessToken = accessTokenFor(admin);
+    userAccessToken = accessTokenFor(userOne);
+
+    [activeLockout] = await OtpLockout.create([
+      {
+        identifier: 'asha@firm.in',
+        user: memberId,
+        userModel: 'TeamMember',
+        reason: 'tooManyFailedAttempts',
+        count: 10,
+        lockedUntil: moment().add(20, 'minutes').toDate(),
+      },
+      {
+        identifier: 'ABCPK1234L',
+        user: new mongoose.Types.ObjectId(),
+        userModel: 'Client',
+        reason: 'tooManyRequests',
+        count: 5,
+        lockedUntil: moment().subtract(1, 'hour').toDate(),
+      },
+    ]);
+    await OtpIssuance.create({ user: memberId, type: tokenTypes.TEAM_MEMBER_OTP, windowStart: new Date(), count: 6 });
+  });
+
+  describe('GET /v1/otp-lockouts', () => {
+    test('should list only the active lockouts when active is set', async () => {
+      const res = await request(app)
+        .get('/v1/otp-lockouts?active=true')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toEqual(
+        expect.objectContaining({ id: activeLockout.id, identifier: 'asha@firm.in', reason: 'tooManyFailedAttempts' })
+      );
+    });
+
+    test('should return 403 without the getSystem permission', async () => {
+      await request(app)
+        .get('/v1/otp-lockouts')
+        .set('Authorization', `Bearer ${userAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/otp-lockouts/:lockoutId/clear', () => {
+    test('should clear the lockout and restart the hourly OTP count', async () => {
+      const res = await request(app)
+        .post(`/v1/otp-lockouts/${activeLockout.id}/clear`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.clearedBy).toBe(admin._id.toHexString());
+      expect(res.body.clearedAt).toBeDefined();
+      expect(await OtpIssuance.countDocuments({ user: memberId })).toBe(0);
+    });
+
+    test('should return 400 when the lockout is already cleared', async () => {
+      await OtpLockout.updateOne({ _id: activeLockout._id }, { clearedAt: new Date() });
+
+      await request(app)
+        .post(`/v1/otp-lockouts/${activeLockout.id}/clear`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 without the manageSystem permission', async () => {
+      await request(app)
+        .post(`/v1/otp-lockouts/${activeLockout.id}/clear`)
+        .set('Authorization', `Bearer ${userAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+});
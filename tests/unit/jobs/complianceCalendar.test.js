@@ -0,0 +1,61 @@
+import { detectComplianceForm, getStatutoryDueDate } from '../../../src/jobs/timelineGenerator/complianceCalendar';
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('compliance calendar', () => {
+  describe('detectComplianceForm', () => {
+    test('should prefer the explicit complianceForm of the subactivity', () => {
+      expect(detectComplianceForm({ name: 'Monthly return', frequency: 'Monthly', complianceForm: 'GSTR1' })).toBe('GSTR1');
+    });
+
+    test('should pick the form matching the name and frequency', () => {
+      expect(detectComplianceForm({ name: 'GSTR-3B', frequency: 'Monthly' })).toBe('GSTR3B');
+      expect(detectComplianceForm({ name: 'GSTR 3B Filing', frequency: 'Quarterly' })).toBe('GSTR3B_QRMP');
+      expect(detectComplianceForm({ name: 'GSTR-9C Reconciliation', frequency: 'Yearly' })).toBe('GSTR9C');
+      expect(detectComplianceForm({ name: '26Q Return', frequency: 'Quarterly' })).toBe('TDS_RETURN');
+    });
+
+    test('should return null for unknown names or mismatched frequencies', () => {
+      expect(detectComplianceForm({ name: 'Bookkeeping', frequency: 'Monthly' })).toBeNull();
+      expect(detectComplianceForm({ name: 'GSTR-9', frequency: 'Monthly' })).toBeNull();
+    });
+  });
+
+  describe('getStatutoryDueDate', () => {
+    test('should return monthly GST dates in the period month', () => {
+      expect(ymd(getStatutoryDueDate('GSTR1', 'May-2025'))).toEqual([2025, 5, 11]);
+      expect(ymd(getStatutoryDueDate('GSTR3B', 'May-2025'))).toEqual([2025, 5, 20]);
+    });
+
+    test('should use the state category for quarterly GSTR-3B', () => {
+      expect(ymd(getStatutoryDueDate('GSTR3B_QRMP', 'Q1-2025', { state: 'Maharashtra' }))).toEqual([2025, 7, 22]);
+      expect(ymd(getStatutoryDueDate('GSTR3B_QRMP', 'Q1-2025', { state: 'Delhi' }))).toEqual([2025, 7, 24]);
+      expect(ymd(getStatutoryDueDate('GSTR3B_QRMP', 'Q1-2025', { state: '07' }))).toEqual([2025, 7, 24]);
+    });
+
+    test('should return TDS return dates by quarter', () => {
+      expect(ymd(getStatutoryDueDate('TDS_RETURN', 'Q1-2025'))).toEqual([2025, 7, 31]);
+      expect(ymd(getStatutoryDueDate('TDS_RETURN', 'Q3-2026'))).toEqual([2026, 1, 31]);
+      expect(ymd(getStatutoryDueDate('TDS_RETURN', 'Q4-2026'))).toEqual([2026, 5, 31]);
+    });
+
+    test('should move the ITR date for audit and transfer pricing cases', () => {
+      expect(ymd(getStatutoryDueDate('ITR', '2025-2026', { entityType: 'Individual' }))).toEqual([2025, 7, 31]);
+      expect(ymd(getStatutoryDueDate('ITR', '2025-2026', { entityType: 'Private Limited Company' }))).toEqual([
+        2025, 10, 31,
+      ]);
+      expect(ymd(getStatutoryDueDate('ITR', '2025-2026', { auditApplicable: true }))).toEqual([2025, 10, 31]);
+      expect(ymd(getStatutoryDueDate('ITR', '2025-2026', { transferPricing: true }))).toEqual([2025, 11, 30]);
+    });
+
+    test('should count MCA forms from the AGM date', () => {
+      expect(ymd(getStatutoryDueDate('AOC4', '2025-2026'))).toEqual([2025, 10, 30]);
+      expect(ymd(getStatutoryDueDate('MGT7', '2025-2026', { agmDate: '2025-09-15' }))).toEqual([2025, 11, 14]);
+    });
+
+    test('should return null for an invalid period', () => {
+      expect(getStatutoryDueDate('GSTR1', 'Q1-2025')).toBeNull();
+      expect(getStatutoryDueDate('UNKNOWN', 'May-2025')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { getPeriodFromDate, getDateFromPeriod, getFinancialYearPeriods } from '../../../src/jobs/timelineGenerator/period';
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('timeline periods', () => {
+  test('should parse each frequency back to the first day of its period', () => {
+    expect(ymd(getDateFromPeriod('2025-06-14', 'Daily'))).toEqual([2025, 6, 14]);
+    expect(ymd(getDateFromPeriod('June-2025', 'Monthly'))).toEqual([2025, 6, 1]);
+    expect(ymd(getDateFromPeriod('Q2-2025', 'Quarterly'))).toEqual([2025, 10, 1]);
+    expect(ymd(getDateFromPeriod('Q3-2026', 'Quarterly'))).toEqual([2026, 1, 1]);
+    expect(ymd(getDateFromPeriod('2025-2026', 'Yearly'))).toEqual([2025, 4, 1]);
+  });
+
+  test('should give back the same period', () => {
+    ['Q1-2025', 'Q2-2025', 'Q3-2025', 'Q4-2025'].forEach((period) => {
+      expect(getPeriodFromDate(getDateFromPeriod(period, 'Quarterly'), 'Quarterly')).toBe(period);
+    });
+  });
+
+  test('should reject periods of another frequency or invalid dates', () => {
+    expect(getDateFromPeriod('Q2-2025', 'Monthly')).toBeNull();
+    expect(getDateFromPeriod('Jun-2025', 'Monthly')).toBeNull();
+    expect(getDateFromPeriod('2025-02-30', 'Daily')).toBeNull();
+    expect(getDateFromPeriod('2025-2027', 'Yearly')).toBeNull();
+  });
+
+  test('should list the periods of a financial year from April to March', () => {
+    const monthly = getFinancialYearPeriods('Monthly', 2024);
+    expect(monthly).toHaveLength(12);
+    expect([monthly[0], monthly[11]]).toEqual(['April-2024', 'March-2025']);
+    expect(getFinancialYearPeriods('Quarterly', 2024)).toEqual(['Q4-2024', 'Q1-2024', 'Q2-2024', 'Q3-2025']);
+    expect(getFinancialYearPeriods('Yearly', 2024)).toEqual(['2024-2025']);
+    expect(getFinancialYearPeriods('Daily', 2024)).toEqual([]);
+  });
+});
@@ -0,0 +1,31 @@
+import createTrackedRun from '../../../src/jobs/trackedRun';
+
+describe('tracked job runs', () => {
+  test('should keep the counts of the last run and skip a run while one is in progress', async () => {
+    let finish;
+    const fn = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          finish = resolve;
+        })
+    );
+    const { run, getStatus } = createTrackedRun('Test job', fn, { sent: 0 });
+    expect(getStatus()).toEqual({ isRunning: false, lastRunAt: null, durationMs: null, sent: 0, error: null });
+
+    const first = run();
+    const skipped = await run();
+    expect(skipped.isRunning).toBe(true);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    finish({ sent: 3 });
+    await expect(first).resolves.toEqual({ sent: 3 });
+    expect(getStatus()).toEqual(expect.objectContaining({ isRunning: false, sent: 3, error: null }));
+  });
+
+  test('should record the error of a failed run and rethrow it', async () => {
+    const { run, getStatus } = createTrackedRun('Test job', () => Promise.reject(new Error('SMTP down')));
+
+    await expect(run()).rejects.toThrow('SMTP down');
+    expect(getStatus()).toEqual(expect.objectContaining({ isRunning: false, error: 'SMTP down' }));
+  });
+});
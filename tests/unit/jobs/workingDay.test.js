@@ -0,0 +1,39 @@
+import { isWorkingDay, shiftToWorkingDay, toHolidayKey } from '../../../src/jobs/timelineGenerator/workingDay';
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+const holidays = [
+  { date: new Date('2025-08-15'), type: 'national' },
+  { date: new Date('2025-08-18'), type: 'state', states: ['Maharashtra'] },
+];
+
+describe('working day shifting', () => {
+  test('should keep a date that is already a working day', () => {
+    expect(isWorkingDay(new Date(2025, 7, 14), holidays)).toBe(true);
+    expect(ymd(shiftToWorkingDay(new Date(2025, 7, 14), holidays))).toEqual([2025, 8, 14]);
+  });
+
+  test('should move Sundays to Monday', () => {
+    expect(ymd(shiftToWorkingDay(new Date(2025, 7, 17)))).toEqual([2025, 8, 18]);
+  });
+
+  test('should skip national holidays in every state', () => {
+    expect(ymd(shiftToWorkingDay(new Date(2025, 7, 15), holidays, 'Delhi'))).toEqual([2025, 8, 16]);
+  });
+
+  test('should skip state holidays only in that state', () => {
+    expect(ymd(shiftToWorkingDay(new Date(2025, 7, 17), holidays, 'Maharashtra'))).toEqual([2025, 8, 19]);
+    expect(ymd(shiftToWorkingDay(new Date(2025, 7, 17), holidays, 'Gujarat'))).toEqual([2025, 8, 18]);
+    expect(ymd(shiftToWorkingDay(new Date(2025, 7, 17), holidays, '27'))).toEqual([2025, 8, 19]);
+  });
+
+  test('should keep the time of day', () => {
+    const shifted = shiftToWorkingDay(new Date(2025, 7, 17, 18, 30), holidays);
+    expect([shifted.getHours(), shifted.getMinutes()]).toEqual([18, 30]);
+  });
+
+  test('should read holiday dates in UTC', () => {
+    expect(toHolidayKey(new Date('2025-08-15'))).toBe('2025-08-15');
+    expect(toHolidayKey('2025-08-15T00:00:00.000Z')).toBe('2025-08-15');
+  });
+});
@@ -0,0 +1,33 @@
+import httpMocks from 'node-mocks-http';
+import requestContext from '../../../src/middlewares/requestContext.js';
+import { getRequestContext } from '../../../src/utils/requestContext.js';
+
+describe('Request context middleware', () => {
+  const run = (headers) => {
+    const req = httpMocks.createRequest({ headers });
+    const res = httpMocks.createResponse();
+    let context;
+    requestContext()(req, res, () => {
+      context = getRequestContext();
+    });
+    return { req, res, context };
+  };
+
+  test('should keep a well-formed incoming X-Request-Id', () => {
+    const { req, res, context } = run({ 'x-request-id': 'req-42_abc' });
+
+    expect(req.id).toBe('req-42_abc');
+    expect(res.getHeader('X-Request-Id')).toBe('req-42_abc');
+    expect(context.requestId).toBe('req-42_abc');
+  });
+
+  test('should replace a malformed or overlong X-Request-Id with a generated one', () => {
+    ['bad\r\nid', 'a'.repeat(65), 'id with spaces'].forEach((incomingId) => {
+      const { req, res } = run({ 'x-request-id': incomingId });
+
+      expect(req.id).not.toBe(incomingId);
+      expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(res.getHeader('X-Request-Id')).toBe(req.id);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+import Client from '../../../src/models/client.model.js';
+
+describe('Client model', () => {
+  describe('GSTIN validation', () => {
+    let clientBody;
+    beforeEach(() => {
+      clientBody = {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Bharat Traders',
+        branch: new mongoose.Types.ObjectId(),
+        category: 'C',
+        pan: 'AAFFB1234C',
+        gstNumbers: [
+          {
+            _id: new mongoose.Types.ObjectId(),
+            state: 'Maharashtra',
+            gstNumber: '27AAFFB1234C1Z0',
+            dateOfRegistration: new Date('2020-04-01'),
+            gstUserId: 'bharat_gst',
+          },
+        ],
+      };
+    });
+
+    test('should reject a new GSTIN with a wrong check character', async () => {
+      await expect(new Client(clientBody).validate()).rejects.toThrow();
+    });
+
+    test('should still save a stored GSTIN with a wrong check character when it is not changed', async () => {
+      const client = Client.hydrate(clientBody);
+      client.name = 'Bharat Traders LLP';
+      await expect(client.validate()).resolves.toBeUndefined();
+    });
+
+    test('should reject a stored GSTIN that is changed to another bad value', async () => {
+      const client = Client.hydrate(clientBody);
+      client.gstNumbers[0].gstNumber = '27AAFFB1234C1Z1';
+      await expect(client.validate()).rejects.toThrow();
+    });
+  });
+
+  describe('PAN validation', () => {
+    let clientBody;
+    beforeEach(() => {
+      clientBody = {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Chetan Kumar',
+        branch: new mongoose.Types.ObjectId(),
+        category: 'C',
+        pan: 'ABCXK1234L',
+      };
+    });
+
+    test('should reject a new PAN with an unknown holder type', async () => {
+      await expect(new Client(clientBody).validate()).rejects.toThrow();
+    });
+
+    test('should still save a stored PAN with an unknown holder type when it is not changed', async () => {
+      const client = Client.hydrate(clientBody);
+      client.name = 'Chetan Kumar HUF';
+      await expect(client.validate()).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import setupTestDB from '../../../utils/setupTestDB';
+import audit from '../../../../src/models/plugins/audit.plugin';
+import AuditLog from '../../../../src/models/auditLog.model';
+import { runWithRequestContext } from '../../../../src/utils/requestContext';
+
+const widgetSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    default: 'pending',
+  },
+});
+
+widgetSchema.plugin(audit, { entityType: 'Client' });
+const Widget = mongoose.model('AuditedWidget', widgetSchema);
+
+setupTestDB();
+
+describe('audit plugin', () => {
+  test('should log a create with the new values', async () => {
+    const widget = await Widget.create({ name: 'GSTR-3B' });
+
+    const logs = await AuditLog.find({ entityId: widget._id });
+    expect(logs).toHaveLength(1);
+    expect(logs[0].action).toBe('create');
+    expect(logs[0].actorModel).toBe('System');
+    expect(logs[0].changes.map((change) => change.field)).toEqual(expect.arrayContaining(['name', 'status']));
+  });
+
+  test('should log only the fields changed by save', async () => {
+    const widget = await Widget.create({ name: 'GSTR-3B' });
+    widget.status = 'completed';
+    await widget.save();
+
+    const log = await AuditLog.findOne({ entityId: widget._id, action: 'update' });
+    expect(log.changes).toHaveLength(1);
+    expect(log.changes[0]).toMatchObject({ field: 'status', before: 'pending', after: 'completed' });
+  });
+
+  test('should log query updates and deletes', async () => {
+    const widget = await Widget.create({ name: 'GSTR-1' });
+    await Widget.findOneAndUpdate({ _id: widget._id }, { status: 'ongoing' });
+    await Widget.deleteOne({ _id: widget._id });
+
+    const actions = (await AuditLog.find({ entityId: widget._id }).sort('createdAt')).map((log) => log.action);
+    expect(actions).toEqual(['create', 'update', 'delete']);
+  });
+
+  test('should not log an update that changes nothing', async () => {
+    const widget = await Widget.create({ name: 'GSTR-1' });
+    await Widget.updateOne({ _id: widget._id }, { name: 'GSTR-1' });
+
+    expect(await AuditLog.countDocuments({ entityId: widget._id, action: 'update' })).toBe(0);
+  });
+
+  test('should log updateMany with the update document as the change', async () => {
+    const widgets = await Widget.create([{ name: 'GSTR-1' }, { name: 'GSTR-3B' }]);
+    await Widget.updateMany({}, { $set: { status: 'filed' } });
+
+    const logs = await AuditLog.find({ action: 'update', entityId: { $in: widgets.map((widget) => widget._id) } });
+    expect(logs).toHaveLength(2);
+    expect(logs[0].changes).toHaveLength(1);
+    expect(logs[0].changes[0]).toMatchObject({ field: 'status', after: 'filed' });
+  });
+
+  test('should log changes written with bulkWrite through writeAuditEntries', async () => {
+    const widget = await Widget.create({ name: 'TDS' });
+    await Widget.writeAuditEntries([
+      { action: 'update', before: widget.toObject(), after: { ...widget.toObject(), status: 'ongoing' } },
+    ]);
+
+    const log = await AuditLog.findOne({ entityId: widget._id, action: 'update' });
+    expect(log.changes[0]).toMatchObject({ field: 'status', before: 'pending', after: 'ongoing' });
+  });
+
+  test('should attribute changes to the authenticated user of the request', async () => {
+    const userId = mongoose.Types.ObjectId();
+    const req = { method: 'PATCH', originalUrl: '/v1/timelines/1', user: { id: userId, name: 'Partner' } };
+
+    const widget = await runWithRequestContext({ requestId: 'req-1', ip: '127.0.0.1', req }, () =>
+      Widget.create({ name: 'ITR' })
+    );
+
+    const log = await AuditLog.findOne({ entityId: widget._id });
+    expect(log).toMatchObject({ actorModel: 'User', actorName: 'Partner', requestId: 'req-1', ipAddress: '127.0.0.1' });
+    expect(log.actor.toString()).toBe(userId.toString());
+  });
+
+  test('should reject changes to existing audit entries', async () => {
+    const widget = await Widget.create({ name: 'TDS' });
+    await expect(AuditLog.updateMany({ entityId: widget._id }, { action: 'delete' })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import setupTestDB from '../../../utils/setupTestDB';
+import softDelete from '../../../../src/models/plugins/softDelete.plugin';
+
+const widgetSchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+});
+
+widgetSchema.plugin(softDelete);
+const Widget = mongoose.model('SoftDeletedWidget', widgetSchema);
+
+setupTestDB();
+
+describe('softDelete plugin', () => {
+  const userId = mongoose.Types.ObjectId();
+
+  test('should leave deleted documents out of queries, counts and aggregates', async () => {
+    const [kept, deleted] = await Widget.create([{ name: 'GSTR-1' }, { name: 'GSTR-3B' }]);
+    await Widget.softDeleteMany({ _id: deleted._id }, userId);
+
+    expect((await Widget.find()).map((widget) => widget.name)).toEqual(['GSTR-1']);
+    expect(await Widget.findById(deleted._id)).toBeNull();
+    expect(await Widget.countDocuments()).toBe(1);
+    expect(await Widget.aggregate([{ $group: { _id: null, count: { $sum: 1 } } }])).toEqual([{ _id: null, count: 1 }]);
+    expect(await Widget.findById(kept._id)).not.toBeNull();
+  });
+
+  test('should find deleted documents when asked for them', async () => {
+    const widget = await Widget.create({ name: 'ITR' });
+    await Widget.softDeleteMany({ _id: widget._id }, userId);
+
+    const [deleted] = await Widget.find({ isDeleted: true });
+    expect(deleted.deletedBy.toString()).toBe(userId.toString());
+    expect(deleted.deletedAt).toBeInstanceOf(Date);
+    expect(await Widget.findById(widget._id).setOptions({ withDeleted: true })).not.toBeNull();
+  });
+
+  test('should restore deleted documents', async () => {
+    const widget = await Widget.create({ name: 'TDS' });
+    await Widget.softDeleteMany({ _id: widget._id }, userId);
+
+    expect(await Widget.restoreMany({ _id: widget._id })).toBe(1);
+    const restored = await Widget.findById(widget._id);
+    expect(restored).toMatchObject({ isDeleted: false, deletedAt: null, deletedBy: null });
+  });
+
+  test('should not update deleted documents through findOneAndUpdate', async () => {
+    const widget = await Widget.create({ name: 'PF' });
+    await Widget.softDeleteMany({ _id: widget._id }, userId);
+
+    expect(await Widget.findOneAndUpdate({ _id: widget._id }, { name: 'ESI' })).toBeNull();
+    expect(await Widget.findById(widget._id).setOptions({ withDeleted: true })).toMatchObject({ name: 'PF' });
+  });
+
+  test('should leave updateMany unfiltered so references can be cleaned up on deleted documents', async () => {
+    const [kept, deleted] = await Widget.create([{ name: 'GSTR-1' }, { name: 'GSTR-3B' }]);
+    await Widget.softDeleteMany({ _id: deleted._id }, userId);
+
+    expect((await Widget.updateMany({}, { name: 'Renamed' })).nModified).toBe(2);
+    await Widget.updateMany({ _id: kept._id, isDeleted: { $ne: true } }, { name: 'GSTR-1' });
+    await Widget.updateMany({ _id: deleted._id, isDeleted: { $ne: true } }, { name: 'GSTR-3B' });
+
+    const widgets = await Widget.find().setOptions({ withDeleted: true }).sort('isDeleted');
+    expect(widgets.map((widget) => widget.name)).toEqual(['GSTR-1', 'Renamed']);
+  });
+
+  test('should not filter $lookup stages into the collection', async () => {
+    const [kept, deleted] = await Widget.create([{ name: 'GSTR-1' }, { name: 'GSTR-3B' }]);
+    await Widget.softDeleteMany({ _id: deleted._id }, userId);
+
+    const lookup = (pipeline) =>
+      Widget.aggregate([
+        { $match: { _id: kept._id } },
+        { $lookup: { from: Widget.collection.name, pipeline, as: 'widgets' } },
+      ]);
+    const [all] = await lookup([]);
+    const [live] = await lookup([{ $match: { isDeleted: { $ne: true } } }]);
+    expect(all.widgets).toHaveLength(2);
+    expect(live.widgets.map((widget) => widget.name)).toEqual(['GSTR-1']);
+  });
+
+  test('should treat documents without the flag as not deleted', async () => {
+    await Widget.collection.insertOne({ name: 'Legacy' });
+
+    expect(await Widget.countDocuments()).toBe(1);
+  });
+});
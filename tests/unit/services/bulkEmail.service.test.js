@@ -0,0 +1,38 @@
+import { getClientRecipients, getRecipientPlaceholders, primaryEmail } from '../../../src/services/bulkEmail.service';
+
+describe('client email recipients', () => {
+  const gst = 'a1';
+  const roc = 'a2';
+  const accountant = { name: 'Ravi', email: 'ravi@sharma.in', activities: [gst], primary: false };
+  const director = { name: 'Meena', email: 'meena@sharma.in', activities: [roc, gst], primary: false };
+  const owner = { name: 'Anil', email: 'anil@sharma.in', activities: [], primary: true };
+  const client = { name: 'Sharma Traders', email: 'office@sharma.in', email2: 'accounts@sharma.in' };
+
+  test('should mail the contacts listed for the activity', () => {
+    const recipients = getClientRecipients({ ...client, contacts: [accountant, director, owner] }, gst);
+
+    expect(recipients.map((recipient) => recipient.email)).toEqual(['ravi@sharma.in', 'meena@sharma.in']);
+    expect(getRecipientPlaceholders(recipients)).toEqual({ contactName: 'Ravi, Meena' });
+  });
+
+  test('should fall back to the primary contact when no contact is listed for the activity', () => {
+    const withContacts = { ...client, contacts: [accountant, owner] };
+
+    expect(primaryEmail(withContacts, roc)).toBe('anil@sharma.in');
+    expect(primaryEmail(withContacts)).toBe('anil@sharma.in');
+  });
+
+  test('should fall back to the client email without a matching or primary contact', () => {
+    expect(getClientRecipients({ ...client, contacts: [accountant] }, roc)).toEqual([
+      { name: 'Sharma Traders', email: 'office@sharma.in' },
+    ]);
+    expect(primaryEmail({ ...client, email: ' ' })).toBe('accounts@sharma.in');
+  });
+
+  test('should skip contacts without an email address', () => {
+    const noEmail = { ...accountant, email: '' };
+
+    expect(primaryEmail({ ...client, contacts: [noEmail] }, gst)).toBe('office@sharma.in');
+    expect(getClientRecipients({ name: 'No Mail', contacts: [noEmail] }, gst)).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import AWS from 'aws-sdk';
+import {
+  isWithinClientFolder,
+  uploadClientDocument,
+  getClientDocumentDownload,
+} from '../../../src/services/clientDocument.service';
+import { FileManager, Branch } from '../../../src/models';
+
+describe('client portal documents', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const clientA = { _id: id(), name: 'Acme Traders', branch: null };
+  clientA.id = clientA._id.toHexString();
+  const clientB = { _id: id(), name: 'Acme Traders LLP', branch: null };
+  clientB.id = clientB._id.toHexString();
+
+  const folder = (name, parent, metadata = {}) =>
+    new FileManager({
+      _id: id(),
+      type: 'folder',
+      folder: {
+        name,
+        parentFolder: parent ? parent._id : null,
+        isRoot: !parent,
+        path: parent ? `${parent.folder.path}/${name}` : `/${name}`,
+        metadata: { createdByClient: true, ...metadata },
+      },
+    });
+  const file = (fileName, parent) =>
+    new FileManager({
+      _id: id(),
+      type: 'file',
+      file: { fileName, fileUrl: 'https://s3/x', fileKey: `${fileName}-key`, parentFolder: parent._id, uploadedBy: id() },
+    });
+
+  const root = folder('Clients', null);
+  const folderA = folder('Acme Traders', root, { clientId: clientA._id });
+  const yearA = folder('2024-2025', folderA);
+  // Shares folder A's name as a path prefix, but is client B's
+  const folderB = folder('Acme Traders LLP', root, { clientId: clientB._id });
+  const fileA = file('gstr1.pdf', yearA);
+  const fileB = file('itr.pdf', folderB);
+  const documents = [root, folderA, yearA, folderB, fileA, fileB];
+
+  // Stands in for the query FileManager.findOne returns: awaitable, or narrowed with select/lean
+  const query = (doc) => ({
+    select: () => query(doc),
+    lean: () => Promise.resolve(doc),
+    then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject),
+  });
+
+  beforeEach(() => {
+    jest.spyOn(FileManager, 'findOne').mockImplementation((filter) => {
+      const clientId = filter['folder.metadata.clientId'];
+      const doc = clientId
+        ? documents.find((item) => item.folder && clientId.equals(item.folder.metadata.clientId))
+        : documents.find((item) => item._id.equals(filter._id) && (!filter.type || item.type === filter.type));
+      return query(doc || null);
+    });
+    jest.spyOn(FileManager, 'isFileNameTaken').mockResolvedValue(false);
+    jest.spyOn(FileManager, 'create').mockImplementation((doc) => Promise.resolve(new FileManager(doc)));
+    jest.spyOn(Branch, 'findById').mockReturnValue(query(null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isWithinClientFolder', () => {
+    test('should accept the client folder and folders anywhere below it', async () => {
+      expect(await isWithinClientFolder(folderA, folderA)).toBe(true);
+      expect(await isWithinClientFolder(yearA, folderA)).toBe(true);
+    });
+
+    test("should reject another client's folder even when its path starts with the same name", async () => {
+      expect(await isWithinClientFolder(folderB, folderA)).toBe(false);
+      expect(await isWithinClientFolder(root, folderA)).toBe(false);
+    });
+  });
+
+  describe('upload', () => {
+    const upload = { originalname: 'bank statement.pdf', mimetype: 'application/pdf', size: 10, buffer: Buffer.from('x') };
+
+    test('should store the file as uploaded by the client, with no staff uploader', async () => {
+      jest.spyOn(AWS.S3.prototype, 'upload').mockReturnValue({
+        on: jest.fn(),
+        promise: () => Promise.resolve({ Location: 'https://s3/new', Key: 'new-key' }),
+      });
+
+      const document = await uploadClientDocument(clientA, upload, { folderId: yearA._id });
+
+      expect(document.file.parentFolder).toEqual(yearA._id);
+      expect(document.file.uploadedBy).toBeUndefined();
+      expect(document.file.metadata).toEqual(expect.objectContaining({ clientId: clientA._id, uploadedByClient: true }));
+      await expect(document.validate()).resolves.toBeUndefined();
+    });
+
+    test("should refuse to upload into another client's folder", async () => {
+      await expect(uploadClientDocument(clientA, upload, { folderId: folderB._id })).rejects.toThrow('Folder not found');
+      expect(FileManager.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('download', () => {
+    test('should sign a link to a file in the client folder', async () => {
+      const download = await getClientDocumentDownload(clientA, fileA._id);
+
+      expect(download).toEqual(expect.objectContaining({ fileName: 'gstr1.pdf', expiresIn: 300 }));
+      expect(download.url).toContain('gstr1.pdf-key');
+    });
+
+    test("should not find another client's file", async () => {
+      await expect(getClientDocumentDownload(clientA, fileB._id)).rejects.toThrow('File not found');
+      await expect(getClientDocumentDownload(clientB, fileA._id)).rejects.toThrow('File not found');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import {
+  getNameSimilarity,
+  findDuplicateClients,
+  findClientsWithSameIdentifiers,
+  findImportDuplicates,
+  mergeClients,
+} from '../../../src/services/clientDuplicate.service';
+import { Client, FileManager, Group, Task, Timeline } from '../../../src/models';
+
+describe('duplicate clients', () => {
+  const mumbai = new mongoose.Types.ObjectId();
+  const pune = new mongoose.Types.ObjectId();
+  const client = (name, branch, fields = {}) => ({ _id: new mongoose.Types.ObjectId(), name, branch, ...fields });
+  const mockClients = (clients) =>
+    jest.spyOn(Client, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => Promise.resolve(clients) }), lean: () => Promise.resolve(clients) }),
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should ignore punctuation and company suffixes when comparing names', () => {
+    expect(getNameSimilarity('M/s. Sharma Traders Pvt. Ltd.', 'Sharma Traders')).toBe(1);
+    expect(getNameSimilarity('Sharma Traders', 'Sharma Tradres')).toBeGreaterThan(0.7);
+    expect(getNameSimilarity('Sharma Traders', 'Verma Exports')).toBeLessThan(0.3);
+  });
+
+  test('should group clients sharing an identifier across branches', async () => {
+    const clients = [
+      client('Reliance Traders', mumbai, { pan: 'AAACR5055K' }),
+      client('Reliance Trading Co', pune, { pan: 'AAACR5055K', phone: '9876543210' }),
+      client('R Traders', pune, { phone: '+91 98765 43210' }),
+      client('Unrelated', mumbai, { phone: '9000000000' }),
+    ];
+    mockClients(clients);
+
+    const { totalGroups, groups } = await findDuplicateClients();
+
+    expect(totalGroups).toBe(1);
+    expect(groups[0].clients.map((candidate) => candidate.name)).toEqual([
+      'Reliance Traders',
+      'Reliance Trading Co',
+      'R Traders',
+    ]);
+    expect(groups[0].reasons.map((reason) => reason.type)).toEqual(['pan', 'phone']);
+  });
+
+  test('should only match similar names within a branch', async () => {
+    mockClients([
+      client('Sharma Traders', mumbai),
+      client('M/s Sharma Traders Pvt Ltd', mumbai),
+      client('Sharma Traders', pune),
+    ]);
+
+    const { groups } = await findDuplicateClients({ by: ['name'] });
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].clients.every((candidate) => candidate.branch === mumbai)).toBe(true);
+    expect(groups[0].reasons[0]).toEqual(expect.objectContaining({ type: 'name', score: 1 }));
+  });
+
+  test('should flag import rows that repeat an existing or earlier PAN/GSTIN', async () => {
+    mockClients([{ name: 'Existing', pan: 'AAACR5055K' }]);
+
+    const errors = await findImportDuplicates([
+      { name: 'First', pan: 'AAACR5055K' },
+      { name: 'Second', gstNumbers: [{ gstNumber: '27AAACS1234A1Z5' }] },
+      { name: 'Third', gstNumbers: [{ gstNumber: '27aaacs1234a1z5' }] },
+      { name: 'Fourth', pan: 'AAACR5055K', allowDuplicate: true },
+    ]);
+
+    expect([...errors.keys()]).toEqual([0, 2]);
+    expect(errors.get(0).message).toContain('Existing');
+    expect(errors.get(2)).toEqual(expect.objectContaining({ field: 'gstNumbers', value: '27AAACS1234A1Z5' }));
+  });
+
+  test('should refuse to merge a client into itself or into a merged client', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await expect(mergeClients(id, id)).rejects.toThrow('cannot be merged into itself');
+
+    const survivor = client('Survivor', mumbai);
+    const duplicate = client('Duplicate', mumbai, { mergedInto: new mongoose.Types.ObjectId() });
+    jest
+      .spyOn(Client, 'findById')
+      .mockImplementation((clientId) => ({ lean: () => Promise.resolve(clientId === survivor._id ? survivor : duplicate) }));
+
+    await expect(mergeClients(survivor._id, duplicate._id)).rejects.toThrow('already been merged');
+  });
+
+  test("should not name clients outside the user's branches that share an identifier", async () => {
+    mockClients([
+      client('Mumbai Traders', mumbai, { pan: 'AAACR5055K' }),
+      client('Pune Traders', pune, { pan: 'AAACR5055K' }),
+    ]);
+
+    const duplicates = await findClientsWithSameIdentifiers({ pan: 'AAACR5055K' }, null, [String(mumbai)]);
+
+    expect(duplicates[0]).toEqual(expect.objectContaining({ name: 'Mumbai Traders', matchedOn: 'pan' }));
+    expect(duplicates[1]).toEqual({ otherBranch: true, matchedOn: 'pan', value: 'AAACR5055K' });
+  });
+
+  test('should keep the timeline further along and send the other copy to the recycle bin', async () => {
+    const survivor = client('Survivor', mumbai);
+    const duplicate = client('Duplicate', mumbai);
+    const activity = new mongoose.Types.ObjectId();
+    const subactivityId = new mongoose.Types.ObjectId();
+    const period = { activity, subactivityId, period: 'April-2025', timelineType: 'recurring' };
+    const survivorTimeline = { _id: 'survivor-april', ...period, status: 'pending' };
+    const duplicateTimeline = { _id: 'duplicate-april', ...period, status: 'filed' };
+    jest
+      .spyOn(Client, 'findById')
+      .mockImplementation((clientId) => ({ lean: () => Promise.resolve(clientId === survivor._id ? survivor : duplicate) }));
+    jest.spyOn(Timeline, 'find').mockImplementation((filter) => ({
+      select: () => ({
+        lean: () => Promise.resolve(filter.client === survivor._id ? [survivorTimeline] : [duplicateTimeline]),
+      }),
+    }));
+    jest.spyOn(Group, 'find').mockResolvedValue([]);
+    jest.spyOn(Task, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(FileManager, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Timeline, 'softDeleteMany').mockResolvedValue(1);
+    jest.spyOn(Timeline, 'updateMany').mockResolvedValue({ nModified: 1 });
+    jest.spyOn(Task, 'updateMany').mockResolvedValue({ nModified: 1 });
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ nModified: 1 });
+
+    const summary = await mergeClients(survivor._id, duplicate._id);
+
+    expect(summary.timelines.conflicts).toEqual([
+      expect.objectContaining({
+        keptTimeline: 'duplicate-april',
+        keptFrom: 'duplicate',
+        droppedTimeline: 'survivor-april',
+        droppedStatus: 'pending',
+      }),
+    ]);
+    expect(Timeline.softDeleteMany).toHaveBeenCalledWith({ _id: { $in: ['survivor-april'] } }, null);
+    expect(Timeline.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['duplicate-april'] } },
+      { $set: { client: survivor._id, branch: mumbai } }
+    );
+    expect(Task.updateMany).toHaveBeenCalledWith(
+      { timeline: 'survivor-april' },
+      { $addToSet: { timeline: 'duplicate-april' } }
+    );
+  });
+
+  test("should refuse to add the duplicate's GSTINs when they do not carry the survivor's PAN", async () => {
+    const survivor = client('Survivor', mumbai, { pan: 'AAACR5055K' });
+    const duplicate = client('Duplicate', mumbai, {
+      gstNumbers: [{ state: 'Maharashtra', gstNumber: '27AAFFB1234C1Z0', dateOfRegistration: new Date(), gstUserId: 'u' }],
+    });
+    jest
+      .spyOn(Client, 'findById')
+      .mockImplementation((clientId) => ({ lean: () => Promise.resolve(clientId === survivor._id ? survivor : duplicate) }));
+    jest.spyOn(Timeline, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+    jest.spyOn(Group, 'find').mockResolvedValue([]);
+    jest.spyOn(Client, 'updateOne').mockResolvedValue({ nModified: 1 });
+
+    await expect(mergeClients(survivor._id, duplicate._id)).rejects.toThrow('do not fit the survivor');
+    expect(Client.updateOne).not.toHaveBeenCalled();
+  });
+});
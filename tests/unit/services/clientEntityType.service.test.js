@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { getEntityTypeReport } from '../../../src/services/clientEntityType.service';
+import { Client, EntityTypeMaster } from '../../../src/models';
+
+describe('client entity type report', () => {
+  const branchId = new mongoose.Types.ObjectId();
+  const makeClient = (name, pan, entityType, cinNumber) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    pan,
+    entityType,
+    cinNumber,
+    branch: branchId,
+  });
+  const clients = [
+    makeClient('Acme Pvt Ltd', 'AAACA1234B', 'Private Limited', 'U12345MH2020PTC123456'),
+    makeClient('Bharat Traders', 'AAFFB1234C', 'Private Limited', 'U12345MH2020PTC654321'),
+    makeClient('Chetan Kumar', 'ABCPK1234L', undefined),
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Client, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => Promise.resolve(clients) }) }),
+    });
+    jest.spyOn(EntityTypeMaster, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([{ name: 'Individual' }, { name: 'Partnership Firm' }]) }),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list mismatched and missing entity types with suggestions', async () => {
+    const report = await getEntityTypeReport({});
+
+    expect(report).toEqual(expect.objectContaining({ checked: 3, mismatched: 1, missing: 1 }));
+    expect(report.clients[0]).toEqual(
+      expect.objectContaining({
+        name: 'Bharat Traders',
+        issue: 'mismatch',
+        suggestedEntityType: 'Partnership Firm',
+        affectsRoc: true,
+      })
+    );
+    expect(report.clients[1]).toEqual(
+      expect.objectContaining({
+        name: 'Chetan Kumar',
+        issue: 'missing',
+        suggestedEntityType: 'Individual',
+        affectsRoc: false,
+      })
+    );
+  });
+
+  test("should only report the user's branches", async () => {
+    await getEntityTypeReport({}, { role: { allBranchesAccess: false, branchAccess: [branchId] } });
+
+    expect(Client.find).toHaveBeenCalledWith(expect.objectContaining({ branch: { $in: [String(branchId)] } }));
+  });
+});
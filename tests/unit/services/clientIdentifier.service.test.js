@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { getIdentifierReport } from '../../../src/services/clientIdentifier.service';
+import { Client } from '../../../src/models';
+
+describe('client identifier report', () => {
+  const branchId = new mongoose.Types.ObjectId();
+  const makeClient = (name, pan, gstNumbers) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    pan,
+    gstNumbers,
+    branch: branchId,
+  });
+  const clients = [
+    makeClient('Acme Pvt Ltd', 'AAACA1234B', [{ state: 'Maharashtra', gstNumber: '27AAACA1234B1ZI' }]),
+    makeClient('Bharat Traders', 'AAFFB1234C', [{ state: 'Maharashtra', gstNumber: '27AAFFB1234C1Z0' }]),
+    makeClient('Chetan Kumar', 'ABCXK1234L', []),
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Client, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => Promise.resolve(clients) }) }),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list clients whose stored PAN or GSTINs fail the checks', async () => {
+    const report = await getIdentifierReport({});
+
+    expect(report).toEqual(expect.objectContaining({ checked: 3, invalidPans: 1, invalidGstins: 1 }));
+    expect(report.clients).toHaveLength(2);
+    expect(report.clients[0].name).toBe('Bharat Traders');
+    expect(report.clients[0].issues[0]).toEqual(
+      expect.objectContaining({ field: 'gstNumber', value: '27AAFFB1234C1Z0', code: 'INVALID_CHECKSUM' })
+    );
+    expect(report.clients[1].issues[0]).toEqual(
+      expect.objectContaining({ field: 'pan', value: 'ABCXK1234L', code: 'INVALID_HOLDER_TYPE' })
+    );
+  });
+
+  test("should only report the user's branches", async () => {
+    await getIdentifierReport({}, { role: { allBranchesAccess: false, branchAccess: [branchId] } });
+
+    expect(Client.find).toHaveBeenCalledWith(expect.objectContaining({ branch: { $in: [String(branchId)] } }));
+  });
+});
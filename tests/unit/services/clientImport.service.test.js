@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { checkClientFile, importClientFile, buildImportReport } from '../../../src/services/clientImport.service';
+import { Branch, Client, ClientImportProfile, Job } from '../../../src/models';
+
+describe('client spreadsheet import', () => {
+  const branchId = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const csvFile = (lines) => ({ originalname: 'clients.csv', buffer: Buffer.from(lines.join('\n')) });
+  const file = csvFile([
+    'Client Name,Mobile No,PAN No,GSTIN,GST State,GST User Id,GST Registration Date,Branch,Ref',
+    'Reliance Traders,09876543210,aaacr5055k,27AAACR5055K1Z7,Maharashtra,reliance,01/04/2018,Mumbai,R-1',
+    'Bad Row,12345,AAACR5055K,27AAACR5055K1Z8,Gujarat,bad,01/04/2018,Pune,R-2',
+  ]);
+
+  beforeEach(() => {
+    jest.spyOn(Branch, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([{ _id: branchId, name: 'Mumbai' }]) }),
+    });
+    jest.spyOn(Client, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should map recognised headers and keep values as typed', async () => {
+    const { columns, rows } = await checkClientFile(file);
+
+    expect(columns.find((column) => column.header === 'Mobile No').field).toBe('phone');
+    expect(columns.find((column) => column.header === 'Ref').field).toBeNull();
+    expect(rows[0].errors).toEqual([]);
+    expect(rows[0].client).toEqual(
+      expect.objectContaining({
+        name: 'Reliance Traders',
+        phone: '09876543210',
+        pan: 'AAACR5055K',
+        branch: String(branchId),
+      })
+    );
+    expect(rows[0].client.gstNumbers[0].dateOfRegistration).toEqual(new Date(2018, 3, 1));
+  });
+
+  test('should report phone, checksum, state and branch errors per row', async () => {
+    const { report } = await importClientFile(file, { validateOnly: true }, user);
+
+    expect(report).toEqual(expect.objectContaining({ totalRows: 2, validRows: 1, invalidRows: 1 }));
+    expect(report.errors.every((error) => error.row === 3)).toBe(true);
+    const fields = report.errors.map((error) => error.field);
+    expect(fields).toContain('branch');
+    expect(fields).toContain('phone');
+    expect(fields.filter((field) => field === 'gstNumbers.0.gstNumber')).toHaveLength(2);
+  });
+
+  test('should report clients that already exist with the same PAN', async () => {
+    Client.find.mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([{ name: 'Reliance Traders Pvt Ltd', pan: 'AAACR5055K' }]) }),
+    });
+
+    const { rows } = await checkClientFile(file);
+
+    expect(rows[0].errors).toHaveLength(1);
+    expect(rows[0].errors[0].field).toBe('pan');
+    expect(rows[0].errors[0].message).toContain('Reliance Traders Pvt Ltd');
+  });
+
+  test('should apply a saved column mapping', async () => {
+    jest.spyOn(ClientImportProfile, 'findById').mockResolvedValue({ columns: [{ header: 'Ref', field: 'fNo' }] });
+
+    const { rows } = await checkClientFile(file, { profileId: new mongoose.Types.ObjectId() });
+
+    expect(rows[0].client.fNo).toBe('R-1');
+  });
+
+  test('should refuse to import invalid rows unless asked to skip them', async () => {
+    jest.spyOn(Job, 'create').mockImplementation((job) => Promise.resolve(job));
+
+    await expect(importClientFile(file, {}, user)).rejects.toThrow('1 of 2 rows have errors');
+    const { job } = await importClientFile(file, { skipInvalidRows: true }, user);
+
+    expect(job.type).toBe('import.clients');
+    expect(job.payload.clients).toHaveLength(1);
+  });
+
+  test('should build a CSV report with the status of every row', async () => {
+    const report = await buildImportReport(file, {}, user, 'csv');
+    const lines = report.buffer.toString().trim().split('\n');
+
+    expect(report.fileName).toBe('clients-import-report.csv');
+    expect(lines).toHaveLength(3);
+    expect(lines[1].startsWith('2,OK,')).toBe(true);
+    expect(lines[2].startsWith('3,Error,')).toBe(true);
+  });
+
+  test('should reject files that are not CSV or XLSX', async () => {
+    await expect(checkClientFile({ originalname: 'clients.pdf', buffer: Buffer.from('') })).rejects.toThrow(
+      'Upload a .csv or .xlsx file'
+    );
+  });
+});
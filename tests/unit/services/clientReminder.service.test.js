@@ -0,0 +1,57 @@
+import {
+  getReminderOffset,
+  inferFromAccount,
+  findTemplateForTimeline,
+  getReminderRecipients,
+} from '../../../src/services/clientReminder.service';
+
+describe('client deadline reminders', () => {
+  const today = new Date(2024, 6, 10, 9, 0);
+  const reminder = { daysBefore: [7, 1, 0], onOverdue: true, overdueRepeatDays: 3 };
+
+  test('should fire on the configured days before the due date', () => {
+    expect(getReminderOffset(new Date(2024, 6, 17), today, reminder)).toEqual({ kind: 'before', offset: 7 });
+    expect(getReminderOffset(new Date(2024, 6, 10, 18, 0), today, reminder)).toEqual({ kind: 'before', offset: 0 });
+    expect(getReminderOffset(new Date(2024, 6, 15), today, reminder)).toBeNull();
+  });
+
+  test('should fire the day after the due date and then every overdueRepeatDays', () => {
+    expect(getReminderOffset(new Date(2024, 6, 9), today, reminder)).toEqual({ kind: 'overdue', offset: 1 });
+    expect(getReminderOffset(new Date(2024, 6, 8), today, reminder)).toBeNull();
+    expect(getReminderOffset(new Date(2024, 6, 6), today, reminder)).toEqual({ kind: 'overdue', offset: 4 });
+    expect(getReminderOffset(new Date(2024, 6, 9), today, { ...reminder, onOverdue: false })).toBeNull();
+  });
+
+  test('should pick the SMTP account from the compliance form, else the activity name', () => {
+    expect(inferFromAccount('Returns', 'GSTR3B')).toBe('gst');
+    expect(inferFromAccount('Anything', 'AOC4')).toBe('roc');
+    expect(inferFromAccount('Income Tax Return')).toBe('incometax');
+    expect(inferFromAccount('Bookkeeping')).toBeNull();
+  });
+
+  test('should prefer a subactivity template over an activity-wide one', () => {
+    const activityWide = { _id: 't1', activity: 'a1', subactivity: null };
+    const forSubactivity = { _id: 't2', activity: 'a1', subactivity: 's1' };
+    const templates = [activityWide, forSubactivity];
+
+    expect(findTemplateForTimeline(templates, { activity: { _id: 'a1' }, subactivityId: 's1' })).toBe(forSubactivity);
+    expect(findTemplateForTimeline(templates, { activity: 'a1', subactivityId: 's2' })).toBe(activityWide);
+    expect(findTemplateForTimeline(templates, { activity: 'a2' })).toBeNull();
+  });
+
+  test('should send reminders to the client contacts for the timeline activity', () => {
+    const client = {
+      name: 'Sharma Traders',
+      email: 'office@sharma.in',
+      contacts: [{ name: 'Meena', email: 'meena@sharma.in', activities: ['a2'], primary: false }],
+    };
+
+    expect(getReminderRecipients({ client, activity: { _id: 'a2', name: 'ROC' } })).toEqual([
+      { name: 'Meena', email: 'meena@sharma.in' },
+    ]);
+    expect(getReminderRecipients({ client, activity: { _id: 'a1', name: 'GST' } })).toEqual([
+      { name: 'Sharma Traders', email: 'office@sharma.in' },
+    ]);
+    expect(getReminderRecipients({ client: null, activity: 'a1' })).toEqual([]);
+  });
+});
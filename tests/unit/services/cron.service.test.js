@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import { executeCronJob, runCronJob } from '../../../src/services/cron.service';
+import { CronLock, Job } from '../../../src/models';
+
+describe('manual cron runs', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  beforeEach(() => {
+    jest.spyOn(Job, 'create').mockImplementation((doc) => Promise.resolve(doc));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should queue the run as a job instead of running it', async () => {
+    const job = await runCronJob('timelines-quarterly', { period: 'Q2-2025' }, user);
+
+    expect(job).toEqual(
+      expect.objectContaining({
+        type: 'cron.run',
+        payload: { job: 'timelines-quarterly', period: 'Q2-2025', triggeredBy: user._id },
+        maxAttempts: 1,
+        createdBy: user._id,
+        createdByModel: 'User',
+      })
+    );
+  });
+
+  test('should check the job and period before queueing', async () => {
+    await expect(runCronJob('unknown-job', {}, user)).rejects.toThrow('Unknown cron job');
+    await expect(runCronJob('daily-task-reminders', { period: 'Q2-2025' }, user)).rejects.toThrow('does not run for a period');
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+
+  test('should not run while another instance holds the job lock', async () => {
+    jest.spyOn(CronLock, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(executeCronJob({ job: 'daily-task-reminders' })).rejects.toThrow('already running');
+  });
+});
@@ -0,0 +1,63 @@
+import { getTickTime, runWithCronLock } from '../../../src/services/cronLock.service';
+import { CronLock } from '../../../src/models';
+
+describe('cron lock', () => {
+  const tickAt = new Date('2025-04-01T04:00:00.250Z');
+
+  beforeEach(() => {
+    jest.spyOn(CronLock, 'updateOne').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should identify a tick by its minute', () => {
+    expect(getTickTime(new Date('2025-04-01T04:00:42.123Z')).toISOString()).toBe('2025-04-01T04:00:00.000Z');
+  });
+
+  test('should run the job and record the run when the lock is acquired', async () => {
+    jest.spyOn(CronLock, 'findOneAndUpdate').mockResolvedValue({ _id: 'test-job' });
+    const fn = jest.fn().mockResolvedValue(3);
+
+    const outcome = await runWithCronLock('test-job', fn, { tickAt });
+
+    expect(outcome).toEqual({ ran: true, result: 3 });
+    expect(CronLock.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'test-job' }),
+      expect.objectContaining({ $set: expect.objectContaining({ lastStatus: 'completed', lastError: null }) })
+    );
+  });
+
+  test('should skip the tick when another instance holds it', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    jest.spyOn(CronLock, 'findOneAndUpdate').mockRejectedValue(duplicate);
+    const fn = jest.fn();
+
+    const outcome = await runWithCronLock('test-job', fn, { tickAt });
+
+    expect(outcome).toEqual({ ran: false });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('should record a failed run and rethrow', async () => {
+    jest.spyOn(CronLock, 'findOneAndUpdate').mockResolvedValue({ _id: 'test-job' });
+
+    await expect(runWithCronLock('test-job', () => Promise.reject(new Error('boom')), { tickAt })).rejects.toThrow('boom');
+    expect(CronLock.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'test-job' }),
+      expect.objectContaining({ $set: expect.objectContaining({ lastStatus: 'failed', lastError: 'boom' }) })
+    );
+  });
+
+  test('should run a manual run whenever the lease is free without taking the tick from the schedule', async () => {
+    jest.spyOn(CronLock, 'findOneAndUpdate').mockResolvedValue({ _id: 'test-job' });
+
+    await runWithCronLock('test-job', () => Promise.resolve(), { manual: true });
+
+    const [filter, update] = CronLock.findOneAndUpdate.mock.calls[0];
+    expect(JSON.stringify(filter)).not.toContain('lastTickAt');
+    expect(update.$set).not.toHaveProperty('lastTickAt');
+    expect(update.$set).toEqual(expect.objectContaining({ lastStatus: 'running' }));
+  });
+});
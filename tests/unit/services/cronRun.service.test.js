@@ -0,0 +1,44 @@
+import { recordCronRun } from '../../../src/services/cronRun.service';
+import { CronRun } from '../../../src/models';
+
+describe('cron run history', () => {
+  let run;
+
+  beforeEach(() => {
+    run = { _id: 'run-1', startedAt: new Date(), save: jest.fn().mockResolvedValue() };
+    jest.spyOn(CronRun, 'create').mockResolvedValue(run);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store the counts of a completed run and keep the rest of the summary', async () => {
+    const failures = [{ message: 'No due date' }];
+    const summary = { period: 'Q2-2025', processed: 12, created: 4, failed: 1, failures, skipped: 7 };
+
+    await recordCronRun('timelines-quarterly', () => Promise.resolve(summary), { trigger: 'manual' });
+
+    expect(CronRun.create).toHaveBeenCalledWith(expect.objectContaining({ job: 'timelines-quarterly', trigger: 'manual' }));
+    expect(run).toEqual(
+      expect.objectContaining({
+        status: 'completed',
+        period: 'Q2-2025',
+        processed: 12,
+        created: 4,
+        failed: 1,
+        failures,
+        result: { skipped: 7 },
+      })
+    );
+    expect(run.save).toHaveBeenCalled();
+  });
+
+  test('should record a failed run and rethrow', async () => {
+    await expect(recordCronRun('daily-task-reminders', () => Promise.reject(new Error('SMTP down')))).rejects.toThrow(
+      'SMTP down'
+    );
+    expect(run).toEqual(expect.objectContaining({ status: 'failed', error: 'SMTP down' }));
+    expect(run.save).toHaveBeenCalled();
+  });
+});
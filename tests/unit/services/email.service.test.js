@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { transport, sendEmail, sendEmailWithFileAttachments } from '../../../src/services/email.service';
+import { EmailLog } from '../../../src/models';
+
+describe('email log', () => {
+  beforeEach(() => {
+    jest.spyOn(EmailLog, 'create').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record a sent email with its message id and links', async () => {
+    const clientId = new mongoose.Types.ObjectId();
+    jest.spyOn(transport, 'sendMail').mockResolvedValue({ messageId: '<abc@vsc.co.in>' });
+
+    await sendEmail('client@example.com', 'Reminder', 'Body', null, {
+      log: { category: 'clientReminder', client: clientId },
+    });
+
+    expect(EmailLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: 'client@example.com',
+        subject: 'Reminder',
+        category: 'clientReminder',
+        client: clientId,
+        status: 'sent',
+        messageId: '<abc@vsc.co.in>',
+        text: 'Body',
+      })
+    );
+  });
+
+  test('should record a failed email and rethrow the error', async () => {
+    jest.spyOn(transport, 'sendMail').mockRejectedValue(new Error('Connection refused'));
+
+    await expect(sendEmail('client@example.com', 'Reminder', 'Body')).rejects.toThrow('Connection refused');
+    expect(EmailLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'failed', error: 'Connection refused', category: 'other' })
+    );
+  });
+
+  test('should not store the body of OTP emails', async () => {
+    jest.spyOn(transport, 'sendMail').mockResolvedValue({ messageId: '<otp@vsc.co.in>' });
+
+    await sendEmail('member@example.com', 'Login OTP', 'Your OTP is 123456', '<b>123456</b>', { log: { category: 'otp' } });
+
+    expect(EmailLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'otp', text: undefined, html: undefined })
+    );
+  });
+
+  test('should update the existing entry instead of adding one when resending', async () => {
+    const logId = new mongoose.Types.ObjectId();
+    jest.spyOn(transport, 'sendMail').mockResolvedValue({ messageId: '<retry@vsc.co.in>' });
+    jest.spyOn(EmailLog, 'updateOne').mockResolvedValue();
+
+    await sendEmailWithFileAttachments('client@example.com', 'Invoice', 'Body', null, [], { log: { logId } });
+
+    expect(EmailLog.create).not.toHaveBeenCalled();
+    expect(EmailLog.updateOne).toHaveBeenCalledWith(
+      { _id: logId },
+      expect.objectContaining({ $inc: { retryCount: 1 }, $unset: { error: 1 } })
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { exportListing } from '../../../src/services/export.service';
+
+describe('export service', () => {
+  const columns = [
+    { header: 'Name', value: (row) => row.name },
+    { header: 'Due date', value: (row) => row.dueDate },
+    { header: 'Tags', value: (row) => row.tags },
+  ];
+  const pages = [
+    [{ name: 'Acme, Inc.', dueDate: new Date(2024, 6, 31), tags: ['gst', 'tds'] }],
+    [{ name: '=HYPERLINK("x")', dueDate: null, tags: [] }],
+  ];
+  let fetchPage;
+
+  const collect = async (file) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    const ended = new Promise((resolve) => stream.on('end', resolve));
+    await file.pipe(stream);
+    await ended;
+    return Buffer.concat(chunks);
+  };
+
+  beforeEach(() => {
+    fetchPage = jest.fn((page) =>
+      Promise.resolve({ results: pages[page - 1], totalPages: pages.length, totalResults: pages.length })
+    );
+  });
+
+  test('should write every page as CSV', async () => {
+    const file = await exportListing({ fileName: 'clients', format: 'csv', columns, fetchPage });
+    const lines = (await collect(file))
+      .toString()
+      .replace(/^\uFEFF/, '')
+      .trim()
+      .split('\r\n');
+
+    expect(file.fileName).toBe('clients.csv');
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(lines).toEqual(['Name,Due date,Tags', '"Acme, Inc.",2024-07-31,"gst, tds"', `"'=HYPERLINK(""x"")",,`]);
+  });
+
+  test('should write an XLSX workbook', async () => {
+    const file = await exportListing({ fileName: 'clients', format: 'xlsx', columns, fetchPage });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await collect(file));
+    const worksheet = workbook.worksheets[0];
+
+    expect(worksheet.rowCount).toBe(3);
+    expect(worksheet.getRow(2).getCell(1).value).toBe('Acme, Inc.');
+    expect(worksheet.getRow(2).getCell(2).value instanceof Date).toBe(true);
+  });
+
+  test('should refuse exports above the row limit before writing anything', async () => {
+    const tooMany = () => Promise.resolve({ results: [], totalPages: 200, totalResults: 100000 });
+
+    await expect(exportListing({ fileName: 'clients', format: 'csv', columns, fetchPage: tooMany })).rejects.toThrow(
+      'narrow the filters'
+    );
+  });
+});
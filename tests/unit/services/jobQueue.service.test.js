@@ -0,0 +1,157 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import { enqueueJob, getBackoffMs, registerJobHandler, runJob } from '../../../src/services/jobQueue.service';
+import { Job, User, Role, TeamMember } from '../../../src/models';
+import { getRequestContext } from '../../../src/utils/requestContext';
+import ApiError from '../../../src/utils/ApiError';
+import { s3 } from '../../../src/utils/s3Connection';
+
+describe('job queue', () => {
+  const workerId = 'host:1234';
+  const makeJob = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type: 'test.job',
+    payload: { value: 2 },
+    attempts: 1,
+    maxAttempts: 3,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should back off exponentially up to an hour', () => {
+    expect(getBackoffMs(1)).toBe(30 * 1000);
+    expect(getBackoffMs(2)).toBe(60 * 1000);
+    expect(getBackoffMs(3)).toBe(120 * 1000);
+    expect(getBackoffMs(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('should store the handler result and release the lock', async () => {
+    registerJobHandler('test.job', async ({ value }) => ({ doubled: value * 2 }));
+    const job = makeJob();
+
+    await runJob(job, workerId);
+
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: workerId },
+      { $set: expect.objectContaining({ status: 'completed', result: { doubled: 4 }, lockedBy: null }) }
+    );
+  });
+
+  test('should queue a failed attempt again while attempts remain', async () => {
+    registerJobHandler('test.job', async () => {
+      throw new Error('SMTP unavailable');
+    });
+    const job = makeJob();
+
+    await runJob(job, workerId);
+
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: workerId },
+      { $set: expect.objectContaining({ status: 'queued', lastError: 'SMTP unavailable', lockedBy: null }) }
+    );
+  });
+
+  test('should fail client errors without retrying', async () => {
+    registerJobHandler('test.job', async () => {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Template not found');
+    });
+    const job = makeJob();
+
+    await runJob(job, workerId);
+
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: workerId },
+      { $set: expect.objectContaining({ status: 'failed', lastError: 'Template not found' }) }
+    );
+  });
+
+  test('should run the handler for the user who queued the job, inside a request context for them', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), name: 'Priya', role: 'role-id' };
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Role, 'findById').mockResolvedValue({ name: 'manager' });
+    let context;
+    const handler = jest.fn().mockImplementation(async () => {
+      context = getRequestContext();
+    });
+    registerJobHandler('test.job', handler);
+    const job = makeJob({ createdBy: user._id, createdByModel: 'User' });
+
+    await runJob(job, workerId);
+
+    expect(handler.mock.calls[0][2]).toBe(user);
+    expect(user.role).toEqual({ name: 'manager' });
+    expect(context.req.user).toBe(user);
+    expect(context.requestId).toBe(`job-${job._id}`);
+  });
+
+  test('should resolve a team member who queued the job', async () => {
+    const teamMemberId = new mongoose.Types.ObjectId();
+    jest.spyOn(TeamMember, 'findById').mockResolvedValue({
+      _id: teamMemberId,
+      toObject: () => ({ _id: teamMemberId, name: 'Ravi', branch: 'branch-id' }),
+      branch: 'branch-id',
+    });
+    const handler = jest.fn().mockResolvedValue();
+    registerJobHandler('test.job', handler);
+
+    await runJob(makeJob({ createdBy: teamMemberId, createdByModel: 'TeamMember' }), workerId);
+
+    expect(handler.mock.calls[0][2]).toEqual(
+      expect.objectContaining({ id: teamMemberId.toString(), userType: 'teamMember', name: 'Ravi' })
+    );
+  });
+
+  test('should run jobs queued by the system outside any request context', async () => {
+    let context;
+    registerJobHandler('test.job', async () => {
+      context = getRequestContext();
+    });
+
+    await runJob(makeJob(), workerId);
+
+    expect(context).toBeNull();
+  });
+
+  test('should keep large payloads in S3 and run the job with them', async () => {
+    const clients = Array.from({ length: 3000 }, (_, index) => ({ name: `Client ${index}`, address: 'x'.repeat(100) }));
+    const stored = {};
+    jest.spyOn(s3, 'putObject').mockImplementation(({ Key, Body }) => {
+      stored[Key] = Body;
+      return { promise: () => Promise.resolve() };
+    });
+    jest.spyOn(s3, 'getObject').mockImplementation(({ Key }) => ({
+      promise: () => Promise.resolve({ Body: Buffer.from(stored[Key]) }),
+    }));
+    jest.spyOn(s3, 'deleteObject').mockReturnValue({ promise: () => Promise.resolve() });
+    jest.spyOn(Job, 'create').mockImplementation((doc) => Promise.resolve(doc));
+
+    const queued = await enqueueJob('test.job', { clients });
+
+    expect(queued.payloadKey).toBe(`jobs/payloads/${queued._id}.json`);
+    expect(queued.payload).toBeUndefined();
+
+    const handler = jest.fn().mockResolvedValue({ imported: clients.length });
+    registerJobHandler('test.job', handler);
+    await runJob(makeJob({ _id: queued._id, payload: {}, payloadKey: queued.payloadKey }), workerId);
+
+    expect(handler.mock.calls[0][0].clients).toHaveLength(3000);
+    expect(s3.deleteObject).toHaveBeenCalledWith(expect.objectContaining({ Key: queued.payloadKey }));
+  });
+
+  test('should store small payloads on the job', async () => {
+    jest.spyOn(s3, 'putObject');
+    jest.spyOn(Job, 'create').mockImplementation((doc) => Promise.resolve(doc));
+
+    const queued = await enqueueJob('test.job', { taskId: 'abc' });
+
+    expect(queued.payload).toEqual({ taskId: 'abc' });
+    expect(s3.putObject).not.toHaveBeenCalled();
+  });
+});
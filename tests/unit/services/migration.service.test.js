@@ -0,0 +1,93 @@
+import { migrateUp, migrateUpOnBoot, migrateDown } from '../../../src/services/migration.service';
+import { CronLock, Migration } from '../../../src/models';
+import defaultMigrations from '../../../src/migrations';
+
+describe('migrations', () => {
+  const makeMigration = (version, down) => ({
+    version,
+    name: `test-${version}`,
+    up: jest.fn().mockResolvedValue({ updated: 1 }),
+    down,
+  });
+  const lean = (docs) => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(docs) }) }) });
+
+  beforeEach(() => {
+    jest.spyOn(CronLock, 'findOneAndUpdate').mockResolvedValue({ _id: 'migrations' });
+    jest.spyOn(CronLock, 'updateOne').mockResolvedValue();
+    jest.spyOn(Migration, 'create').mockResolvedValue();
+    jest.spyOn(Migration, 'deleteOne').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should apply pending migrations in order and record them', async () => {
+    jest.spyOn(Migration, 'distinct').mockResolvedValue(['0001']);
+    const migrations = [makeMigration('0001'), makeMigration('0002'), makeMigration('0003')];
+
+    const outcome = await migrateUp({}, migrations);
+
+    expect(outcome.migrations.map((migration) => migration.version)).toEqual(['0002', '0003']);
+    expect(migrations[0].up).not.toHaveBeenCalled();
+    expect(migrations[1].up).toHaveBeenCalledWith({ dryRun: false });
+    expect(Migration.create).toHaveBeenCalledWith(expect.objectContaining({ version: '0002', result: { updated: 1 } }));
+  });
+
+  test('should not record anything in a dry run', async () => {
+    jest.spyOn(Migration, 'distinct').mockResolvedValue([]);
+    const migrations = [makeMigration('0001'), makeMigration('0002')];
+
+    await migrateUp({ dryRun: true, to: '0001' }, migrations);
+
+    expect(migrations[0].up).toHaveBeenCalledWith({ dryRun: true });
+    expect(migrations[1].up).not.toHaveBeenCalled();
+    expect(Migration.create).not.toHaveBeenCalled();
+  });
+
+  test('should stop at the first failing migration', async () => {
+    jest.spyOn(Migration, 'distinct').mockResolvedValue([]);
+    const migrations = [makeMigration('0001'), makeMigration('0002')];
+    migrations[0].up.mockRejectedValue(new Error('boom'));
+
+    await expect(migrateUp({}, migrations)).rejects.toThrow('boom');
+    expect(migrations[1].up).not.toHaveBeenCalled();
+    expect(Migration.create).not.toHaveBeenCalled();
+  });
+
+  test('should roll back the latest migration and remove its record', async () => {
+    jest.spyOn(Migration, 'find').mockReturnValue(lean([{ version: '0002', name: 'test-0002' }]));
+    const down = jest.fn().mockResolvedValue({});
+    const migrations = [makeMigration('0001'), makeMigration('0002', down)];
+
+    await migrateDown({}, migrations);
+
+    expect(down).toHaveBeenCalledWith({ dryRun: false });
+    expect(Migration.deleteOne).toHaveBeenCalledWith({ version: '0002' });
+  });
+
+  test('should refuse to roll back a migration without down', async () => {
+    jest.spyOn(Migration, 'find').mockReturnValue(lean([{ version: '0001', name: 'test-0001' }]));
+
+    await expect(migrateDown({}, [makeMigration('0001')])).rejects.toThrow('cannot be rolled back');
+  });
+
+  test('should wait at boot until the instance holding the lock has applied the migrations', async () => {
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback) => callback());
+    CronLock.findOneAndUpdate.mockResolvedValueOnce(null);
+    jest.spyOn(Migration, 'distinct').mockResolvedValueOnce([]).mockResolvedValueOnce(['0001']);
+    const migrations = [makeMigration('0001')];
+
+    const outcome = await migrateUpOnBoot(migrations);
+
+    expect(outcome.ran).toBe(true);
+    expect(setTimeout).toHaveBeenCalledTimes(1);
+    expect(migrations[0].up).not.toHaveBeenCalled();
+  });
+
+  test('should give every migration a down', () => {
+    defaultMigrations.forEach((migration) => {
+      expect(typeof migration.down).toBe('function');
+    });
+  });
+});
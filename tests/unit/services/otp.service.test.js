@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import moment from 'moment';
+import { createOTP, verifyOTP, hashOTP, clearOtpLockout } from '../../../src/services/otp.service';
+import { Token, OtpLockout, OtpIssuance } from '../../../src/models';
+import config from '../../../src/config/config';
+import { tokenTypes } from '../../../src/config/tokens';
+
+describe('OTP service', () => {
+  const subject = { userId: new mongoose.Types.ObjectId(), userModel: 'TeamMember', identifier: 'asha@firm.in' };
+  const type = tokenTypes.TEAM_MEMBER_OTP;
+  const windowStart = moment().startOf('hour').toDate();
+
+  const mockLatestOtp = (doc) => jest.spyOn(Token, 'findOne').mockReturnValue({ sort: () => Promise.resolve(doc) });
+
+  beforeEach(() => {
+    jest.spyOn(OtpLockout, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+    jest.spyOn(OtpLockout, 'create').mockImplementation((doc) => Promise.resolve(doc));
+    jest.spyOn(OtpIssuance, 'findOneAndUpdate').mockResolvedValue({ count: 1, windowStart });
+    jest.spyOn(Token, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Token, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Token, 'create').mockImplementation((doc) => Promise.resolve(doc));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hashing', () => {
+    test('should store only a keyed hash of the OTP and invalidate earlier ones', async () => {
+      const { otp } = await createOTP(subject, type);
+
+      expect(otp).toMatch(/^\d{6}$/);
+      expect(Token.updateMany).toHaveBeenCalledWith(
+        { user: subject.userId, type, blacklisted: false },
+        { blacklisted: true }
+      );
+      expect(Token.create).toHaveBeenCalledWith(
+        expect.objectContaining({ token: hashOTP(otp), user: subject.userId, type, blacklisted: false, attempts: 0 })
+      );
+      expect(hashOTP(otp)).not.toBe(otp);
+    });
+  });
+
+  describe('verification', () => {
+    const otpTokenDoc = { _id: new mongoose.Types.ObjectId(), user: subject.userId, token: hashOTP('123456'), attempts: 0 };
+
+    beforeEach(() => {
+      jest.spyOn(Token, 'aggregate').mockResolvedValue([{ failed: 1 }]);
+    });
+
+    test('should only look at unused OTPs that have not expired', async () => {
+      mockLatestOtp(null);
+
+      await expect(verifyOTP(subject, type, '123456')).rejects.toThrow('OTP expired or not found');
+      expect(Token.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ user: subject.userId, type, blacklisted: false, expires: { $gt: expect.any(Date) } })
+      );
+    });
+
+    test('should consume a matching OTP so it cannot be used again', async () => {
+      mockLatestOtp(otpTokenDoc);
+      jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue({ ...otpTokenDoc, blacklisted: true });
+
+      await verifyOTP(subject, type, '123456');
+
+      expect(Token.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: otpTokenDoc._id, blacklisted: false },
+        { blacklisted: true },
+        { new: true }
+      );
+    });
+
+    test('should refuse a matching OTP that a parallel request already used', async () => {
+      mockLatestOtp(otpTokenDoc);
+      jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(verifyOTP(subject, type, '123456')).rejects.toThrow('OTP expired or not found');
+    });
+
+    test('should count a wrong guess in the database', async () => {
+      mockLatestOtp(otpTokenDoc);
+      jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue({ ...otpTokenDoc, attempts: 1 });
+
+      await expect(verifyOTP(subject, type, '654321')).rejects.toThrow('Invalid OTP');
+      expect(Token.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: otpTokenDoc._id, blacklisted: false },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+      expect(Token.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should invalidate the OTP once its wrong guesses reach maxAttempts', async () => {
+      mockLatestOtp(otpTokenDoc);
+      jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue({ ...otpTokenDoc, attempts: config.otp.maxAttempts });
+
+      await expect(verifyOTP(subject, type, '654321')).rejects.toThrow('Too many invalid attempts');
+      expect(Token.updateOne).toHaveBeenCalledWith({ _id: otpTokenDoc._id }, { blacklisted: true });
+    });
+  });
+
+  describe('issuance cap', () => {
+    test('should count each OTP atomically in the current hour', async () => {
+      await createOTP(subject, type);
+
+      expect(OtpIssuance.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: subject.userId, type, windowStart },
+        { $inc: { count: 1 } },
+        { upsert: true, new: true }
+      );
+    });
+
+    test('should refuse an OTP past the hourly cap and lock the subject out until the hour ends', async () => {
+      OtpIssuance.findOneAndUpdate.mockResolvedValue({ count: config.otp.maxPerHour + 1, windowStart });
+
+      await expect(createOTP(subject, type)).rejects.toThrow('Too many OTP attempts');
+      expect(OtpLockout.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user: subject.userId,
+          reason: 'tooManyRequests',
+          lockedUntil: moment(windowStart).add(1, 'hour').toDate(),
+        })
+      );
+      expect(Token.create).not.toHaveBeenCalled();
+    });
+
+    test('should record one lockout when parallel requests pass the cap together', async () => {
+      OtpIssuance.findOneAndUpdate.mockResolvedValue({ count: config.otp.maxPerHour + 2, windowStart });
+
+      await expect(createOTP(subject, type)).rejects.toThrow('Too many OTP attempts');
+      expect(OtpLockout.create).not.toHaveBeenCalled();
+      expect(Token.create).not.toHaveBeenCalled();
+    });
+
+    test('should count against the winner when two first requests of the hour race to create the counter', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      OtpIssuance.findOneAndUpdate.mockRejectedValueOnce(duplicate).mockResolvedValueOnce({ count: 2, windowStart });
+
+      await createOTP(subject, type);
+
+      expect(OtpIssuance.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(Token.create).toHaveBeenCalled();
+    });
+
+    test('should refuse a locked-out subject before counting', async () => {
+      OtpLockout.findOne.mockReturnValue({
+        sort: () => Promise.resolve({ lockedUntil: moment().add(20, 'minutes').toDate() }),
+      });
+
+      await expect(createOTP(subject, type)).rejects.toThrow('Too many OTP attempts');
+      expect(OtpIssuance.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('failed attempt lockout', () => {
+    const otpTokenDoc = { _id: new mongoose.Types.ObjectId(), user: subject.userId, token: hashOTP('123456'), attempts: 0 };
+
+    test('should lock the subject out once the wrong guesses across OTPs reach maxFailedAttempts', async () => {
+      mockLatestOtp(otpTokenDoc);
+      jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue({ ...otpTokenDoc, attempts: 1 });
+      jest.spyOn(Token, 'aggregate').mockResolvedValue([{ failed: config.otp.maxFailedAttempts }]);
+
+      await expect(verifyOTP(subject, type, '654321')).rejects.toThrow('Too many OTP attempts');
+      expect(OtpLockout.create).toHaveBeenCalledWith(
+        expect.objectContaining({ reason: 'tooManyFailedAttempts', count: config.otp.maxFailedAttempts })
+      );
+      expect(Token.updateMany).toHaveBeenCalledWith(
+        { user: subject.userId, type, blacklisted: false },
+        { blacklisted: true }
+      );
+    });
+  });
+
+  describe('clearing a lockout', () => {
+    test('should record who cleared it and restart the hourly count', async () => {
+      const lockout = { user: subject.userId, clearedAt: null, save: jest.fn().mockResolvedValue() };
+      const adminId = new mongoose.Types.ObjectId();
+      jest.spyOn(OtpLockout, 'findById').mockResolvedValue(lockout);
+      jest.spyOn(OtpIssuance, 'deleteMany').mockResolvedValue({});
+
+      await clearOtpLockout('lockout-id', adminId);
+
+      expect(lockout.clearedBy).toBe(adminId);
+      expect(lockout.save).toHaveBeenCalled();
+      expect(OtpIssuance.deleteMany).toHaveBeenCalledWith({ user: subject.userId });
+    });
+
+    test('should refuse a lockout that is already cleared', async () => {
+      jest.spyOn(OtpLockout, 'findById').mockResolvedValue({ clearedAt: new Date() });
+
+      await expect(clearOtpLockout('lockout-id', null)).rejects.toThrow('already cleared');
+    });
+  });
+});
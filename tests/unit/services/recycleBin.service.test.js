@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { restoreDeleted, purgeDeleted } from '../../../src/services/recycleBin.service';
+import { Client, Group, Task, Timeline } from '../../../src/models';
+
+describe('recycle bin', () => {
+  const deletedAt = new Date('2026-01-05T10:00:00Z');
+  const found = (docs) => ({ select: () => ({ lean: () => Promise.resolve(docs) }) });
+  const withOptions = (value) => ({
+    setOptions: () => ({ select: () => ({ lean: () => Promise.resolve(value) }), distinct: () => Promise.resolve(value) }),
+    distinct: () => Promise.resolve(value),
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('restoring a client', () => {
+    const client = { _id: new mongoose.Types.ObjectId(), deletedAt };
+    const timeline = {
+      _id: new mongoose.Types.ObjectId(),
+      client: client._id,
+      activity: new mongoose.Types.ObjectId(),
+      subactivityId: new mongoose.Types.ObjectId(),
+      period: 'June-2025',
+      timelineType: 'recurring',
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Client, 'findOne').mockResolvedValue(client);
+      jest.spyOn(Client, 'restoreMany').mockResolvedValue(1);
+      jest.spyOn(Client, 'softDeleteMany').mockResolvedValue(1);
+      jest.spyOn(Client, 'findById').mockResolvedValue({ ...client, isDeleted: false });
+      jest.spyOn(Timeline, 'restoreMany').mockResolvedValue(1);
+      jest.spyOn(Timeline, 'softDeleteMany').mockResolvedValue(0);
+    });
+
+    test('should restore a client with the timelines deleted along with it', async () => {
+      jest.spyOn(Timeline, 'find').mockImplementation((filter) => found(filter.isDeleted ? [timeline] : []));
+
+      const restored = await restoreDeleted('clients', client._id);
+
+      expect(restored.isDeleted).toBe(false);
+      expect(Timeline.find).toHaveBeenCalledWith({ client: client._id, isDeleted: true, deletedAt });
+      expect(Timeline.restoreMany).toHaveBeenCalledWith({ _id: { $in: [timeline._id] } });
+    });
+
+    test('should restore nothing when a timeline would clash with an active one', async () => {
+      jest
+        .spyOn(Timeline, 'find')
+        .mockImplementation((filter) => found(filter.isDeleted ? [timeline] : [{ _id: 't2', period: 'June-2025' }]));
+
+      await expect(restoreDeleted('clients', client._id)).rejects.toThrow('already exist');
+      expect(Client.restoreMany).not.toHaveBeenCalled();
+      expect(Timeline.restoreMany).not.toHaveBeenCalled();
+    });
+
+    test('should put the client back in the recycle bin when its timelines cannot be restored', async () => {
+      jest.spyOn(Timeline, 'find').mockImplementation((filter) => found(filter.isDeleted ? [timeline] : []));
+      Timeline.restoreMany.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(restoreDeleted('clients', client._id)).rejects.toThrow('already exists');
+      expect(Client.softDeleteMany).toHaveBeenCalledWith({ _id: client._id }, undefined, deletedAt);
+      expect(Timeline.softDeleteMany).toHaveBeenCalledWith({ _id: { $in: [timeline._id] } }, undefined, deletedAt);
+    });
+  });
+
+  test('should not restore a timeline before its client', async () => {
+    jest.spyOn(Timeline, 'findOne').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), client: 'c1' });
+    jest.spyOn(Client, 'findById').mockReturnValue(withOptions({ isDeleted: true }));
+
+    await expect(restoreDeleted('timelines', new mongoose.Types.ObjectId())).rejects.toThrow('restore the client first');
+  });
+
+  test('should report a document that is not in the recycle bin', async () => {
+    jest.spyOn(Task, 'findOne').mockResolvedValue(null);
+
+    await expect(restoreDeleted('tasks', new mongoose.Types.ObjectId())).rejects.toThrow(
+      'Task not found in the recycle bin'
+    );
+  });
+
+  test('should purge expired documents and clean the references to them', async () => {
+    const [clientId, keptClientId, timelineId, goneTimelineId, taskId] = [1, 2, 3, 4, 5].map(
+      () => new mongoose.Types.ObjectId()
+    );
+    jest.spyOn(Client, 'find').mockImplementation((filter) => withOptions(filter.isDeleted ? [clientId] : [keptClientId]));
+    jest.spyOn(Timeline, 'find').mockImplementation((filter) => withOptions(filter.$or ? [timelineId] : []));
+    jest.spyOn(Task, 'find').mockReturnValue(withOptions([taskId]));
+    jest.spyOn(Client, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Timeline, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Task, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Task, 'distinct').mockReturnValue({ setOptions: () => Promise.resolve([goneTimelineId]) });
+    jest.spyOn(Task, 'updateMany').mockResolvedValue({ nModified: 2 });
+    jest.spyOn(Group, 'distinct').mockResolvedValue([clientId, keptClientId]);
+    const group = { clients: [clientId, keptClientId], set: jest.fn() };
+    group.set.mockReturnValue({ save: () => Promise.resolve(group) });
+    jest.spyOn(Group, 'find').mockResolvedValue([group]);
+
+    const summary = await purgeDeleted({ retentionDays: 30 });
+
+    expect(summary).toEqual(
+      expect.objectContaining({ clients: 1, timelines: 1, tasks: 1, tasksUpdated: 2, groupsUpdated: 1 })
+    );
+    expect(Task.updateMany).toHaveBeenCalledWith(
+      { timeline: { $in: [goneTimelineId] } },
+      { $pull: { timeline: { $in: [goneTimelineId] } } }
+    );
+    expect(group.set).toHaveBeenCalledWith({ clients: [keptClientId], numberOfClients: 1 });
+  });
+});
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { backfillTimelines } from '../../../src/services/timelineBackfill.service';
+import { Branch, Client, Holiday, Timeline } from '../../../src/models';
+
+describe('timeline backfill', () => {
+  const branchId = new mongoose.Types.ObjectId();
+  const activityId = new mongoose.Types.ObjectId();
+  const review = { _id: new mongoose.Types.ObjectId(), name: 'Board review', frequency: 'Quarterly' };
+  const audit = { _id: new mongoose.Types.ObjectId(), name: 'Internal audit', frequency: 'Yearly' };
+  const client = {
+    _id: new mongoose.Types.ObjectId(),
+    branch: branchId,
+    activities: [{ status: 'active', activity: { _id: activityId, name: 'Compliance', subactivities: [review, audit] } }],
+  };
+  const lean = (docs) => ({ lean: () => Promise.resolve(docs) });
+
+  beforeEach(() => {
+    jest.spyOn(Client, 'find').mockReturnValue({ populate: () => Promise.resolve([client]) });
+    jest.spyOn(Branch, 'find').mockReturnValue(lean([{ _id: branchId, state: 'Maharashtra' }]));
+    jest.spyOn(Holiday, 'find').mockReturnValue(lean([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should count the periods of the financial year that are missing', async () => {
+    jest
+      .spyOn(Timeline, 'findOne')
+      .mockImplementation((filter) => ({ select: () => lean(filter.period === 'Q1-2024' ? { _id: 'existing' } : null) }));
+    const onProgress = jest.fn();
+
+    const report = await backfillTimelines(
+      { financialYear: '2024-2025', subactivityIds: [String(review._id)], dryRun: true },
+      { onProgress }
+    );
+
+    expect(report).toEqual(
+      expect.objectContaining({ clients: 1, processed: 4, created: 3, existing: 1, failed: 0, dryRun: true })
+    );
+    expect(Timeline.findOne.mock.calls.map(([filter]) => filter.period)).toEqual([
+      'Q4-2024',
+      'Q1-2024',
+      'Q2-2024',
+      'Q3-2025',
+    ]);
+    expect(report.subactivities).toHaveLength(1);
+    expect(report.subactivities[0]).toEqual(expect.objectContaining({ created: 3, existing: 1, failed: 0 }));
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ done: 1, total: 1 }));
+  });
+
+  test('should limit the clients to the branches the user can access', async () => {
+    jest.spyOn(Timeline, 'findOne').mockReturnValue({ select: () => lean(null) });
+    const user = { role: { allBranchesAccess: false, branchAccess: [branchId] } };
+
+    await backfillTimelines({ financialYear: '2024-2025', frequencies: ['Yearly'], dryRun: true }, { user });
+
+    expect(Client.find).toHaveBeenCalledWith(expect.objectContaining({ branch: { $in: [String(branchId)] } }));
+  });
+
+  test('should reject a malformed financial year', async () => {
+    await expect(backfillTimelines({ financialYear: '2024-2026' })).rejects.toThrow('Invalid financial year');
+  });
+});
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { buildDocumentChecklist, updateChecklistItem } from '../../../src/services/timelineDocument.service';
+import { renderForClient } from '../../../src/services/emailTemplate.service';
+import { FileManager, Timeline } from '../../../src/models';
+
+describe('timeline document checklist', () => {
+  test('should copy the subactivity checklist as pending items', () => {
+    const subactivity = {
+      name: 'ITR',
+      documentChecklist: [
+        { _id: 'item-1', name: 'Form 16' },
+        { _id: 'item-2', name: 'Bank interest certificate', description: 'All savings accounts', required: false },
+      ],
+    };
+
+    expect(buildDocumentChecklist(subactivity)).toEqual([
+      { item: 'item-1', name: 'Form 16', description: undefined, required: true, status: 'pending', files: [] },
+      {
+        item: 'item-2',
+        name: 'Bank interest certificate',
+        description: 'All savings accounts',
+        required: false,
+        status: 'pending',
+        files: [],
+      },
+    ]);
+  });
+
+  test('should return an empty checklist when the subactivity has none', () => {
+    expect(buildDocumentChecklist({ name: 'GSTR-1' })).toEqual([]);
+    expect(buildDocumentChecklist(null)).toEqual([]);
+  });
+
+  test('should fill request placeholders alongside client placeholders', () => {
+    const template = { subject: 'Documents for {{period}}', bodyText: 'Dear {{clientName}},\n{{pendingDocuments}}' };
+    const { subject, text } = renderForClient(
+      template,
+      { name: 'Acme Traders' },
+      { period: '2024-2025', pendingDocuments: '- Form 16' }
+    );
+
+    expect(subject).toBe('Documents for 2024-2025');
+    expect(text).toBe('Dear Acme Traders,\n- Form 16');
+  });
+
+  describe('linking files to an item', () => {
+    const clientsRootId = new mongoose.Types.ObjectId();
+    const clientFolderId = new mongoose.Types.ObjectId();
+    const otherClientFolderId = new mongoose.Types.ObjectId();
+    const fileId = new mongoose.Types.ObjectId();
+    const item = { status: 'pending', files: [] };
+    const timeline = {
+      client: new mongoose.Types.ObjectId(),
+      documentChecklist: { id: () => item },
+      save: jest.fn().mockResolvedValue(),
+    };
+    const found = (docs) => ({ select: () => ({ lean: () => Promise.resolve(docs) }) });
+    const storeFileIn = (folderId) => {
+      jest
+        .spyOn(FileManager, 'find')
+        .mockImplementation((filter) =>
+          found(
+            filter.type === 'file'
+              ? [{ _id: fileId, file: { parentFolder: folderId } }]
+              : [{ _id: folderId, folder: { parentFolder: clientsRootId } }]
+          )
+        );
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Timeline, 'findById').mockResolvedValue(timeline);
+      jest
+        .spyOn(FileManager, 'findOne')
+        .mockImplementation((filter) =>
+          found(filter['folder.metadata.clientId'] ? { _id: clientFolderId } : { _id: clientsRootId, folder: {} })
+        );
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should refuse files from another client's folder", async () => {
+      storeFileIn(otherClientFolderId);
+
+      await expect(updateChecklistItem('timeline-1', 'item-1', { files: [fileId] })).rejects.toThrow("client's folder");
+      expect(timeline.save).not.toHaveBeenCalled();
+    });
+
+    test("should link files stored in the client's folder", async () => {
+      storeFileIn(clientFolderId);
+      jest.spyOn(Timeline, 'findById').mockResolvedValue({
+        ...timeline,
+        documentChecklist: Object.assign([], { id: () => item }),
+        populate: () => ({ execPopulate: () => Promise.resolve() }),
+      });
+
+      await updateChecklistItem('timeline-1', 'item-1', { files: [fileId], status: 'received' });
+
+      expect(item.files).toEqual([fileId]);
+      expect(item.status).toBe('received');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { describeTimelines } from '../../../src/services/timelinePreview.service';
+import { Activity, Client, Timeline } from '../../../src/models';
+
+describe('timeline preview', () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const activityId = new mongoose.Types.ObjectId();
+  const subactivityId = new mongoose.Types.ObjectId();
+  const found = (docs) => ({ select: () => ({ lean: () => Promise.resolve(docs) }) });
+  const makeTimeline = (state) =>
+    new Timeline({
+      client: clientId,
+      activity: activityId,
+      branch: new mongoose.Types.ObjectId(),
+      subactivity: { _id: subactivityId, name: 'GSTR-3B' },
+      subactivityId,
+      frequency: 'Monthly',
+      timelineType: 'recurring',
+      period: 'June-2025',
+      dueDate: new Date(2025, 6, 20),
+      state,
+    });
+
+  beforeEach(() => {
+    jest.spyOn(Client, 'find').mockReturnValue(found([{ _id: clientId, name: 'Acme Traders' }]));
+    jest.spyOn(Activity, 'find').mockReturnValue(found([{ _id: activityId, name: 'GST' }]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should describe each timeline with names, period, due date and state', async () => {
+    const [item] = await describeTimelines([makeTimeline('Maharashtra')]);
+
+    expect(item).toEqual(
+      expect.objectContaining({
+        client: { id: clientId, name: 'Acme Traders' },
+        activity: { id: activityId, name: 'GST' },
+        subactivity: { id: subactivityId, name: 'GSTR-3B' },
+        period: 'June-2025',
+        state: 'Maharashtra',
+        action: 'create',
+      })
+    );
+  });
+
+  test('should flag timelines that already exist for the same period and state', async () => {
+    jest
+      .spyOn(Timeline, 'countDocuments')
+      .mockImplementation((filter) => Promise.resolve(filter.state === 'Gujarat' ? 1 : 0));
+
+    const items = await describeTimelines([makeTimeline('Gujarat'), makeTimeline('Maharashtra')], { checkExisting: true });
+
+    expect(items.map((item) => item.action)).toEqual(['exists', 'create']);
+    expect(Timeline.countDocuments).toHaveBeenCalledWith(
+      expect.objectContaining({ client: clientId, subactivityId, period: 'June-2025', timelineType: 'recurring' })
+    );
+  });
+});
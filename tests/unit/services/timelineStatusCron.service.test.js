@@ -0,0 +1,38 @@
+import { updateOverdueTimelineStatuses } from '../../../src/services/timelineStatusCron.service';
+import { Timeline } from '../../../src/models';
+
+describe('timeline status check', () => {
+  beforeEach(() => {
+    jest.spyOn(Timeline, 'updateMany').mockResolvedValue({ nModified: 2 });
+    jest.spyOn(Timeline, 'find').mockReturnValue({
+      lean: () =>
+        Promise.resolve([
+          { _id: 't1', statusHistory: [{ from: 'ongoing', to: 'delayed', changedByModel: 'System' }] },
+          { _id: 't2', statusHistory: [{ from: 'pending', to: 'delayed', changedByModel: 'User' }] },
+        ]),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should delay overdue timelines with one update per status and only revert its own changes', async () => {
+    const result = await updateOverdueTimelineStatuses();
+
+    expect(Timeline.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'pending', isDeleted: { $ne: true } }),
+      expect.objectContaining({ $set: { status: 'delayed' } })
+    );
+    expect(Timeline.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'ongoing' }),
+      expect.objectContaining({ $set: { status: 'delayed' } })
+    );
+    expect(Timeline.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['t1'] }, status: 'delayed', isDeleted: { $ne: true } },
+      expect.objectContaining({ $set: { status: 'ongoing' } })
+    );
+    expect(Timeline.updateMany).toHaveBeenCalledTimes(3);
+    expect(result).toEqual({ delayedCount: 4, revertedCount: 2 });
+  });
+});
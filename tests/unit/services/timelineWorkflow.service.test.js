@@ -0,0 +1,83 @@
+import {
+  applyStatusTransition,
+  assertInitialStatus,
+  getAllowedNextStatuses,
+} from '../../../src/services/timelineWorkflow.service';
+
+const preparer = { id: 'user-1', name: 'Preparer', role: { name: 'Staff', apiPermissions: { manageTimelines: true } } };
+const reviewer = {
+  id: 'user-2',
+  name: 'Partner',
+  role: { name: 'Partner', apiPermissions: { manageTimelines: true, reviewTimelines: true } },
+};
+
+const buildTimeline = (status = 'pending', extra = {}) => ({ status, statusHistory: [], ...extra });
+
+describe('timeline status workflow', () => {
+  test('should move through the review flow and record history', () => {
+    const timeline = buildTimeline('pending', { complianceForm: 'GSTR3B' });
+    applyStatusTransition(timeline, 'ongoing', { user: preparer });
+    applyStatusTransition(timeline, 'ready for review', { user: preparer });
+    applyStatusTransition(timeline, 'filed', { user: reviewer });
+    applyStatusTransition(timeline, 'completed', { user: preparer });
+
+    expect(timeline.status).toBe('completed');
+    expect(timeline.completedAt).toBeInstanceOf(Date);
+    expect(timeline.statusHistory.map((entry) => entry.to)).toEqual(['ongoing', 'ready for review', 'filed', 'completed']);
+    expect(timeline.statusHistory[2]).toMatchObject({
+      from: 'ready for review',
+      changedBy: 'user-2',
+      changedByName: 'Partner',
+    });
+  });
+
+  test('should reject moves that are not in the workflow', () => {
+    expect(() => applyStatusTransition(buildTimeline('pending'), 'filed', { user: reviewer })).toThrow('cannot be moved');
+  });
+
+  test('should require the review permission to mark a timeline filed', () => {
+    const timeline = buildTimeline('ready for review');
+    expect(() => applyStatusTransition(timeline, 'filed', { user: preparer })).toThrow('reviewTimelines');
+  });
+
+  test('should not let the preparer review their own work', () => {
+    const timeline = buildTimeline('ongoing');
+    applyStatusTransition(timeline, 'ready for review', { user: reviewer });
+    expect(() => applyStatusTransition(timeline, 'filed', { user: reviewer })).toThrow('someone other than');
+  });
+
+  test('should require a reason for not applicable', () => {
+    expect(() => applyStatusTransition(buildTimeline('pending'), 'not applicable', { user: preparer })).toThrow('reason');
+
+    const timeline = applyStatusTransition(buildTimeline('pending'), 'not applicable', {
+      user: preparer,
+      reason: 'No turnover this quarter',
+    });
+    expect(timeline.statusHistory[0].reason).toBe('No turnover this quarter');
+  });
+
+  test('should not complete a statutory filing before it is filed', () => {
+    const timeline = buildTimeline('ongoing', { complianceForm: 'GSTR1' });
+    expect(() => applyStatusTransition(timeline, 'completed', { user: preparer })).toThrow('reviewed');
+    expect(applyStatusTransition(buildTimeline('ongoing'), 'completed', { user: preparer }).status).toBe('completed');
+  });
+
+  test('should let team members prepare but not review', () => {
+    const teamMember = { id: 'tm-1', userType: 'teamMember' };
+    expect(getAllowedNextStatuses(buildTimeline('ready for review'), teamMember)).toEqual([]);
+    expect(getAllowedNextStatuses(buildTimeline('ongoing'), teamMember)).toContain('ready for review');
+  });
+
+  test('should only allow configured moves for the system', () => {
+    const timeline = applyStatusTransition(buildTimeline('pending'), 'delayed', { system: true });
+    expect(timeline.statusHistory[0].changedByModel).toBe('System');
+    expect(() => applyStatusTransition(buildTimeline('pending'), 'completed', { system: true })).toThrow('automatically');
+  });
+
+  test('should only create timelines in an initial status', () => {
+    assertInitialStatus('pending');
+    assertInitialStatus(undefined);
+    expect(() => assertInitialStatus('filed')).toThrow('use a status change');
+    expect(() => assertInitialStatus('completed')).toThrow('use a status change');
+  });
+});
@@ -0,0 +1,37 @@
+import { getGstinCheckCharacter, validateGstin } from '../../../src/utils/gstin';
+
+describe('GSTIN validation', () => {
+  const gstin = '27AAACR5055K1Z7';
+
+  test('should compute the check character', () => {
+    expect(getGstinCheckCharacter('27AAACR5055K1Z')).toBe('7');
+    expect(getGstinCheckCharacter('07AAACI1681G1Z')).toBe('R');
+  });
+
+  test('should accept a GSTIN that matches the PAN and state', () => {
+    expect(validateGstin(gstin, { pan: 'AAACR5055K', state: 'Maharashtra' })).toEqual([]);
+    expect(validateGstin(gstin, { state: '27' })).toEqual([]);
+  });
+
+  test('should reject a bad format without further checks', () => {
+    expect(validateGstin('27AAACR5055K1Y7').map((error) => error.code)).toEqual(['INVALID_FORMAT']);
+  });
+
+  test('should catch a typo through the check character', () => {
+    const [error] = validateGstin('27AAACR5056K1Z7');
+
+    expect(error.code).toBe('INVALID_CHECKSUM');
+    expect(error.message).toContain('27AAACR5056K1Z7');
+  });
+
+  test('should report a PAN and state mismatch', () => {
+    const errors = validateGstin(gstin, { pan: 'AAACR5055L', state: 'Karnataka' });
+
+    expect(errors.map((error) => error.code)).toEqual(['PAN_MISMATCH', 'STATE_MISMATCH']);
+    expect(errors[1].message).toContain('Karnataka is 29');
+  });
+
+  test('should report an unknown state', () => {
+    expect(validateGstin(gstin, { state: 'Atlantis' }).map((error) => error.code)).toEqual(['UNKNOWN_STATE']);
+  });
+});
@@ -0,0 +1,34 @@
+import {
+  validatePan,
+  getPanHolderType,
+  isEntityTypeConsistentWithPan,
+  suggestEntityTypeForPan,
+} from '../../../src/utils/pan';
+
+describe('PAN', () => {
+  test('should check the structure and holder type', () => {
+    expect(validatePan('AAACR5055K')).toEqual([]);
+    expect(validatePan('AAAC5055K').map((error) => error.code)).toEqual(['INVALID_FORMAT']);
+    expect(validatePan('AAAXR5055K').map((error) => error.code)).toEqual(['INVALID_HOLDER_TYPE']);
+  });
+
+  test('should read the holder type from the 4th character', () => {
+    expect(getPanHolderType('ABCPK1234L')).toEqual({ code: 'P', label: 'Individual' });
+    expect(getPanHolderType('bad')).toBeNull();
+  });
+
+  test('should tell whether an entity type fits the PAN', () => {
+    expect(isEntityTypeConsistentWithPan('AAACR5055K', 'Private Limited')).toBe(true);
+    expect(isEntityTypeConsistentWithPan('AAACR5055K', 'LLP')).toBe(false);
+    expect(isEntityTypeConsistentWithPan('AAFFR5055K', 'LLP')).toBe(true);
+    expect(isEntityTypeConsistentWithPan('ABCPK1234L', 'Partnership Firm')).toBe(false);
+    expect(isEntityTypeConsistentWithPan('ABCPK1234L', '')).toBeNull();
+  });
+
+  test('should suggest a known entity type name', () => {
+    expect(suggestEntityTypeForPan('AAACR5055K', ['Individual', 'private limited', 'LLP'])).toBe('private limited');
+    expect(suggestEntityTypeForPan('AAAHR5055K', ['Hindu Undivided Family (HUF)'])).toBe('Hindu Undivided Family (HUF)');
+    expect(suggestEntityTypeForPan('AAATR5055K')).toBe('Trust');
+    expect(suggestEntityTypeForPan('bad')).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+import { renderClientReportPdf, renderGroupReportPdf } from '../../../src/utils/reportPdf';
+
+describe('report PDFs', () => {
+  const timelines = Array.from({ length: 80 }, (_, index) => ({
+    activity: { name: 'GST' },
+    subactivity: { name: 'GSTR-3B' },
+    period: `Month ${index + 1}`,
+    dueDate: new Date(2024, 4, 20),
+    status: index % 2 ? 'completed' : 'pending',
+  }));
+  const clientReport = {
+    client: { name: 'Acme Traders', email: 'accounts@acme.test' },
+    financialYear: '2024-2025',
+    turnover: '1,20,00,000',
+    timelines,
+    statusSummary: { pending: 40, completed: 40, delayed: 0, ongoing: 0, notApplicable: 0, total: 80 },
+    pendings: [],
+  };
+
+  test('should render a client report over several pages', async () => {
+    const pdf = await renderClientReportPdf(clientReport);
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    expect((pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length).toBeGreaterThan(1);
+  });
+
+  test('should render a group report with a section per client', async () => {
+    const pdf = await renderGroupReportPdf({
+      group: { name: 'Acme Group' },
+      financialYear: '2024-2025',
+      clients: [clientReport, { ...clientReport, timelines: [], client: { name: 'Acme Exports' } }],
+      summary: { totalClients: 2, totalTimelines: 80, totalPending: 40, totalCompleted: 40 },
+    });
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+  });
+});